@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { ledMeshFiles, stageMeshFiles, crowdMeshPaths, DEFAULT_MAPPING_TYPE, correctedWingMeshes, djMeshFiles } from './src/config/meshPaths.js';
 import { shaderConfigs } from './src/config/shaderConfig.js';
 import { cameraPositions, DEFAULT_CAMERA_POSITION_INDEX } from './src/config/cameraPresets.js';
+import { getLEDCanvasSize } from './src/config/ledCanvas.js';
 // VR config and manager will be loaded dynamically when needed
 import { createShaderMaterials, createTextureShaderMaterial, createLEDShaderMaterial, updateLEDShaders, applyShaderToGroup, updateCameraPositionInShaders, loadMaskTexture } from './src/core/ShaderManager.js';
 import { getShaderType } from './src/utils/shaderUtils.js';
@@ -18,9 +19,22 @@ import { MediaManager } from './src/features/MediaManager.js';
 import { FileInfoManager } from './src/features/FileInfoManager.js';
 import { OverlayManager } from './src/features/OverlayManager.js';
 import { SceneControls } from './src/features/SceneControls.js';
+import { TranscodeManager } from './src/features/TranscodeManager.js';
+import { ReviewSession } from './src/features/ReviewSession.js';
+import { AnnotationManager } from './src/features/AnnotationManager.js';
+import { LuminanceManager } from './src/features/LuminanceManager.js';
+import { FlashSafetyManager } from './src/features/FlashSafetyManager.js';
+import { TimelinePreviewManager } from './src/features/TimelinePreviewManager.js';
+import { OscControl } from './src/features/OscControl.js';
+import { TimecodeChaseManager } from './src/features/TimecodeChaseManager.js';
+import { DmxLighting } from './src/features/DmxLighting.js';
+import { RemoteControl } from './src/features/RemoteControl.js';
+import { LookManager } from './src/features/LookManager.js';
+import { encodeUrlState, decodeUrlState } from './src/utils/urlState.js';
 // VRManager will be loaded dynamically when needed
 import { LoadingManager } from './src/core/LoadingManager.js';
 import { InitializationManager } from './src/core/InitializationManager.js';
+import { ServerEvents } from './src/core/ServerEvents.js';
 import { registerInitSteps } from './src/app/initSteps.js';
 import { registerLoadingStates } from './src/app/loadingStates.js';
 import { attachRenderer, createCamera, createControls, createRenderer, setupResizeHandlers, startAnimationLoop } from './src/app/engine.js';
@@ -32,6 +46,9 @@ const initManager = new InitializationManager(loadingManager);
 // Register loading states
 registerLoadingStates(loadingManager);
 
+// Backend event channel (media library updates, etc.) - connected in startInitialization
+const serverEvents = new ServerEvents();
+
 // Scene setup
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0.004, 0.004, 0.004);
@@ -1101,6 +1118,10 @@ const shaderControls = new ShaderControls(shaderMaterials, materialReferences, u
 let ndiStreamStatus = null;
 let currentNdiStreamName = null;
 let pendingNdiFileInfo = null;
+// Sources from the last discovery (NDI, V4L2 devices, configured inputs), keyed by source id
+let ndiSources = new Map();
+let currentNdiSourceId = null;
+let ndiSourceControlsInitialized = false;
 
 // Source type dropdown (will be initialized when UI is ready)
 let sourceTypeSelect = null;
@@ -1119,6 +1140,8 @@ function initializeNDIUI() {
     return false; // Elements not ready yet
   }
   
+  initializeNdiSourceControls();
+  
   // Handle source type change
   sourceTypeSelect.addEventListener('change', (e) => {
     const selectedType = e.target.value;
@@ -1201,6 +1224,7 @@ function initializeNDIUI() {
       
       // Reset NDI stream name
       currentNdiStreamName = null;
+      currentNdiSourceId = null;
       updateNdiFileInfo(null);
       
       // Restore last selected video asset or load default
@@ -1409,6 +1433,16 @@ if (mappingTypeSelect) {
     // Update composite overlay when mapping type changes
     updateCompositeOverlay();
     
+    // Proxies are rendered at the canvas size of the selected mapping, cuts use its surfaces
+    if (transcodeManager) {
+      transcodeManager.updateCanvasSizeLabel();
+    }
+    
+    // Re-check the loaded render against the new mapping
+    if (fileInfoManager) {
+      fileInfoManager.setMappingType(selectedType);
+    }
+    
     // Get current state of "hide LED front" checkbox before switching
     const hideLedFrontCheckbox = document.getElementById('hideLedFront');
     const hideLedFrontGroup = document.getElementById('hideLedFrontGroup');
@@ -1839,7 +1873,132 @@ function updateNdiFileInfo(streamName) {
 // Track if discovery is in progress to prevent duplicate calls
 let ndiDiscoveryInProgress = false;
 
-// Function to fetch and display available NDI streams
+function getNdiSourceName(source) {
+  return typeof source === 'string'
+    ? source
+    : (source.name || source.sourceName || source.ndi_name || source.id || 'Unknown');
+}
+
+// Normalize a /ndi/discover entry (plain NDI name or source descriptor)
+function normalizeNdiSource(source) {
+  const name = getNdiSourceName(source);
+  return {
+    id: typeof source === 'string' ? source : (source.id || name),
+    name,
+    provider: (typeof source === 'object' && source.provider) || 'ndi',
+    providerLabel: (typeof source === 'object' && source.providerLabel) || 'NDI',
+    pushUrl: (typeof source === 'object' && source.pushUrl) || null
+  };
+}
+
+// Fill the live source dropdown, grouped by provider
+function populateNdiSourceSelect(selectedId) {
+  const select = document.getElementById('ndiSourceSelect');
+  if (!select) return;
+  select.innerHTML = '';
+
+  if (ndiSources.size === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'No sources found';
+    select.appendChild(option);
+    return;
+  }
+
+  const groups = new Map();
+  ndiSources.forEach(source => {
+    if (!groups.has(source.providerLabel)) {
+      const group = document.createElement('optgroup');
+      group.label = source.providerLabel;
+      groups.set(source.providerLabel, group);
+      select.appendChild(group);
+    }
+    const option = document.createElement('option');
+    option.value = source.id;
+    option.textContent = source.name;
+    if (source.pushUrl) option.title = `Push to ${source.pushUrl}`;
+    groups.get(source.providerLabel).appendChild(option);
+  });
+  select.value = selectedId || '';
+}
+
+// Load a discovered source by id
+function selectNdiSource(sourceId) {
+  const source = ndiSources.get(sourceId);
+  if (!source) return;
+
+  currentNdiSourceId = source.id;
+  currentNdiStreamName = source.name;
+  setNdiStatus(`${source.providerLabel}: ${source.name}`);
+  updateNdiFileInfo(source.name);
+  // Only NDI sources can arrive through a local virtual camera; everything else is captured by the server
+  loadNDIStream(source.id, { useCamera: source.provider === 'ndi' }).catch(error => {
+    console.error('Failed to load NDI stream:', error);
+    setNdiStatus(`Error loading stream: ${error.message}`);
+  });
+}
+
+// Frame rate, latency and drops of server-captured sources (WebSocket path), refreshed every second.
+// Latency is capture time on the server to draw time in the browser, so it assumes both clocks agree
+// (same machine or NTP); the burned-in timecode of the test patterns gives a clock-independent check.
+let lastNdiFramesReceived = 0;
+
+function updateNdiStreamStats() {
+  const statsElement = document.getElementById('ndiStreamStats');
+  if (!statsElement) return;
+  const stats = mediaManager ? mediaManager.getNDIFrameStats() : null;
+  if (!stats) {
+    statsElement.textContent = '';
+    lastNdiFramesReceived = 0;
+    return;
+  }
+  const fps = Math.max(0, stats.received - lastNdiFramesReceived);
+  lastNdiFramesReceived = stats.received;
+  const latency = stats.latencyMs === null ? '--' : `${Math.round(stats.latencyMs)} ms`;
+  statsElement.textContent = `${fps} fps · latency ${latency} · dropped ${stats.serverDropped} server / ${stats.skipped} client`;
+}
+
+// NDI sources appearing/disappearing on the network, pushed by the server's mDNS browser
+function handleNdiSourceEvent({ action, source }) {
+  if (!source) return;
+  const entry = normalizeNdiSource(source);
+  if (action === 'removed') {
+    if (entry.id === currentNdiSourceId) {
+      // Keep the playing source listed so the dropdown still shows what is selected
+      ndiSources.set(entry.id, { ...entry, name: `${entry.name} (offline)` });
+      setNdiStatus(`${entry.providerLabel}: ${entry.name} went offline`, 'error');
+    } else {
+      ndiSources.delete(entry.id);
+    }
+  } else {
+    ndiSources.set(entry.id, entry);
+  }
+  populateNdiSourceSelect(currentNdiSourceId);
+}
+
+function initializeNdiSourceControls() {
+  if (ndiSourceControlsInitialized) return;
+  ndiSourceControlsInitialized = true;
+  setInterval(updateNdiStreamStats, 1000);
+  serverEvents.on('ndi:source', handleNdiSourceEvent);
+
+  const select = document.getElementById('ndiSourceSelect');
+  if (select) {
+    select.addEventListener('change', () => {
+      if (select.value) selectNdiSource(select.value);
+    });
+  }
+  const refreshButton = document.getElementById('ndiRefreshBtn');
+  if (refreshButton) {
+    refreshButton.addEventListener('click', () => {
+      discoverNDIStreams().catch(error => {
+        console.error('Error during NDI discovery:', error);
+      });
+    });
+  }
+}
+
+// Function to fetch and display available live sources
 async function discoverNDIStreams() {
   // Prevent multiple simultaneous discovery calls
   if (ndiDiscoveryInProgress) {
@@ -1847,13 +2006,12 @@ async function discoverNDIStreams() {
   }
   
   ndiDiscoveryInProgress = true;
-  const discoveryUrl = `http://localhost:8080/ndi/discover?t=${Date.now()}`;
-  setNdiStatus('Discovering NDI streams...');
-  currentNdiStreamName = null;
+  const discoveryUrl = `/ndi/discover?t=${Date.now()}`;
+  setNdiStatus('Discovering live sources...');
   
-  // Create abort controller for timeout
+  // Create abort controller for timeout (NDI mDNS discovery alone takes ~5 seconds)
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
   
   try {
     const response = await fetch(discoveryUrl, {
@@ -1866,62 +2024,49 @@ async function discoverNDIStreams() {
     clearTimeout(timeoutId);
     
     if (!response.ok) {
-      const errorText = await response.text();
       throw new Error(`HTTP error! status: ${response.status}`);
     }
     
     const streams = await response.json();
     console.log('Received streams data:', streams);
     
-    if (Array.isArray(streams) && streams.length > 0) {
-      // Prioritize OBS Virtual Camera streams
-      // Look for streams that might be from OBS (common OBS NDI source names)
-      const obsStreamPatterns = [
-        /obs/i,
-        /virtual.*camera/i,
-        /obs.*studio/i,
-        /obs.*virtual/i
-      ];
-      
-      let selectedStream = null;
-      let selectedStreamName = null;
+    ndiSources = new Map((Array.isArray(streams) ? streams : []).map(stream => {
+      const source = normalizeNdiSource(stream);
+      return [source.id, source];
+    }));
+    
+    if (ndiSources.size > 0) {
+      let selectedSource = ndiSources.get(currentNdiSourceId) || null;
       
-      // First, try to find an OBS-related stream
-      for (const stream of streams) {
-        const streamName = typeof stream === 'string'
-          ? stream
-          : (stream.name || stream.sourceName || stream.ndi_name || '');
-        
-        // Check if this stream matches OBS patterns
-        const isOBSStream = obsStreamPatterns.some(pattern => pattern.test(streamName));
-        
-        if (isOBSStream) {
-          selectedStream = stream;
-          selectedStreamName = streamName;
-          console.log('Found OBS Virtual Camera stream:', streamName);
-          break;
+      if (!selectedSource) {
+        // Prioritize OBS Virtual Camera streams
+        // Look for streams that might be from OBS (common OBS NDI source names)
+        const obsStreamPatterns = [
+          /obs/i,
+          /virtual.*camera/i,
+          /obs.*studio/i,
+          /obs.*virtual/i
+        ];
+        const sources = Array.from(ndiSources.values());
+        selectedSource = sources.find(source => source.provider === 'ndi' && obsStreamPatterns.some(pattern => pattern.test(source.name)));
+        if (selectedSource) {
+          console.log('Found OBS Virtual Camera stream:', selectedSource.name);
+        } else {
+          // If no OBS stream found, use the first source
+          selectedSource = sources[0];
+          console.log('No OBS stream found, using first available source:', selectedSource.name);
         }
       }
       
-      // If no OBS stream found, use the first stream
-      if (!selectedStream) {
-        selectedStream = streams[0];
-        selectedStreamName = typeof selectedStream === 'string'
-          ? selectedStream
-          : (selectedStream.name || selectedStream.sourceName || selectedStream.ndi_name || 'Unknown');
-        console.log('No OBS stream found, using first available stream:', selectedStreamName);
+      populateNdiSourceSelect(selectedSource.id);
+      if (selectedSource.id !== currentNdiSourceId) {
+        selectNdiSource(selectedSource.id);
+      } else {
+        setNdiStatus(`${selectedSource.providerLabel}: ${selectedSource.name}`);
       }
-      
-      currentNdiStreamName = selectedStreamName;
-      setNdiStatus(`NDI Stream: ${selectedStreamName}`);
-      updateNdiFileInfo(selectedStreamName);
-      // Load NDI stream (will wait for MediaManager if needed)
-      loadNDIStream(selectedStreamName).catch(error => {
-        console.error('Failed to load NDI stream:', error);
-        setNdiStatus(`Error loading stream: ${error.message}`);
-      });
     } else {
-      setNdiStatus('No NDI streams found');
+      populateNdiSourceSelect(null);
+      setNdiStatus('No NDI streams or live sources found');
       updateNdiFileInfo(null);
     }
   } catch (error) {
@@ -2308,6 +2453,7 @@ let overlayManager = null;
 
 // FileInfoManager will be initialized after mediaManager
 let fileInfoManager = null;
+let transcodeManager = null;
 
 // Track last selected video asset for restoration when switching back to texture mode
 let lastSelectedVideoAsset = null;
@@ -2448,8 +2594,13 @@ function initializeMediaManager() {
     }
   });
   
+  // Populate the asset selector from the server media library and keep it live
+  mediaManager.watchMediaLibrary(serverEvents);
+  mediaManager.loadMediaLibrary();
+  
   // Initialize FileInfoManager after MediaManager
   fileInfoManager = new FileInfoManager(mediaManager);
+  fileInfoManager.setMappingType(currentMappingType);
   
   // Set FileInfoManager reference in MediaManager
   if (mediaManager) {
@@ -2460,6 +2611,16 @@ function initializeMediaManager() {
     fileInfoManager.setNDIStreamName(pendingNdiFileInfo);
   }
   
+  // Web proxy transcoding of library masters (ProRes/HAP) and per-surface LED feed cuts
+  transcodeManager = new TranscodeManager({
+    mediaManager,
+    serverEvents,
+    getCanvasSize: () => getLEDCanvasSize(currentMappingType),
+    getMappingType: () => currentMappingType,
+    onLoadProxy: (entry) => mediaManager.selectMediaLibraryEntry(entry)
+  });
+  transcodeManager.init();
+  
   // Initialize OverlayManager after MediaManager
   overlayManager = new OverlayManager(mediaManager, material);
   
@@ -2565,7 +2726,8 @@ async function loadOBSVirtualCamera() {
 }
 
 // Function to load NDI stream as texture using WebSocket + Canvas
-async function loadNDIStream(streamName) {
+// options.useCamera: try a local virtual camera before the server capture (NDI sources only)
+async function loadNDIStream(streamName, options = {}) {
   // Wait for MediaManager to be initialized
   try {
     await loadingManager.waitFor('mediaManager', 10000);
@@ -2582,7 +2744,7 @@ async function loadNDIStream(streamName) {
   }
   
   console.log('Loading NDI stream:', streamName);
-  mediaManager.loadNDIStream(streamName);
+  await mediaManager.loadNDIStream(streamName, options);
 }
 
 // Legacy function wrapper - replaced by MediaManager
@@ -2946,6 +3108,49 @@ function loadVideoFromPath(videoPath) {
   }
 }
 
+// Upload a file to the server media library, then load it from there
+const mediaUploadInput = document.getElementById('mediaUploadInput');
+if (mediaUploadInput) {
+  mediaUploadInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file || !mediaManager) return;
+    
+    try {
+      console.log('Uploading to media library:', file.name);
+      const entry = await mediaManager.uploadToMediaLibrary(file);
+      console.log('Upload complete:', entry.name);
+      mediaManager.selectMediaLibraryEntry(entry);
+    } catch (error) {
+      console.error('Media library upload failed:', error);
+      alert(`Upload failed: ${error.message}`);
+    } finally {
+      mediaUploadInput.value = '';
+    }
+  });
+}
+
+// Delete the selected file from the server media library
+const mediaDeleteBtn = document.getElementById('mediaDeleteBtn');
+if (mediaDeleteBtn) {
+  mediaDeleteBtn.addEventListener('click', async () => {
+    if (!mediaManager || !videoAssetSelect) return;
+    const entry = mediaManager.findMediaLibraryEntry(videoAssetSelect.value);
+    if (!entry) {
+      alert('Select a Media Library file to delete');
+      return;
+    }
+    if (!confirm(`Delete ${entry.name} from the Media Library?`)) return;
+    
+    try {
+      await mediaManager.deleteFromMediaLibrary(entry.id);
+      console.log('Deleted from media library:', entry.name);
+    } catch (error) {
+      console.error('Media library delete failed:', error);
+      alert(`Delete failed: ${error.message}`);
+    }
+  });
+}
+
 // Legacy function wrapper - replaced by MediaManager
 if (textureInput) {
   textureInput.addEventListener('change', (e) => {
@@ -2994,6 +3199,725 @@ function initializeCameraControls() {
   }
 }
 
+// ============================================
+// Review Annotations
+// ============================================
+// Notes pinned to LED/stage meshes at a video frame, stored per media file on the server
+let annotationManager = null;
+
+function initializeAnnotations() {
+  annotationManager = new AnnotationManager({
+    scene,
+    camera,
+    canvas: renderer.domElement,
+    controls,
+    pickTargets: [ledsGroup, stageGroup],
+    mediaManager,
+    playbackControls,
+    serverEvents,
+    getMappingType: () => ledMapping.getCurrentMappingType(),
+    getAuthor: () => (reviewSession && reviewSession.name) || 'Anonymous'
+  });
+  annotationManager.init();
+}
+
+// ============================================
+// Timeline Previews
+// ============================================
+// Waveform and thumbnail filmstrip of library videos under the timeline, hover previews
+let timelinePreviewManager = null;
+
+function initializeTimelinePreviews() {
+  timelinePreviewManager = new TimelinePreviewManager({
+    mediaManager,
+    playbackControls
+  });
+}
+
+// ============================================
+// Luminance Analysis
+// ============================================
+// Per-surface APL and LED power estimates of library videos, graphed under the timeline
+let luminanceManager = null;
+
+function initializeLuminance() {
+  luminanceManager = new LuminanceManager({
+    mediaManager,
+    playbackControls,
+    serverEvents,
+    getMappingType: () => ledMapping.getCurrentMappingType()
+  });
+  luminanceManager.init();
+}
+
+// ============================================
+// Flash Safety
+// ============================================
+// Photosensitive flash screening of library videos, offending ranges marked on the timeline
+let flashSafetyManager = null;
+
+function initializeFlashSafety() {
+  flashSafetyManager = new FlashSafetyManager({
+    mediaManager,
+    playbackControls,
+    serverEvents,
+    getMappingType: () => ledMapping.getCurrentMappingType()
+  });
+  flashSafetyManager.init();
+}
+
+// ============================================
+// OSC Control
+// ============================================
+// Show-control gear (QLab, TouchOSC, lighting desks) drives the preview through the server's OSC bridge
+let oscControl = null;
+
+function clampToSlider(slider, value) {
+  return Math.min(parseFloat(slider.max), Math.max(parseFloat(slider.min), value));
+}
+
+function initializeOscControl() {
+  const lightSlider = document.getElementById('directionalLight1Intensity');
+  oscControl = new OscControl({
+    serverEvents,
+    playbackControls,
+    actions: {
+      setMapping: (type) => {
+        if (type !== mappingTypeSelect.value && !selectOptionValue(mappingTypeSelect, type)) {
+          console.warn('OSC: unknown mapping type', type);
+        }
+      },
+      setCamera: (index) => {
+        if (cameraControls && index < cameraPositions.length) cameraControls.setCameraPosition(index);
+      },
+      setLightIntensity: (value) => {
+        if (lightSlider) writeControlValues({ directionalLight1Intensity: clampToSlider(lightSlider, value) });
+      },
+      setCrowdCount: (count) => {
+        if (crowdInstanceCountSlider) writeControlValues({ crowdInstanceCountSlider: clampToSlider(crowdInstanceCountSlider, count) });
+      }
+    },
+    getState: () => ({
+      mapping: ledMapping.getCurrentMappingType(),
+      camera: cameraControls ? cameraControls.positionIndex : null,
+      lightIntensity: lightSlider ? parseFloat(lightSlider.value) : undefined,
+      crowdCount: crowdInstanceCountSlider ? parseInt(crowdInstanceCountSlider.value) : undefined
+    })
+  });
+  oscControl.init();
+}
+
+// ============================================
+// Timecode Chase
+// ============================================
+// Playback follows the show clock (Art-Net / OSC timecode relayed by the server)
+let timecodeChaseManager = null;
+
+function initializeTimecodeChase() {
+  timecodeChaseManager = new TimecodeChaseManager({
+    serverEvents,
+    playbackControls,
+    fileInfoManager
+  });
+  timecodeChaseManager.init();
+}
+
+// ============================================
+// DMX Lighting
+// ============================================
+// The lighting desk's cues (Art-Net / sACN relayed by the server) drive the directional light, ambient light and background
+let dmxLighting = null;
+
+function initializeDmxLighting() {
+  dmxLighting = new DmxLighting({
+    serverEvents,
+    actions: {
+      setLight: ({ red = 1, green = 1, blue = 1, intensity }) => {
+        directionalLight.color.setRGB(red, green, blue);
+        if (intensity !== undefined) directionalLight.intensity = intensity;
+      },
+      setLightAngles: ({ azimuth, elevation }) => {
+        const values = {};
+        if (azimuth !== undefined) values.directionalLightRotY = azimuth.toFixed(1);
+        if (elevation !== undefined) values.directionalLightRotX = elevation.toFixed(1);
+        writeControlValues(values);
+      },
+      setAmbient: ({ red = 1, green = 1, blue = 1, intensity }) => {
+        ambientLight.color.setRGB(red, green, blue);
+        if (intensity !== undefined) ambientLight.intensity = intensity;
+      },
+      setBackground: ({ red, green, blue }) => {
+        if (sceneControls) sceneControls.setBackgroundColor(red, green, blue);
+      },
+      // Back to the slider settings; the dynamic light takes over again on its next frame
+      restore: () => {
+        directionalLight.color.set(0xffffff);
+        directionalLight.intensity = directionalLight1IntensitySlider ? parseFloat(directionalLight1IntensitySlider.value) : 0.6;
+        ambientLight.color.set(0xffffff);
+        ambientLight.intensity = 1.0;
+      }
+    }
+  });
+  dmxLighting.init();
+}
+
+// ============================================
+// Review Session
+// ============================================
+// One client directs, everyone else follows its playback, mapping, camera, shader and light settings
+let reviewSession = null;
+
+const REVIEW_SHADER_CONTROL_IDS = [
+  ...['base', 'artists', 'stage', 'pillars', 'floor', 'roof', 'crowd', 'marble', 'cables']
+    .flatMap(shaderType => ['ColorR', 'ColorG', 'ColorB', 'Roughness', 'Specular'].map(control => `${shaderType}${control}`)),
+  'stageCablesColorPicker'
+];
+const REVIEW_TIMELINE_RESEND_SECONDS = 0.1; // Director resends its timeline when it deviates this much
+const REVIEW_TIMELINE_REFRESH_MS = 5000;
+const REVIEW_SYNC_STATUS_INTERVAL_MS = 250;
+const REVIEW_LIGHT_CONTROL_IDS = [
+  'dynamicLightEnabled',
+  'dynamicLightIntensityMultiplier',
+  'directionalLightRotX',
+  'directionalLightRotY',
+  'directionalLightRotZ',
+  'directionalLight1Intensity',
+  'directionalLight2Intensity'
+];
+
+// Shader/light settings are shared as control values, so followers go through the same handlers
+function readControlValues(ids) {
+  const values = {};
+  ids.forEach(id => {
+    const element = document.getElementById(id);
+    if (!element) return;
+    values[id] = element.type === 'checkbox' ? element.checked : element.value;
+  });
+  return values;
+}
+
+function writeControlValues(values) {
+  Object.entries(values).forEach(([id, value]) => {
+    const element = document.getElementById(id);
+    if (!element) return;
+    if (element.type === 'checkbox') {
+      if (element.checked === value) return;
+      element.checked = value;
+      element.dispatchEvent(new Event('change', { bubbles: true }));
+    } else {
+      if (element.value === String(value)) return;
+      element.value = value;
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+  });
+}
+
+function selectOptionValue(select, value) {
+  if (!select || select.value === value) return false;
+  if (!Array.from(select.options).some(option => option.value === value)) return false;
+  select.value = value;
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+  return true;
+}
+
+const reviewSessionSections = {
+  playback: {
+    capture: () => {
+      if (!mediaManager || !playbackControls || (sourceTypeSelect && sourceTypeSelect.value === 'ndi')) return null;
+      // Only assets from the dropdown can be loaded by followers (not local files)
+      const currentPath = mediaManager.currentVideoPath || mediaManager.currentImagePath;
+      const asset = videoAssetSelect && currentPath === videoAssetSelect.value ? currentPath : null;
+      // The position is anchored in server time, so followers can place it on the shared clock
+      return { asset, ...(playbackControls.getState() || {}), at: reviewSession.getServerTime() };
+    },
+    hasChanged: (previous, next, elapsedMs) => {
+      if (previous.asset !== next.asset || previous.paused !== next.paused || previous.playbackRate !== next.playbackRate) {
+        return true;
+      }
+      if (next.currentTime === undefined) return false;
+      if (next.paused) return next.currentTime !== previous.currentTime;
+      // Resend after seeks and stalls, and every few seconds to re-anchor the director's own drift
+      const expectedTime = previous.currentTime + ((next.at - previous.at) / 1000) * next.playbackRate;
+      return Math.abs(next.currentTime - expectedTime) > REVIEW_TIMELINE_RESEND_SECONDS || elapsedMs >= REVIEW_TIMELINE_REFRESH_MS;
+    },
+    apply: (state) => {
+      if (!mediaManager || !playbackControls) return;
+      if (state.currentTime !== undefined) {
+        playbackControls.followTimeline(state, () => reviewSession.getServerTime());
+      }
+      // A new asset picks up the timeline once it has loaded
+      if (state.asset) selectOptionValue(videoAssetSelect, state.asset);
+    }
+  },
+  mapping: {
+    capture: () => ({ type: ledMapping.getCurrentMappingType() }),
+    apply: ({ type }) => {
+      selectOptionValue(mappingTypeSelect, type);
+    }
+  },
+  camera: {
+    capture: () => (cameraControls ? cameraControls.getPose() : null),
+    apply: (pose) => {
+      // Headsets keep their own head pose
+      if (!cameraControls || (vrManager && vrManager.getIsVRActive())) return;
+      cameraControls.followPose(pose);
+    }
+  },
+  shader: {
+    capture: () => readControlValues(REVIEW_SHADER_CONTROL_IDS),
+    apply: writeControlValues
+  },
+  lights: {
+    capture: () => readControlValues(REVIEW_LIGHT_CONTROL_IDS),
+    apply: writeControlValues
+  }
+};
+
+function updateReviewSessionUI(status) {
+  const statusEl = document.getElementById('reviewSessionStatus');
+  const takeControlBtn = document.getElementById('reviewTakeControlBtn');
+  const releaseControlBtn = document.getElementById('reviewReleaseControlBtn');
+  
+  if (takeControlBtn) {
+    takeControlBtn.disabled = !status.connected || !status.canDirect;
+    takeControlBtn.classList.toggle('hidden', status.isDirector);
+  }
+  if (releaseControlBtn) {
+    releaseControlBtn.classList.toggle('hidden', !status.isDirector);
+  }
+  
+  if (statusEl) {
+    const count = status.participants.length;
+    if (!status.connected) {
+      statusEl.textContent = 'Not connected';
+    } else if (status.isDirector) {
+      statusEl.textContent = `Directing - ${count - 1} follower(s)`;
+    } else if (status.director) {
+      statusEl.textContent = status.isFollowing
+        ? `Following ${status.director.name}`
+        : `${status.director.name} is directing (not following)`;
+    } else {
+      statusEl.textContent = `${count} participant(s), nobody directing`;
+    }
+    statusEl.title = status.participants
+      .map(participant => `${participant.name} (${participant.device})${participant.id === status.director?.id ? ' - director' : ''}`)
+      .join('\n');
+  }
+  
+  // Followers watch the director's camera and play on its timeline; local orbiting would fight it
+  if (cameraControls && !status.isFollowing) {
+    cameraControls.followPose(null);
+  }
+  if (playbackControls && !status.isFollowing) {
+    playbackControls.followTimeline(null);
+  }
+  if (controls && !(vrManager && vrManager.getIsVRActive())) {
+    controls.enabled = !status.isFollowing;
+  }
+}
+
+const REVIEW_SYNC_LABELS = {
+  waiting: 'Waiting for video',
+  paused: 'Paused in sync',
+  scheduled: 'Starting on the shared clock',
+  syncing: 'Catching up',
+  locked: 'In sync',
+  ended: 'Ended'
+};
+let reviewSyncStatusEl = null;
+let reviewSyncStatusUpdatedAt = 0;
+
+// Follower playback against the director's timeline, a few times per second
+function updateReviewSyncStatus(sync) {
+  const syncEl = reviewSyncStatusEl;
+  if (!syncEl || (!sync && syncEl.classList.contains('hidden'))) return;
+  const now = performance.now();
+  if (sync && now - reviewSyncStatusUpdatedAt < REVIEW_SYNC_STATUS_INTERVAL_MS) return;
+  reviewSyncStatusUpdatedAt = now;
+  syncEl.classList.toggle('hidden', !sync);
+  if (!sync) return;
+  const { uncertainty } = reviewSession.getStatus().clock;
+  syncEl.textContent = [
+    REVIEW_SYNC_LABELS[sync.state],
+    sync.drift !== null && sync.state !== 'scheduled' ? `drift ${(sync.drift * 1000).toFixed(0)} ms` : null,
+    uncertainty !== null ? `clock ±${uncertainty.toFixed(1)} ms` : 'clock not synced yet'
+  ].filter(Boolean).join(' · ');
+}
+
+function initializeReviewSession() {
+  const nameInput = document.getElementById('reviewSessionName');
+  const followCheckbox = document.getElementById('reviewFollowDirector');
+  const takeControlBtn = document.getElementById('reviewTakeControlBtn');
+  const releaseControlBtn = document.getElementById('reviewReleaseControlBtn');
+  reviewSyncStatusEl = document.getElementById('reviewSyncStatus');
+  
+  let name = '';
+  try {
+    name = localStorage.getItem('reviewSession.name') || '';
+  } catch {
+    // ignore (e.g. storage disabled)
+  }
+  
+  reviewSession = new ReviewSession({
+    sections: reviewSessionSections,
+    onChange: updateReviewSessionUI,
+    name
+  });
+  
+  if (nameInput) {
+    nameInput.value = name;
+    nameInput.addEventListener('change', () => {
+      const newName = nameInput.value.trim();
+      try {
+        localStorage.setItem('reviewSession.name', newName);
+      } catch {
+        // ignore
+      }
+      reviewSession.setName(newName);
+    });
+  }
+  if (followCheckbox) {
+    followCheckbox.addEventListener('change', (e) => reviewSession.setFollowing(e.target.checked));
+  }
+  if (takeControlBtn) {
+    takeControlBtn.addEventListener('click', () => reviewSession.takeControl());
+  }
+  if (releaseControlBtn) {
+    releaseControlBtn.addEventListener('click', () => reviewSession.releaseControl());
+  }
+  
+  reviewSession.connect();
+  updateReviewSessionUI(reviewSession.getStatus());
+}
+
+// ============================================
+// Looks
+// ============================================
+// Named snapshots of media, mapping, texture transform, shaders, lights, background and camera
+let lookManager = null;
+
+const LOOK_MAPPING_FLAG_IDS = ['useCorrectedMesh', 'useGaragefix', 'enableOverlapMask'];
+const LOOK_TEXTURE_CONTROL_IDS = ['textureScaleSlider', 'textureOffsetUSlider', 'textureOffsetVSlider'];
+const LOOK_SCENE_CONTROL_IDS = ['backgroundColorR', 'backgroundColorG', 'backgroundColorB'];
+
+function captureLook() {
+  // Only assets from the dropdown can be restored (not local files or NDI)
+  const currentPath = mediaManager ? (mediaManager.currentVideoPath || mediaManager.currentImagePath) : null;
+  const isAsset = sourceTypeSelect && sourceTypeSelect.value !== 'ndi' && videoAssetSelect && currentPath === videoAssetSelect.value;
+  return {
+    version: 1,
+    media: isAsset ? { asset: currentPath } : null,
+    mapping: {
+      type: ledMapping.getCurrentMappingType(),
+      flags: readControlValues(LOOK_MAPPING_FLAG_IDS),
+      texture: readControlValues(LOOK_TEXTURE_CONTROL_IDS)
+    },
+    shader: readControlValues(REVIEW_SHADER_CONTROL_IDS),
+    lights: readControlValues(REVIEW_LIGHT_CONTROL_IDS),
+    scene: readControlValues(LOOK_SCENE_CONTROL_IDS),
+    camera: cameraControls ? cameraControls.getPose() : null
+  };
+}
+
+/**
+ * Restore a look through the same controls a user would change
+ * @returns {string[]} Parts that could not be restored
+ */
+function applyLook(state) {
+  const warnings = [];
+  const hasOption = (select, value) => !!select && Array.from(select.options).some(option => option.value === value);
+
+  if (state.media && state.media.asset) {
+    if (hasOption(videoAssetSelect, state.media.asset)) {
+      selectOptionValue(sourceTypeSelect, 'texture');
+      selectOptionValue(videoAssetSelect, state.media.asset);
+    } else {
+      warnings.push(`media ${state.media.asset.split('/').pop()} not available`);
+    }
+  }
+
+  if (state.mapping) {
+    const { type, flags = {}, texture = {} } = state.mapping;
+    if (type && type !== mappingTypeSelect.value && hasOption(mappingTypeSelect, type)) {
+      // The mapping change reloads the meshes with the current flags, so set them first without reloading
+      Object.entries(flags).forEach(([id, value]) => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) checkbox.checked = value;
+      });
+      selectOptionValue(mappingTypeSelect, type);
+    } else {
+      if (type && !hasOption(mappingTypeSelect, type)) warnings.push(`mapping ${type} not available`);
+      writeControlValues(flags);
+    }
+    writeControlValues(texture);
+  }
+
+  if (state.shader) writeControlValues(state.shader);
+  if (state.lights) writeControlValues(state.lights);
+  if (state.scene) writeControlValues(state.scene);
+
+  if (state.camera && cameraControls) {
+    if (vrManager && vrManager.getIsVRActive()) {
+      warnings.push('camera skipped in VR');
+    } else {
+      cameraControls.setPose(state.camera);
+    }
+  }
+  return warnings;
+}
+
+function describeLook(state) {
+  const mappingOption = state.mapping && mappingTypeSelect
+    ? Array.from(mappingTypeSelect.options).find(option => option.value === state.mapping.type)
+    : null;
+  return [
+    mappingOption ? mappingOption.textContent.trim() : null,
+    state.media && state.media.asset ? state.media.asset.split('/').pop() : null
+  ].filter(Boolean).join(' | ');
+}
+
+function initializeLooks() {
+  lookManager = new LookManager({
+    serverEvents,
+    capture: captureLook,
+    apply: applyLook,
+    describe: describeLook,
+    getAuthor: () => (reviewSession && reviewSession.name) || null
+  });
+  lookManager.init();
+}
+
+// ============================================
+// Remote Control
+// ============================================
+// Scripts and Stream Decks drive the preview through the server's HTTP control API
+let remoteControl = null;
+
+function currentMediaEntry() {
+  const currentPath = mediaManager ? (mediaManager.currentVideoPath || mediaManager.currentImagePath) : null;
+  return currentPath ? mediaManager.findMediaLibraryEntry(currentPath) : null;
+}
+
+function initializeRemoteControl() {
+  remoteControl = new RemoteControl({
+    serverEvents,
+    playbackControls,
+    actions: {
+      load: (entry) => {
+        selectOptionValue(sourceTypeSelect, 'texture');
+        const current = currentMediaEntry();
+        if (!current || current.id !== entry.id) mediaManager.selectMediaLibraryEntry(entry);
+      },
+      isLoaded: (entry) => {
+        const current = currentMediaEntry();
+        if (!current || current.id !== entry.id) return false;
+        if (mediaManager.currentImagePath) return true;
+        const video = mediaManager.getCurrentVideoElement();
+        return !!video && video.readyState >= HTMLMediaElement.HAVE_METADATA;
+      },
+      setMapping: (type) => {
+        if (type !== mappingTypeSelect.value && !selectOptionValue(mappingTypeSelect, type)) {
+          throw new Error(`Unknown mapping type "${type}"`);
+        }
+      },
+      setCamera: (index) => {
+        if (!cameraControls || index >= cameraPositions.length) throw new Error(`No camera preset ${index}`);
+        cameraControls.setCameraPosition(index);
+      },
+      applyLook: (look) => {
+        const warnings = lookManager.applyLook(look);
+        if (!warnings) throw new Error(`Could not apply look "${look.name}"`);
+        return warnings;
+      }
+    },
+    getState: () => {
+      const entry = currentMediaEntry();
+      return {
+        media: entry ? { id: entry.id, name: entry.name } : null,
+        mapping: ledMapping.getCurrentMappingType(),
+        camera: cameraControls ? cameraControls.positionIndex : null,
+        look: lookManager ? lookManager.activeId : null
+      };
+    }
+  });
+  remoteControl.init();
+}
+
+// ============================================
+// Deep Links
+// ============================================
+// The current view is kept in the URL hash, so copying the address reproduces it
+const DEEP_LINK_UPDATE_INTERVAL_MS = 1000;
+const DEEP_LINK_SEEK_TIMEOUT_MS = 15000;
+let deepLinkTimer = null;
+
+function captureDeepLinkState() {
+  const currentPath = mediaManager ? (mediaManager.currentVideoPath || mediaManager.currentImagePath) : null;
+  const isAsset = sourceTypeSelect && sourceTypeSelect.value !== 'ndi' && videoAssetSelect && currentPath === videoAssetSelect.value;
+  const flags = readControlValues(LOOK_MAPPING_FLAG_IDS);
+  const texture = readControlValues(LOOK_TEXTURE_CONTROL_IDS);
+  const playback = isAsset && playbackControls ? playbackControls.getState() : null;
+  return {
+    media: isAsset ? currentPath : undefined,
+    mapping: ledMapping.getCurrentMappingType(),
+    corrected: flags.useCorrectedMesh,
+    garagefix: flags.useGaragefix,
+    scale: parseFloat(texture.textureScaleSlider),
+    offsetU: parseFloat(texture.textureOffsetUSlider),
+    offsetV: parseFloat(texture.textureOffsetVSlider),
+    camera: cameraControls ? cameraControls.getPose() : undefined,
+    time: playback ? playback.currentTime : undefined,
+    paused: playback ? playback.paused : undefined,
+    crowd: crowdInstanceCountSlider ? parseInt(crowdInstanceCountSlider.value) : undefined
+  };
+}
+
+function getDeepLinkUrl() {
+  return `${location.origin}${location.pathname}${location.search}${encodeUrlState(captureDeepLinkState())}`;
+}
+
+/**
+ * Restore a decoded link: everything a look covers goes through applyLook,
+ * then crowd count and playback position
+ */
+function applyDeepLinkState(state) {
+  const previousVideo = mediaManager ? mediaManager.getCurrentVideoElement() : null;
+  const currentPath = mediaManager ? (mediaManager.currentVideoPath || mediaManager.currentImagePath) : null;
+  const mediaChanging = !!state.media && state.media !== currentPath;
+
+  const flags = {};
+  if (state.corrected !== undefined) flags.useCorrectedMesh = state.corrected;
+  if (state.garagefix !== undefined) flags.useGaragefix = state.garagefix;
+  const texture = {};
+  if (state.scale !== undefined) texture.textureScaleSlider = state.scale;
+  if (state.offsetU !== undefined) texture.textureOffsetUSlider = state.offsetU;
+  if (state.offsetV !== undefined) texture.textureOffsetVSlider = state.offsetV;
+
+  const warnings = applyLook({
+    media: state.media ? { asset: state.media } : null,
+    mapping: { type: state.mapping, flags, texture },
+    camera: state.camera || null
+  });
+  if (state.crowd !== undefined) {
+    writeControlValues({ crowdInstanceCountSlider: state.crowd });
+  }
+  if (warnings.length > 0) {
+    console.warn('Deep link: could not restore everything:', warnings.join('; '));
+  }
+
+  if (state.time === undefined && !state.paused) return;
+  // A new asset loads asynchronously; seek once its video element has metadata
+  const startedAt = performance.now();
+  const timer = setInterval(() => {
+    const video = mediaManager ? mediaManager.getCurrentVideoElement() : null;
+    const ready = video && video.readyState >= 1 && (!mediaChanging || video !== previousVideo);
+    if (!ready) {
+      if (performance.now() - startedAt > DEEP_LINK_SEEK_TIMEOUT_MS) {
+        clearInterval(timer);
+        console.warn('Deep link: video did not load in time, playback position not restored');
+      }
+      return;
+    }
+    clearInterval(timer);
+    if (state.paused && !video.paused) {
+      playbackControls.togglePlayPause();
+    }
+    if (state.time !== undefined) {
+      playbackControls.seekTo(state.time);
+    }
+  }, 100);
+}
+
+function updateDeepLinkHash() {
+  const hash = encodeUrlState(captureDeepLinkState());
+  if (hash !== location.hash) {
+    history.replaceState(null, '', hash);
+  }
+}
+
+function initializeDeepLinks() {
+  const state = decodeUrlState(location.hash);
+  if (state) {
+    applyDeepLinkState(state);
+  }
+
+  // Links pasted into an open tab
+  window.addEventListener('hashchange', () => {
+    const linkedState = decodeUrlState(location.hash);
+    if (linkedState) applyDeepLinkState(linkedState);
+  });
+
+  // Mirror the view into the address bar (replaceState does not fire hashchange)
+  if (!deepLinkTimer) {
+    deepLinkTimer = setInterval(updateDeepLinkHash, DEEP_LINK_UPDATE_INTERVAL_MS);
+  }
+
+  const copyLinkBtn = document.getElementById('copyLinkBtn');
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener('click', () => {
+      const url = getDeepLinkUrl();
+      navigator.clipboard.writeText(url).then(() => {
+        // Visual feedback
+        const originalText = copyLinkBtn.textContent;
+        copyLinkBtn.textContent = 'Copied!';
+        setTimeout(() => {
+          copyLinkBtn.textContent = originalText;
+        }, 2000);
+      }).catch(err => {
+        console.error('Failed to copy link:', err);
+        prompt('Copy this link:', url);
+      });
+    });
+  }
+}
+
+// ============================================
+// Access Links
+// ============================================
+// With access control on, users with the control role can hand out expiring links for the current view
+async function initializeAccessLinks() {
+  const group = document.getElementById('accessLinkGroup');
+  const roleSelect = document.getElementById('accessLinkRole');
+  const expirySelect = document.getElementById('accessLinkExpiry');
+  const linkBtn = document.getElementById('accessLinkBtn');
+  const statusEl = document.getElementById('accessLinkStatus');
+  if (!group || !linkBtn) return;
+  
+  try {
+    const response = await fetch('/api/access/me');
+    if (!response.ok) return;
+    const access = await response.json();
+    group.classList.toggle('hidden', !(access.enabled && access.role === 'control'));
+  } catch {
+    return; // No backend - nothing to share
+  }
+  
+  linkBtn.addEventListener('click', async () => {
+    try {
+      const response = await fetch('/api/access/links', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role: roleSelect.value, expiresInHours: Number(expirySelect.value) })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      
+      // Built here rather than using data.url: behind the dev proxy the server only sees its own host
+      const url = `${location.origin}${location.pathname}?access=${data.token}${encodeUrlState(captureDeepLinkState())}`;
+      const expires = new Date(data.expiresAt).toLocaleString();
+      try {
+        await navigator.clipboard.writeText(url);
+        statusEl.textContent = `Copied (${roleSelect.selectedOptions[0].textContent.toLowerCase()}, expires ${expires})`;
+      } catch {
+        prompt(`Link expires ${expires}:`, url);
+      }
+    } catch (error) {
+      console.error('Failed to create access link:', error);
+      statusEl.textContent = `Could not create link: ${error.message}`;
+    }
+  });
+}
+
 // VR Manager
 // ============================================
 // Initialize VR manager (will be initialized after camera controls)
@@ -3339,6 +4263,10 @@ startAnimationLoop({
     // Update controls (only if not in VR mode)
     const isVRActive = vrManager ? vrManager.getIsVRActive() : false;
     if (controls && !isVRActive) {
+      // Glide towards the review session director's camera (no-op unless following)
+      if (cameraControls) {
+        cameraControls.updateFollow();
+      }
       controls.update();
       
       // Limit camera position to never go below 1.2m above ground
@@ -3380,6 +4308,44 @@ startAnimationLoop({
     if (dynamicLightEnabled && directionalLight && mediaManager) {
       updateDynamicLight();
     }
+
+    // Apply the lighting desk's look (after the dynamic light, so DMX wins)
+    if (dmxLighting) {
+      dmxLighting.update();
+    }
+
+    // Follow media changes and highlight review notes near the playhead
+    if (annotationManager) {
+      annotationManager.update();
+    }
+
+    // Follow media/mapping changes for the luminance graph and flash check
+    if (luminanceManager) {
+      luminanceManager.update();
+    }
+    if (flashSafetyManager) {
+      flashSafetyManager.update();
+    }
+
+    // Follow media changes for the timeline filmstrip/waveform and move the lanes' playhead
+    if (timelinePreviewManager) {
+      timelinePreviewManager.update();
+    }
+
+    // Report playback, mapping, camera, light and crowd changes to OSC controllers
+    if (oscControl) {
+      oscControl.update();
+    }
+
+    // Follow the show clock and update the sync indicator
+    if (timecodeChaseManager) {
+      timecodeChaseManager.update();
+    }
+
+    // Play on the review session director's timeline (followers only)
+    if (playbackControls && reviewSession) {
+      updateReviewSyncStatus(playbackControls.updateTimeline());
+    }
   },
 });
 
@@ -3495,6 +4461,110 @@ registerInitSteps({
       },
       loadingStates: ['stageMeshes', 'ledMeshes'],
     },
+    {
+      name: 'annotations',
+      initFn: async () => {
+        await loadingManager.waitForAll(['playbackControls', 'mediaManager'], 10000);
+        initializeAnnotations();
+        loadingManager.setLoaded('annotations');
+      },
+      dependsOn: ['playbackControls', 'mediaManager'],
+      loadingStates: ['playbackControls', 'mediaManager'],
+    },
+    {
+      name: 'timelinePreviews',
+      initFn: async () => {
+        await loadingManager.waitForAll(['playbackControls', 'mediaManager'], 10000);
+        initializeTimelinePreviews();
+        loadingManager.setLoaded('timelinePreviews');
+      },
+      dependsOn: ['playbackControls', 'mediaManager'],
+      loadingStates: ['playbackControls', 'mediaManager'],
+    },
+    {
+      name: 'luminance',
+      initFn: async () => {
+        await loadingManager.waitForAll(['playbackControls', 'mediaManager'], 10000);
+        initializeLuminance();
+        loadingManager.setLoaded('luminance');
+      },
+      dependsOn: ['playbackControls', 'mediaManager'],
+      loadingStates: ['playbackControls', 'mediaManager'],
+    },
+    {
+      name: 'flashSafety',
+      initFn: async () => {
+        await loadingManager.waitForAll(['playbackControls', 'mediaManager'], 10000);
+        initializeFlashSafety();
+        loadingManager.setLoaded('flashSafety');
+      },
+      dependsOn: ['playbackControls', 'mediaManager'],
+      loadingStates: ['playbackControls', 'mediaManager'],
+    },
+    {
+      name: 'oscControl',
+      initFn: async () => {
+        await loadingManager.waitForAll(['playbackControls', 'cameraControls'], 10000);
+        initializeOscControl();
+        loadingManager.setLoaded('oscControl');
+      },
+      dependsOn: ['playbackControls', 'cameraControls'],
+      loadingStates: ['playbackControls', 'cameraControls'],
+    },
+    {
+      name: 'timecodeChase',
+      initFn: async () => {
+        await loadingManager.waitForAll(['playbackControls', 'mediaManager'], 10000);
+        initializeTimecodeChase();
+        loadingManager.setLoaded('timecodeChase');
+      },
+      dependsOn: ['playbackControls', 'mediaManager'],
+      loadingStates: ['playbackControls', 'mediaManager'],
+    },
+    {
+      name: 'dmxLighting',
+      initFn: async () => {
+        // Background color goes through SceneControls, created with the camera controls
+        await loadingManager.waitForAll(['cameraControls'], 10000);
+        initializeDmxLighting();
+        loadingManager.setLoaded('dmxLighting');
+      },
+      dependsOn: ['cameraControls'],
+      loadingStates: ['cameraControls'],
+    },
+    {
+      name: 'reviewSession',
+      initFn: async () => {
+        // Join once everything the session reads and drives exists
+        await loadingManager.waitForAll(['playbackControls', 'cameraControls', 'shaderControls'], 30000);
+        initializeReviewSession();
+        loadingManager.setLoaded('reviewSession');
+      },
+      dependsOn: ['playbackControls', 'cameraControls', 'shaderControls'],
+      loadingStates: ['playbackControls', 'cameraControls', 'shaderControls'],
+    },
+    {
+      name: 'looks',
+      initFn: async () => {
+        // Looks restore media, mapping, shaders and camera; wait until all of them exist
+        await loadingManager.waitForAll(['mediaManager', 'cameraControls', 'shaderControls'], 30000);
+        initializeLooks();
+        loadingManager.setLoaded('looks');
+      },
+      dependsOn: ['mediaManager', 'cameraControls', 'shaderControls'],
+      loadingStates: ['mediaManager', 'cameraControls', 'shaderControls'],
+    },
+    {
+      name: 'remoteControl',
+      initFn: async () => {
+        // Commands can load media, switch looks and move the camera
+        await loadingManager.waitForAll(['playbackControls', 'looks'], 30000);
+        initializeRemoteControl();
+        loadingManager.setLoaded('remoteControl');
+      },
+      dependsOn: ['playbackControls', 'looks'],
+      loadingStates: ['playbackControls', 'looks'],
+    },
   ],
 });
 
@@ -3503,6 +4573,10 @@ async function startInitialization() {
   // Mark DOM as loaded
   loadingManager.setLoaded('dom');
   
+  // Connect to the backend event channel (reconnects automatically)
+  serverEvents.connect();
+  initializeAccessLinks();
+  
   // Start initialization process
   try {
     await initManager.initializeAll();
@@ -3510,6 +4584,9 @@ async function startInitialization() {
   } catch (error) {
     console.error('Initialization error:', error);
   }
+  
+  // Restore the view from a shared link once every subsystem exists
+  initializeDeepLinks();
 }
 
 // Start initialization
@@ -1,14 +1,40 @@
 import express from 'express';
 import cors from 'cors';
-import mdns from 'multicast-dns';
-import { promisify } from 'util';
-import { exec, spawn } from 'child_process';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { EventHub } from './server/EventHub.js';
+import { HttpError } from './server/HttpError.js';
+import { AccessControl, safeRedirectPath } from './server/AccessControl.js';
+import { ReviewSession } from './server/ReviewSession.js';
+import { AnnotationStore } from './server/AnnotationStore.js';
+import { LookStore } from './server/LookStore.js';
+import { MediaLibrary } from './server/MediaLibrary.js';
+import { probeUpload } from './server/mediaProbe.js';
+import { validateMedia, scanKeyframes, needsKeyframeScan } from './server/mediaValidation.js';
+import { TranscodeQueue } from './server/TranscodeQueue.js';
+import { SurfaceMappings } from './server/SurfaceMappings.js';
+import { LuminanceAnalyzer } from './server/LuminanceAnalyzer.js';
+import { formatFlashReport } from './server/flashDetection.js';
+import { TimelinePreviews } from './server/TimelinePreviews.js';
+import { OscBridge, parseOscTargets } from './server/OscBridge.js';
+import { TimecodeReceiver } from './server/TimecodeReceiver.js';
+import { ArtNetListener } from './server/ArtNetListener.js';
+import { DmxInput, SACN_PORT } from './server/DmxInput.js';
+import { RemoteControl } from './server/RemoteControl.js';
+import { FrameSender } from './server/ndiFrameTransport.js';
+import { SourceRegistry } from './server/SourceRegistry.js';
+import { getFfmpegCapabilities } from './server/ffmpegCapabilities.js';
+import { LiveSources } from './server/LiveSources.js';
+import { NdiSourceProvider } from './server/NdiSourceProvider.js';
+import { NdiBrowser } from './server/NdiBrowser.js';
+import { V4l2SourceProvider } from './server/V4l2SourceProvider.js';
+import { ConfiguredSourceProvider } from './server/ConfiguredSourceProvider.js';
+import { TestPatternSourceProvider } from './server/TestPatternSourceProvider.js';
+import { IngestSourceProvider } from './server/IngestSourceProvider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,20 +53,262 @@ try {
   console.log('FFmpeg installer not available, will try system FFmpeg:', error.message);
 }
 
-const execAsync = promisify(exec);
-
 const app = express();
 const server = createServer(app);
 const PORT = process.env.PORT || 8080;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Optional password / expiring-link protection (ACCESS_* environment variables)
+const accessControl = AccessControl.fromEnv();
+if (accessControl.enabled) {
+  console.log(`Access control enabled (roles: ${accessControl.getStatus().roles.join(', ')})`);
+  if (accessControl.randomSecret) {
+    console.warn('ACCESS_TOKEN_SECRET is not set: sign-ins and links end when the server restarts, and the Vite dev server cannot share them');
+  }
+}
+
+// Proxies whose X-Forwarded-For is believed (req.ip, login rate limit): loopback by default,
+// where ngrok, nginx and the Vite dev server connect from. TRUST_PROXY takes Express's forms.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+function parseTrustProxy(value) {
+  if (!value) return 'loopback';
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 // WebSocket server for NDI streaming
-const wss = new WebSocketServer({ server, path: '/ndi/ws' });
+const wss = new WebSocketServer({ noServer: true });
+
+// WebSocket channel for pushing server events (media library changes, etc.)
+const eventHub = new EventHub();
+
+// WebSocket channel for review sessions (director view mirrored to followers)
+const reviewSession = new ReviewSession();
+
+// Route WebSocket upgrades by path
+server.on('upgrade', (req, socket, head) => {
+  if (accessControl.enabled) {
+    const grant = accessControl.authenticate(req);
+    if (!grant) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    req.access = { role: grant.role, expiresAt: grant.expiresAt };
+  }
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (pathname === '/ndi/ws') {
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req);
+    });
+  } else if (pathname === '/api/events') {
+    eventHub.handleUpgrade(req, socket, head);
+  } else if (pathname === '/api/session') {
+    reviewSession.handleUpgrade(req, socket, head);
+  } else {
+    socket.destroy();
+  }
+});
+
+// Media library - defaults to the bundled videos folder so its files keep their /assets/videos URLs
+const defaultMediaDir = path.join(__dirname, NODE_ENV === 'production' ? 'dist' : 'public', 'assets', 'videos');
+const mediaLibrary = new MediaLibrary({
+  rootDir: process.env.MEDIA_LIBRARY_DIR || defaultMediaDir,
+  publicBasePath: process.env.MEDIA_LIBRARY_DIR ? null : '/assets/videos',
+  ffmpegBinary,
+  eventHub,
+  maxUploadBytes: parseInt(process.env.MEDIA_MAX_UPLOAD_MB || '0', 10) * 1024 * 1024
+});
+mediaLibrary.init().catch(error => {
+  console.error('Failed to initialize media library:', error);
+});
+
+// LED surface rectangles per mapping (led-surfaces.json) - drive per-surface cut exports
+const surfaceMappings = new SurfaceMappings({
+  configPath: path.resolve(__dirname, process.env.LED_SURFACES_CONFIG || 'led-surfaces.json')
+});
+
+// Render validation: frame rates renders are expected at (VALIDATION_FRAME_RATES, comma-separated; unset = every rate is a warning)
+const validationFrameRates = (process.env.VALIDATION_FRAME_RATES || '').split(',')
+  .map(rate => parseFloat(rate)).filter(rate => rate > 0);
+
+// Transcode queue - builds web-playable proxies of library masters and per-surface LED feeds
+const transcodeQueue = new TranscodeQueue({
+  ffmpegBinary,
+  mediaLibrary,
+  eventHub,
+  surfaceMappings,
+  concurrency: parseInt(process.env.TRANSCODE_CONCURRENCY || '1', 10)
+});
+
+// Review annotations - one JSON file per media file
+const annotationStore = new AnnotationStore({
+  dataDir: process.env.ANNOTATIONS_DIR || path.join(__dirname, 'data', 'annotations'),
+  eventHub
+});
+
+// Luminance analysis - per-surface APL, LED power estimates and flash safety screening of library videos
+const luminanceAnalyzer = new LuminanceAnalyzer({
+  ffmpegBinary,
+  mediaLibrary,
+  surfaceMappings,
+  dataDir: process.env.ANALYSIS_DIR || path.join(__dirname, 'data', 'analysis'),
+  eventHub
+});
+
+// Timeline previews - cached audio waveforms and thumbnail sprite sheets of library videos
+const timelinePreviews = new TimelinePreviews({
+  ffmpegBinary,
+  mediaLibrary,
+  cacheDir: process.env.TIMELINE_PREVIEW_DIR || path.join(__dirname, 'data', 'previews')
+});
+
+// Environment variable that replaced an older name; the old one still works, with a warning
+function envWithFormerName(name, formerName) {
+  if (process.env[name] !== undefined || process.env[formerName] === undefined) return process.env[name];
+  console.warn(`${formerName} is deprecated, use ${name}`);
+  return process.env[formerName];
+}
+
+// Art-Net input - one socket on ARTNET_PORT (usually 6454) shared by timecode and DMX (off unless set)
+const artNetPort = envWithFormerName('ARTNET_PORT', 'ARTNET_TIMECODE_PORT');
+let artNetListener = null;
+if (artNetPort) {
+  artNetListener = new ArtNetListener({
+    port: parseInt(artNetPort, 10),
+    host: envWithFormerName('ARTNET_HOST', 'ARTNET_TIMECODE_HOST') || '0.0.0.0'
+  });
+}
+
+// Show clock - Art-Net timecode or OSC /stage/timecode, chased by the preview
+const timecodeReceiver = new TimecodeReceiver({
+  eventHub,
+  artNet: artNetListener,
+  oscFrameRate: parseFloat(process.env.OSC_TIMECODE_FPS || '25')
+});
+
+// DMX input - Art-Net / sACN universes drive the preview lighting through dmx-patch.json
+const dmxInput = new DmxInput({
+  eventHub,
+  patchPath: path.resolve(__dirname, process.env.DMX_PATCH_CONFIG || 'dmx-patch.json'),
+  artNet: artNetListener,
+  sacnPort: process.env.SACN_ENABLED === 'true' ? SACN_PORT : null,
+  sacnInterface: process.env.SACN_INTERFACE || undefined
+});
+dmxInput.start().then(() => {
+  if (dmxInput.socket) console.log(`sACN listening on udp://0.0.0.0:${dmxInput.sacnPort}`);
+}).catch((error) => {
+  console.error(`DMX: could not start sACN input: ${error.message}`);
+});
+
+if (artNetListener) {
+  artNetListener.start().then(() => {
+    console.log(`Art-Net listening on udp://${artNetListener.host}:${artNetListener.port}`);
+  }).catch((error) => {
+    console.error(`Art-Net: could not listen on UDP port ${artNetListener.port}: ${error.message}`);
+  });
+}
+
+// OSC control surface - show-control gear drives playback, mapping, camera, light and crowd (off unless OSC_PORT is set)
+let oscBridge = null;
+if (process.env.OSC_PORT) {
+  let feedbackTargets = [];
+  try {
+    feedbackTargets = parseOscTargets(process.env.OSC_FEEDBACK);
+  } catch (error) {
+    console.error(`OSC: ${error.message}; only senders get feedback`);
+  }
+  oscBridge = new OscBridge({
+    eventHub,
+    port: parseInt(process.env.OSC_PORT, 10),
+    host: process.env.OSC_HOST || '0.0.0.0',
+    feedbackTargets,
+    feedbackToSenders: process.env.OSC_FEEDBACK_TO_SENDERS !== 'false',
+    onTimecode: args => timecodeReceiver.receiveOsc(args)
+  });
+  oscBridge.start().then(() => {
+    console.log(`OSC control listening on udp://${oscBridge.host}:${oscBridge.port}`);
+  }).catch((error) => {
+    console.error(`OSC: could not listen on UDP port ${oscBridge.port}: ${error.message}`);
+  });
+}
+
+// Looks - named snapshots of the full review state
+const lookStore = new LookStore({
+  dataDir: process.env.LOOKS_DIR || path.join(__dirname, 'data', 'looks'),
+  eventHub
+});
 
-// Enable CORS for all routes
-app.use(cors());
+// Remote control - HTTP commands for scripts and Stream Decks, applied by the open previews
+const remoteControl = new RemoteControl({
+  eventHub,
+  mediaLibrary,
+  lookStore,
+  apiToken: process.env.CONTROL_API_TOKEN || ''
+});
+
+// CORS: open by default; with access control on, only CORS_ORIGINS (comma-separated) may call the API cross-origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (corsOrigins.length > 0) {
+  app.use(cors({ origin: corsOrigins, credentials: true }));
+} else if (!accessControl.enabled) {
+  app.use(cors());
+}
 app.use(express.json());
 
+// API errors: HttpError from the server modules maps to its status, everything else is a 500
+function sendError(res, error, message) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, message: error.message });
+}
+
+// Access: sign in with a password (form post from the login page, or JSON)
+app.post('/api/access/login', express.urlencoded({ extended: false }), (req, res) => {
+  const body = req.body || {};
+  const isForm = !req.is('application/json');
+  if (!accessControl.enabled) {
+    return isForm ? res.redirect(303, safeRedirectPath(body.next)) : res.json({ role: 'control', expiresAt: null });
+  }
+  try {
+    const grant = accessControl.login(body.password, req.ip);
+    res.set('Set-Cookie', accessControl.buildCookie(req, grant));
+    if (isForm) {
+      return res.redirect(303, safeRedirectPath(body.next));
+    }
+    res.json({ role: grant.role, expiresAt: grant.expiresAt });
+  } catch (error) {
+    if (!(error instanceof HttpError)) throw error;
+    if (isForm) {
+      return accessControl.sendLoginPage(res, { next: body.next, error: error.message, status: error.status });
+    }
+    res.status(error.status).json({ error: error.message });
+  }
+});
+
+// Access: sign out
+app.post('/api/access/logout', (req, res) => {
+  res.set('Set-Cookie', accessControl.clearCookie());
+  res.json({ ok: true });
+});
+
+// Access: current role (null when signed out)
+app.get('/api/access/me', (req, res) => {
+  const grant = accessControl.enabled ? accessControl.authenticate(req) : { role: 'control', expiresAt: null };
+  res.json({
+    enabled: accessControl.enabled,
+    role: grant ? grant.role : null,
+    expiresAt: grant ? grant.expiresAt : null
+  });
+});
+
+// Everything below needs a valid session or link once access control is enabled
+app.use(accessControl.middleware());
+
 // Serve static assets from dist folder in production (must be before SPA fallback)
 if (NODE_ENV === 'production') {
   // Serve assets with proper MIME types and range support for videos
@@ -57,685 +325,220 @@ if (NODE_ENV === 'production') {
   }));
 }
 
-// NDI Discovery endpoint
+// Live input providers: NDI, V4L2 capture devices, sources and RTMP/SRT ingest inputs configured
+// in live-sources.json, and synthetic test patterns (disable with LIVE_TEST_PATTERNS=false)
+const liveSourcesConfigPath = path.resolve(__dirname, process.env.LIVE_SOURCES_CONFIG || 'live-sources.json');
+const ingestProvider = new IngestSourceProvider({ ffmpegBinary, configPath: liveSourcesConfigPath });
+ingestProvider.init().catch(error => {
+  console.error('Failed to start ingest listeners:', error);
+});
+// What the FFmpeg build supports (input devices, encoders, protocols), detected once at start-up
+const getCapabilities = () => getFfmpegCapabilities(ffmpegBinary);
+getCapabilities();
+
+const ndiBrowser = new NdiBrowser();
+ndiBrowser.start();
+const ndiProvider = new NdiSourceProvider({ ffmpegBinary, browser: ndiBrowser, getCapabilities });
+const liveSourceProviders = [
+  ndiProvider,
+  new V4l2SourceProvider({ getCapabilities }),
+  new ConfiguredSourceProvider({ configPath: liveSourcesConfigPath }),
+  ingestProvider
+];
+if (process.env.LIVE_TEST_PATTERNS !== 'false') {
+  liveSourceProviders.push(new TestPatternSourceProvider());
+}
+const liveSources = new LiveSources({ providers: liveSourceProviders });
+
+// Push NDI sources appearing/disappearing on the network to every browser
+ndiBrowser.onChange((action, source) => {
+  eventHub.broadcast('ndi:source', { action, source: liveSources.describe(ndiProvider, source) });
+});
+
+// Source discovery endpoint (NDI plus every other live input provider)
 app.get('/ndi/discover', async (req, res) => {
   try {
-    console.log('NDI discovery requested');
-    
-    // Discover NDI streams using multiple methods
-    const streams = await discoverNDIStreams();
-    
-    console.log(`Returning ${streams.length} NDI stream(s):`, streams);
-    res.json(streams);
+    console.log('Live source discovery requested');
+    const sources = await liveSources.discover();
+    console.log(`Returning ${sources.length} live source(s):`, sources.map(source => source.id));
+    res.json(sources);
   } catch (error) {
-    console.error('Error discovering NDI streams:', error);
+    console.error('Error discovering live sources:', error);
     res.status(500).json({ error: 'Failed to discover NDI streams', message: error.message });
   }
 });
 
-// Store active NDI stream processes
-const activeStreams = new Map();
+// One capture process per source, shared by all /ndi/ws and /ndi/stream viewers
+const sourceRegistry = new SourceRegistry({
+  ffmpegBinary,
+  resolveInput: (sourceId) => liveSources.resolveInput(sourceId)
+});
 
-// Function to stream from OBS Virtual Camera (works with standard FFmpeg)
-function streamFromOBSCamera(cameraName, res, req) {
-  console.log(`Streaming from OBS Virtual Camera: ${cameraName}`);
-  
-  // Set up MPEG-TS streaming headers
-  res.setHeader('Content-Type', 'video/mp2t');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Transfer-Encoding', 'chunked');
-  
-  // Use FFmpeg to capture from OBS Virtual Camera (Windows DirectShow)
-  const ffmpegProcess = ffmpeg()
-    .input(`video=${cameraName}`)
-    .inputOptions([
-      '-f', 'dshow',           // DirectShow input (Windows)
-      '-framerate', '30'       // Frame rate
-    ])
-    .outputOptions([
-      '-c:v', 'libx264',       // H.264 video codec
-      '-preset', 'ultrafast',  // Fast encoding for low latency
-      '-tune', 'zerolatency',  // Zero latency tuning
-      '-c:a', 'aac',           // AAC audio codec
-      '-f', 'mpegts',          // MPEG-TS output format
-      '-flags', 'low_delay',   // Low delay flag
-      '-strict', 'experimental'
-    ])
-    .format('mpegts')
-    .on('start', (commandLine) => {
-      console.log('OBS Virtual Camera FFmpeg command:', commandLine);
-    })
-    .on('error', (err) => {
-      console.error('OBS Virtual Camera FFmpeg error:', err.message);
-      if (!res.headersSent) {
-        res.status(500).json({
-          error: 'Failed to stream from OBS Virtual Camera',
-          message: err.message,
-          instructions: [
-            '1. Make sure OBS Studio is running',
-            '2. Add your NDI source to OBS',
-            '3. Start OBS Virtual Camera (Tools > Start Virtual Camera)',
-            '4. Verify the camera name matches: ' + cameraName
-          ]
-        });
-      }
-    })
-    .on('end', () => {
-      console.log('OBS Virtual Camera stream ended');
-    });
-  
-  // Pipe FFmpeg output to response
-  ffmpegProcess.pipe(res, { end: false });
-  
-  // Store the process
-  activeStreams.set(`obs-${cameraName}`, ffmpegProcess);
-  
-  // Clean up on client disconnect
+// Capture pipeline status (sources, subscribers, process ids)
+app.get('/ndi/status', (req, res) => {
+  res.json({ sources: sourceRegistry.getStatus(), ingest: ingestProvider.getStatus() });
+});
+
+// Slow HTTP viewers are disconnected instead of buffering the stream without limit
+const MAX_STREAM_RESPONSE_BUFFER_BYTES = 8 * 1024 * 1024;
+
+// NDI Stream endpoint - serves the shared capture as MPEG-TS
+app.get('/ndi/stream/:streamName', async (req, res) => {
+  const streamName = decodeURIComponent(req.params.streamName);
+  console.log(`NDI stream requested: ${streamName}`);
+
+  let subscription = null;
+  let ended = false;
+  const endResponse = () => {
+    if (ended) return;
+    ended = true;
+    if (subscription) subscription.unsubscribe();
+    res.end();
+  };
+
+  // Registered before subscribing: the client may leave while the source is still resolving
   req.on('close', () => {
-    console.log(`Client disconnected from OBS Virtual Camera: ${cameraName}`);
-    const process = activeStreams.get(`obs-${cameraName}`);
-    if (process) {
-      process.kill('SIGTERM');
-      activeStreams.delete(`obs-${cameraName}`);
-    }
+    console.log(`Client disconnected from stream: ${streamName}`);
+    ended = true;
+    if (subscription) subscription.unsubscribe();
   });
-}
 
-// NDI Stream endpoint - serves NDI stream via OBS Virtual Camera or direct capture
-// Alternative approach: Use OBS Virtual Camera as bridge (works with standard FFmpeg)
-app.get('/ndi/stream/:streamName', async (req, res) => {
   try {
-    const streamName = decodeURIComponent(req.params.streamName);
-    console.log(`NDI stream requested: ${streamName}`);
-    
-    // Try multiple approaches:
-    // 1. Direct NDI via FFmpeg (if available)
-    // 2. OBS Virtual Camera (if OBS is running with NDI input)
-    // 3. WebSocket frame streaming
-    
-    // First, try OBS Virtual Camera approach (most reliable without NDI SDK)
-    // OBS Virtual Camera appears as a video device that standard FFmpeg can capture
-    const obsVirtualCameraDevices = [
-      'OBS Virtual Camera',
-      'OBS-Camera',
-      'obs-virtual-camera'
-    ];
-    
-    let useOBSVirtualCamera = false;
-    let virtualCameraName = null;
-    
-    // Check if OBS Virtual Camera is available
-    try {
-      let ffmpegOutput = '';
-      try {
-        const result = await execAsync(`"${ffmpegBinary}" -list_devices true -f dshow -i dummy`, { timeout: 3000 });
-        ffmpegOutput = (result.stdout || '') + (result.stderr || '');
-      } catch (error) {
-        ffmpegOutput = (error.stdout || '') + (error.stderr || '');
-      }
-      for (const deviceName of obsVirtualCameraDevices) {
-        if (ffmpegOutput.includes(deviceName)) {
-          virtualCameraName = deviceName;
-          useOBSVirtualCamera = true;
-          console.log(`Found OBS Virtual Camera: ${deviceName}`);
-          break;
+    subscription = await sourceRegistry.subscribe(streamName, 'mpegts', {
+      onData: (chunk) => {
+        if (ended) return;
+        if (!res.headersSent) {
+          // Set up MPEG-TS streaming headers on the first chunk so failures can still return JSON
+          res.setHeader('Content-Type', 'video/mp2t');
+          res.setHeader('Cache-Control', 'no-cache');
+          res.setHeader('Access-Control-Allow-Origin', '*');
+          res.setHeader('Connection', 'keep-alive');
+        }
+        if (res.writableLength > MAX_STREAM_RESPONSE_BUFFER_BYTES) {
+          console.warn(`Stream viewer too slow, disconnecting: ${streamName}`);
+          endResponse();
+          return;
+        }
+        res.write(chunk);
+      },
+      onClose: (lastError) => {
+        if (!res.headersSent) {
+          ended = true;
+          res.status(501).json({ ...liveSources.getSetupHelp(streamName), message: lastError || 'Capture ended before any data was received' });
+        } else {
+          endResponse();
         }
-      }
-    } catch (error) {
-      console.log('Could not check for OBS Virtual Camera, trying direct NDI...', error.message);
-    }
-    
-    // If OBS Virtual Camera is available, use it
-    if (useOBSVirtualCamera && virtualCameraName) {
-      console.log(`Using OBS Virtual Camera: ${virtualCameraName}`);
-      return streamFromOBSCamera(virtualCameraName, res, req);
-    }
-    
-    // Otherwise, try direct NDI (requires FFmpeg with NDI support)
-    console.log('Attempting direct NDI connection...');
-    
-    // Set up MPEG-TS streaming headers
-    res.setHeader('Content-Type', 'video/mp2t');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Transfer-Encoding', 'chunked');
-    
-    // Create FFmpeg command to convert NDI to MPEG-TS
-    // FFmpeg with NDI support uses libndi_newtek format
-    // Try different input methods for NDI
-    
-    // Method 1: Try with explicit format and input
-    let ffmpegProcess;
-    
-    try {
-      // First, try the standard NDI input format
-      // In fluent-ffmpeg, use .input() for the source and .inputOptions() for format flags
-      ffmpegProcess = ffmpeg()
-        .input(streamName)        // NDI source name
-        .inputOptions([
-          '-f', 'libndi_newtek'   // NDI input format
-        ])
-        .outputOptions([
-          '-c:v', 'libx264',       // H.264 video codec
-          '-preset', 'ultrafast',  // Fast encoding for low latency
-          '-tune', 'zerolatency',  // Zero latency tuning
-          '-c:a', 'aac',           // AAC audio codec
-          '-f', 'mpegts',          // MPEG-TS output format
-          '-flags', 'low_delay',   // Low delay flag
-          '-strict', 'experimental'
-        ])
-        .format('mpegts')
-        .on('start', (commandLine) => {
-          console.log('FFmpeg command:', commandLine);
-        })
-        .on('error', (err) => {
-          console.error('FFmpeg error:', err.message);
-          console.error('Full error:', err);
-          
-          // Check for common NDI-related errors
-          const errorMsg = err.message.toLowerCase();
-          const isNDISupportError = errorMsg.includes('libndi_newtek') || 
-                                   errorMsg.includes('unknown input format') ||
-                                   errorMsg.includes('no input') ||
-                                   errorMsg.includes('invalid data found');
-          
-          if (isNDISupportError) {
-            console.log('NDI support issue detected, trying alternative method...');
-            tryAlternativeNDIInput(streamName, res);
-          } else if (!res.headersSent) {
-            res.status(501).json({ 
-              error: 'Direct NDI connection failed',
-              message: err.message,
-              streamName: streamName,
-              solution: 'Use OBS Virtual Camera instead',
-              instructions: [
-                '1. Install OBS Studio',
-                '2. Add NDI Source in OBS and select: "' + streamName + '"',
-                '3. Start OBS Virtual Camera (Tools > Start Virtual Camera)',
-                '4. Try again - the server will automatically use OBS Virtual Camera'
-              ],
-              note: 'FFmpeg does not have NDI support. OBS Virtual Camera works with standard FFmpeg.'
-            });
-          }
-        })
-        .on('end', () => {
-          console.log('FFmpeg stream ended');
-          activeStreams.delete(streamName);
-        });
-      
-      // Pipe FFmpeg output to response
-      ffmpegProcess.pipe(res, { end: false });
-      
-    } catch (error) {
-      console.error('Error creating FFmpeg process:', error);
-      if (!res.headersSent) {
-        res.status(500).json({ 
-          error: 'Failed to create FFmpeg process',
-          message: error.message
-        });
-      }
-      return;
-    }
-    
-    // Helper function - if direct NDI fails, provide clear instructions
-    function tryAlternativeNDIInput(streamName, response) {
-      console.log('Direct NDI failed, providing instructions for OBS Virtual Camera setup...');
-      
-      if (!response.headersSent) {
-        response.status(501).json({
-          error: 'NDI streaming requires OBS Virtual Camera or FFmpeg with NDI support',
-          message: 'FFmpeg cannot connect to NDI source directly',
-          streamName: streamName,
-          solution: 'Use OBS Virtual Camera as a bridge',
-          instructions: [
-            '1. Install OBS Studio (https://obsproject.com/)',
-            '2. In OBS: Sources > Add > NDI Source',
-            '3. Select your NDI stream: "' + streamName + '"',
-            '4. Tools > Start Virtual Camera',
-            '5. Refresh and try again - the server will automatically detect OBS Virtual Camera'
-          ],
-          alternative: 'Or install FFmpeg compiled with NDI SDK support (see NDI_SETUP.md)'
-        });
-      }
-    }
-    
-    // Store the process
-    activeStreams.set(streamName, ffmpegProcess);
-    
-    // Clean up on client disconnect
-    req.on('close', () => {
-      console.log(`Client disconnected from stream: ${streamName}`);
-      const process = activeStreams.get(streamName);
-      if (process) {
-        process.kill('SIGTERM');
-        activeStreams.delete(streamName);
       }
     });
-    
+    if (ended || req.destroyed) {
+      // Capture already failed while it was starting, or the client left
+      ended = true;
+      subscription.unsubscribe();
+    }
   } catch (error) {
-    console.error(`Error serving NDI stream ${req.params.streamName}:`, error);
-    if (!res.headersSent) {
-      res.status(500).json({ 
-        error: 'Failed to serve NDI stream', 
+    console.error(`Error serving NDI stream ${streamName}:`, error);
+    if (!res.headersSent && error instanceof HttpError) {
+      res.status(error.status).json({ ...liveSources.getSetupHelp(streamName), message: error.message });
+    } else if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to serve NDI stream',
         message: error.message,
-        streamName: req.params.streamName,
-        note: 'Alternative: Use WebSocket endpoint at ws://localhost:8080/ndi/ws'
+        streamName,
+        note: 'Alternative: Use WebSocket endpoint at /ndi/ws'
       });
     }
   }
 });
 
-// Store active WebSocket frame streams
-const wsFrameStreams = new Map();
-
 // WebSocket endpoint for frame-based NDI streaming (Canvas Texture approach)
 wss.on('connection', (ws, req) => {
   console.log('WebSocket connection established for frame streaming');
   let currentStreamName = null;
-  let ffmpegProcess = null;
-  let frameInterval = null;
-  
+  let subscription = null;
+  let frameSender = null;
+
+  const sendJSON = (data) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(data));
+    }
+  };
+
+  const unsubscribe = () => {
+    if (subscription) {
+      subscription.unsubscribe();
+      subscription = null;
+    }
+  };
+
   ws.on('message', async (message) => {
+    const receivedAt = Date.now();
     try {
       const data = JSON.parse(message.toString());
-      
-      if (data.type === 'connect' && data.streamName) {
+
+      if (data.type === 'ping') {
+        // Clock sync for the latency readout: frame timestamps are this server's Date.now()
+        sendJSON({ type: 'pong', clientTime: data.clientTime, receivedAt, serverTime: Date.now() });
+      } else if (data.type === 'connect' && data.streamName) {
+        unsubscribe();
         currentStreamName = data.streamName;
         console.log(`WebSocket: Connecting to stream: ${currentStreamName}`);
-        
-        // Clean up any existing process
-        if (ffmpegProcess) {
-          ffmpegProcess.kill('SIGTERM');
-          ffmpegProcess = null;
-        }
-        
-        // Try OBS Virtual Camera first
-        let useOBSVirtualCamera = false;
-        let virtualCameraName = null;
-        
-        try {
-          let ffmpegOutput = '';
-          try {
-            const result = await execAsync(`"${ffmpegBinary}" -list_devices true -f dshow -i dummy`, { timeout: 3000 });
-            ffmpegOutput = (result.stdout || '') + (result.stderr || '');
-          } catch (error) {
-            ffmpegOutput = (error.stdout || '') + (error.stderr || '');
-          }
-          const obsVirtualCameraDevices = ['OBS Virtual Camera', 'OBS-Camera', 'obs-virtual-camera'];
-          for (const deviceName of obsVirtualCameraDevices) {
-            if (ffmpegOutput.includes(deviceName)) {
-              virtualCameraName = deviceName;
-              useOBSVirtualCamera = true;
-              console.log(`WebSocket: Found OBS Virtual Camera: ${deviceName}`);
-              break;
-            }
-          }
-        } catch (error) {
-          console.log('WebSocket: Could not check for OBS Virtual Camera', error.message);
-        }
-        
-        // Start FFmpeg to capture frames and convert to JPEG sequence
-        const ffmpegArgs = [];
-        
-        if (useOBSVirtualCamera && virtualCameraName) {
-          // Capture from OBS Virtual Camera
-          ffmpegArgs.push(
-            '-f', 'dshow',
-            '-i', `video=${virtualCameraName}`,
-            '-framerate', '30'
-          );
-        } else {
-          // Try direct NDI (will fail if no support, but we'll handle it)
-          ffmpegArgs.push(
-            '-f', 'libndi_newtek',
-            '-i', currentStreamName
-          );
-        }
-        
-        // Output as JPEG frames to stdout
-        ffmpegArgs.push(
-          '-vf', 'fps=30',  // 30 frames per second
-          '-f', 'image2pipe',  // Output as image sequence
-          '-vcodec', 'mjpeg',  // MJPEG codec
-          '-q:v', '3',  // Quality (1-31, lower is better)
-          '-'  // Output to stdout
-        );
-        
-        // Spawn FFmpeg process
-        ffmpegProcess = spawn(ffmpegBinary, ffmpegArgs);
-        
-        let frameBuffer = Buffer.alloc(0);
-        
-        // Collect JPEG frames from stdout
-        ffmpegProcess.stdout.on('data', (chunk) => {
-          frameBuffer = Buffer.concat([frameBuffer, chunk]);
-          
-          // Try to find JPEG boundaries (FF D8 = JPEG start, FF D9 = JPEG end)
-          let startIndex = frameBuffer.indexOf(Buffer.from([0xFF, 0xD8]));
-          
-          while (startIndex !== -1) {
-            // Find the end of this JPEG
-            let endIndex = frameBuffer.indexOf(Buffer.from([0xFF, 0xD9]), startIndex);
-            
-            if (endIndex !== -1) {
-              // Extract complete JPEG
-              const jpegFrame = frameBuffer.slice(startIndex, endIndex + 2);
-              
-              // Convert to base64 and send via WebSocket
-              if (ws.readyState === ws.OPEN) {
-                const base64Frame = jpegFrame.toString('base64');
-                ws.send(JSON.stringify({
-                  type: 'frame',
-                  data: base64Frame,
-                  format: 'jpeg'
-                }));
-              }
-              
-              // Remove processed frame from buffer
-              frameBuffer = frameBuffer.slice(endIndex + 2);
-              startIndex = frameBuffer.indexOf(Buffer.from([0xFF, 0xD8]));
-            } else {
-              // Incomplete frame, wait for more data
-              break;
-            }
-          }
-        });
-        
-        ffmpegProcess.stderr.on('data', (data) => {
-          // FFmpeg outputs to stderr, but we can ignore most of it
-          const output = data.toString();
-          if (output.includes('error') || output.includes('Error')) {
-            console.error('FFmpeg error:', output);
-            if (ws.readyState === ws.OPEN) {
-              ws.send(JSON.stringify({
-                type: 'error',
-                message: 'FFmpeg error: ' + output
-              }));
+
+        // Binary frames with sequence/timestamp header; frames are skipped while this client is behind
+        const sender = new FrameSender(ws);
+        frameSender = sender;
+        const streamName = currentStreamName;
+        const nextSubscription = await sourceRegistry.subscribe(streamName, 'mjpeg', {
+          onFrame: (jpeg, captureTime) => sender.send(jpeg, captureTime),
+          onError: (errorMessage) => sendJSON({ type: 'error', message: errorMessage }),
+          onClose: () => {
+            if (frameSender === sender) {
+              subscription = null;
             }
+            sendJSON({ type: 'closed', message: 'Stream ended' });
           }
         });
-        
-        ffmpegProcess.on('error', (error) => {
-          console.error('FFmpeg process error:', error);
-          if (ws.readyState === ws.OPEN) {
-            ws.send(JSON.stringify({
-              type: 'error',
-              message: 'Failed to start FFmpeg: ' + error.message
-            }));
-          }
-        });
-        
-        ffmpegProcess.on('close', (code) => {
-          console.log(`FFmpeg process exited with code ${code}`);
-          ffmpegProcess = null;
-          if (ws.readyState === ws.OPEN) {
-            ws.send(JSON.stringify({
-              type: 'closed',
-              message: 'Stream ended'
-            }));
-          }
-        });
-        
+
+        // Client switched stream or left while the capture was starting
+        if (frameSender !== sender || ws.readyState !== ws.OPEN) {
+          nextSubscription.unsubscribe();
+          return;
+        }
+        subscription = nextSubscription;
+
         // Send connection confirmation
-        ws.send(JSON.stringify({
+        sendJSON({
           type: 'connected',
-          streamName: currentStreamName,
-          method: useOBSVirtualCamera ? 'OBS Virtual Camera' : 'Direct NDI'
-        }));
-        
+          streamName,
+          method: nextSubscription.pipeline.input.method,
+          viewers: nextSubscription.pipeline.viewers
+        });
       } else if (data.type === 'disconnect') {
         console.log('WebSocket: Disconnecting from stream');
-        if (ffmpegProcess) {
-          ffmpegProcess.kill('SIGTERM');
-          ffmpegProcess = null;
-        }
+        unsubscribe();
+        frameSender = null;
         currentStreamName = null;
       }
     } catch (error) {
       console.error('WebSocket error:', error);
-      if (ws.readyState === ws.OPEN) {
-        ws.send(JSON.stringify({ 
-          type: 'error', 
-          message: error.message 
-        }));
-      }
+      sendJSON({ type: 'error', message: error.message });
     }
   });
-  
+
   ws.on('close', () => {
-    console.log('WebSocket connection closed');
-    if (ffmpegProcess) {
-      ffmpegProcess.kill('SIGTERM');
-      ffmpegProcess = null;
-    }
-    if (currentStreamName) {
-      wsFrameStreams.delete(currentStreamName);
+    if (frameSender) {
+      console.log(`WebSocket connection closed (${frameSender.sent} frame(s) sent, ${frameSender.dropped} dropped)`);
+    } else {
+      console.log('WebSocket connection closed');
     }
+    unsubscribe();
+    frameSender = null;
   });
-  
+
   ws.on('error', (error) => {
     console.error('WebSocket error:', error);
   });
 });
 
-// Function to discover NDI streams using mDNS
-async function discoverNDIStreams() {
-  const discoveredStreams = new Map(); // Use Map to avoid duplicates
-  
-  // Method 1: mDNS discovery for NDI sources
-  try {
-    const streams = await discoverNDIViaMDNS();
-    streams.forEach(stream => {
-      discoveredStreams.set(stream, stream);
-    });
-    console.log(`mDNS discovery found ${streams.length} stream(s)`);
-  } catch (error) {
-    console.error('mDNS discovery error:', error.message);
-  }
-  
-  // Method 2: Try using NDI Tools command line (if available on Windows)
-  try {
-    const streams = await discoverNDIViaTools();
-    streams.forEach(stream => {
-      discoveredStreams.set(stream, stream);
-    });
-    console.log(`NDI Tools discovery found ${streams.length} stream(s)`);
-  } catch (error) {
-    console.error('NDI Tools discovery error:', error.message);
-  }
-  
-  // Convert Map to array
-  const uniqueStreams = Array.from(discoveredStreams.keys());
-  return uniqueStreams;
-}
-
-// Method 1: Discover NDI sources via mDNS
-function discoverNDIViaMDNS() {
-  return new Promise((resolve, reject) => {
-    const mdnsClient = mdns();
-    const streams = [];
-    const timeout = 5000; // 5 second timeout for better discovery
-    
-    // Set timeout
-    const timeoutId = setTimeout(() => {
-      mdnsClient.destroy();
-      resolve(streams);
-    }, timeout);
-    
-    // Query for NDI services
-    // NDI uses service type "_ndi._tcp" for discovery
-    mdnsClient.query({
-      questions: [{
-        name: '_ndi._tcp.local',
-        type: 'PTR'
-      }]
-    });
-    
-    // Also listen for any incoming mDNS packets that might contain NDI info
-    mdnsClient.on('response', (response) => {
-      try {
-        // Parse PTR records for NDI sources
-        if (response.answers) {
-          response.answers.forEach(answer => {
-            if (answer.type === 'PTR') {
-              let streamName = null;
-              
-              // Check if it's an NDI service
-              if (answer.name === '_ndi._tcp.local' || answer.name.includes('_ndi._tcp')) {
-                // Extract stream name from PTR data
-                const data = answer.data || '';
-                // NDI PTR records typically look like: "StreamName._ndi._tcp.local"
-                streamName = data.replace(/\._ndi\._tcp\.local\.?$/, '').replace(/\.local\.?$/, '');
-                
-                // Filter out false positives like "_ndi" or empty names
-                if (streamName && streamName.length > 1 && streamName !== '_ndi' && !streams.includes(streamName)) {
-                  streams.push(streamName);
-                  console.log(`Found NDI stream via mDNS PTR: ${streamName}`);
-                }
-              }
-            }
-          });
-        }
-        
-        // Check additional records for more NDI information
-        if (response.additionals) {
-          response.additionals.forEach(record => {
-            if (record.type === 'SRV' || record.type === 'TXT') {
-              const name = record.name || '';
-              // Look for NDI service records
-              if (name.includes('_ndi._tcp')) {
-                // Extract stream name (first part before ._ndi._tcp)
-                const parts = name.split('.');
-                const streamName = parts[0];
-                
-                // Filter out false positives
-                if (streamName && streamName.length > 1 && streamName !== '_ndi' && !streams.includes(streamName)) {
-                  streams.push(streamName);
-                  console.log(`Found NDI stream via mDNS SRV/TXT: ${streamName}`);
-                }
-              }
-            }
-          });
-        }
-        
-        // Also check authority records
-        if (response.authorities) {
-          response.authorities.forEach(record => {
-            if (record.type === 'PTR' && record.name.includes('_ndi._tcp')) {
-              const data = record.data || '';
-              const streamName = data.replace(/\._ndi\._tcp\.local\.?$/, '').replace(/\.local\.?$/, '');
-              // Filter out false positives
-              if (streamName && streamName.length > 1 && streamName !== '_ndi' && !streams.includes(streamName)) {
-                streams.push(streamName);
-                console.log(`Found NDI stream via mDNS authority: ${streamName}`);
-              }
-            }
-          });
-        }
-      } catch (error) {
-        console.error('Error parsing mDNS response:', error);
-      }
-    });
-    
-    // Listen for incoming queries (some NDI sources announce themselves)
-    mdnsClient.on('query', (query) => {
-      // NDI sources sometimes announce via queries
-      if (query.questions) {
-        query.questions.forEach(question => {
-          if (question.name && question.name.includes('_ndi._tcp')) {
-            const parts = question.name.split('.');
-            const streamName = parts[0];
-            // Filter out false positives
-            if (streamName && streamName.length > 1 && streamName !== '_ndi' && !streams.includes(streamName)) {
-              streams.push(streamName);
-              console.log(`Found NDI stream via mDNS query: ${streamName}`);
-            }
-          }
-        });
-      }
-    });
-    
-    mdnsClient.on('error', (error) => {
-      clearTimeout(timeoutId);
-      mdnsClient.destroy();
-      // Don't reject, just resolve with empty array
-      console.error('mDNS error:', error.message);
-      resolve(streams);
-    });
-    
-    // Send multiple queries with slight delays to catch all responses
-    setTimeout(() => {
-      mdnsClient.query({
-        questions: [{
-          name: '_ndi._tcp.local',
-          type: 'PTR'
-        }]
-      });
-    }, 1000);
-    
-    setTimeout(() => {
-      mdnsClient.query({
-        questions: [{
-          name: '_services._dns-sd._udp.local',
-          type: 'PTR'
-        }]
-      });
-    }, 2000);
-  });
-}
-
-// Method 2: Try to discover using NDI Tools or system commands (Windows)
-async function discoverNDIViaTools() {
-  const streams = [];
-  
-  // Check if NDI Tools are installed (common locations on Windows)
-  const ndiToolsPaths = [
-    'C:\\Program Files\\NDI\\NDI Tools\\',
-    'C:\\Program Files (x86)\\NDI\\NDI Tools\\',
-    process.env.PROGRAMFILES + '\\NDI\\NDI Tools\\',
-    process.env['PROGRAMFILES(X86)'] + '\\NDI\\NDI Tools\\'
-  ];
-  
-  // Try to use NDI Access Manager or other NDI tools
-  // Note: This is a fallback method - actual implementation may vary
-  
-  // Alternative: Try to query Windows registry for NDI sources
-  // NDI sometimes stores source information in the registry
-  try {
-    // Query registry for NDI sources (if available)
-    const { stdout } = await execAsync(
-      'reg query "HKEY_CURRENT_USER\\Software\\NewTek\\NDI" /s 2>nul || echo ""',
-      { timeout: 2000 }
-    );
-    
-    // Parse registry output for NDI source names
-    // This is a basic implementation - may need refinement
-    const lines = stdout.split('\n');
-    lines.forEach(line => {
-      const match = line.match(/NDI.*Source|Source.*Name/i);
-      if (match) {
-        // Extract potential source name
-        const parts = line.split(/\s+/);
-        parts.forEach(part => {
-          if (part.length > 3 && !part.includes('REG_') && !part.includes('HKEY')) {
-            if (!streams.includes(part)) {
-              streams.push(part);
-            }
-          }
-        });
-      }
-    });
-  } catch (error) {
-    // Registry query failed - this is expected if NDI isn't configured this way
-    console.log('Registry query not available or no NDI registry entries found');
-  }
-  
-  return streams;
-}
-
 // Endpoint to detect video frame rate using ffprobe
 app.get('/api/video/framerate', async (req, res) => {
   try {
@@ -1088,23 +891,459 @@ app.get('/api/video/framerate', async (req, res) => {
   }
 });
 
-// Endpoint to detect frame rate from uploaded file
+// Endpoint to probe an uploaded file (raw body: the whole file or just its leading bytes).
+// X-File-Name (or ?name=) keeps the extension as a format hint; X-File-Size (or ?size=)
+// is the full file size, so a header-only upload can be reported as partial.
+// When the leading bytes are not enough for an MP4/MOV whose index follows the media
+// data, the 422 answer carries tailOffset: send the leading bytes again followed by the
+// file from that offset, with ?head=<leading byte count>&tail=<tailOffset>.
 app.post('/api/video/framerate/upload', async (req, res) => {
+  const fileName = req.query.name || req.get('X-File-Name') || '';
+  const totalSize = parseInt(req.query.size || req.get('X-File-Size') || '0', 10) || null;
+  const headBytes = req.query.head !== undefined ? parseInt(req.query.head, 10) : null;
+  const tailOffset = req.query.tail !== undefined ? parseInt(req.query.tail, 10) : null;
+
   try {
-    // This would require multer for file uploads
-    // For now, we'll handle file uploads differently
-    // The client can send the file as base64 or we can use a different approach
-    res.status(501).json({ error: 'File upload endpoint not yet implemented. Use file path endpoint instead.' });
+    const { report, bytesReceived } = await probeUpload(ffmpegBinary, req, {
+      fileName,
+      maxBytes: mediaLibrary.maxUploadBytes,
+      totalSize,
+      headBytes,
+      tailOffset
+    });
+    const partial = !!totalSize && bytesReceived < totalSize;
+    if (partial && report.duration) {
+      // FFmpeg derives the overall bitrate from the bytes it was given
+      report.bitrate = Math.round((totalSize * 8) / report.duration);
+    }
+    console.log(`[FPS Detection] Probed upload ${fileName || '(unnamed)'}: ${bytesReceived} bytes${partial ? (tailOffset !== null ? ' (header and index)' : ' (header only)') : ''}, ${report.fps || '?'} fps`);
+
+    res.json({
+      fileName: fileName || null,
+      size: totalSize || bytesReceived,
+      bytesReceived,
+      partial,
+      ...report
+    });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message, tailOffset: error.tailOffset ?? null });
+    }
     console.error('Error processing uploaded file:', error);
     res.status(500).json({ error: 'Internal server error', message: error.message });
   }
 });
 
+// Media library: list files with probed metadata
+app.get('/api/media', async (req, res) => {
+  try {
+    const items = req.query.refresh ? await mediaLibrary.scan() : mediaLibrary.list();
+    res.json({ items });
+  } catch (error) {
+    console.error('Error listing media library:', error);
+    res.status(500).json({ error: 'Failed to list media library', message: error.message });
+  }
+});
+
+// Media library: single entry
+app.get('/api/media/:id', (req, res) => {
+  const entry = mediaLibrary.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+  res.json(entry);
+});
+
+// Media library: check an entry against a mapping (?mapping= mapping type)
+app.get('/api/media/:id/validation', async (req, res) => {
+  const entry = mediaLibrary.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Media not found' });
+  }
+
+  try {
+    const report = await mediaLibrary.getProbeReport(entry);
+    if (!report) {
+      return res.status(422).json({ error: 'Could not read media file' });
+    }
+    const still = entry.type === 'image';
+    let keyframes = null;
+    if (!still && needsKeyframeScan(report)) {
+      keyframes = await scanKeyframes(ffmpegBinary, mediaLibrary.resolvePath(entry)).catch(error => {
+        console.warn(`Keyframe scan failed for ${entry.relativePath}:`, error.message);
+        return null;
+      });
+    }
+    res.json({
+      media: entry.id,
+      ...validateMedia(report, { mappingType: req.query.mapping, frameRates: validationFrameRates, still }, keyframes)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to validate media');
+  }
+});
+
+// Validation of a file that is not on the server - body { mapping, report } (report from /api/video/framerate/upload)
+app.post('/api/media/validate', (req, res) => {
+  try {
+    const { mapping, report } = req.body || {};
+    res.json(validateMedia(report, { mappingType: mapping, frameRates: validationFrameRates }));
+  } catch (error) {
+    sendError(res, error, 'Failed to validate media');
+  }
+});
+
+// Timeline previews: audio waveform peaks (generated on first request)
+app.get('/api/media/:id/waveform', async (req, res) => {
+  try {
+    res.json(await timelinePreviews.getWaveform(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to create waveform');
+  }
+});
+
+// Timeline previews: thumbnail sprite sheet layout; the image is at ./filmstrip.jpg
+app.get('/api/media/:id/filmstrip', async (req, res) => {
+  try {
+    const filmstrip = await timelinePreviews.getFilmstrip(req.params.id);
+    res.json({ ...filmstrip, url: `/api/media/${encodeURIComponent(req.params.id)}/filmstrip.jpg?v=${encodeURIComponent(filmstrip.sourceModified)}` });
+  } catch (error) {
+    sendError(res, error, 'Failed to create filmstrip');
+  }
+});
+
+// Timeline previews: thumbnail sprite sheet image
+app.get('/api/media/:id/filmstrip.jpg', async (req, res) => {
+  try {
+    res.sendFile(await timelinePreviews.getFilmstripImagePath(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to create filmstrip');
+  }
+});
+
+// Media library: streamed upload (raw request body, file name in ?name= or X-File-Name)
+app.post('/api/media', async (req, res) => {
+  const fileName = req.query.name || req.get('X-File-Name');
+  if (!fileName) {
+    return res.status(400).json({ error: 'File name is required (?name= or X-File-Name header)' });
+  }
+
+  try {
+    const entry = await mediaLibrary.saveUpload(decodeURIComponent(fileName), req);
+    res.status(201).json(entry);
+  } catch (error) {
+    sendError(res, error, 'Failed to store upload');
+  }
+});
+
+// Media library: delete a file
+app.delete('/api/media/:id', async (req, res) => {
+  try {
+    const entry = await mediaLibrary.remove(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    res.json({ deleted: entry.id });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({ error: 'Failed to delete media', message: error.message });
+  }
+});
+
+// Transcode queue: list jobs (newest last)
+app.get('/api/transcode', (req, res) => {
+  res.json({ jobs: transcodeQueue.list() });
+});
+
+// Transcode queue: create a proxy job - body { mediaId, format: 'h264'|'vp9', width, height }
+app.post('/api/transcode', (req, res) => {
+  try {
+    const job = transcodeQueue.enqueue(req.body || {});
+    res.status(202).json(job);
+  } catch (error) {
+    sendError(res, error, 'Failed to create transcode job');
+  }
+});
+
+// Transcode queue: LED surfaces per mapping type, as used by cut jobs
+app.get('/api/surface-mappings', async (req, res) => {
+  try {
+    const mappings = await surfaceMappings.list();
+    res.json({ mappings, panels: Array.from(surfaceMappings.panels.values()) });
+  } catch (error) {
+    console.error('Error listing surface mappings:', error);
+    res.status(500).json({ error: 'Failed to list surface mappings', message: error.message });
+  }
+});
+
+// DMX lighting: the channel patch and which universes are arriving
+app.get('/api/dmx', async (req, res) => {
+  try {
+    const patch = await dmxInput.loadPatch();
+    res.json({ patch, status: dmxInput.getStatus() });
+  } catch (error) {
+    console.error('Error reading DMX patch:', error);
+    res.status(500).json({ error: 'Failed to read DMX patch', message: error.message });
+  }
+});
+
+// Transcode queue: cut a master render into per-surface LED feeds - body { mediaId, mappingType, format: 'h264'|'vp9' }
+app.post('/api/transcode/cut', async (req, res) => {
+  try {
+    const job = await transcodeQueue.enqueueCut(req.body || {});
+    res.status(202).json(job);
+  } catch (error) {
+    sendError(res, error, 'Failed to create cut job');
+  }
+});
+
+// Transcode queue: cancel a queued or running job
+app.delete('/api/transcode/:id', (req, res) => {
+  const job = transcodeQueue.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Annotations: list for a media file (?media= library id, asset path or file name)
+app.get('/api/annotations', async (req, res) => {
+  try {
+    res.json({ media: req.query.media, annotations: await annotationStore.list(req.query.media) });
+  } catch (error) {
+    sendError(res, error, 'Failed to list annotations');
+  }
+});
+
+// Annotations: note list download (?media=&format=csv|md)
+app.get('/api/annotations/export', async (req, res) => {
+  try {
+    const { content, contentType, fileName } = await annotationStore.export(req.query.media, req.query.format || 'csv');
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+  } catch (error) {
+    sendError(res, error, 'Failed to export annotations');
+  }
+});
+
+// Annotations: create - body { media, mediaName, comment, author, position, meshName, frame, time, mappingType }
+app.post('/api/annotations', async (req, res) => {
+  try {
+    res.status(201).json(await annotationStore.create(req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'Failed to create annotation');
+  }
+});
+
+// Annotations: edit comment / resolved flag - body { media, comment?, resolved? }
+app.patch('/api/annotations/:id', async (req, res) => {
+  try {
+    const body = req.body || {};
+    res.json(await annotationStore.edit(body.media, req.params.id, body));
+  } catch (error) {
+    sendError(res, error, 'Failed to update annotation');
+  }
+});
+
+// Annotations: delete (?media=)
+app.delete('/api/annotations/:id', async (req, res) => {
+  try {
+    const annotation = await annotationStore.remove(req.query.media, req.params.id);
+    res.json({ deleted: annotation.id });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete annotation');
+  }
+});
+
+// Luminance analysis: stored result (null until analyzed) and any running job for a library video
+// ?mapping= mapping type, ?points= samples in the graph, ?kind=luminance|flash
+app.get('/api/analysis/:mediaId', async (req, res) => {
+  try {
+    const kind = req.query.kind || 'luminance';
+    const analysis = await luminanceAnalyzer.getResult(req.params.mediaId, req.query.mapping, req.query.points, kind);
+    const job = luminanceAnalyzer.findActive(req.params.mediaId, req.query.mapping, kind);
+    res.json({ analysis, job });
+  } catch (error) {
+    sendError(res, error, 'Failed to read analysis');
+  }
+});
+
+// Luminance analysis: flash safety report download (?mapping=&format=csv|md|json)
+app.get('/api/analysis/:mediaId/flash-report', async (req, res) => {
+  try {
+    const result = await luminanceAnalyzer.getResult(req.params.mediaId, req.query.mapping, undefined, 'flash');
+    if (!result) {
+      return res.status(404).json({ error: 'No flash analysis for this mapping' });
+    }
+    const report = formatFlashReport(result, req.query.format || 'csv');
+    if (!report) {
+      return res.status(400).json({ error: 'format must be csv, md or json' });
+    }
+    res.set('Content-Type', report.contentType);
+    res.set('Content-Disposition', `attachment; filename="${report.fileName}"`);
+    res.send(report.content);
+  } catch (error) {
+    sendError(res, error, 'Failed to export flash report');
+  }
+});
+
+// Luminance analysis: start a job - body { mediaId, mappingType, kind? }
+app.post('/api/analysis', async (req, res) => {
+  try {
+    res.status(202).json(await luminanceAnalyzer.analyze(req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'Failed to start analysis');
+  }
+});
+
+// Luminance analysis: cancel a queued or running job
+app.delete('/api/analysis/jobs/:id', (req, res) => {
+  const job = luminanceAnalyzer.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Looks: list all
+app.get('/api/looks', async (req, res) => {
+  try {
+    res.json({ looks: await lookStore.list() });
+  } catch (error) {
+    sendError(res, error, 'Failed to list looks');
+  }
+});
+
+// Looks: single look
+app.get('/api/looks/:id', async (req, res) => {
+  try {
+    res.json(await lookStore.get(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to read look');
+  }
+});
+
+// Looks: create - body { name, author, state }
+app.post('/api/looks', async (req, res) => {
+  try {
+    res.status(201).json(await lookStore.create(req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'Failed to create look');
+  }
+});
+
+// Looks: rename and/or overwrite the snapshot - body { name?, state? }
+app.put('/api/looks/:id', async (req, res) => {
+  try {
+    res.json(await lookStore.edit(req.params.id, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'Failed to update look');
+  }
+});
+
+// Looks: delete
+app.delete('/api/looks/:id', async (req, res) => {
+  try {
+    const look = await lookStore.remove(req.params.id);
+    res.json({ deleted: look.id });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete look');
+  }
+});
+
+// Remote control: every route needs the CONTROL_API_TOKEN bearer token
+app.use('/api/control', remoteControl.middleware());
+
+// Remote control: state of an open preview (playback, media, mapping, camera, look)
+app.get('/api/control/state', async (req, res) => {
+  try {
+    res.json(await remoteControl.getState());
+  } catch (error) {
+    sendError(res, error, 'Failed to read preview state');
+  }
+});
+
+// Remote control: play|pause|seek|load|mapping|camera|look - body depends on the action, see server/RemoteControl.js
+app.post('/api/control/:action', async (req, res) => {
+  try {
+    res.json(await remoteControl.execute(req.params.action, req.body || {}));
+  } catch (error) {
+    sendError(res, error, 'Failed to run control command');
+  }
+});
+
+// Access: create an expiring link - body { role: 'viewer'|'control', expiresInHours }
+app.post('/api/access/links', (req, res) => {
+  if (!accessControl.enabled) {
+    return res.status(400).json({ error: 'Access control is not enabled' });
+  }
+  try {
+    const body = req.body || {};
+    const { token, role, expiresAt } = accessControl.createLink({ role: body.role, expiresInHours: body.expiresInHours });
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+    const host = req.get('x-forwarded-host') || req.get('host');
+    res.status(201).json({ url: `${protocol}://${host}/?access=${token}`, token, role, expiresAt });
+  } catch (error) {
+    sendError(res, error, 'Failed to create access link');
+  }
+});
+
+// Media library: file access (range requests are handled by express.static)
+app.use('/api/media/file', express.static(mediaLibrary.rootDir, { dotfiles: 'ignore', fallthrough: false }));
+
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'NDI Discovery Service' });
 });
 
+// Server status: FFmpeg capabilities, capture processes, resource use (Dev tab panel)
+const serverStartedAt = new Date().toISOString();
+app.get('/api/status', async (req, res) => {
+  try {
+    const memory = process.memoryUsage();
+    const mediaEntries = mediaLibrary.list();
+    const transcodeJobs = transcodeQueue.list();
+    res.json({
+      status: 'ok',
+      service: 'NDI Discovery Service',
+      startedAt: serverStartedAt,
+      uptime: Math.round(process.uptime()),
+      node: process.version,
+      platform: `${process.platform}-${process.arch}`,
+      pid: process.pid,
+      memory: {
+        rss: memory.rss,
+        heapUsed: memory.heapUsed,
+        heapTotal: memory.heapTotal,
+        external: memory.external
+      },
+      ffmpeg: await getCapabilities(),
+      captures: sourceRegistry.getStatus(),
+      ingest: ingestProvider.getStatus(),
+      ndi: { sources: ndiBrowser.list().length },
+      osc: oscBridge ? oscBridge.getStatus() : { enabled: false },
+      timecode: timecodeReceiver.getStatus(),
+      dmx: dmxInput.getStatus(),
+      control: remoteControl.getStatus(),
+      mediaLibrary: {
+        rootDir: mediaLibrary.rootDir,
+        files: mediaEntries.length,
+        totalBytes: mediaEntries.reduce((total, entry) => total + (entry.size || 0), 0)
+      },
+      transcode: {
+        queued: transcodeJobs.filter(job => job.status === 'queued').length,
+        running: transcodeJobs.filter(job => job.status === 'running').length
+      },
+      eventClients: eventHub.clientCount,
+      reviewSession: reviewSession.getStatus(),
+      access: accessControl.getStatus()
+    });
+  } catch (error) {
+    console.error('Error building status:', error);
+    res.status(500).json({ error: 'Failed to get status', message: error.message });
+  }
+});
+
 // Serve static files from dist folder in production (must be after all API routes)
 if (NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'dist')));
@@ -1120,8 +1359,16 @@ server.listen(PORT, () => {
   console.log(`Discovery endpoint: http://localhost:${PORT}/ndi/discover`);
   console.log(`Stream endpoint: http://localhost:${PORT}/ndi/stream/:streamName`);
   console.log(`WebSocket endpoint: ws://localhost:${PORT}/ndi/ws`);
-  console.log('\nNDI discovery is active using mDNS and system tools.');
+  console.log(`Capture status: http://localhost:${PORT}/ndi/status`);
+  console.log(`Server status: http://localhost:${PORT}/api/status`);
+  console.log(`Media library: http://localhost:${PORT}/api/media`);
+  console.log(`Event channel: ws://localhost:${PORT}/api/events`);
+  console.log('\nNDI discovery is active using a background mDNS browser (changes are pushed as ndi:source events).');
   console.log('NDI streaming uses FFmpeg with NDI support.');
+  console.log(`V4L2 devices and sources from ${path.basename(liveSourcesConfigPath)} are listed alongside NDI streams.`);
+  ingestProvider.getStatus().forEach(input => {
+    console.log(`Ingest input "${input.name}": push to ${input.pushUrl}`);
+  });
   console.log('Click "Refresh NDI Streams" in the web interface to discover available streams.');
 }).on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
@@ -1136,3 +1383,19 @@ server.listen(PORT, () => {
   process.exit(1);
 });
 
+// Stop FFmpeg listeners and captures on shutdown so their ports are free for the next start
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    console.log(`\n${signal} received, stopping capture processes...`);
+    ndiBrowser.close();
+    reviewSession.close();
+    ingestProvider.close();
+    sourceRegistry.close();
+    transcodeQueue.close();
+    luminanceAnalyzer.close();
+    if (oscBridge) oscBridge.close();
+    if (artNetListener) artNetListener.close();
+    dmxInput.close();
+    process.exit(0);
+  });
+});
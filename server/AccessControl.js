@@ -0,0 +1,314 @@
+/**
+ * Access Control
+ * Optional password / expiring-link protection for previews shared through tunnels.
+ * Disabled unless ACCESS_PASSWORD or ACCESS_VIEWER_PASSWORD is set.
+ *
+ * Roles:
+ *   control - full access (uploads, looks, notes, review session director)
+ *   viewer  - read-only: GET requests, live streams and following a review session
+ *
+ * Access is granted by a signed, expiring token carried in a cookie, an `access`
+ * query parameter (shared links) or an `Authorization: Bearer` header. Tokens are
+ * stateless and signed with ACCESS_TOKEN_SECRET: changing it revokes every token.
+ * Without it a random key is made at startup, so tokens end with the process and
+ * the Vite dev server and the backend do not accept each other's.
+ *
+ * The middleware only uses plain Node request/response APIs so the Vite dev server
+ * can run it too (see vite.config.js).
+ */
+
+import crypto from 'crypto';
+import { HttpError } from './HttpError.js';
+
+export const ACCESS_COOKIE = 'sp_access';
+export const ACCESS_ROLES = ['viewer', 'control'];
+
+// Reachable without a token
+const PUBLIC_PATHS = ['/health', '/api/access/login', '/api/access/logout', '/api/access/me'];
+// Checked by their own credentials instead (RemoteControl: CONTROL_API_TOKEN)
+const SEPARATELY_AUTHENTICATED_PREFIXES = ['/api/control/'];
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const MAX_LOGIN_FAILURES = 10;
+const LOGIN_FAILURE_WINDOW_MS = 10 * 60 * 1000;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // ignore malformed cookie values
+    }
+  });
+  return cookies;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+/**
+ * Redirect target after login: same-origin paths only
+ */
+export function safeRedirectPath(value) {
+  return typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/';
+}
+
+export class AccessControl {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.controlPassword] - Password granting the control role
+   * @param {string} [options.viewerPassword] - Password granting the read-only viewer role
+   * @param {string} [options.secret] - Token signing key (default: random, for this process only)
+   * @param {number} [options.sessionHours] - Lifetime of a password login
+   * @param {number} [options.maxLinkHours] - Longest expiry allowed for shared links
+   */
+  constructor({ controlPassword = '', viewerPassword = '', secret = '', sessionHours = 12, maxLinkHours = 720 } = {}) {
+    this.passwords = [
+      { role: 'control', hash: controlPassword ? digest(controlPassword) : null },
+      { role: 'viewer', hash: viewerPassword ? digest(viewerPassword) : null }
+    ].filter(entry => entry.hash);
+    this.enabled = this.passwords.length > 0;
+    this.secret = secret || crypto.randomBytes(32);
+    this.randomSecret = !secret;
+    this.sessionSeconds = Math.round(sessionHours * 3600);
+    this.maxLinkSeconds = Math.round(maxLinkHours * 3600);
+    this.loginFailures = new Map(); // client address -> { count, resetAt }
+  }
+
+  /**
+   * Settings from ACCESS_* environment variables
+   */
+  static fromEnv(env = process.env) {
+    const hours = (value, fallback) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) && number > 0 ? number : fallback;
+    };
+    return new AccessControl({
+      controlPassword: env.ACCESS_PASSWORD || '',
+      viewerPassword: env.ACCESS_VIEWER_PASSWORD || '',
+      secret: env.ACCESS_TOKEN_SECRET || '',
+      sessionHours: hours(env.ACCESS_SESSION_HOURS, 12),
+      maxLinkHours: hours(env.ACCESS_LINK_MAX_HOURS, 720)
+    });
+  }
+
+  sign(payload) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.role - 'viewer' or 'control'
+   * @param {number} options.expiresInSeconds
+   * @returns {{token: string, role: string, expiresAt: string}}
+   */
+  createToken({ role, expiresInSeconds }) {
+    if (!ACCESS_ROLES.includes(role)) {
+      throw new HttpError(`role must be one of: ${ACCESS_ROLES.join(', ')}`);
+    }
+    const expires = Math.floor(Date.now() / 1000) + Math.max(60, Math.round(expiresInSeconds));
+    const payload = base64url(JSON.stringify({ r: role, e: expires, n: crypto.randomBytes(6).toString('hex') }));
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      role,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Token for a shared link, capped at the configured maximum lifetime
+   */
+  createLink({ role, expiresInHours }) {
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      throw new HttpError('expiresInHours must be a positive number');
+    }
+    return this.createToken({ role, expiresInSeconds: Math.min(hours * 3600, this.maxLinkSeconds) });
+  }
+
+  /**
+   * @returns {{role: string, expiresAt: string}|null} Grant, null when invalid or expired
+   */
+  verify(token) {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+    if (!ACCESS_ROLES.includes(data.r) || !(data.e * 1000 > Date.now())) return null;
+    return { role: data.r, expiresAt: new Date(data.e * 1000).toISOString() };
+  }
+
+  /**
+   * Check a password and start a session
+   * @param {string} password
+   * @param {string} clientAddress - Used to slow down guessing
+   */
+  login(password, clientAddress = '') {
+    const now = Date.now();
+    for (const [address, entry] of this.loginFailures) {
+      if (entry.resetAt <= now) this.loginFailures.delete(address);
+    }
+    const failures = this.loginFailures.get(clientAddress);
+    if (failures && failures.resetAt > now && failures.count >= MAX_LOGIN_FAILURES) {
+      throw new HttpError('Too many failed attempts, try again later', 429);
+    }
+
+    const hash = digest(password || '');
+    const match = this.passwords.find(entry => crypto.timingSafeEqual(entry.hash, hash));
+    if (!match) {
+      const entry = failures && failures.resetAt > now ? failures : { count: 0, resetAt: now + LOGIN_FAILURE_WINDOW_MS };
+      entry.count++;
+      this.loginFailures.set(clientAddress, entry);
+      throw new HttpError('Wrong password', 401);
+    }
+    this.loginFailures.delete(clientAddress);
+    return this.createToken({ role: match.role, expiresInSeconds: this.sessionSeconds });
+  }
+
+  /**
+   * Token from the Authorization header, the `access` query parameter or the cookie
+   * @returns {{role: string, expiresAt: string, fromQuery: boolean, token: string}|null}
+   */
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      const token = authorization.slice(7).trim();
+      const grant = this.verify(token);
+      if (grant) return { ...grant, token, fromQuery: false };
+    }
+    const queryToken = new URL(req.url, 'http://localhost').searchParams.get('access');
+    if (queryToken) {
+      const grant = this.verify(queryToken);
+      if (grant) return { ...grant, token: queryToken, fromQuery: true };
+    }
+    const cookieToken = parseCookies(req.headers.cookie)[ACCESS_COOKIE];
+    const grant = this.verify(cookieToken);
+    return grant ? { ...grant, token: cookieToken, fromQuery: false } : null;
+  }
+
+  /**
+   * Set-Cookie value holding a token until it expires
+   */
+  buildCookie(req, { token, expiresAt }) {
+    const maxAge = Math.max(0, Math.floor((Date.parse(expiresAt) - Date.now()) / 1000));
+    const secure = req.socket.encrypted || req.headers['x-forwarded-proto'] === 'https';
+    return `${ACCESS_COOKIE}=${encodeURIComponent(token)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+  }
+
+  clearCookie() {
+    return `${ACCESS_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`;
+  }
+
+  /**
+   * Connect/Express middleware guarding every route except PUBLIC_PATHS.
+   * Sets req.access = { role, expiresAt } for the routes behind it.
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        req.access = { role: 'control', expiresAt: null };
+        return next();
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      if (PUBLIC_PATHS.includes(url.pathname)) return next();
+      if (SEPARATELY_AUTHENTICATED_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) return next();
+
+      const grant = this.authenticate(req);
+      const wantsHtml = req.method === 'GET' && (req.headers.accept || '').includes('text/html');
+      if (!grant) {
+        if (wantsHtml) {
+          return this.sendLoginPage(res, { next: url.pathname + url.search + url.hash });
+        }
+        return sendJson(res, 401, { error: 'Authentication required' });
+      }
+
+      if (grant.fromQuery) {
+        // Shared link: keep the token in a cookie and out of the address bar
+        res.setHeader('Set-Cookie', this.buildCookie(req, grant));
+        if (wantsHtml) {
+          url.searchParams.delete('access');
+          res.statusCode = 303;
+          res.setHeader('Location', url.pathname + url.search);
+          return res.end();
+        }
+      }
+
+      if (grant.role === 'viewer' && !READ_ONLY_METHODS.includes(req.method)) {
+        return sendJson(res, 403, { error: 'Read-only access' });
+      }
+      req.access = { role: grant.role, expiresAt: grant.expiresAt };
+      next();
+    };
+  }
+
+  sendLoginPage(res, { next = '/', error = null, status = 401 } = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Stage Preview - Sign in</title>
+<style>
+  body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #111; color: #eee; font-family: system-ui, sans-serif; }
+  form { display: flex; flex-direction: column; gap: 12px; width: 280px; padding: 24px; background: #1c1c1c; border-radius: 8px; }
+  input, button { font: inherit; padding: 8px 10px; border-radius: 4px; border: 1px solid #333; }
+  input { background: #111; color: #eee; }
+  button { background: #00aff0; color: #000; border: none; cursor: pointer; }
+  .error { color: #ff6b6b; font-size: 14px; }
+</style>
+</head>
+<body>
+<form method="post" action="/api/access/login">
+  <strong>Stage Preview</strong>
+  ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+  <input type="password" name="password" placeholder="Password" autofocus required>
+  <input type="hidden" name="next" value="${escapeHtml(safeRedirectPath(next))}">
+  <button type="submit">Sign in</button>
+</form>
+</body>
+</html>`);
+  }
+
+  /**
+   * Access summary for /api/status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      roles: this.passwords.map(entry => entry.role),
+      sessionHours: this.sessionSeconds / 3600,
+      maxLinkHours: this.maxLinkSeconds / 3600
+    };
+  }
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,208 @@
+/**
+ * Annotation Store
+ * Review notes pinned to a point in the 3D scene at a given video frame, stored as
+ * one JSON file per media file. Changes are pushed to every client over the event channel.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { HttpError } from './HttpError.js';
+import { writeJsonFile, WriteQueue } from './jsonFiles.js';
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_AUTHOR_LENGTH = 40;
+
+function toFiniteNumber(value, fallback = null) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function parsePosition(position) {
+  const point = position && {
+    x: toFiniteNumber(position.x),
+    y: toFiniteNumber(position.y),
+    z: toFiniteNumber(position.z)
+  };
+  if (!point || point.x === null || point.y === null || point.z === null) {
+    throw new HttpError('position must be { x, y, z }');
+  }
+  return point;
+}
+
+function parseComment(comment) {
+  if (typeof comment !== 'string' || !comment.trim()) {
+    throw new HttpError('comment is required');
+  }
+  return comment.trim().slice(0, MAX_COMMENT_LENGTH);
+}
+
+function formatTime(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
+}
+
+export class AnnotationStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Folder holding the annotation files
+   * @param {import('./EventHub.js').EventHub} [options.eventHub] - Channel used for change notifications
+   */
+  constructor({ dataDir, eventHub = null }) {
+    this.dataDir = path.resolve(dataDir);
+    this.eventHub = eventHub;
+    this.writeQueue = new WriteQueue(); // per file
+  }
+
+  /**
+   * One file per media key (library id, asset path or file name)
+   */
+  getFilePath(media) {
+    if (typeof media !== 'string' || !media) {
+      throw new HttpError('media is required');
+    }
+    const hash = crypto.createHash('sha1').update(media).digest('hex').slice(0, 16);
+    return path.join(this.dataDir, `${hash}.json`);
+  }
+
+  async readFile(media) {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.getFilePath(media), 'utf8'));
+      return { media, mediaName: data.mediaName || null, annotations: Array.isArray(data.annotations) ? data.annotations : [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { media, mediaName: null, annotations: [] };
+      if (error instanceof HttpError) throw error;
+      throw new Error(`Could not read annotations for ${media}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read-modify-write, serialized per file so concurrent edits are not lost
+   * @param {string} media
+   * @param {Function} modify - (file) => result; may change file.annotations
+   */
+  update(media, modify) {
+    const filePath = this.getFilePath(media);
+    return this.writeQueue.run(filePath, async () => {
+      const file = await this.readFile(media);
+      const result = modify(file);
+      await writeJsonFile(filePath, file, { pretty: true });
+      return result;
+    });
+  }
+
+  /**
+   * Annotations of a media file, oldest first
+   */
+  async list(media) {
+    return (await this.readFile(media)).annotations;
+  }
+
+  /**
+   * @param {Object} data - { media, mediaName, comment, author, position, meshName, frame, time, mappingType }
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const annotation = {
+      id: crypto.randomUUID(),
+      comment: parseComment(data.comment),
+      author: typeof data.author === 'string' && data.author.trim() ? data.author.trim().slice(0, MAX_AUTHOR_LENGTH) : 'Anonymous',
+      position: parsePosition(data.position),
+      meshName: typeof data.meshName === 'string' ? data.meshName : null,
+      frame: toFiniteNumber(data.frame),
+      time: toFiniteNumber(data.time),
+      mappingType: typeof data.mappingType === 'string' ? data.mappingType : null,
+      resolved: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.update(data.media, file => {
+      if (typeof data.mediaName === 'string' && data.mediaName) file.mediaName = data.mediaName;
+      file.annotations.push(annotation);
+    });
+    this.notify(data.media, 'created', annotation);
+    return annotation;
+  }
+
+  /**
+   * Edit the comment or resolved flag
+   */
+  async edit(media, id, changes) {
+    const annotation = await this.update(media, file => {
+      const existing = file.annotations.find(item => item.id === id);
+      if (!existing) throw new HttpError('Annotation not found', 404);
+      if (changes.comment !== undefined) existing.comment = parseComment(changes.comment);
+      if (changes.resolved !== undefined) existing.resolved = !!changes.resolved;
+      existing.updatedAt = new Date().toISOString();
+      return existing;
+    });
+    this.notify(media, 'updated', annotation);
+    return annotation;
+  }
+
+  async remove(media, id) {
+    const annotation = await this.update(media, file => {
+      const index = file.annotations.findIndex(item => item.id === id);
+      if (index === -1) throw new HttpError('Annotation not found', 404);
+      return file.annotations.splice(index, 1)[0];
+    });
+    this.notify(media, 'deleted', annotation);
+    return annotation;
+  }
+
+  notify(media, action, annotation) {
+    if (this.eventHub) {
+      this.eventHub.broadcast('annotation:changed', { media, action, annotation });
+    }
+  }
+
+  /**
+   * Note list for the content team
+   * @param {string} media
+   * @param {'csv'|'md'} format
+   * @returns {Promise<{content: string, contentType: string, fileName: string}>}
+   */
+  async export(media, format) {
+    const { mediaName, annotations } = await this.readFile(media);
+    const title = mediaName || path.basename(media);
+    const baseName = title.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'annotations';
+    const sorted = [...annotations].sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+
+    if (format === 'csv') {
+      const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const header = ['frame', 'time', 'mapping', 'mesh', 'x', 'y', 'z', 'author', 'comment', 'resolved', 'created'];
+      const rows = sorted.map(item => [
+        item.frame, formatTime(item.time), item.mappingType, item.meshName,
+        item.position.x.toFixed(3), item.position.y.toFixed(3), item.position.z.toFixed(3),
+        item.author, item.comment, item.resolved ? 'yes' : 'no', item.createdAt
+      ]);
+      return {
+        content: [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n',
+        contentType: 'text/csv; charset=utf-8',
+        fileName: `${baseName}-notes.csv`
+      };
+    }
+
+    if (format === 'md') {
+      const lines = [`# Review notes: ${title}`, '', `${sorted.length} note(s), exported ${new Date().toISOString()}`, ''];
+      sorted.forEach(item => {
+        const where = [item.mappingType, item.meshName].filter(Boolean).join(' / ');
+        lines.push(`- [${item.resolved ? 'x' : ' '}] **Frame ${item.frame ?? '-'}** (${formatTime(item.time)})${where ? ` - ${where}` : ''}`);
+        lines.push(`  ${item.comment.replace(/\r?\n/g, '\n  ')}`);
+        lines.push(`  _${item.author}, ${item.createdAt}_`);
+      });
+      return {
+        content: lines.join('\n') + '\n',
+        contentType: 'text/markdown; charset=utf-8',
+        fileName: `${baseName}-notes.md`
+      };
+    }
+
+    throw new HttpError('format must be csv or md');
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Art-Net Listener
+ * One UDP socket for all Art-Net input (port 6454 can only be bound once per host),
+ * handing packets to the handler registered for their OpCode: timecode to the
+ * TimecodeReceiver, DMX to DmxInput.
+ */
+
+import dgram from 'dgram';
+
+export const ARTNET_PORT = 6454;
+export const ARTNET_OPCODES = {
+  dmx: 0x5000,
+  timecode: 0x9700
+};
+
+const ARTNET_ID = Buffer.from('Art-Net\0', 'latin1');
+
+export class ArtNetListener {
+  /**
+   * @param {Object} options
+   * @param {number} [options.port]
+   * @param {string} [options.host] - Interface to listen on
+   */
+  constructor({ port = ARTNET_PORT, host = '0.0.0.0' } = {}) {
+    this.port = port;
+    this.host = host;
+    this.socket = null;
+    this.handlers = new Map(); // OpCode -> handler(buffer, remote)
+  }
+
+  /**
+   * @param {number} opcode - One of ARTNET_OPCODES
+   * @param {Function} handler - Called with (buffer, remote) for every packet with that OpCode
+   */
+  on(opcode, handler) {
+    this.handlers.set(opcode, handler);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      socket.once('error', reject);
+      socket.on('message', (message, remote) => {
+        if (message.length < 12 || !message.subarray(0, 8).equals(ARTNET_ID)) return;
+        const handler = this.handlers.get(message.readUInt16LE(8));
+        if (!handler) return; // Polls, sync and other OpCodes
+        try {
+          handler(message, remote);
+        } catch (error) {
+          console.warn(`Art-Net: ignored packet from ${remote.address}: ${error.message}`);
+        }
+      });
+      socket.bind(this.port, this.host, () => {
+        socket.off('error', reject);
+        socket.on('error', error => console.error('Art-Net socket error:', error.message));
+        this.socket = socket;
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Configured Source Provider
+ * Live inputs listed in a JSON file: any FFmpeg input URL (RTSP, SRT, UDP MPEG-TS, ...)
+ * or a local file looped as a "live" source. The file is re-read when it changes,
+ * so sources can be added without restarting the server.
+ *
+ * live-sources.json:
+ *   {
+ *     "sources": [
+ *       { "name": "Stage Cam", "url": "rtsp://10.0.0.20:554/stream1" },
+ *       { "name": "VJ Output", "url": "srt://0.0.0.0:9000?mode=listener" },
+ *       { "name": "Multicast", "url": "udp://239.0.0.1:1234", "format": "mpegts" },
+ *       { "name": "Show Loop", "file": "media/show_loop.mp4" }
+ *     ]
+ *   }
+ * Optional per source: "format" (FFmpeg -f), "inputArgs" (extra arguments before -i),
+ * "loop" (files only, default true). Relative file paths are resolved against the config file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { HttpError } from './HttpError.js';
+
+// Capture method label and default input arguments per URL scheme
+const URL_SCHEMES = {
+  rtsp: { method: 'RTSP', args: ['-rtsp_transport', 'tcp'] },
+  rtsps: { method: 'RTSP', args: ['-rtsp_transport', 'tcp'] },
+  srt: { method: 'SRT', args: [] },
+  udp: { method: 'UDP', args: [] },
+  rtp: { method: 'RTP', args: [] },
+  rtmp: { method: 'RTMP', args: [] },
+  http: { method: 'HTTP', args: [] },
+  https: { method: 'HTTP', args: [] }
+};
+
+export class ConfiguredSourceProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.configPath - JSON file listing the sources (may not exist)
+   */
+  constructor({ configPath }) {
+    this.id = 'input';
+    this.label = 'Configured';
+    this.configPath = configPath;
+    this.sources = new Map(); // name -> source config
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Re-read the config file if it changed since the last load
+   */
+  async load() {
+    let stats;
+    try {
+      stats = await fs.stat(this.configPath);
+    } catch (error) {
+      this.sources.clear();
+      this.loadedMtime = null;
+      return;
+    }
+    if (this.loadedMtime === stats.mtimeMs) return;
+
+    this.loadedMtime = stats.mtimeMs;
+    this.sources.clear();
+    try {
+      const config = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+      const entries = Array.isArray(config) ? config : (config.sources || []);
+      entries.forEach((entry, index) => {
+        const problem = this.validate(entry);
+        if (problem) {
+          console.warn(`Live sources: skipping entry ${index} in ${this.configPath}: ${problem}`);
+          return;
+        }
+        this.sources.set(entry.name, entry);
+      });
+      console.log(`Live sources: loaded ${this.sources.size} source(s) from ${this.configPath}`);
+    } catch (error) {
+      console.error(`Live sources: could not read ${this.configPath}:`, error.message);
+    }
+  }
+
+  validate(entry) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) return 'missing "name"';
+    if (this.sources.has(entry.name)) return `duplicate name "${entry.name}"`;
+    if (!entry.url === !entry.file) return 'needs exactly one of "url" or "file"';
+    if (entry.inputArgs && !Array.isArray(entry.inputArgs)) return '"inputArgs" must be an array';
+    return null;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Source descriptors ({ id: configured name, name })
+   */
+  async discover() {
+    await this.load();
+    return Array.from(this.sources.values()).map(source => ({
+      id: source.name,
+      name: source.name,
+      method: this.getMethod(source)
+    }));
+  }
+
+  getMethod(source) {
+    if (source.file) return 'File loop';
+    const scheme = source.url.split(':')[0].toLowerCase();
+    return URL_SCHEMES[scheme] ? URL_SCHEMES[scheme].method : 'URL';
+  }
+
+  /**
+   * @param {string} name - Configured source name
+   * @returns {Promise<{args: string[], method: string}>}
+   */
+  async resolveInput(name) {
+    await this.load();
+    const source = this.sources.get(name);
+    if (!source) {
+      throw new HttpError(`No live source named "${name}" in ${path.basename(this.configPath)}`, 404);
+    }
+
+    const args = [];
+    let input = source.url;
+    if (source.file) {
+      input = path.resolve(path.dirname(this.configPath), source.file);
+      // Read at native speed so the file behaves like a live feed
+      args.push('-re');
+      if (source.loop !== false) args.push('-stream_loop', '-1');
+    } else {
+      const scheme = source.url.split(':')[0].toLowerCase();
+      if (URL_SCHEMES[scheme]) args.push(...URL_SCHEMES[scheme].args);
+    }
+    if (source.format) args.push('-f', source.format);
+    if (source.inputArgs) args.push(...source.inputArgs.map(String));
+    args.push('-i', input);
+
+    return { method: this.getMethod(source), args };
+  }
+}
@@ -0,0 +1,381 @@
+/**
+ * DMX Input
+ * Receives DMX universes over Art-Net (ArtDmx, via ArtNetListener) and sACN / E1.31
+ * (UDP 5568, multicast 239.255.<hi>.<lo> per universe) and relays the universes used by
+ * the lighting patch to the browsers, which map the patched channels onto the scene's
+ * lights and background (see src/features/DmxLighting.js).
+ *
+ *   dmx:universe { protocol, universe, data (base64, 512 channels), source }   On change, at least once a second
+ *   dmx:patch    { patch }   The patch file changed
+ *
+ * dmx-patch.json (optional, the built-in DEFAULT_PATCH is used without it):
+ *   {
+ *     "protocol": "artnet",
+ *     "universe": 0,
+ *     "channels": {
+ *       "light.intensity": 1,
+ *       "light.azimuth": { "channel": 5, "fine": 6, "min": -180, "max": 180 },
+ *       "background.red": { "universe": 1, "channel": 1 }
+ *     }
+ *   }
+ * Channels are 1-512. A parameter may use its own protocol/universe; "fine" adds a
+ * 16-bit low byte; "min"/"max" scale 0-255 (or 0-65535) onto the parameter's range.
+ * Art-Net universes are 15-bit port addresses from 0, sACN universes start at 1.
+ *
+ * When several sACN sources send the same universe, the highest priority wins; on a tie
+ * the source already in control keeps it. A source that stops sending for
+ * SACN_SOURCE_TIMEOUT_MS, or terminates its stream, hands over to the next one.
+ */
+
+import dgram from 'dgram';
+import fs from 'fs/promises';
+import { ARTNET_OPCODES } from './ArtNetListener.js';
+
+export const SACN_PORT = 5568;
+const DMX_CHANNELS = 512;
+const BROADCAST_INTERVAL_MS = 33; // At most ~30 updates per second and universe
+const KEEPALIVE_MS = 1000; // Unchanged levels are still sent this often, so clients see the signal
+const PATCH_CHECK_INTERVAL_MS = 5000;
+const SACN_SOURCE_TIMEOUT_MS = 2500; // E1.31 network data loss timeout
+const PROTOCOLS = {
+  artnet: { minUniverse: 0, maxUniverse: 32767 },
+  sacn: { minUniverse: 1, maxUniverse: 63999 }
+};
+
+// Patchable parameters and their default range
+export const DMX_PARAMETERS = {
+  'light.intensity': [0, 5],
+  'light.red': [0, 1],
+  'light.green': [0, 1],
+  'light.blue': [0, 1],
+  'light.azimuth': [-180, 180],
+  'light.elevation': [-90, 90],
+  'ambient.intensity': [0, 2],
+  'ambient.red': [0, 1],
+  'ambient.green': [0, 1],
+  'ambient.blue': [0, 1],
+  'background.red': [0, 1],
+  'background.green': [0, 1],
+  'background.blue': [0, 1]
+};
+
+// One virtual fixture on Art-Net universe 0, channels 1-15
+const DEFAULT_PATCH = {
+  protocol: 'artnet',
+  universe: 0,
+  channels: {
+    'light.intensity': 1,
+    'light.red': 2,
+    'light.green': 3,
+    'light.blue': 4,
+    'light.azimuth': { channel: 5, fine: 6 },
+    'light.elevation': { channel: 7, fine: 8 },
+    'ambient.intensity': 9,
+    'ambient.red': 10,
+    'ambient.green': 11,
+    'ambient.blue': 12,
+    'background.red': 13,
+    'background.green': 14,
+    'background.blue': 15
+  }
+};
+
+/**
+ * Decode an ArtDmx packet
+ * @param {Buffer} buffer
+ * @returns {{universe: number, data: Buffer}}
+ */
+export function parseArtDmx(buffer) {
+  if (buffer.length < 18) throw new Error('ArtDmx packet too short');
+  const length = buffer.readUInt16BE(16);
+  if (length < 2 || length > DMX_CHANNELS || buffer.length < 18 + length) throw new Error('Invalid ArtDmx length');
+  // Port address: Net (7 bits) in byte 15, Sub-Net and Universe in byte 14
+  const universe = ((buffer[15] & 0x7f) << 8) | buffer[14];
+  return { universe, data: buffer.subarray(18, 18 + length) };
+}
+
+/**
+ * Decode an sACN (E1.31) data packet
+ * @param {Buffer} buffer
+ * @returns {{universe: number, data: Buffer, cid: string, priority: number, terminated: boolean}|null}
+ *   Null for sync/discovery packets, preview data and alternate start codes
+ */
+export function parseSacn(buffer) {
+  if (buffer.length < 126 || buffer.toString('latin1', 4, 16) !== 'ASC-E1.17\0\0\0') {
+    throw new Error('Not an sACN packet');
+  }
+  if (buffer.readUInt32BE(18) !== 0x00000004 || buffer.readUInt32BE(40) !== 0x00000002) return null;
+  const options = buffer[112];
+  if (options & 0x80) return null; // Preview data, not for output
+  if (buffer[125] !== 0) return null; // Only the null start code carries levels
+  const count = buffer.readUInt16BE(123) - 1;
+  if (count < 0 || count > DMX_CHANNELS || buffer.length < 126 + count) throw new Error('Invalid sACN property count');
+  return {
+    universe: buffer.readUInt16BE(113),
+    data: buffer.subarray(126, 126 + count),
+    cid: buffer.toString('hex', 22, 38), // Sender's component id
+    priority: buffer[108],
+    terminated: (options & 0x40) !== 0
+  };
+}
+
+function sacnMulticastAddress(universe) {
+  return `239.255.${universe >> 8}.${universe & 0xff}`;
+}
+
+export class DmxInput {
+  /**
+   * @param {Object} options
+   * @param {import('./EventHub.js').EventHub} options.eventHub - Relays universes to the browsers
+   * @param {string} options.patchPath - dmx-patch.json (may not exist)
+   * @param {import('./ArtNetListener.js').ArtNetListener|null} [options.artNet] - Art-Net input
+   * @param {number|null} [options.sacnPort] - UDP port for sACN, null to not take sACN
+   * @param {string} [options.sacnInterface] - Local address to join sACN multicast groups on
+   */
+  constructor({ eventHub, patchPath, artNet = null, sacnPort = null, sacnInterface }) {
+    this.eventHub = eventHub;
+    this.patchPath = patchPath;
+    this.artNet = artNet;
+    this.sacnPort = sacnPort;
+    this.sacnInterface = sacnInterface;
+
+    this.patch = null; // { source, parameters: { name: { protocol, universe, channel, fine, min, max } } }
+    this.patchMtime = undefined;
+    this.universes = new Map(); // "<protocol>:<universe>" -> { protocol, universe, data, source, cid, priority, receivedAt, sentAt, timer }
+    this.memberships = new Set(); // Joined sACN multicast groups
+    this.socket = null;
+    this.patchTimer = null;
+
+    if (artNet) {
+      artNet.on(ARTNET_OPCODES.dmx, (buffer, remote) => {
+        const { universe, data } = parseArtDmx(buffer);
+        this.receive('artnet', universe, data, remote.address);
+      });
+    }
+
+    // Late joiners get the current levels straight away
+    this.eventHub.onConnect((ws) => {
+      this.universes.forEach((entry) => {
+        if (this.isPatched(entry.protocol, entry.universe)) {
+          this.eventHub.send(ws, 'dmx:universe', this.toMessage(entry));
+        }
+      });
+    });
+  }
+
+  /**
+   * Load the patch and start listening for sACN
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.loadPatch();
+    this.patchTimer = setInterval(() => {
+      this.loadPatch().catch(error => console.error('DMX: could not reload patch:', error.message));
+    }, PATCH_CHECK_INTERVAL_MS);
+
+    if (!this.sacnPort) return;
+    await new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      socket.once('error', reject);
+      socket.on('message', (message, remote) => {
+        try {
+          const packet = parseSacn(message);
+          if (packet) this.receiveSacn(packet, remote.address);
+        } catch (error) {
+          console.warn(`sACN: ignored packet from ${remote.address}: ${error.message}`);
+        }
+      });
+      socket.bind(this.sacnPort, () => {
+        socket.off('error', reject);
+        socket.on('error', error => console.error('sACN socket error:', error.message));
+        this.socket = socket;
+        resolve();
+      });
+    });
+    this.updateMemberships();
+  }
+
+  /**
+   * Re-read the patch file if it changed; falls back to DEFAULT_PATCH without one
+   */
+  async loadPatch() {
+    let mtime = null;
+    try {
+      mtime = (await fs.stat(this.patchPath)).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    if (this.patch && mtime === this.patchMtime) return this.patch;
+    this.patchMtime = mtime;
+
+    let config = DEFAULT_PATCH;
+    let source = 'default';
+    if (mtime !== null) {
+      try {
+        config = JSON.parse(await fs.readFile(this.patchPath, 'utf8'));
+        source = this.patchPath;
+      } catch (error) {
+        console.error(`DMX: could not read ${this.patchPath}, using the default patch:`, error.message);
+      }
+    }
+
+    const changed = this.patch !== null;
+    this.patch = { source, parameters: this.normalizePatch(config) };
+    this.updateMemberships();
+    if (changed) {
+      console.log(`DMX: patch reloaded from ${source}`);
+      this.eventHub.broadcast('dmx:patch', { patch: this.patch });
+    }
+    return this.patch;
+  }
+
+  normalizePatch(config) {
+    const defaults = {
+      protocol: config.protocol || 'artnet',
+      universe: config.universe !== undefined ? config.universe : (config.protocol === 'sacn' ? 1 : 0)
+    };
+    const parameters = {};
+    Object.entries(config.channels || {}).forEach(([name, value]) => {
+      const entry = { ...defaults, ...(typeof value === 'number' ? { channel: value } : value) };
+      const problem = this.validateParameter(name, entry);
+      if (problem) {
+        console.warn(`DMX: skipping "${name}" in the patch: ${problem}`);
+        return;
+      }
+      const [min, max] = DMX_PARAMETERS[name];
+      parameters[name] = {
+        protocol: entry.protocol,
+        universe: entry.universe,
+        channel: entry.channel,
+        fine: entry.fine || null,
+        min: entry.min !== undefined ? entry.min : min,
+        max: entry.max !== undefined ? entry.max : max
+      };
+    });
+    return parameters;
+  }
+
+  validateParameter(name, entry) {
+    if (!DMX_PARAMETERS[name]) return `unknown parameter (expected one of ${Object.keys(DMX_PARAMETERS).join(', ')})`;
+    const protocol = PROTOCOLS[entry.protocol];
+    if (!protocol) return `unknown protocol "${entry.protocol}"`;
+    if (!Number.isInteger(entry.universe) || entry.universe < protocol.minUniverse || entry.universe > protocol.maxUniverse) {
+      return `universe must be ${protocol.minUniverse}-${protocol.maxUniverse} for ${entry.protocol}`;
+    }
+    const isChannel = value => Number.isInteger(value) && value >= 1 && value <= DMX_CHANNELS;
+    if (!isChannel(entry.channel)) return 'channel must be 1-512';
+    if (entry.fine !== undefined && entry.fine !== null && !isChannel(entry.fine)) return 'fine channel must be 1-512';
+    if ((entry.min !== undefined && typeof entry.min !== 'number') || (entry.max !== undefined && typeof entry.max !== 'number')) {
+      return 'min/max must be numbers';
+    }
+    return null;
+  }
+
+  isPatched(protocol, universe) {
+    return !!this.patch && Object.values(this.patch.parameters)
+      .some(parameter => parameter.protocol === protocol && parameter.universe === universe);
+  }
+
+  /**
+   * Join the multicast groups of the patched sACN universes
+   */
+  updateMemberships() {
+    if (!this.socket || !this.patch) return;
+    const wanted = new Set(Object.values(this.patch.parameters)
+      .filter(parameter => parameter.protocol === 'sacn')
+      .map(parameter => sacnMulticastAddress(parameter.universe)));
+    this.memberships.forEach((group) => {
+      if (wanted.has(group)) return;
+      try {
+        this.socket.dropMembership(group, this.sacnInterface);
+      } catch (error) {
+        console.warn(`sACN: could not leave ${group}: ${error.message}`);
+      }
+      this.memberships.delete(group);
+    });
+    wanted.forEach((group) => {
+      if (this.memberships.has(group)) return;
+      try {
+        this.socket.addMembership(group, this.sacnInterface);
+        this.memberships.add(group);
+      } catch (error) {
+        console.warn(`sACN: could not join ${group}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * sACN data from one source: only the source in control of the universe is applied
+   */
+  receiveSacn(packet, address) {
+    const key = `sacn:${packet.universe}`;
+    const entry = this.universes.get(key);
+    const fromHolder = !!entry && entry.cid === packet.cid;
+    if (packet.terminated) {
+      if (fromHolder) {
+        clearTimeout(entry.timer);
+        this.universes.delete(key);
+      }
+      return;
+    }
+    const holderActive = !!entry && Date.now() - entry.receivedAt < SACN_SOURCE_TIMEOUT_MS;
+    if (holderActive && !fromHolder && packet.priority <= entry.priority) return;
+    this.receive('sacn', packet.universe, packet.data, address, { cid: packet.cid, priority: packet.priority });
+  }
+
+  receive(protocol, universe, levels, source, { cid = null, priority = null } = {}) {
+    const key = `${protocol}:${universe}`;
+    let entry = this.universes.get(key);
+    if (!entry) {
+      entry = { protocol, universe, data: Buffer.alloc(DMX_CHANNELS), source, cid, priority, receivedAt: 0, sentAt: 0, timer: null };
+      this.universes.set(key, entry);
+    }
+    const data = Buffer.alloc(DMX_CHANNELS);
+    levels.copy(data);
+    const changed = !data.equals(entry.data);
+    entry.data = data;
+    entry.source = source;
+    entry.cid = cid;
+    entry.priority = priority;
+    entry.receivedAt = Date.now();
+
+    if (!this.isPatched(protocol, universe) || entry.timer) return;
+    if (!changed && entry.receivedAt - entry.sentAt < KEEPALIVE_MS) return;
+    // Throttle: send now, or once the interval since the last send has passed
+    const wait = Math.max(0, entry.sentAt + BROADCAST_INTERVAL_MS - entry.receivedAt);
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      entry.sentAt = Date.now();
+      this.eventHub.broadcast('dmx:universe', this.toMessage(entry));
+    }, wait);
+  }
+
+  toMessage(entry) {
+    return { protocol: entry.protocol, universe: entry.universe, data: entry.data.toString('base64'), source: entry.source };
+  }
+
+  getStatus() {
+    return {
+      artNet: !!this.artNet,
+      sacnPort: this.socket ? this.sacnPort : null,
+      patch: this.patch ? this.patch.source : null,
+      universes: Array.from(this.universes.values()).map(entry => ({
+        protocol: entry.protocol,
+        universe: entry.universe,
+        patched: this.isPatched(entry.protocol, entry.universe),
+        source: entry.source,
+        priority: entry.priority,
+        receivedAt: new Date(entry.receivedAt).toISOString()
+      }))
+    };
+  }
+
+  close() {
+    clearInterval(this.patchTimer);
+    this.universes.forEach(entry => clearTimeout(entry.timer));
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
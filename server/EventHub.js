@@ -0,0 +1,115 @@
+/**
+ * Event Hub
+ * Shared WebSocket channel used to push server-side state changes to every
+ * connected browser (media library updates, job progress, etc.).
+ */
+
+import { WebSocketServer } from 'ws';
+
+export class EventHub {
+  constructor() {
+    this.wss = new WebSocketServer({ noServer: true });
+    this.handlers = new Map(); // message type -> Set of handlers
+    this.connectHandlers = new Set();
+
+    this.wss.on('connection', (ws, req) => {
+      console.log(`Event channel connected (${this.wss.clients.size} client(s))`);
+
+      this.connectHandlers.forEach(handler => {
+        try {
+          handler(ws, req);
+        } catch (error) {
+          console.error('Event channel connect handler error:', error);
+        }
+      });
+
+      ws.on('message', (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.toString());
+        } catch {
+          return; // Ignore malformed messages
+        }
+        if (!data || typeof data.type !== 'string') return;
+
+        const handlers = this.handlers.get(data.type);
+        if (!handlers) return;
+        handlers.forEach(handler => {
+          try {
+            handler(data, ws);
+          } catch (error) {
+            console.error(`Event channel handler error (${data.type}):`, error);
+          }
+        });
+      });
+
+      ws.on('close', () => {
+        console.log(`Event channel disconnected (${this.wss.clients.size} client(s))`);
+      });
+
+      ws.on('error', (error) => {
+        console.error('Event channel error:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Hand an HTTP upgrade request over to the event channel
+   */
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit('connection', ws, req);
+    });
+  }
+
+  /**
+   * Register a handler for client -> server messages of a given type
+   * @param {string} type - Message type
+   * @param {Function} handler - Called with (data, ws)
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+  }
+
+  /**
+   * Register a handler called for every new connection
+   * @param {Function} handler - Called with (ws, req)
+   */
+  onConnect(handler) {
+    this.connectHandlers.add(handler);
+  }
+
+  /**
+   * Send an event to a single client
+   */
+  send(ws, type, payload = {}) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ type, ...payload }));
+  }
+
+  /**
+   * Send an event to every connected client
+   * @param {string} type - Event type
+   * @param {Object} payload - Event payload (merged into the message)
+   * @param {Object} [options]
+   * @param {WebSocket} [options.except] - Client to skip (usually the sender)
+   */
+  broadcast(type, payload = {}, { except = null } = {}) {
+    const message = JSON.stringify({ type, ...payload });
+    this.wss.clients.forEach(client => {
+      if (client !== except && client.readyState === client.OPEN) {
+        client.send(message);
+      }
+    });
+  }
+
+  /**
+   * Number of connected clients
+   */
+  get clientCount() {
+    return this.wss.clients.size;
+  }
+}
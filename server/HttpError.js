@@ -0,0 +1,18 @@
+/**
+ * HTTP Error
+ * Thrown by the server modules for client-side mistakes (bad input, unknown ids,
+ * unavailable services); server.js answers with its status and message, anything
+ * else is a 500.
+ */
+
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Sent to the client as { error }
+   * @param {number} [status] - HTTP status
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
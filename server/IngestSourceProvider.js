@@ -0,0 +1,356 @@
+/**
+ * Ingest Source Provider
+ * Named inputs that OBS, Resolume or any encoder push to over RTMP or SRT. Each input
+ * keeps an FFmpeg listener running on its own port that remuxes the pushed stream to
+ * MPEG-TS; capture pipelines read that stream from stdin, so pushed inputs are served
+ * by /ndi/stream (stream copy) and /ndi/ws (MJPEG) like any other live source.
+ *
+ * Configured in the "ingest" list of live-sources.json:
+ *   {
+ *     "ingest": [
+ *       { "name": "vj1", "protocol": "rtmp", "port": 1935 },
+ *       { "name": "resolume", "protocol": "srt", "port": 9000, "latency": 120 }
+ *     ]
+ *   }
+ * Push to rtmp://<server>:1935/live/vj1 or srt://<server>:9000. SRT needs FFmpeg built with libsrt.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { spawn } from 'child_process';
+import { HttpError } from './HttpError.js';
+
+// Wait before listening again after a publisher disconnects, and after a listener failed
+const RESTART_DELAY_MS = 1000;
+const ERROR_RESTART_DELAY_MS = 10000;
+// A publisher counts as gone when no data arrived for this long
+const IDLE_TIMEOUT_MS = 3000;
+// Drop data for a capture pipeline that is this far behind instead of buffering it
+const MAX_CONSUMER_BUFFER_BYTES = 8 * 1024 * 1024;
+const STDERR_TAIL_LINES = 10;
+
+const PROTOCOLS = {
+  rtmp: {
+    label: 'RTMP',
+    listenArgs: ({ name, port }) => ['-listen', '1', '-i', `rtmp://0.0.0.0:${port}/live/${name}`],
+    pushUrl: ({ name, port }, host) => `rtmp://${host}:${port}/live/${name}`
+  },
+  srt: {
+    label: 'SRT',
+    listenArgs: ({ port, latency }) => {
+      const query = latency ? `&latency=${Math.round(latency * 1000)}` : ''; // ms -> microseconds
+      return ['-i', `srt://0.0.0.0:${port}?mode=listener${query}`];
+    },
+    pushUrl: ({ port }, host) => `srt://${host}:${port}`
+  }
+};
+
+// MPEG-TS from the listener is passed through for /ndi/stream; MJPEG still uses the default encoder
+const STREAM_COPY_OUTPUT_ARGS = {
+  mpegts: ['-c', 'copy', '-f', 'mpegts', '-']
+};
+
+// First non-internal IPv4 address, for the push URLs shown to users
+function getLanAddress() {
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    const address = (addresses || []).find(entry => entry.family === 'IPv4' && !entry.internal);
+    if (address) return address.address;
+  }
+  return 'localhost';
+}
+
+/**
+ * Persistent FFmpeg listener for one named input
+ */
+class IngestReceiver {
+  constructor({ config, ffmpegBinary }) {
+    this.config = config; // { name, protocol, port, latency? }
+    this.ffmpegBinary = ffmpegBinary;
+
+    this.process = null;
+    this.consumers = new Set(); // writable streams (capture pipeline stdin)
+    this.state = 'stopped'; // listening | receiving | error | stopped
+    this.restartTimer = null;
+    this.idleTimer = null;
+    this.bytesIn = 0;
+    this.publishedAt = null;
+    this.stderrTail = [];
+    this.lastError = null;
+    this.stopped = false;
+  }
+
+  get name() {
+    return this.config.name;
+  }
+
+  start() {
+    if (this.stopped) return;
+    const protocol = PROTOCOLS[this.config.protocol];
+    const args = [
+      '-hide_banner',
+      ...protocol.listenArgs(this.config),
+      '-map', '0:v:0', '-map', '0:a:0?',
+      '-c', 'copy',
+      '-f', 'mpegts',
+      '-'
+    ];
+    this.process = spawn(this.ffmpegBinary, args);
+    this.state = 'listening';
+    this.stderrTail = [];
+    console.log(`Ingest ${this.name}: listening for ${protocol.label} on port ${this.config.port} (pid ${this.process.pid})`);
+
+    this.process.stdout.on('data', (chunk) => {
+      if (this.state !== 'receiving') {
+        this.state = 'receiving';
+        this.publishedAt = new Date().toISOString();
+        this.lastError = null;
+        console.log(`Ingest ${this.name}: publisher connected`);
+      }
+      this.bytesIn += chunk.length;
+      this.resetIdleTimer();
+      this.consumers.forEach(consumer => {
+        if (consumer.writableLength > MAX_CONSUMER_BUFFER_BYTES) return;
+        consumer.write(chunk);
+      });
+    });
+
+    this.process.stderr.on('data', (data) => {
+      this.stderrTail.push(...data.toString().trim().split(/\r?\n/));
+      this.stderrTail = this.stderrTail.slice(-STDERR_TAIL_LINES);
+    });
+
+    this.process.on('error', (error) => {
+      console.error(`Ingest ${this.name}: failed to start FFmpeg:`, error.message);
+      this.lastError = error.message;
+    });
+
+    this.process.on('close', (code) => {
+      clearTimeout(this.idleTimer);
+      const wasReceiving = this.state === 'receiving';
+      this.process = null;
+      if (this.stopped) {
+        this.state = 'stopped';
+        return;
+      }
+
+      if (wasReceiving) {
+        console.log(`Ingest ${this.name}: publisher disconnected`);
+        this.state = 'listening';
+        this.restartTimer = setTimeout(() => this.start(), RESTART_DELAY_MS);
+      } else {
+        // Listener could not start (port in use, protocol not compiled in, ...)
+        this.state = 'error';
+        const output = this.stderrTail.join('\n');
+        if (/Protocol not found|Did you mean file:/.test(output)) {
+          this.lastError = `FFmpeg (${this.ffmpegBinary}) was built without ${protocol.label} support`;
+        } else {
+          this.lastError = this.lastError || this.stderrTail[this.stderrTail.length - 1] || `FFmpeg exited with code ${code}`;
+        }
+        console.error(`Ingest ${this.name}: listener failed: ${this.lastError}`);
+        this.restartTimer = setTimeout(() => this.start(), ERROR_RESTART_DELAY_MS);
+      }
+    });
+  }
+
+  // SRT listeners do not always exit when the caller goes away
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      if (this.state === 'receiving' && this.process) {
+        console.log(`Ingest ${this.name}: no data for ${IDLE_TIMEOUT_MS / 1000}s, restarting listener`);
+        this.process.kill('SIGTERM');
+      }
+    }, IDLE_TIMEOUT_MS);
+  }
+
+  /**
+   * Forward the received MPEG-TS to a capture pipeline's stdin
+   * @returns {Function} Detach
+   */
+  addConsumer(stream) {
+    this.consumers.add(stream);
+    return () => this.consumers.delete(stream);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.restartTimer);
+    clearTimeout(this.idleTimer);
+    this.consumers.forEach(consumer => consumer.end());
+    this.consumers.clear();
+    if (this.process) {
+      this.process.kill('SIGTERM');
+    } else {
+      this.state = 'stopped';
+    }
+  }
+
+  getStatus(host) {
+    return {
+      name: this.name,
+      protocol: this.config.protocol,
+      port: this.config.port,
+      pushUrl: PROTOCOLS[this.config.protocol].pushUrl(this.config, host),
+      state: this.state,
+      pid: this.process ? this.process.pid : null,
+      publishedAt: this.state === 'receiving' ? this.publishedAt : null,
+      bytesIn: this.bytesIn,
+      consumers: this.consumers.size,
+      lastError: this.lastError
+    };
+  }
+}
+
+export class IngestSourceProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.ffmpegBinary - FFmpeg executable
+   * @param {string} options.configPath - JSON file with the "ingest" list (shared with the configured sources)
+   */
+  constructor({ ffmpegBinary, configPath }) {
+    this.id = 'ingest';
+    this.label = 'Ingest (RTMP/SRT)';
+    this.ffmpegBinary = ffmpegBinary;
+    this.configPath = configPath;
+    this.receivers = new Map(); // name -> IngestReceiver
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Start listeners for the configured inputs
+   */
+  async init() {
+    await this.load();
+  }
+
+  /**
+   * Re-read the config file if it changed and start/stop listeners to match
+   */
+  async load() {
+    let mtime = null;
+    try {
+      mtime = (await fs.stat(this.configPath)).mtimeMs;
+    } catch (error) {
+      // No config file: no ingest inputs
+    }
+    if (this.loadedMtime === mtime) return;
+    this.loadedMtime = mtime;
+
+    let entries = [];
+    if (mtime !== null) {
+      try {
+        const config = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+        entries = Array.isArray(config.ingest) ? config.ingest : [];
+      } catch (error) {
+        console.error(`Ingest: could not read ${this.configPath}:`, error.message);
+        return; // Keep the current listeners until the file is fixed
+      }
+    }
+
+    const configs = new Map();
+    const ports = new Set();
+    entries.forEach((entry, index) => {
+      const problem = this.validate(entry, configs, ports);
+      if (problem) {
+        console.warn(`Ingest: skipping entry ${index} in ${this.configPath}: ${problem}`);
+        return;
+      }
+      configs.set(entry.name, { name: entry.name, protocol: entry.protocol, port: Number(entry.port), latency: entry.latency });
+      ports.add(Number(entry.port));
+    });
+
+    // Stop removed or changed inputs, then start new ones
+    this.receivers.forEach((receiver, name) => {
+      const config = configs.get(name);
+      if (!config || JSON.stringify(config) !== JSON.stringify(receiver.config)) {
+        receiver.stop();
+        this.receivers.delete(name);
+      }
+    });
+    configs.forEach((config, name) => {
+      if (this.receivers.has(name)) return;
+      const receiver = new IngestReceiver({ config, ffmpegBinary: this.ffmpegBinary });
+      this.receivers.set(name, receiver);
+      receiver.start();
+    });
+  }
+
+  validate(entry, configs, ports) {
+    if (!entry || typeof entry.name !== 'string' || !/^[\w-]+$/.test(entry.name)) {
+      return '"name" must be letters, digits, "-" or "_"';
+    }
+    if (configs.has(entry.name)) return `duplicate name "${entry.name}"`;
+    if (!PROTOCOLS[entry.protocol]) return `"protocol" must be one of ${Object.keys(PROTOCOLS).join(', ')}`;
+    const port = Number(entry.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) return 'invalid "port"';
+    if (ports.has(port)) return `port ${port} is used by another input`;
+    return null;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} One source per input, with its push URL and state
+   */
+  async discover() {
+    await this.load();
+    const host = getLanAddress();
+    return Array.from(this.receivers.values()).map(receiver => {
+      const status = receiver.getStatus(host);
+      return {
+        id: receiver.name,
+        name: `${receiver.name} (${PROTOCOLS[status.protocol].label} :${status.port}, ${status.state})`,
+        method: `${PROTOCOLS[status.protocol].label} ingest`,
+        pushUrl: status.pushUrl,
+        state: status.state
+      };
+    });
+  }
+
+  /**
+   * Capture pipelines read the listener's MPEG-TS from stdin
+   * @param {string} name - Input name
+   */
+  async resolveInput(name) {
+    await this.load();
+    const receiver = this.receivers.get(name);
+    if (!receiver) {
+      throw new HttpError(`No ingest input named "${name}"`, 404);
+    }
+    if (receiver.state === 'error') {
+      throw new HttpError(`Ingest input "${name}" is not listening: ${receiver.lastError}`, 503);
+    }
+    return {
+      method: `${PROTOCOLS[receiver.config.protocol].label} ingest`,
+      // Short probe so viewers joining mid-stream start at the next keyframe instead of after 5s of analysis
+      args: ['-fflags', 'nobuffer', '-probesize', '1000000', '-analyzeduration', '1000000', '-f', 'mpegts', '-i', 'pipe:0'],
+      outputArgs: STREAM_COPY_OUTPUT_ARGS,
+      feed: (stdin) => receiver.addConsumer(stdin)
+    };
+  }
+
+  getSetupHelp(name) {
+    const receiver = this.receivers.get(name);
+    return {
+      error: 'Ingest input is not receiving',
+      streamName: name,
+      pushUrl: receiver ? receiver.getStatus(getLanAddress()).pushUrl : null,
+      instructions: [
+        `1. In OBS: Settings > Stream > Service: Custom, Server: the push URL without "/${name}", Stream Key: ${name}`,
+        '2. Or in Resolume / ffmpeg: stream MPEG-TS to the SRT push URL',
+        '3. Start streaming, then reload the source'
+      ]
+    };
+  }
+
+  /**
+   * Listener state of every input (for the status endpoint)
+   */
+  getStatus() {
+    const host = getLanAddress();
+    return Array.from(this.receivers.values()).map(receiver => receiver.getStatus(host));
+  }
+
+  close() {
+    this.receivers.forEach(receiver => receiver.stop());
+    this.receivers.clear();
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Live Sources
+ * Combines live-input providers (NDI, V4L2 devices, configured URLs/files) behind
+ * one source id namespace used by /ndi/discover, /ndi/ws and /ndi/stream.
+ *
+ * A provider is an object with:
+ *   id                     - Prefix of its source ids (e.g. 'v4l2' -> 'v4l2:/dev/video0')
+ *   label                  - Display name of the provider
+ *   discover()             - async, returns [{ id, name, method?, ... }] with provider-local ids
+ *   resolveInput(localId)  - async, returns { args, method } FFmpeg input arguments
+ *   getSetupHelp(localId)  - optional, JSON body returned when capture fails
+ * Source ids of the default provider (NDI) carry no prefix, so plain NDI names keep working.
+ */
+
+import { HttpError } from './HttpError.js';
+
+export class LiveSources {
+  /**
+   * @param {Object} options
+   * @param {Object[]} options.providers - Source providers (see above)
+   * @param {string} [options.defaultProviderId] - Provider for ids without a known prefix
+   */
+  constructor({ providers, defaultProviderId = 'ndi' }) {
+    this.providers = new Map(providers.map(provider => [provider.id, provider]));
+    this.defaultProviderId = defaultProviderId;
+  }
+
+  /**
+   * Split a source id into its provider and provider-local id
+   * @returns {{provider: Object, localId: string}}
+   */
+  parseSourceId(sourceId) {
+    const separator = sourceId.indexOf(':');
+    if (separator > 0) {
+      const provider = this.providers.get(sourceId.slice(0, separator));
+      if (provider && provider.id !== this.defaultProviderId) {
+        return { provider, localId: sourceId.slice(separator + 1) };
+      }
+    }
+
+    const provider = this.providers.get(this.defaultProviderId);
+    if (!provider) {
+      throw new HttpError(`Unknown live source: ${sourceId}`, 404);
+    }
+    return { provider, localId: sourceId };
+  }
+
+  getSourceId(provider, localId) {
+    return provider.id === this.defaultProviderId ? localId : `${provider.id}:${localId}`;
+  }
+
+  /**
+   * List the sources of every provider. A failing provider is logged and skipped.
+   * @returns {Promise<Object[]>} [{ id, name, provider, providerLabel, method, ...details }]
+   */
+  async discover() {
+    const providers = Array.from(this.providers.values());
+    const results = await Promise.allSettled(providers.map(provider => provider.discover()));
+
+    const sources = [];
+    results.forEach((result, index) => {
+      const provider = providers[index];
+      if (result.status === 'rejected') {
+        console.error(`${provider.label} discovery error:`, result.reason?.message || result.reason);
+        return;
+      }
+      result.value.forEach(source => {
+        sources.push(this.describe(provider, source));
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Turn a provider's source entry into the public descriptor (as listed by /ndi/discover)
+   * @param {Object} provider - Provider the source belongs to
+   * @param {Object} source - Entry with provider-local id
+   */
+  describe(provider, source) {
+    return {
+      ...source, // provider-specific details (e.g. ingest push URL and state)
+      id: this.getSourceId(provider, source.id),
+      name: source.name || source.id,
+      provider: provider.id,
+      providerLabel: provider.label,
+      method: source.method || null
+    };
+  }
+
+  /**
+   * FFmpeg input arguments for a source (SourceRegistry resolveInput)
+   * @param {string} sourceId
+   * @returns {Promise<{args: string[], method: string}>}
+   */
+  resolveInput(sourceId) {
+    const { provider, localId } = this.parseSourceId(sourceId);
+    return provider.resolveInput(localId);
+  }
+
+  /**
+   * Error body for a source whose capture failed
+   */
+  getSetupHelp(sourceId) {
+    try {
+      const { provider, localId } = this.parseSourceId(sourceId);
+      if (provider.getSetupHelp) {
+        return provider.getSetupHelp(localId);
+      }
+    } catch (error) {
+      // Unknown source, fall through to the generic message
+    }
+    return { error: 'Live source capture failed', streamName: sourceId };
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Look Store
+ * Named snapshots of a review state (media, mapping, texture transform, shaders,
+ * lights, background and camera), stored as one JSON file per look. The server keeps
+ * the snapshot opaque; the client decides what goes into it. Changes are pushed to
+ * every client over the event channel.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { HttpError } from './HttpError.js';
+import { writeJsonFile, WriteQueue } from './jsonFiles.js';
+
+const MAX_NAME_LENGTH = 80;
+const MAX_AUTHOR_LENGTH = 40;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function parseName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new HttpError('name is required');
+  }
+  return name.trim().slice(0, MAX_NAME_LENGTH);
+}
+
+function parseState(state) {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new HttpError('state must be an object');
+  }
+  return state;
+}
+
+export class LookStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Folder holding the look files
+   * @param {import('./EventHub.js').EventHub} [options.eventHub] - Channel used for change notifications
+   */
+  constructor({ dataDir, eventHub = null }) {
+    this.dataDir = path.resolve(dataDir);
+    this.eventHub = eventHub;
+    this.writeQueue = new WriteQueue(); // per file
+  }
+
+  getFilePath(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new HttpError('Look not found', 404);
+    }
+    return path.join(this.dataDir, `${id}.json`);
+  }
+
+  async read(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getFilePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new HttpError('Look not found', 404);
+      if (error instanceof HttpError) throw error;
+      throw new Error(`Could not read look ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write a look atomically, serialized per file
+   * @param {string} id
+   * @param {Function} modify - async () => look to write
+   */
+  write(id, modify) {
+    const filePath = this.getFilePath(id);
+    return this.writeQueue.run(filePath, async () => {
+      const look = await modify();
+      await writeJsonFile(filePath, look, { pretty: true });
+      return look;
+    });
+  }
+
+  /**
+   * All looks, sorted by name
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const looks = [];
+    for (const entry of entries) {
+      const id = entry.replace(/\.json$/, '');
+      if (entry === id || !ID_PATTERN.test(id)) continue;
+      try {
+        looks.push(await this.read(id));
+      } catch (error) {
+        console.warn(`Skipping unreadable look ${entry}:`, error.message);
+      }
+    }
+    return looks.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  }
+
+  get(id) {
+    return this.read(id);
+  }
+
+  /**
+   * @param {Object} data - { name, author, state }
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const look = {
+      id: crypto.randomUUID(),
+      name: parseName(data.name),
+      author: typeof data.author === 'string' && data.author.trim() ? data.author.trim().slice(0, MAX_AUTHOR_LENGTH) : null,
+      state: parseState(data.state),
+      createdAt: now,
+      updatedAt: now
+    };
+    await this.write(look.id, async () => look);
+    this.notify('created', look);
+    return look;
+  }
+
+  /**
+   * Rename a look and/or replace its snapshot
+   * @param {string} id
+   * @param {Object} changes - { name?, state? }
+   */
+  async edit(id, changes) {
+    const look = await this.write(id, async () => {
+      const existing = await this.read(id);
+      if (changes.name !== undefined) existing.name = parseName(changes.name);
+      if (changes.state !== undefined) existing.state = parseState(changes.state);
+      existing.updatedAt = new Date().toISOString();
+      return existing;
+    });
+    this.notify('updated', look);
+    return look;
+  }
+
+  async remove(id) {
+    const filePath = this.getFilePath(id);
+    const look = await this.writeQueue.run(filePath, async () => {
+      const existing = await this.read(id);
+      await fs.promises.unlink(filePath).catch(error => {
+        if (error.code === 'ENOENT') throw new HttpError('Look not found', 404);
+        throw error;
+      });
+      return existing;
+    });
+    this.notify('deleted', look);
+    return look;
+  }
+
+  notify(action, look) {
+    if (this.eventHub) {
+      this.eventHub.broadcast('look:changed', { action, look });
+    }
+  }
+}
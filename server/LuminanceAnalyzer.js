@@ -0,0 +1,493 @@
+/**
+ * Luminance Analyzer
+ * Measures every frame of a library video per LED surface: average picture level
+ * (APL), peak level and mean linear light. FFmpeg crops each surface's UV rectangle
+ * (see SurfaceMappings.js), shrinks it to a small grey thumbnail and streams the
+ * thumbnails; the statistics are computed here. Results are stored as one JSON file
+ * per media file and mapping.
+ *
+ * Wattage and nits are derived when a result is read, from the panel specs in the
+ * surface config, so changing a spec does not need a new analysis:
+ *   watts = area x (idle + (max - idle) x linear light),  nits = maxNits x linear light
+ *
+ * The "flash" kind screens the same surfaces for photosensitive flash sequences
+ * (see flashDetection.js) from small RGB thumbnails instead.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { FlashDetector, summarizeFlashes } from './flashDetection.js';
+import { HttpError } from './HttpError.js';
+import { writeJsonFile } from './jsonFiles.js';
+
+// Thumbnail per surface: peaks are measured on ~14x12 px zones of a 1754x780 surface
+const THUMB_WIDTH = 128;
+const THUMB_HEIGHT = 64;
+const THUMB_BYTES = THUMB_WIDTH * THUMB_HEIGHT;
+// Flash screening only needs the changing area, not fine detail
+const FLASH_THUMB_WIDTH = 64;
+const FLASH_THUMB_HEIGHT = 32;
+export const ANALYSIS_KINDS = ['luminance', 'flash'];
+const DISPLAY_GAMMA = 2.2;
+const PROGRESS_BROADCAST_INTERVAL_MS = 500;
+const MAX_FINISHED_JOBS = 20;
+const DEFAULT_GRAPH_POINTS = 1000;
+const MAX_GRAPH_POINTS = 4000;
+
+// Signal level (0-255) -> linear light (0-1)
+const LINEAR_LUT = Array.from({ length: 256 }, (_, level) => Math.pow(level / 255, DISPLAY_GAMMA));
+
+// Levels are stored as integers in thousandths to keep the result files small
+function toPermille(value) {
+  return Math.round(value * 1000);
+}
+
+/**
+ * Average and peak of per-frame values over the frames [start, end)
+ */
+function summarizeRange(values, start, end) {
+  let sum = 0;
+  let peak = 0;
+  for (let i = start; i < end; i++) {
+    sum += values[i];
+    if (values[i] > peak) peak = values[i];
+  }
+  return { average: end > start ? sum / (end - start) : 0, peak };
+}
+
+export class LuminanceAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {string} options.ffmpegBinary - FFmpeg executable
+   * @param {import('./MediaLibrary.js').MediaLibrary} options.mediaLibrary - Videos to analyze
+   * @param {import('./SurfaceMappings.js').SurfaceMappings} options.surfaceMappings - Surface regions and panel specs
+   * @param {string} options.dataDir - Folder holding the results
+   * @param {import('./EventHub.js').EventHub} [options.eventHub] - Channel used for progress updates
+   */
+  constructor({ ffmpegBinary, mediaLibrary, surfaceMappings, dataDir, eventHub = null }) {
+    this.ffmpegBinary = ffmpegBinary;
+    this.mediaLibrary = mediaLibrary;
+    this.surfaceMappings = surfaceMappings;
+    this.dataDir = path.resolve(dataDir);
+    this.eventHub = eventHub;
+
+    this.jobs = new Map(); // id -> job
+    this.processes = new Map(); // id -> ffmpegProcess
+    this.queue = Promise.resolve(); // Analyses run one at a time
+  }
+
+  getResultPath(mediaId, mappingType, kind = 'luminance') {
+    const suffix = kind === 'luminance' ? '' : `_${kind}`;
+    return path.join(this.dataDir, `${mediaId}_${mappingType}${suffix}.json`);
+  }
+
+  /**
+   * Queue an analysis of a library video for a mapping. An analysis that is already
+   * queued or running for the same pair is returned instead of starting another.
+   * @param {Object} request
+   * @param {string} request.mediaId - Library entry
+   * @param {string} request.mappingType - Mapping whose surfaces are measured
+   * @param {string} [request.kind] - 'luminance' (APL and power) or 'flash' (flash safety)
+   * @returns {Promise<Object>} The job
+   */
+  async analyze({ mediaId, mappingType, kind = 'luminance' }) {
+    if (!ANALYSIS_KINDS.includes(kind)) {
+      throw new HttpError(`kind must be one of: ${ANALYSIS_KINDS.join(', ')}`);
+    }
+    const source = this.mediaLibrary.get(mediaId);
+    if (!source) {
+      throw new HttpError('Media not found', 404);
+    }
+    if (source.type !== 'video') {
+      throw new HttpError('Only videos can be analyzed');
+    }
+    const mapping = typeof mappingType === 'string' ? await this.surfaceMappings.get(mappingType) : null;
+    if (!mapping) {
+      throw new HttpError(`No surface definition for mapping "${mappingType}"`, 404);
+    }
+
+    const active = this.findActive(mediaId, mappingType, kind);
+    if (active) return active;
+
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      kind,
+      mediaId,
+      sourceName: source.name,
+      mappingType,
+      status: 'queued',
+      progress: 0,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    this.pruneFinished();
+    this.notify(job);
+
+    this.queue = this.queue.then(() => this.run(job, source, mapping)).catch(error => {
+      this.finish(job, 'failed', error.message);
+    });
+    return job;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Queued or running job of a media file, mapping and kind
+   */
+  findActive(mediaId, mappingType, kind = 'luminance') {
+    return this.list().find(job => job.mediaId === mediaId && job.mappingType === mappingType &&
+      job.kind === kind && (job.status === 'queued' || job.status === 'running')) || null;
+  }
+
+  /**
+   * Cancel a queued or running analysis
+   * @returns {Object|null} The job, or null if the id is unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+    this.finish(job, 'cancelled');
+    const ffmpegProcess = this.processes.get(id);
+    if (ffmpegProcess) ffmpegProcess.kill('SIGTERM');
+    return job;
+  }
+
+  /**
+   * Thumbnail format and per-frame measurement of an analysis kind
+   * @returns {{width: number, height: number, pixelFormat: string, bytesPerPixel: number,
+   *   addFrame: Function, getResult: Function}}
+   */
+  createMeasurement(kind, surfaces) {
+    if (kind === 'flash') {
+      // Weight each thumbnail pixel by the share of the LED area it covers
+      const pixelsPerThumb = FLASH_THUMB_WIDTH * FLASH_THUMB_HEIGHT;
+      const totalArea = surfaces.reduce((sum, surface) => sum + surface.width * surface.height, 0);
+      const weights = new Float64Array(pixelsPerThumb * surfaces.length);
+      surfaces.forEach((surface, index) => {
+        weights.fill((surface.width * surface.height) / totalArea / pixelsPerThumb, index * pixelsPerThumb, (index + 1) * pixelsPerThumb);
+      });
+      const detector = new FlashDetector(weights);
+      return {
+        width: FLASH_THUMB_WIDTH,
+        height: FLASH_THUMB_HEIGHT,
+        pixelFormat: 'rgb24',
+        bytesPerPixel: 3,
+        addFrame: (buffer, offset) => detector.addFrame(buffer, offset),
+        getResult: () => ({ transitions: detector.getTransitions() })
+      };
+    }
+
+    const series = surfaces.map(() => ({ apl: [], peak: [], light: [] }));
+    return {
+      width: THUMB_WIDTH,
+      height: THUMB_HEIGHT,
+      pixelFormat: 'gray',
+      bytesPerPixel: 1,
+      addFrame: (buffer, offset) => {
+        surfaces.forEach((_, index) => {
+          const start = offset + index * THUMB_BYTES;
+          let sum = 0;
+          let linear = 0;
+          let peak = 0;
+          for (let i = start; i < start + THUMB_BYTES; i++) {
+            const level = buffer[i];
+            sum += level;
+            linear += LINEAR_LUT[level];
+            if (level > peak) peak = level;
+          }
+          series[index].apl.push(toPermille(sum / THUMB_BYTES / 255));
+          series[index].peak.push(toPermille(peak / 255));
+          series[index].light.push(toPermille(linear / THUMB_BYTES));
+        });
+      },
+      getResult: () => ({ surfaces: surfaces.map((surface, index) => ({ name: surface.name, ...series[index] })) })
+    };
+  }
+
+  run(job, source, mapping) {
+    if (job.status !== 'queued') return null;
+    const surfaces = mapping.surfaces;
+    const measurement = this.createMeasurement(job.kind, surfaces);
+
+    // Split the decoded canvas once, crop and shrink each surface, stack the thumbnails
+    const branches = surfaces.map((surface, index) => {
+      const [u0, v0, u1, v1] = surface.uv;
+      const span = (from, to) => Number((to - from).toFixed(6));
+      return `[s${index}]crop=w=iw*${span(u0, u1)}:h=ih*${span(v0, v1)}:x=iw*${u0}:y=ih*${v0},` +
+        `scale=${measurement.width}:${measurement.height}:flags=area,format=${measurement.pixelFormat}[t${index}]`;
+    });
+    const split = `[0:v]split=${surfaces.length}${surfaces.map((_, index) => `[s${index}]`).join('')}`;
+    const stack = surfaces.length > 1
+      ? `${surfaces.map((_, index) => `[t${index}]`).join('')}vstack=inputs=${surfaces.length}[out]`
+      : '[t0]null[out]';
+    const args = [
+      '-hide_banner', '-nostats', '-v', 'error',
+      '-i', this.mediaLibrary.resolvePath(source),
+      '-filter_complex', [split, ...branches, stack].join(';'),
+      '-map', '[out]', '-f', 'rawvideo', '-'
+    ];
+
+    const frameBytes = measurement.width * measurement.height * measurement.bytesPerPixel * surfaces.length;
+    const fps = source.fps || 30;
+    const duration = source.duration || 0;
+
+    return new Promise((resolve) => {
+      const ffmpegProcess = spawn(this.ffmpegBinary, args);
+      this.processes.set(job.id, ffmpegProcess);
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      console.log(`Luminance analysis (${job.kind}) started: ${job.sourceName} on ${job.mappingType} (${job.id})`);
+      this.notify(job);
+
+      let pending = Buffer.alloc(0);
+      let frames = 0;
+      let lastBroadcast = 0;
+      let stderrTail = '';
+
+      ffmpegProcess.stdout.on('data', (chunk) => {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        let offset = 0;
+        while (pending.length - offset >= frameBytes) {
+          measurement.addFrame(pending, offset);
+          offset += frameBytes;
+          frames++;
+        }
+        pending = pending.subarray(offset);
+
+        const now = Date.now();
+        if (duration && now - lastBroadcast >= PROGRESS_BROADCAST_INTERVAL_MS) {
+          lastBroadcast = now;
+          job.progress = Math.min(0.99, frames / fps / duration);
+          this.notify(job);
+        }
+      });
+
+      ffmpegProcess.stderr.on('data', (chunk) => {
+        stderrTail = (stderrTail + chunk.toString()).slice(-2000);
+      });
+
+      ffmpegProcess.on('error', (error) => {
+        console.error(`Luminance analysis ${job.id} could not start FFmpeg:`, error.message);
+      });
+
+      ffmpegProcess.on('close', async (code) => {
+        this.processes.delete(job.id);
+        if (job.status === 'running') {
+          if (code === 0 && frames > 0) {
+            try {
+              await this.save({
+                kind: job.kind,
+                mediaId: job.mediaId,
+                sourceName: source.name,
+                sourceModified: source.modified,
+                sourceSize: source.size,
+                mappingType: job.mappingType,
+                fps,
+                frameCount: frames,
+                analyzedAt: new Date().toISOString(),
+                ...measurement.getResult()
+              });
+              job.progress = 1;
+              this.finish(job, 'done');
+            } catch (error) {
+              this.finish(job, 'failed', error.message);
+            }
+          } else {
+            const lastLine = stderrTail.trim().split(/\r?\n/).pop() || `FFmpeg exited with code ${code}`;
+            this.finish(job, 'failed', lastLine);
+          }
+        }
+        resolve();
+      });
+    });
+  }
+
+  async save(result) {
+    await writeJsonFile(this.getResultPath(result.mediaId, result.mappingType, result.kind), result);
+  }
+
+  /**
+   * Stored analysis: power estimates reduced to a graph of `points` samples, or the
+   * flash ranges for the "flash" kind
+   * @param {string} mediaId
+   * @param {string} mappingType
+   * @param {number} [points] - Samples in the returned graph
+   * @param {string} [kind] - 'luminance' or 'flash'
+   * @returns {Promise<Object|null>} Null when the pair has not been analyzed
+   */
+  async getResult(mediaId, mappingType, points = DEFAULT_GRAPH_POINTS, kind = 'luminance') {
+    const source = this.mediaLibrary.get(mediaId);
+    if (!source) {
+      throw new HttpError('Media not found', 404);
+    }
+    if (typeof mappingType !== 'string' || !/^[A-Za-z0-9_-]+$/.test(mappingType)) {
+      throw new HttpError('mapping is required');
+    }
+    if (!ANALYSIS_KINDS.includes(kind)) {
+      throw new HttpError(`kind must be one of: ${ANALYSIS_KINDS.join(', ')}`);
+    }
+
+    let result;
+    try {
+      result = JSON.parse(await fs.promises.readFile(this.getResultPath(mediaId, mappingType, kind), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read analysis: ${error.message}`);
+    }
+
+    // The file changed after it was analyzed
+    const stale = result.sourceModified !== source.modified || result.sourceSize !== source.size;
+    if (kind === 'flash') {
+      return {
+        kind,
+        mediaId: result.mediaId,
+        sourceName: result.sourceName,
+        mappingType: result.mappingType,
+        fps: result.fps,
+        frameCount: result.frameCount,
+        duration: result.frameCount / result.fps,
+        analyzedAt: result.analyzedAt,
+        ...summarizeFlashes(result.transitions, result.fps),
+        stale
+      };
+    }
+
+    const mapping = await this.surfaceMappings.get(mappingType);
+    const graphPoints = Math.min(MAX_GRAPH_POINTS, Math.max(10, parseInt(points, 10) || DEFAULT_GRAPH_POINTS));
+    return { kind, ...this.estimate(result, mapping, graphPoints), stale };
+  }
+
+  /**
+   * Convert the stored levels into APL, wattage and nits per surface and in total
+   */
+  estimate(result, mapping, graphPoints) {
+    const frameCount = result.frameCount;
+    const budget = mapping?.powerBudgetWatts ?? null;
+    const totalWatts = new Float64Array(frameCount);
+    const totalApl = new Float64Array(frameCount);
+    let totalArea = 0;
+
+    const surfaces = result.surfaces.map(stored => {
+      const apl = stored.apl.map(value => value / 1000);
+      const peak = stored.peak.map(value => value / 1000);
+      const light = stored.light.map(value => value / 1000);
+      const surface = mapping?.surfaces.find(item => item.name === stored.name) || null;
+      const panel = surface ? this.surfaceMappings.getPanel(surface.panel) : null;
+      const areaSqm = surface && panel
+        ? surface.areaSqm ?? (surface.width * panel.pitchMm / 1000) * (surface.height * panel.pitchMm / 1000)
+        : null;
+
+      const aplStats = summarizeRange(apl, 0, frameCount);
+      const peakStats = summarizeRange(peak, 0, frameCount);
+      const lightStats = summarizeRange(light, 0, frameCount);
+      const summary = {
+        name: stored.name,
+        panel: panel ? panel.label : null,
+        areaSqm: areaSqm !== null ? Number(areaSqm.toFixed(2)) : null,
+        averageApl: aplStats.average,
+        peakApl: aplStats.peak,
+        peakLevel: peakStats.peak,
+        averageWatts: null,
+        peakWatts: null,
+        averageNits: null,
+        peakNits: null
+      };
+
+      const pixels = surface ? surface.width * surface.height : 1;
+      if (panel) {
+        const watts = light.map(level => areaSqm * (panel.idleWattsPerSqm + (panel.maxWattsPerSqm - panel.idleWattsPerSqm) * level));
+        const wattStats = summarizeRange(watts, 0, frameCount);
+        summary.averageWatts = Math.round(wattStats.average);
+        summary.peakWatts = Math.round(wattStats.peak);
+        summary.averageNits = Math.round(panel.maxNits * lightStats.average);
+        summary.peakNits = Math.round(panel.maxNits * LINEAR_LUT[Math.round(peakStats.peak * 255)]);
+        watts.forEach((value, frame) => { totalWatts[frame] += value; });
+      }
+      apl.forEach((value, frame) => { totalApl[frame] += value * pixels; });
+      totalArea += pixels;
+      return summary;
+    });
+
+    const hasPower = surfaces.some(surface => surface.averageWatts !== null);
+    const aplSeries = Array.from(totalApl, value => value / totalArea);
+    const wattSeries = Array.from(totalWatts);
+    const wattStats = summarizeRange(wattSeries, 0, frameCount);
+    const aplStats = summarizeRange(aplSeries, 0, frameCount);
+    const framesOverBudget = budget && hasPower ? wattSeries.filter(value => value > budget).length : 0;
+
+    // One sample per bucket: mean APL, peak wattage (a budget breach must not be averaged away)
+    const buckets = Math.min(graphPoints, frameCount);
+    const graph = { apl: [], watts: hasPower ? [] : null };
+    for (let bucket = 0; bucket < buckets; bucket++) {
+      const start = Math.floor((bucket * frameCount) / buckets);
+      const end = Math.max(start + 1, Math.floor(((bucket + 1) * frameCount) / buckets));
+      graph.apl.push(Number(summarizeRange(aplSeries, start, end).average.toFixed(3)));
+      if (hasPower) graph.watts.push(Math.round(summarizeRange(wattSeries, start, end).peak));
+    }
+
+    return {
+      mediaId: result.mediaId,
+      sourceName: result.sourceName,
+      mappingType: result.mappingType,
+      fps: result.fps,
+      frameCount,
+      duration: frameCount / result.fps,
+      analyzedAt: result.analyzedAt,
+      total: {
+        averageApl: aplStats.average,
+        peakApl: aplStats.peak,
+        averageWatts: hasPower ? Math.round(wattStats.average) : null,
+        peakWatts: hasPower ? Math.round(wattStats.peak) : null,
+        peakTime: hasPower ? wattSeries.indexOf(wattStats.peak) / result.fps : null,
+        budgetWatts: budget,
+        secondsOverBudget: framesOverBudget / result.fps
+      },
+      surfaces,
+      graph
+    };
+  }
+
+  finish(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    if (error) {
+      console.error(`Luminance analysis (${job.kind}) ${status}: ${job.sourceName} (${job.id}): ${error}`);
+    } else {
+      console.log(`Luminance analysis (${job.kind}) ${status}: ${job.sourceName} (${job.id})`);
+    }
+    this.notify(job);
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  pruneFinished() {
+    const finished = this.list().filter(job => job.status !== 'queued' && job.status !== 'running');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => {
+      this.jobs.delete(job.id);
+    });
+  }
+
+  notify(job) {
+    if (this.eventHub) {
+      this.eventHub.broadcast('analysis:job', { job });
+    }
+  }
+
+  /**
+   * Stop a running analysis (server shutdown)
+   */
+  close() {
+    this.processes.forEach(ffmpegProcess => ffmpegProcess.kill('SIGTERM'));
+    this.processes.clear();
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Media Library
+ * Indexes the media folder on disk, probes each file's metadata and keeps
+ * connected clients up to date when files are added or removed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { probeMedia } from './mediaProbe.js';
+import { HttpError } from './HttpError.js';
+
+export const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm', '.mkv'];
+export const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+const RESCAN_DEBOUNCE_MS = 500;
+
+export class MediaLibrary {
+  /**
+   * @param {Object} options
+   * @param {string} options.rootDir - Folder holding the media files
+   * @param {string} options.ffmpegBinary - FFmpeg executable used for probing
+   * @param {string|null} [options.publicBasePath] - URL prefix when rootDir is also served statically (e.g. /assets/videos)
+   * @param {import('./EventHub.js').EventHub} [options.eventHub] - Channel used for change notifications
+   * @param {number} [options.maxUploadBytes] - Upload size limit (0 = unlimited)
+   */
+  constructor({ rootDir, ffmpegBinary, publicBasePath = null, eventHub = null, maxUploadBytes = 0 }) {
+    this.rootDir = path.resolve(rootDir);
+    this.ffmpegBinary = ffmpegBinary;
+    this.publicBasePath = publicBasePath;
+    this.eventHub = eventHub;
+    this.maxUploadBytes = maxUploadBytes;
+
+    this.entries = new Map(); // id -> entry
+    this.probeCache = new Map(); // relativePath -> { mtimeMs, size, metadata }
+    this.watcher = null;
+    this.rescanTimer = null;
+    this.scanPromise = null;
+  }
+
+  /**
+   * Stable id derived from the file's path inside the library
+   */
+  static createId(relativePath) {
+    return crypto.createHash('sha1').update(relativePath).digest('hex').slice(0, 12);
+  }
+
+  static getMediaType(fileName) {
+    const ext = path.extname(fileName).toLowerCase();
+    if (VIDEO_EXTENSIONS.includes(ext)) return 'video';
+    if (IMAGE_EXTENSIONS.includes(ext)) return 'image';
+    return null;
+  }
+
+  /**
+   * Create the root folder if needed, scan it and start watching for changes
+   */
+  async init() {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+    await this.scan();
+    this.watch();
+    console.log(`Media library: ${this.entries.size} file(s) in ${this.rootDir}`);
+  }
+
+  /**
+   * Recursively collect media files below the root folder
+   * @returns {Promise<string[]>} Paths relative to the root, using forward slashes
+   */
+  async listFiles(dir = this.rootDir) {
+    const files = [];
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      console.error(`Media library: cannot read ${dir}:`, error.message);
+      return files;
+    }
+
+    for (const dirent of dirents) {
+      // Skip hidden files and in-progress uploads
+      if (dirent.name.startsWith('.')) continue;
+
+      const fullPath = path.join(dir, dirent.name);
+      if (dirent.isDirectory()) {
+        files.push(...await this.listFiles(fullPath));
+      } else if (dirent.isFile() && MediaLibrary.getMediaType(dirent.name)) {
+        files.push(path.relative(this.rootDir, fullPath).split(path.sep).join('/'));
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Probe a file, reusing cached metadata while size and mtime are unchanged
+   */
+  async getMetadata(relativePath, stat) {
+    const cached = this.probeCache.get(relativePath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+      return cached.metadata;
+    }
+
+    let metadata = null;
+    try {
+      metadata = await probeMedia(this.ffmpegBinary, path.join(this.rootDir, relativePath));
+    } catch (error) {
+      console.warn(`Media library: could not probe ${relativePath}:`, error.message);
+    }
+    this.probeCache.set(relativePath, { mtimeMs: stat.mtimeMs, size: stat.size, metadata });
+    return metadata;
+  }
+
+  /**
+   * Full probe report of a library entry (cached while the file is unchanged)
+   * @returns {Promise<Object|null>} Null if the file could not be probed
+   */
+  async getProbeReport(entry) {
+    const stat = await fs.promises.stat(this.resolvePath(entry));
+    return this.getMetadata(entry.relativePath, stat);
+  }
+
+  /**
+   * Build the public description of a library file
+   */
+  async buildEntry(relativePath) {
+    const stat = await fs.promises.stat(path.join(this.rootDir, relativePath));
+    const metadata = await this.getMetadata(relativePath, stat);
+    const encodedPath = relativePath.split('/').map(encodeURIComponent).join('/');
+
+    return {
+      id: MediaLibrary.createId(relativePath),
+      name: path.basename(relativePath),
+      relativePath,
+      type: MediaLibrary.getMediaType(relativePath),
+      size: stat.size,
+      modified: stat.mtime.toISOString(),
+      url: `/api/media/file/${encodedPath}`,
+      publicPath: this.publicBasePath ? `${this.publicBasePath}/${encodedPath}` : null,
+      width: metadata?.width ?? null,
+      height: metadata?.height ?? null,
+      fps: metadata?.fps ?? null,
+      duration: metadata?.duration ?? null,
+      codec: metadata?.codec ?? null
+    };
+  }
+
+  /**
+   * Rescan the library folder. Concurrent callers share the same scan.
+   * @returns {Promise<Object[]>} Library entries
+   */
+  scan() {
+    if (this.scanPromise) return this.scanPromise;
+
+    this.scanPromise = (async () => {
+      const files = await this.listFiles();
+      const entries = new Map();
+      for (const relativePath of files) {
+        try {
+          const entry = await this.buildEntry(relativePath);
+          entries.set(entry.id, entry);
+        } catch (error) {
+          // File vanished between listing and stat
+          console.warn(`Media library: skipping ${relativePath}:`, error.message);
+        }
+      }
+
+      // Drop cached probes for files that no longer exist
+      for (const relativePath of this.probeCache.keys()) {
+        if (!files.includes(relativePath)) {
+          this.probeCache.delete(relativePath);
+        }
+      }
+
+      this.entries = entries;
+      return this.list();
+    })().finally(() => {
+      this.scanPromise = null;
+    });
+
+    return this.scanPromise;
+  }
+
+  /**
+   * Entries sorted by name
+   */
+  list() {
+    return Array.from(this.entries.values()).sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Absolute path of a library entry
+   */
+  resolvePath(entry) {
+    return path.join(this.rootDir, ...entry.relativePath.split('/'));
+  }
+
+  /**
+   * Turn an uploaded file name into a safe, unused name in the root folder
+   */
+  async allocateFileName(originalName) {
+    const baseName = path.basename(String(originalName || '')).replace(/[^\w.\- ()]/g, '_').trim();
+    if (!baseName || baseName.startsWith('.')) {
+      throw new HttpError('Invalid file name');
+    }
+    if (!MediaLibrary.getMediaType(baseName)) {
+      throw new HttpError(`Unsupported file type. Allowed: ${[...VIDEO_EXTENSIONS, ...IMAGE_EXTENSIONS].join(', ')}`, 415);
+    }
+
+    const ext = path.extname(baseName);
+    const stem = baseName.slice(0, -ext.length);
+    let candidate = baseName;
+    for (let i = 1; ; i++) {
+      try {
+        await fs.promises.access(path.join(this.rootDir, candidate));
+        candidate = `${stem}_${i}${ext}`;
+      } catch {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Stream an upload into the library
+   * @param {string} originalName - Client-supplied file name
+   * @param {import('stream').Readable} source - Request body stream
+   * @returns {Promise<Object>} The new library entry
+   */
+  async saveUpload(originalName, source) {
+    const fileName = await this.allocateFileName(originalName);
+    const tempPath = path.join(this.rootDir, `.upload-${crypto.randomBytes(6).toString('hex')}.part`);
+    const maxBytes = this.maxUploadBytes;
+    let received = 0;
+
+    try {
+      await pipeline(
+        source,
+        async function* limitSize(chunks) {
+          for await (const chunk of chunks) {
+            received += chunk.length;
+            if (maxBytes && received > maxBytes) {
+              throw new HttpError(`Upload exceeds limit of ${maxBytes} bytes`, 413);
+            }
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(tempPath)
+      );
+      if (received === 0) {
+        throw new HttpError('Upload is empty');
+      }
+      await fs.promises.rename(tempPath, path.join(this.rootDir, fileName));
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    console.log(`Media library: stored upload ${fileName} (${received} bytes)`);
+    return this.register(fileName);
+  }
+
+  /**
+   * Add a file that was just written into the library folder without waiting for the watcher
+   * @param {string} relativePath - Path relative to the root, using forward slashes
+   * @returns {Promise<Object>} The new library entry
+   */
+  async register(relativePath) {
+    const entry = await this.buildEntry(relativePath);
+    this.entries.set(entry.id, entry);
+    this.notifyChanged();
+    return entry;
+  }
+
+  /**
+   * Delete a file from the library
+   * @returns {Promise<Object|null>} Removed entry, or null if the id is unknown
+   */
+  async remove(id) {
+    const entry = this.get(id);
+    if (!entry) return null;
+
+    await fs.promises.unlink(this.resolvePath(entry));
+    this.entries.delete(id);
+    this.probeCache.delete(entry.relativePath);
+    console.log(`Media library: deleted ${entry.relativePath}`);
+    this.notifyChanged();
+    return entry;
+  }
+
+  /**
+   * Push the current listing to every connected client
+   */
+  notifyChanged() {
+    if (this.eventHub) {
+      this.eventHub.broadcast('media:changed', { items: this.list() });
+    }
+  }
+
+  /**
+   * Watch the root folder and rescan (debounced) on any change
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const onChange = (eventType, fileName) => {
+      if (fileName && path.basename(fileName.toString()).startsWith('.')) return;
+      clearTimeout(this.rescanTimer);
+      this.rescanTimer = setTimeout(async () => {
+        const before = JSON.stringify(this.list());
+        await this.scan();
+        if (JSON.stringify(this.list()) !== before) {
+          this.notifyChanged();
+        }
+      }, RESCAN_DEBOUNCE_MS);
+    };
+
+    try {
+      this.watcher = fs.watch(this.rootDir, { recursive: true }, onChange);
+    } catch {
+      // Recursive watching is not available on every platform/Node version
+      this.watcher = fs.watch(this.rootDir, onChange);
+    }
+    this.watcher.on('error', (error) => {
+      console.error('Media library watcher error:', error.message);
+    });
+  }
+
+  close() {
+    clearTimeout(this.rescanTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * NDI Browser
+ * Long-lived mDNS browser for NDI sources (_ndi._tcp). Tracks sources as they
+ * appear and disappear, honours record TTLs (including goodbye packets with TTL 0)
+ * and resolves host, addresses and port from SRV/TXT/A records.
+ */
+
+import mdns from 'multicast-dns';
+
+const NDI_SERVICE = '_ndi._tcp.local';
+const NDI_SUFFIX = `.${NDI_SERVICE}`;
+
+// Query a few times at start-up, then periodically to catch responders that do not announce
+const INITIAL_QUERY_DELAYS_MS = [0, 1000, 3000];
+const QUERY_INTERVAL_MS = 60000;
+// Expiry check; sources are re-queried once 80% of their TTL has passed (RFC 6762 section 5.2)
+const SWEEP_INTERVAL_MS = 2000;
+const REFRESH_AT_TTL_FRACTION = 0.8;
+// Used when a source was only seen through SRV/TXT records
+const DEFAULT_TTL_SECONDS = 120;
+// Discovery waits this long after start-up so the first /ndi/discover is not empty
+const STARTUP_WINDOW_MS = 3000;
+
+function parseTxt(data) {
+  const txt = {};
+  (Array.isArray(data) ? data : [data]).forEach(entry => {
+    const text = Buffer.isBuffer(entry) ? entry.toString() : String(entry || '');
+    if (!text) return;
+    const separator = text.indexOf('=');
+    if (separator === -1) {
+      txt[text] = true;
+    } else {
+      txt[text.slice(0, separator)] = text.slice(separator + 1);
+    }
+  });
+  return txt;
+}
+
+export class NdiBrowser {
+  constructor() {
+    this.mdnsClient = null;
+    this.sources = new Map(); // instance name ("HOST (Source)._ndi._tcp.local") -> source record
+    this.hostAddresses = new Map(); // hostname -> Map(address -> expiresAt)
+    this.changeHandlers = new Set();
+    this.timers = [];
+    this.startedAt = null;
+  }
+
+  /**
+   * Open the mDNS socket and start browsing
+   */
+  start() {
+    if (this.mdnsClient) return;
+    this.startedAt = Date.now();
+
+    try {
+      this.mdnsClient = mdns();
+    } catch (error) {
+      console.error('NDI browser: could not open mDNS socket:', error.message);
+      return;
+    }
+
+    this.mdnsClient.on('response', (response) => {
+      try {
+        this.handleRecords([...(response.answers || []), ...(response.additionals || [])]);
+      } catch (error) {
+        console.error('NDI browser: error parsing mDNS response:', error);
+      }
+    });
+
+    this.mdnsClient.on('error', (error) => {
+      console.error('NDI browser: mDNS error:', error.message);
+    });
+
+    INITIAL_QUERY_DELAYS_MS.forEach(delay => {
+      this.timers.push(setTimeout(() => this.queryService(), delay));
+    });
+    this.timers.push(setInterval(() => this.queryService(), QUERY_INTERVAL_MS));
+    this.timers.push(setInterval(() => this.sweep(), SWEEP_INTERVAL_MS));
+    console.log('NDI browser: watching mDNS for _ndi._tcp sources');
+  }
+
+  /**
+   * Register a handler for source changes
+   * @param {Function} handler - Called with (action: 'added'|'updated'|'removed', source)
+   */
+  onChange(handler) {
+    this.changeHandlers.add(handler);
+    return () => this.changeHandlers.delete(handler);
+  }
+
+  emit(action, record) {
+    const source = this.toSource(record);
+    console.log(`NDI browser: ${action} ${source.name}${source.port ? ` (${source.host}:${source.port})` : ''}`);
+    this.changeHandlers.forEach(handler => {
+      try {
+        handler(action, source);
+      } catch (error) {
+        console.error('NDI browser change handler error:', error);
+      }
+    });
+  }
+
+  queryService() {
+    this.query([{ name: NDI_SERVICE, type: 'PTR' }]);
+  }
+
+  query(questions) {
+    if (!this.mdnsClient) return;
+    this.mdnsClient.query({ questions }, (error) => {
+      if (error) console.error('NDI browser: mDNS query failed:', error.message);
+    });
+  }
+
+  handleRecords(records) {
+    const changed = new Set();
+    const now = Date.now();
+
+    // Addresses first so SRV targets in the same packet resolve immediately
+    records.forEach(record => {
+      if (record.type !== 'A' && record.type !== 'AAAA') return;
+      const hostname = record.name.toLowerCase();
+      if (!this.hostAddresses.has(hostname)) this.hostAddresses.set(hostname, new Map());
+      const addresses = this.hostAddresses.get(hostname);
+      if (record.ttl === 0) {
+        addresses.delete(record.data);
+      } else if (!addresses.has(record.data)) {
+        addresses.set(record.data, now + record.ttl * 1000);
+        this.sources.forEach(source => {
+          if (source.host && source.host.toLowerCase() === hostname) changed.add(source);
+        });
+      } else {
+        addresses.set(record.data, now + record.ttl * 1000);
+      }
+    });
+
+    records.forEach(record => {
+      if (record.type === 'PTR' && record.name === NDI_SERVICE) {
+        const instance = record.data;
+        if (!instance || !instance.endsWith(NDI_SUFFIX)) return;
+        if (record.ttl === 0) {
+          this.remove(instance);
+          return;
+        }
+        const source = this.getOrAdd(instance, record.ttl);
+        source.expiresAt = now + record.ttl * 1000;
+        source.ttl = record.ttl;
+        source.refreshQueried = false;
+      } else if ((record.type === 'SRV' || record.type === 'TXT') && record.name.endsWith(NDI_SUFFIX)) {
+        if (record.ttl === 0) {
+          this.remove(record.name);
+          return;
+        }
+        const source = this.getOrAdd(record.name, record.ttl);
+        if (record.type === 'SRV') {
+          const host = (record.data.target || '').replace(/\.$/, '');
+          if (source.host !== host || source.port !== record.data.port) {
+            source.host = host;
+            source.port = record.data.port;
+            changed.add(source);
+          }
+        } else {
+          const txt = parseTxt(record.data);
+          if (JSON.stringify(txt) !== JSON.stringify(source.txt)) {
+            source.txt = txt;
+            changed.add(source);
+          }
+        }
+      }
+    });
+
+    changed.forEach(source => {
+      // New sources are reported as added below, removed ones already were
+      if (source.announced && this.sources.get(source.instance) === source) {
+        this.emit('updated', source);
+        this.resolveDetails(source);
+      }
+    });
+    this.sources.forEach(source => {
+      if (!source.announced) {
+        source.announced = true;
+        this.emit('added', source);
+        this.resolveDetails(source);
+      }
+    });
+  }
+
+  getOrAdd(instance, ttl) {
+    let source = this.sources.get(instance);
+    if (!source) {
+      const now = Date.now();
+      source = {
+        instance,
+        name: instance.slice(0, -NDI_SUFFIX.length),
+        host: null,
+        port: null,
+        txt: {},
+        ttl: ttl || DEFAULT_TTL_SECONDS,
+        expiresAt: now + (ttl || DEFAULT_TTL_SECONDS) * 1000,
+        firstSeen: new Date(now).toISOString(),
+        refreshQueried: false,
+        announced: false
+      };
+      this.sources.set(instance, source);
+    }
+    return source;
+  }
+
+  // Ask for SRV/TXT (and the host's address) when the PTR answer did not include them
+  resolveDetails(source) {
+    const questions = [];
+    if (!source.port) {
+      questions.push({ name: source.instance, type: 'SRV' }, { name: source.instance, type: 'TXT' });
+    }
+    if (source.host && this.getAddresses(source.host).length === 0) {
+      questions.push({ name: source.host, type: 'A' });
+    }
+    if (questions.length) this.query(questions);
+  }
+
+  remove(instance) {
+    const source = this.sources.get(instance);
+    if (!source) return;
+    this.sources.delete(instance);
+    if (source.announced) this.emit('removed', source);
+  }
+
+  /**
+   * Drop expired sources and re-query ones close to expiry
+   */
+  sweep() {
+    const now = Date.now();
+    this.sources.forEach(source => {
+      if (now >= source.expiresAt) {
+        this.remove(source.instance);
+        return;
+      }
+      const refreshAt = source.expiresAt - source.ttl * 1000 * (1 - REFRESH_AT_TTL_FRACTION);
+      if (now >= refreshAt && !source.refreshQueried) {
+        source.refreshQueried = true;
+        this.query([{ name: NDI_SERVICE, type: 'PTR' }, { name: source.instance, type: 'SRV' }]);
+      }
+    });
+    this.hostAddresses.forEach((addresses, hostname) => {
+      addresses.forEach((expiresAt, address) => {
+        if (now >= expiresAt) addresses.delete(address);
+      });
+      if (addresses.size === 0) this.hostAddresses.delete(hostname);
+    });
+  }
+
+  getAddresses(host) {
+    const addresses = this.hostAddresses.get((host || '').toLowerCase());
+    return addresses ? Array.from(addresses.keys()) : [];
+  }
+
+  toSource(record) {
+    return {
+      id: record.name,
+      name: record.name,
+      host: record.host,
+      addresses: this.getAddresses(record.host),
+      port: record.port,
+      txt: record.txt,
+      firstSeen: record.firstSeen,
+      expiresAt: new Date(record.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Resolves once the start-up queries had time to be answered
+   */
+  async ready() {
+    const remaining = this.startedAt === null ? 0 : this.startedAt + STARTUP_WINDOW_MS - Date.now();
+    if (remaining > 0) {
+      await new Promise(resolve => setTimeout(resolve, remaining));
+    }
+  }
+
+  /**
+   * Currently known sources
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.sources.values())
+      .filter(source => source.announced)
+      .map(source => this.toSource(source));
+  }
+
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    if (this.mdnsClient) {
+      this.mdnsClient.destroy();
+      this.mdnsClient = null;
+    }
+  }
+}
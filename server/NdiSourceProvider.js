@@ -0,0 +1,158 @@
+/**
+ * NDI Source Provider
+ * Lists NDI sources (background mDNS browser, NDI Tools registry) and captures them through
+ * OBS Virtual Camera (DirectShow, Windows) or FFmpeg built with NDI support.
+ */
+
+import { promisify } from 'util';
+import { exec } from 'child_process';
+import { HttpError } from './HttpError.js';
+
+const execAsync = promisify(exec);
+
+const OBS_VIRTUAL_CAMERA_DEVICES = ['OBS Virtual Camera', 'OBS-Camera', 'obs-virtual-camera'];
+
+export class NdiSourceProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.ffmpegBinary - FFmpeg executable
+   * @param {NdiBrowser} options.browser - Running mDNS browser
+   * @param {Function} options.getCapabilities - async () => FFmpeg capabilities (see ffmpegCapabilities.js)
+   */
+  constructor({ ffmpegBinary, browser, getCapabilities }) {
+    this.id = 'ndi';
+    this.label = 'NDI';
+    this.ffmpegBinary = ffmpegBinary;
+    this.browser = browser;
+    this.getCapabilities = getCapabilities;
+  }
+
+  /**
+   * NDI sources currently known to the mDNS browser, plus NDI Tools entries on Windows
+   * @returns {Promise<Object[]>} Source descriptors (with host, addresses and port when resolved)
+   */
+  async discover() {
+    await this.browser.ready();
+    // NDI sources keep their plain name as id (what older clients send to /ndi/ws)
+    const sources = this.browser.list();
+
+    // Try using NDI Tools command line (if available on Windows)
+    if (process.platform === 'win32') {
+      try {
+        const streams = await this.discoverViaTools();
+        streams.forEach(stream => {
+          if (!sources.some(source => source.name === stream)) {
+            sources.push({ id: stream, name: stream });
+          }
+        });
+        console.log(`NDI Tools discovery found ${streams.length} stream(s)`);
+      } catch (error) {
+        console.error('NDI Tools discovery error:', error.message);
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Resolve FFmpeg input arguments for an NDI source. Prefers OBS Virtual Camera
+   * (works with standard FFmpeg on Windows) and falls back to direct NDI
+   * (needs FFmpeg with NDI support).
+   * @param {string} streamName - NDI source name
+   * @returns {Promise<{args: string[], method: string}>}
+   */
+  async resolveInput(streamName) {
+    const { features } = await this.getCapabilities();
+
+    if (process.platform === 'win32' && features.dshow) {
+      try {
+        let ffmpegOutput = '';
+        try {
+          const result = await execAsync(`"${this.ffmpegBinary}" -list_devices true -f dshow -i dummy`, { timeout: 3000 });
+          ffmpegOutput = (result.stdout || '') + (result.stderr || '');
+        } catch (error) {
+          ffmpegOutput = (error.stdout || '') + (error.stderr || '');
+        }
+        const virtualCameraName = OBS_VIRTUAL_CAMERA_DEVICES.find(deviceName => ffmpegOutput.includes(deviceName));
+        if (virtualCameraName) {
+          console.log(`Found OBS Virtual Camera: ${virtualCameraName}`);
+          return {
+            method: 'OBS Virtual Camera',
+            args: ['-f', 'dshow', '-framerate', '30', '-i', `video=${virtualCameraName}`]
+          };
+        }
+      } catch (error) {
+        console.log('Could not check for OBS Virtual Camera, trying direct NDI...', error.message);
+      }
+    }
+
+    if (!features.libndi_newtek) {
+      throw new HttpError(
+        features.dshow
+          ? 'OBS Virtual Camera is not running and FFmpeg was built without NDI support (libndi_newtek)'
+          : 'FFmpeg was built without NDI support (libndi_newtek) and DirectShow is not available on this server',
+        501
+      );
+    }
+
+    return {
+      method: 'Direct NDI',
+      args: ['-f', 'libndi_newtek', '-i', streamName]
+    };
+  }
+
+  /**
+   * Instructions returned when no capture method works for a source
+   */
+  getSetupHelp(streamName) {
+    return {
+      error: 'NDI streaming requires OBS Virtual Camera or FFmpeg with NDI support',
+      streamName,
+      solution: 'Use OBS Virtual Camera as a bridge',
+      instructions: [
+        '1. Install OBS Studio (https://obsproject.com/)',
+        '2. In OBS: Sources > Add > NDI Source',
+        '3. Select your NDI stream: "' + streamName + '"',
+        '4. Tools > Start Virtual Camera',
+        '5. Refresh and try again - the server will automatically detect OBS Virtual Camera'
+      ],
+      alternative: 'Or install FFmpeg compiled with NDI SDK support (see NDI_SETUP.md), or configure the source in live-sources.json'
+    };
+  }
+
+  // Discover using NDI Tools or system commands (Windows)
+  async discoverViaTools() {
+    const streams = [];
+
+    // NDI sometimes stores source information in the registry
+    try {
+      const { stdout } = await execAsync(
+        'reg query "HKEY_CURRENT_USER\\Software\\NewTek\\NDI" /s 2>nul || echo ""',
+        { timeout: 2000 }
+      );
+
+      // Parse registry output for NDI source names
+      // This is a basic implementation - may need refinement
+      const lines = stdout.split('\n');
+      lines.forEach(line => {
+        const match = line.match(/NDI.*Source|Source.*Name/i);
+        if (match) {
+          // Extract potential source name
+          const parts = line.split(/\s+/);
+          parts.forEach(part => {
+            if (part.length > 3 && !part.includes('REG_') && !part.includes('HKEY')) {
+              if (!streams.includes(part)) {
+                streams.push(part);
+              }
+            }
+          });
+        }
+      });
+    } catch (error) {
+      // Registry query failed - this is expected if NDI isn't configured this way
+      console.log('Registry query not available or no NDI registry entries found');
+    }
+
+    return streams;
+  }
+}
@@ -0,0 +1,428 @@
+/**
+ * OSC Bridge
+ * Lets show-control gear (QLab, TouchOSC, lighting desks) drive the preview over OSC.
+ * Messages received on a UDP port are checked against the /stage address space and
+ * relayed to every browser on the event channel as osc:command; one browser, picked by
+ * the bridge and told with osc:report, reports its state back (osc:state) and changes
+ * are sent out as OSC on the same addresses, so faders and buttons on the controller
+ * follow the preview. Without a bridge (OSC_PORT unset) no browser reports.
+ *
+ *   /stage/play [0|1]            Play (0 pauses)        feedback: 1 playing, 0 paused
+ *   /stage/pause                 Pause
+ *   /stage/toggle                Play/pause
+ *   /stage/stop                  Pause and go to frame 0
+ *   /stage/seek <frame>          Go to a frame          feedback: current frame
+ *   /stage/mapping <type>        Switch LED mapping     feedback: current mapping
+ *   /stage/camera <index>        Camera preset          feedback: preset index, -1 when moved
+ *   /stage/light/intensity <v>   Key light intensity    feedback: current intensity
+ *   /stage/crowd/count <n>       Crowd instances        feedback: current count
+ *   /stage/state                 Send all feedback values again
+ *   /stage/timecode <tc> [fps]   Show clock, handed to the timecode receiver (see TimecodeReceiver)
+ *
+ * Feedback also goes out on /stage/time (seconds). Bundles are unpacked and their
+ * messages run immediately; time tags are ignored.
+ */
+
+import dgram from 'dgram';
+
+// Senders stop receiving feedback after this long without sending anything
+const SENDER_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_SENDERS = 8;
+
+// ----------------------------------------------------------------------------
+// OSC 1.0 encoding
+// ----------------------------------------------------------------------------
+
+const pad4 = length => (length + 3) & ~3;
+
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end < 0) throw new Error('Unterminated OSC string');
+  return { value: buffer.toString('utf8', offset, end), offset: offset + pad4(end - offset + 1) };
+}
+
+function checkLength(buffer, offset, length) {
+  if (offset + length > buffer.length) throw new Error('Truncated OSC argument');
+}
+
+function decodeMessage(buffer) {
+  const address = readString(buffer, 0);
+  if (!address.value.startsWith('/')) throw new Error(`Invalid OSC address "${address.value}"`);
+  const args = [];
+  if (address.offset >= buffer.length) return { address: address.value, args }; // No type tag string (OSC 1.0 allows it)
+
+  const tags = readString(buffer, address.offset);
+  if (!tags.value.startsWith(',')) throw new Error('Missing OSC type tags');
+  let offset = tags.offset;
+  for (const tag of tags.value.slice(1)) {
+    switch (tag) {
+      case 'i':
+        checkLength(buffer, offset, 4);
+        args.push(buffer.readInt32BE(offset));
+        offset += 4;
+        break;
+      case 'f':
+        checkLength(buffer, offset, 4);
+        args.push(buffer.readFloatBE(offset));
+        offset += 4;
+        break;
+      case 'h':
+        checkLength(buffer, offset, 8);
+        args.push(Number(buffer.readBigInt64BE(offset)));
+        offset += 8;
+        break;
+      case 'd':
+        checkLength(buffer, offset, 8);
+        args.push(buffer.readDoubleBE(offset));
+        offset += 8;
+        break;
+      case 't':
+        checkLength(buffer, offset, 8);
+        offset += 8; // Time tag argument, not used
+        args.push(null);
+        break;
+      case 's':
+      case 'S': {
+        const string = readString(buffer, offset);
+        args.push(string.value);
+        offset = string.offset;
+        break;
+      }
+      case 'b': {
+        checkLength(buffer, offset, 4);
+        const size = buffer.readInt32BE(offset);
+        checkLength(buffer, offset + 4, size);
+        args.push(buffer.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + pad4(size);
+        break;
+      }
+      case 'T':
+        args.push(true);
+        break;
+      case 'F':
+        args.push(false);
+        break;
+      case 'N':
+      case 'I':
+        args.push(null);
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag "${tag}"`);
+    }
+  }
+  return { address: address.value, args };
+}
+
+/**
+ * Messages of an OSC packet, with bundles flattened
+ * @param {Buffer} buffer
+ * @returns {{address: string, args: Array}[]}
+ */
+export function decodeOscPacket(buffer) {
+  if (buffer.length < 4 || buffer.length % 4 !== 0) throw new Error('OSC packet size must be a multiple of 4');
+  if (buffer[0] !== 0x23) return [decodeMessage(buffer)]; // Not "#": a single message
+
+  const header = readString(buffer, 0);
+  if (header.value !== '#bundle') throw new Error('Invalid OSC bundle');
+  const messages = [];
+  let offset = header.offset + 8; // Skip the time tag
+  while (offset < buffer.length) {
+    checkLength(buffer, offset, 4);
+    const size = buffer.readInt32BE(offset);
+    checkLength(buffer, offset + 4, size);
+    messages.push(...decodeOscPacket(buffer.subarray(offset + 4, offset + 4 + size)));
+    offset += 4 + size;
+  }
+  return messages;
+}
+
+function encodeString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  const buffer = Buffer.alloc(pad4(bytes.length + 1));
+  bytes.copy(buffer);
+  return buffer;
+}
+
+/**
+ * @param {string} address
+ * @param {Array<{type: 'i'|'f'|'s'|'T'|'F', value: *}>} args
+ * @returns {Buffer}
+ */
+export function encodeOscMessage(address, args = []) {
+  const parts = [encodeString(address), encodeString(`,${args.map(arg => arg.type).join('')}`)];
+  args.forEach(({ type, value }) => {
+    if (type === 'i') {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(Math.round(value));
+      parts.push(buffer);
+    } else if (type === 'f') {
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatBE(value);
+      parts.push(buffer);
+    } else if (type === 's') {
+      parts.push(encodeString(String(value)));
+    } else if (type !== 'T' && type !== 'F') {
+      throw new Error(`Unsupported OSC type tag "${type}"`);
+    }
+  });
+  return Buffer.concat(parts);
+}
+
+// ----------------------------------------------------------------------------
+// Address space
+// ----------------------------------------------------------------------------
+
+function toNumber(arg) {
+  if (typeof arg === 'boolean') return arg ? 1 : 0;
+  const value = typeof arg === 'string' ? parseFloat(arg) : arg;
+  return typeof value === 'number' && isFinite(value) ? value : NaN;
+}
+
+function requireNumber(address, args, { integer = false } = {}) {
+  const value = toNumber(args[0]);
+  if (!(value >= 0)) throw new Error(`${address} needs a number >= 0`);
+  return integer ? Math.round(value) : value;
+}
+
+// Buttons on most controllers send 1 on press and 0 on release; triggers fire on press only
+const trigger = args => (args.length === 0 || toNumber(args[0]) !== 0 ? null : undefined);
+
+// Address -> (args) => value relayed to the browsers, undefined to ignore the message
+const COMMANDS = {
+  '/stage/play': args => args.length === 0 || toNumber(args[0]) !== 0,
+  '/stage/pause': trigger,
+  '/stage/toggle': trigger,
+  '/stage/stop': trigger,
+  '/stage/seek': args => requireNumber('/stage/seek', args, { integer: true }),
+  '/stage/mapping': (args) => {
+    if (typeof args[0] !== 'string' || !args[0]) throw new Error('/stage/mapping needs a mapping type');
+    return args[0];
+  },
+  '/stage/camera': args => requireNumber('/stage/camera', args, { integer: true }),
+  '/stage/light/intensity': args => requireNumber('/stage/light/intensity', args),
+  '/stage/crowd/count': args => requireNumber('/stage/crowd/count', args, { integer: true })
+};
+
+// osc:state key -> feedback address and type
+const FEEDBACK = {
+  playing: { address: '/stage/play', type: 'i', read: value => (value ? 1 : 0) },
+  frame: { address: '/stage/seek', type: 'i', read: value => Math.round(value) },
+  time: { address: '/stage/time', type: 'f', read: value => value },
+  mapping: { address: '/stage/mapping', type: 's', read: value => value },
+  camera: { address: '/stage/camera', type: 'i', read: value => (value === null ? -1 : Math.round(value)) },
+  lightIntensity: { address: '/stage/light/intensity', type: 'f', read: value => value },
+  crowdCount: { address: '/stage/crowd/count', type: 'i', read: value => Math.round(value) }
+};
+
+/**
+ * Parse "host:port" feedback targets
+ * @param {string} value - Comma-separated list
+ * @returns {{host: string, port: number}[]}
+ */
+export function parseOscTargets(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.lastIndexOf(':');
+    const port = parseInt(entry.slice(separator + 1), 10);
+    if (separator <= 0 || !(port > 0 && port < 65536)) {
+      throw new Error(`Invalid OSC feedback target "${entry}" (expected host:port)`);
+    }
+    return { host: entry.slice(0, separator), port };
+  });
+}
+
+export class OscBridge {
+  /**
+   * @param {Object} options
+   * @param {import('./EventHub.js').EventHub} options.eventHub - Relays commands to the browsers
+   * @param {number} options.port - UDP port to listen on
+   * @param {string} [options.host] - Interface to listen on
+   * @param {{host: string, port: number}[]} [options.feedbackTargets] - Always sent feedback
+   * @param {boolean} [options.feedbackToSenders] - Also send feedback to whoever sent commands
+   * @param {Function} [options.onTimecode] - Called with the arguments of /stage/timecode messages
+   */
+  constructor({ eventHub, port, host = '0.0.0.0', feedbackTargets = [], feedbackToSenders = true, onTimecode = null }) {
+    this.eventHub = eventHub;
+    this.port = port;
+    this.host = host;
+    this.feedbackTargets = feedbackTargets;
+    this.feedbackToSenders = feedbackToSenders;
+    this.onTimecode = onTimecode;
+
+    this.socket = null;
+    this.senders = new Map(); // "host:port" -> { host, port, lastSeen }
+    this.values = {}; // Last feedback value per state key
+    this.stateSource = null; // Browser whose state is sent as feedback
+    this.controlClients = new Set(); // Browsers allowed to report state (not viewers), oldest first
+    this.received = 0;
+    this.rejected = 0;
+    this.lastMessageAt = null;
+
+    this.eventHub.onConnect((ws, req) => {
+      if (req && req.access && req.access.role === 'viewer') return;
+      this.controlClients.add(ws);
+      ws.on('close', () => {
+        this.controlClients.delete(ws);
+        if (ws === this.stateSource) {
+          this.stateSource = null;
+          this.pickStateSource();
+        }
+      });
+      this.pickStateSource();
+    });
+    this.eventHub.on('osc:state', (data, ws) => this.handleState(data, ws));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      socket.once('error', reject);
+      socket.on('message', (message, remote) => this.handlePacket(message, remote));
+      socket.bind(this.port, this.host, () => {
+        socket.off('error', reject);
+        socket.on('error', error => console.error('OSC socket error:', error.message));
+        this.socket = socket;
+        this.pickStateSource();
+        resolve();
+      });
+    });
+  }
+
+  handlePacket(buffer, remote) {
+    let messages;
+    try {
+      messages = decodeOscPacket(buffer);
+    } catch (error) {
+      this.rejected++;
+      console.warn(`OSC: ignored packet from ${remote.address}:${remote.port}: ${error.message}`);
+      return;
+    }
+
+    this.rememberSender(remote);
+    messages.forEach(({ address, args }) => {
+      if (address === '/stage/state') {
+        if (trigger(args) === undefined) return;
+        this.sendAll({ host: remote.address, port: remote.port });
+        return;
+      }
+      if (address === '/stage/timecode' && this.onTimecode) {
+        try {
+          this.onTimecode(args);
+        } catch (error) {
+          this.rejected++;
+          console.warn(`OSC: ${error.message}`);
+        }
+        return;
+      }
+      const command = COMMANDS[address];
+      if (!command) {
+        this.rejected++;
+        return; // Other address spaces share the port on some desks
+      }
+      try {
+        const value = command(args);
+        if (value === undefined) return;
+        this.received++;
+        this.lastMessageAt = new Date().toISOString();
+        this.eventHub.broadcast('osc:command', { address, value });
+      } catch (error) {
+        this.rejected++;
+        console.warn(`OSC: ${error.message}`);
+      }
+    });
+  }
+
+  rememberSender(remote) {
+    if (!this.feedbackToSenders) return;
+    const now = Date.now();
+    const key = `${remote.address}:${remote.port}`;
+    this.senders.delete(key); // Re-insert so the map stays ordered by last contact
+    this.senders.set(key, { host: remote.address, port: remote.port, lastSeen: now });
+    this.senders.forEach((sender, senderKey) => {
+      if (now - sender.lastSeen > SENDER_TIMEOUT_MS) this.senders.delete(senderKey);
+    });
+    // Oldest first: drop the senders heard from least recently
+    while (this.senders.size > MAX_SENDERS) {
+      this.senders.delete(this.senders.keys().next().value);
+    }
+  }
+
+  /**
+   * Ask the longest-connected control browser to report its state, while listening and
+   * nobody else does. Only one browser reports so several open previews do not make
+   * the controller flicker.
+   */
+  pickStateSource() {
+    if (!this.socket || this.stateSource || this.controlClients.size === 0) return;
+    this.stateSource = this.controlClients.values().next().value;
+    this.eventHub.send(this.stateSource, 'osc:report', { active: true });
+  }
+
+  /**
+   * State reported by the state source; changed values go out as OSC
+   */
+  handleState(data, ws) {
+    if (ws !== this.stateSource || !data || typeof data.state !== 'object' || !data.state) return;
+
+    Object.entries(FEEDBACK).forEach(([key, feedback]) => {
+      const raw = data.state[key];
+      if (raw === undefined) return;
+      if (feedback.type === 's' ? typeof raw !== 'string' : raw !== null && typeof raw !== 'number' && typeof raw !== 'boolean') return;
+      const value = feedback.read(raw);
+      if (value === this.values[key]) return;
+      this.values[key] = value;
+      this.send(encodeOscMessage(feedback.address, [{ type: feedback.type, value }]));
+    });
+  }
+
+  getTargets() {
+    const targets = new Map();
+    this.feedbackTargets.forEach(target => targets.set(`${target.host}:${target.port}`, target));
+    this.senders.forEach((sender, key) => targets.set(key, sender));
+    return Array.from(targets.values());
+  }
+
+  send(packet, targets = this.getTargets()) {
+    if (!this.socket) return;
+    targets.forEach(({ host, port }) => {
+      this.socket.send(packet, port, host, (error) => {
+        if (error) console.warn(`OSC: could not send feedback to ${host}:${port}: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Every known feedback value, for a controller that just connected
+   */
+  sendAll(target) {
+    Object.entries(FEEDBACK).forEach(([key, feedback]) => {
+      if (this.values[key] === undefined) return;
+      this.send(encodeOscMessage(feedback.address, [{ type: feedback.type, value: this.values[key] }]), [target]);
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.socket,
+      port: this.port,
+      received: this.received,
+      rejected: this.rejected,
+      lastMessageAt: this.lastMessageAt,
+      feedbackTargets: this.getTargets().map(({ host, port }) => `${host}:${port}`)
+    };
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    if (this.stateSource) {
+      this.eventHub.send(this.stateSource, 'osc:report', { active: false });
+      this.stateSource = null;
+    }
+  }
+}
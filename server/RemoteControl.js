@@ -0,0 +1,199 @@
+/**
+ * Remote Control
+ * HTTP control of the preview for automation scripts and Stream Deck style controllers.
+ * Commands are checked here, relayed to every browser on the event channel and applied
+ * there through the app's own controls; the request returns once a browser has
+ * acknowledged it, with that browser's state.
+ *
+ *   POST /api/control/play
+ *   POST /api/control/pause
+ *   POST /api/control/seek      { time } seconds or { frame }
+ *   POST /api/control/load      { mediaId } or { name } of a media library file
+ *   POST /api/control/mapping   { type }
+ *   POST /api/control/camera    { index } camera preset
+ *   POST /api/control/look      { id } or { name } of a saved look
+ *   GET  /api/control/state
+ *
+ *   control:command { id, action, params }            server -> browsers
+ *   control:ack     { id, state, warnings, error }    browser -> server
+ *
+ * The first answer from a control browser (not a viewer) completes the request.
+ * Every request needs "Authorization: Bearer <CONTROL_API_TOKEN>", a long-lived token
+ * set on the server, whether or not access control is on (AccessControl lets
+ * /api/control through to this check). Without CONTROL_API_TOKEN the API is off.
+ */
+
+import crypto from 'crypto';
+import { HttpError } from './HttpError.js';
+
+const ACK_TIMEOUT_MS = 3000;
+const LOAD_TIMEOUT_MS = 10000; // Browsers answer a load once the media is showing
+
+function sameSecret(a, b) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function findByName(items, name) {
+  const wanted = String(name).toLowerCase();
+  return items.find(item => item.name.toLowerCase() === wanted) || null;
+}
+
+// Action -> (body) => params sent to the browsers; throws HttpError for bad input
+const ACTIONS = {
+  play: () => ({}),
+  pause: () => ({}),
+  seek({ time, frame }) {
+    if (time !== undefined) {
+      if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) throw new HttpError('"time" must be seconds >= 0');
+      return { time };
+    }
+    if (frame !== undefined) {
+      if (!Number.isInteger(frame) || frame < 0) throw new HttpError('"frame" must be an integer >= 0');
+      return { frame };
+    }
+    throw new HttpError('seek needs "time" (seconds) or "frame"');
+  },
+  load({ mediaId, name }) {
+    if (mediaId === undefined && name === undefined) throw new HttpError('load needs "mediaId" or "name"');
+    const entry = mediaId !== undefined
+      ? this.mediaLibrary.get(String(mediaId))
+      : findByName(this.mediaLibrary.list(), name);
+    if (!entry) throw new HttpError('Media not found', 404);
+    return { entry };
+  },
+  mapping({ type }) {
+    if (typeof type !== 'string' || !type.trim()) throw new HttpError('mapping needs "type"');
+    return { type: type.trim() };
+  },
+  camera({ index }) {
+    if (!Number.isInteger(index) || index < 0) throw new HttpError('camera needs "index", an integer >= 0');
+    return { index };
+  },
+  async look({ id, name }) {
+    if (id === undefined && name === undefined) throw new HttpError('look needs "id" or "name"');
+    const look = id !== undefined ? await this.lookStore.get(id) : findByName(await this.lookStore.list(), name);
+    if (!look) throw new HttpError('Look not found', 404);
+    return { look };
+  }
+};
+
+export const CONTROL_ACTIONS = Object.keys(ACTIONS);
+
+export class RemoteControl {
+  /**
+   * @param {Object} options
+   * @param {import('./EventHub.js').EventHub} options.eventHub - Relays commands to the browsers
+   * @param {import('./MediaLibrary.js').MediaLibrary} options.mediaLibrary - Resolves load targets
+   * @param {import('./LookStore.js').LookStore} options.lookStore - Resolves look targets
+   * @param {string} [options.apiToken] - Bearer token callers must send; empty turns the API off
+   */
+  constructor({ eventHub, mediaLibrary, lookStore, apiToken = '' }) {
+    this.eventHub = eventHub;
+    this.mediaLibrary = mediaLibrary;
+    this.lookStore = lookStore;
+    this.apiToken = apiToken;
+
+    this.controlClients = new Set(); // Browsers whose acknowledgements count (not viewers)
+    this.pending = new Map(); // Command id -> { resolve, reject, timer }
+    this.commands = 0;
+    this.failed = 0;
+    this.lastCommandAt = null;
+
+    this.eventHub.onConnect((ws, req) => {
+      if (req && req.access && req.access.role === 'viewer') return;
+      this.controlClients.add(ws);
+      ws.on('close', () => this.controlClients.delete(ws));
+    });
+    this.eventHub.on('control:ack', (data, ws) => this.handleAck(data, ws));
+  }
+
+  /**
+   * Express middleware for the /api/control routes: checks the API token
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.apiToken) {
+        return res.status(503).json({ error: 'The control API is off; set CONTROL_API_TOKEN on the server' });
+      }
+      const authorization = req.get('authorization') || '';
+      if (!authorization.startsWith('Bearer ') || !sameSecret(authorization.slice(7).trim(), this.apiToken)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Send "Authorization: Bearer <CONTROL_API_TOKEN>"' });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Check a command, relay it and wait for a browser to apply it
+   * @param {string} action - One of CONTROL_ACTIONS
+   * @param {Object} body - Request body
+   * @returns {Promise<{action: string, state: Object, warnings: string[], clients: number}>}
+   * @throws {HttpError}
+   */
+  async execute(action, body = {}) {
+    if (!Object.hasOwn(ACTIONS, action)) {
+      throw new HttpError(`Unknown action "${action}". Use one of: ${CONTROL_ACTIONS.join(', ')}`, 404);
+    }
+    const params = await ACTIONS[action].call(this, body || {});
+    this.commands++;
+    this.lastCommandAt = new Date().toISOString();
+    try {
+      return await this.dispatch(action, params, action === 'load' ? LOAD_TIMEOUT_MS : ACK_TIMEOUT_MS);
+    } catch (error) {
+      this.failed++;
+      throw error;
+    }
+  }
+
+  /**
+   * State of a connected browser (playback, media, mapping, camera, look)
+   */
+  getState() {
+    return this.dispatch('state', {}, ACK_TIMEOUT_MS);
+  }
+
+  dispatch(action, params, timeoutMs) {
+    if (this.controlClients.size === 0) {
+      return Promise.reject(new HttpError('No preview is open to take the command', 503));
+    }
+    return new Promise((resolve, reject) => {
+      const id = crypto.randomUUID();
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new HttpError('No preview acknowledged the command in time', 504));
+      }, timeoutMs);
+      this.pending.set(id, { action, resolve, reject, timer });
+      this.eventHub.broadcast('control:command', { id, action, params });
+    });
+  }
+
+  handleAck(data, ws) {
+    if (!this.controlClients.has(ws) || !data || typeof data.id !== 'string') return;
+    const pending = this.pending.get(data.id);
+    if (!pending) return; // Already answered by another browser, or timed out
+    clearTimeout(pending.timer);
+    this.pending.delete(data.id);
+    if (data.error) {
+      pending.reject(new HttpError(String(data.error), 409));
+      return;
+    }
+    pending.resolve({
+      action: pending.action,
+      state: data.state || {},
+      warnings: Array.isArray(data.warnings) ? data.warnings.map(String) : [],
+      clients: this.controlClients.size
+    });
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.apiToken,
+      clients: this.controlClients.size,
+      commands: this.commands,
+      failed: this.failed,
+      lastCommandAt: this.lastCommandAt
+    };
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * Review Session
+ * WebSocket channel (/api/session) for collaborative reviews: one client is the
+ * director and broadcasts its view (playback, mapping, camera, shader/light settings),
+ * every other client follows. Any client with the control role can take control or release it.
+ * The server clock is the time authority: clients estimate their offset to it from
+ * ping/pong round trips and stamp/schedule playback in server time.
+ * Synchronized playback is scoped to the session: followers schedule play/seek on the
+ * shared clock and lock onto the director's timeline; the director's own video plays
+ * freely as the reference, and clients that stop following play independently.
+ *
+ * Client -> server messages:
+ *   session:hello   { name, device }            Identify the participant
+ *   session:ping    { clientTime }              Clock sync (client's own clock), answered with session:pong
+ *   session:take    {}                          Become director (replaces the current one)
+ *   session:release {}                          Give up control
+ *   session:state   { sections, capturedAt }    Director only: changed sections, stamped in server time
+ *
+ * Server -> client messages:
+ *   session:welcome      { clientId, serverTime, directorId, participants, state }
+ *   session:participants { directorId, participants }
+ *   session:state        { directorId, sections, capturedAt }
+ *   session:pong         { clientTime, receivedAt, serverTime }   Ping arrival and pong send in server time
+ *   session:error        { message }
+ */
+
+import { WebSocketServer } from 'ws';
+
+const MAX_NAME_LENGTH = 40;
+const DEVICES = ['desktop', 'mobile', 'headset'];
+
+// Server time in ms since the epoch, with sub-millisecond resolution and never stepping back
+const serverNow = () => performance.timeOrigin + performance.now();
+
+export class ReviewSession {
+  constructor() {
+    this.wss = new WebSocketServer({ noServer: true });
+    this.participants = new Map(); // ws -> { id, name, device, role, joinedAt }
+    this.directorId = null;
+    // Last known value of every section: key -> { value, capturedAt }
+    this.state = {};
+    this.nextId = 1;
+
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+  }
+
+  /**
+   * Hand an HTTP upgrade request over to the session channel
+   */
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit('connection', ws, req);
+    });
+  }
+
+  /**
+   * @param {WebSocket} ws
+   * @param {http.IncomingMessage} [req] - Upgrade request; req.access.role is set by access control
+   */
+  handleConnection(ws, req) {
+    const id = `p${this.nextId++}`;
+    const role = req && req.access ? req.access.role : 'control';
+    const participant = { id, name: `Viewer ${id.slice(1)}`, device: 'desktop', role, joinedAt: new Date().toISOString() };
+    this.participants.set(ws, participant);
+    console.log(`Review session: ${participant.name} joined (${this.participants.size} participant(s))`);
+
+    this.send(ws, 'session:welcome', {
+      clientId: id,
+      serverTime: serverNow(),
+      directorId: this.directorId,
+      participants: this.listParticipants(),
+      state: this.state
+    });
+    this.broadcastParticipants();
+
+    ws.on('message', (message) => {
+      let data;
+      try {
+        data = JSON.parse(message.toString());
+      } catch {
+        return; // Ignore malformed messages
+      }
+      if (!data || typeof data.type !== 'string') return;
+      try {
+        this.handleMessage(ws, participant, data);
+      } catch (error) {
+        console.error(`Review session handler error (${data.type}):`, error);
+      }
+    });
+
+    ws.on('close', () => {
+      this.participants.delete(ws);
+      console.log(`Review session: ${participant.name} left (${this.participants.size} participant(s))`);
+      if (this.directorId === id) {
+        this.directorId = null;
+      }
+      this.broadcastParticipants();
+    });
+
+    ws.on('error', (error) => {
+      console.error('Review session socket error:', error.message);
+    });
+  }
+
+  handleMessage(ws, participant, data) {
+    switch (data.type) {
+      case 'session:hello': {
+        if (typeof data.name === 'string' && data.name.trim()) {
+          participant.name = data.name.trim().slice(0, MAX_NAME_LENGTH);
+        }
+        if (DEVICES.includes(data.device)) {
+          participant.device = data.device;
+        }
+        this.broadcastParticipants();
+        break;
+      }
+      case 'session:ping': {
+        const receivedAt = serverNow();
+        this.send(ws, 'session:pong', { clientTime: data.clientTime, receivedAt, serverTime: serverNow() });
+        break;
+      }
+      case 'session:take':
+        if (participant.role === 'viewer') {
+          this.send(ws, 'session:error', { message: 'Read-only access: viewers cannot take control' });
+        } else if (this.directorId !== participant.id) {
+          this.directorId = participant.id;
+          console.log(`Review session: ${participant.name} took control`);
+          this.broadcastParticipants();
+        }
+        break;
+      case 'session:release':
+        if (this.directorId === participant.id) {
+          this.directorId = null;
+          console.log(`Review session: ${participant.name} released control`);
+          this.broadcastParticipants();
+        }
+        break;
+      case 'session:state':
+        this.handleState(ws, participant, data);
+        break;
+      default:
+        break;
+    }
+  }
+
+  handleState(ws, participant, data) {
+    if (this.directorId !== participant.id) {
+      this.send(ws, 'session:error', { message: 'Only the director can change the session state' });
+      return;
+    }
+    if (!data.sections || typeof data.sections !== 'object') return;
+
+    // Director stamps states in server time; never accept a stamp from the future
+    const now = serverNow();
+    const capturedAt = Number.isFinite(data.capturedAt) ? Math.min(data.capturedAt, now) : now;
+
+    Object.entries(data.sections).forEach(([key, value]) => {
+      this.state[key] = { value, capturedAt };
+    });
+    this.broadcast('session:state', {
+      directorId: this.directorId,
+      sections: data.sections,
+      capturedAt
+    }, { except: ws });
+  }
+
+  send(ws, type, payload = {}) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ type, ...payload }));
+  }
+
+  broadcast(type, payload = {}, { except = null } = {}) {
+    const message = JSON.stringify({ type, ...payload });
+    this.wss.clients.forEach(client => {
+      if (client !== except && client.readyState === client.OPEN) {
+        client.send(message);
+      }
+    });
+  }
+
+  broadcastParticipants() {
+    this.broadcast('session:participants', {
+      directorId: this.directorId,
+      participants: this.listParticipants()
+    });
+  }
+
+  listParticipants() {
+    return Array.from(this.participants.values()).map(participant => ({ ...participant }));
+  }
+
+  /**
+   * Session summary for /api/status
+   */
+  getStatus() {
+    const director = this.listParticipants().find(participant => participant.id === this.directorId);
+    return {
+      participants: this.participants.size,
+      director: director ? director.name : null,
+      sections: Object.keys(this.state)
+    };
+  }
+
+  close() {
+    this.wss.clients.forEach(client => client.close());
+  }
+}
@@ -0,0 +1,426 @@
+/**
+ * Source Registry
+ * Runs one FFmpeg capture per source, whatever format its viewers asked for, and fans
+ * the output out to every subscriber. The capture encodes the source once to MPEG-TS
+ * (H.264/AAC, or a stream copy for inputs that already are MPEG-TS), which mpegts
+ * subscribers get as is; mjpeg subscribers share one MJPEG encoder per source that
+ * decodes that stream, so a device is only opened once. Captures and encoders are
+ * reference-counted and stopped shortly after their last subscriber leaves.
+ */
+
+import { spawn } from 'child_process';
+import { MjpegFrameSplitter } from './ndiFrameTransport.js';
+
+// Keep a pipeline alive briefly so page reloads / reconnects do not restart the capture
+const STOP_GRACE_MS = 2000;
+const STDERR_TAIL_LINES = 20;
+// Skip capture output for an encoder this far behind instead of buffering it
+const MAX_ENCODER_BUFFER_BYTES = 8 * 1024 * 1024;
+
+// Capture encoder settings: the MPEG-TS served on /ndi/stream/:streamName and fed to the MJPEG encoder
+const CAPTURE_OUTPUT_ARGS = [
+  '-c:v', 'libx264',       // H.264 video codec
+  '-preset', 'ultrafast',  // Fast encoding for low latency
+  '-tune', 'zerolatency',  // Zero latency tuning
+  // A keyframe every second, so an MJPEG encoder started mid-stream shows a picture quickly
+  '-force_key_frames', 'expr:gte(t,n_forced*1)',
+  '-c:a', 'aac',           // AAC audio codec
+  '-flags', 'low_delay',   // Low delay flag
+  '-strict', 'experimental',
+  '-f', 'mpegts',          // MPEG-TS output format
+  '-'
+];
+
+// MJPEG encoder: reads the capture's MPEG-TS from stdin (short probe, it may join mid-stream)
+const ENCODER_INPUT_ARGS = ['-fflags', 'nobuffer', '-probesize', '1000000', '-analyzeduration', '1000000', '-f', 'mpegts', '-i', 'pipe:0'];
+const MJPEG_OUTPUT_ARGS = [
+  '-vf', 'fps=30',       // 30 frames per second
+  '-f', 'image2pipe',    // Output as image sequence
+  '-vcodec', 'mjpeg',    // MJPEG codec
+  '-q:v', '3',           // Quality (1-31, lower is better)
+  '-'
+];
+
+// mjpeg: JPEG frames for /ndi/ws (canvas texture); mpegts: byte stream for /ndi/stream/:streamName
+export const OUTPUT_FORMATS = ['mjpeg', 'mpegts'];
+
+/**
+ * FFmpeg process shared by a set of subscribers; stopped a grace period after the last one leaves
+ */
+class FfmpegStage {
+  constructor({ key, ffmpegBinary }) {
+    this.key = key;
+    this.ffmpegBinary = ffmpegBinary;
+
+    this.subscribers = new Set();
+    this.process = null;
+    this.stopTimer = null;
+    this.startedAt = null;
+    this.stderrTail = [];
+    this.lastError = null;
+    this.closed = false;
+    this.stopRequested = false;
+    this.onClosed = null; // set by the owner
+    this.whenClosed = new Promise(resolve => {
+      this.resolveClosed = resolve;
+    });
+  }
+
+  /**
+   * Closed, or stopped and on its way out: new subscribers need a new process
+   */
+  get ending() {
+    return this.closed || this.stopRequested;
+  }
+
+  /**
+   * Spawn FFmpeg with the given arguments and watch it; stdout is left to the caller
+   * @param {string[]} args
+   * @param {string} label - For the log
+   */
+  spawnProcess(args, label) {
+    this.process = spawn(this.ffmpegBinary, ['-hide_banner', ...args]);
+    this.startedAt = new Date().toISOString();
+    console.log(`${label} started: ${this.key} (pid ${this.process.pid})`);
+
+    this.process.stderr.on('data', (data) => {
+      const output = data.toString();
+      this.stderrTail.push(...output.trim().split(/\r?\n/));
+      this.stderrTail = this.stderrTail.slice(-STDERR_TAIL_LINES);
+      // FFmpeg outputs to stderr, but we can ignore most of it
+      if ((output.includes('error') || output.includes('Error')) && !this.isExpectedOutput(output)) {
+        console.error(`FFmpeg error (${this.key}):`, output);
+        this.lastError = output.trim();
+        this.forEachSubscriber(subscriber => subscriber.onError?.(`FFmpeg error: ${output}`));
+      }
+    });
+
+    this.process.on('error', (error) => {
+      console.error(`FFmpeg process error (${this.key}):`, error);
+      this.lastError = error.message;
+      this.forEachSubscriber(subscriber => subscriber.onError?.(`Failed to start FFmpeg: ${error.message}`));
+    });
+
+    this.process.on('close', (code) => {
+      console.log(`${label} ended: ${this.key} (exit code ${code})`);
+      if (code && !this.stopRequested && !this.lastError) {
+        this.lastError = this.stderrTail[this.stderrTail.length - 1] || `FFmpeg exited with code ${code}`;
+      }
+      this.process = null;
+      this.handleExit();
+      this.close();
+    });
+  }
+
+  // Cleanup once the process is gone (overridden)
+  handleExit() {}
+
+  // Error output that is not worth reporting (overridden)
+  isExpectedOutput() {
+    return false;
+  }
+
+  forEachSubscriber(callback) {
+    this.subscribers.forEach(subscriber => {
+      try {
+        callback(subscriber);
+      } catch (error) {
+        console.error(`Capture subscriber error (${this.key}):`, error);
+      }
+    });
+  }
+
+  add(subscriber) {
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+    this.subscribers.add(subscriber);
+  }
+
+  remove(subscriber) {
+    this.subscribers.delete(subscriber);
+    if (this.subscribers.size === 0 && !this.stopTimer) {
+      this.stopTimer = setTimeout(() => this.stop(), STOP_GRACE_MS);
+    }
+  }
+
+  stop() {
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+    this.stopRequested = true;
+    if (this.process) {
+      this.process.kill('SIGTERM');
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Notify subscribers that the process is gone and unregister it
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.resolveClosed();
+    clearTimeout(this.stopTimer);
+    const subscribers = Array.from(this.subscribers);
+    this.subscribers.clear();
+    subscribers.forEach(subscriber => {
+      try {
+        subscriber.onClose?.(this.lastError);
+      } catch (error) {
+        console.error(`Capture subscriber error (${this.key}):`, error);
+      }
+    });
+    if (this.onClosed) this.onClosed(this);
+  }
+}
+
+/**
+ * MJPEG frames decoded from a capture's MPEG-TS, shared by all mjpeg subscribers of a source
+ */
+class FrameEncoder extends FfmpegStage {
+  constructor({ pipeline, ffmpegBinary }) {
+    super({ key: `${pipeline.key} (mjpeg)`, ffmpegBinary });
+    this.pipeline = pipeline;
+    this.framesOut = 0;
+    this.skippedBytes = 0;
+    this.reader = null; // This encoder's subscription to the capture
+  }
+
+  start() {
+    const outputArgs = this.pipeline.input.outputArgs?.mjpeg || MJPEG_OUTPUT_ARGS;
+    this.spawnProcess([...ENCODER_INPUT_ARGS, ...outputArgs], 'MJPEG encoder');
+    const stdin = this.process.stdin;
+    stdin.on('error', () => {}); // EPIPE once FFmpeg exits
+
+    const splitter = new MjpegFrameSplitter();
+    this.process.stdout.on('data', (chunk) => {
+      const captureTime = Date.now();
+      splitter.push(chunk).forEach(frame => {
+        this.framesOut++;
+        this.forEachSubscriber(subscriber => subscriber.onFrame?.(frame, captureTime));
+      });
+    });
+
+    // The encoder is a subscriber of the capture like any viewer
+    this.reader = {
+      onData: (chunk) => {
+        if (stdin.writableLength > MAX_ENCODER_BUFFER_BYTES) {
+          this.skippedBytes += chunk.length;
+          return;
+        }
+        stdin.write(chunk);
+      },
+      onError: (message) => this.forEachSubscriber(subscriber => subscriber.onError?.(message)),
+      onClose: (lastError) => {
+        this.reader = null;
+        if (lastError && !this.lastError) this.lastError = lastError;
+        stdin.end();
+      }
+    };
+    this.pipeline.add(this.reader);
+  }
+
+  handleExit() {
+    if (this.reader) {
+      this.pipeline.remove(this.reader);
+      this.reader = null;
+    }
+  }
+
+  // Joining mid-stream, the decoder complains about the frames before the first keyframe
+  isExpectedOutput(output) {
+    return this.framesOut === 0 && /\[(h264|hevc) @|non-existing PPS|decode_slice_header|no frame!/.test(output);
+  }
+
+  getStatus() {
+    return {
+      pid: this.process ? this.process.pid : null,
+      running: !!this.process,
+      startedAt: this.startedAt,
+      subscribers: this.subscribers.size,
+      stopping: !!this.stopTimer,
+      framesOut: this.framesOut,
+      skippedBytes: this.skippedBytes,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * One capture process per source, with the MJPEG encoder started while mjpeg subscribers need it
+ */
+class CapturePipeline extends FfmpegStage {
+  constructor({ key, sourceName, ffmpegBinary, input }) {
+    super({ key, ffmpegBinary });
+    this.sourceName = sourceName;
+    this.input = input; // { args, method, outputArgs?, feed? }
+
+    this.encoder = null;
+    this.bytesOut = 0;
+    this.detachFeed = null;
+  }
+
+  start() {
+    // Inputs may replace the encoder settings (e.g. stream copy for sources that already are MPEG-TS)
+    const outputArgs = this.input.outputArgs?.mpegts || CAPTURE_OUTPUT_ARGS;
+    this.spawnProcess([...this.input.args, ...outputArgs], `Capture via ${this.input.method}`);
+
+    // Inputs read from stdin ('-i pipe:0') are fed by the provider
+    if (this.input.feed) {
+      this.process.stdin.on('error', () => {}); // EPIPE once FFmpeg exits
+      this.detachFeed = this.input.feed(this.process.stdin);
+    }
+
+    this.process.stdout.on('data', (chunk) => {
+      this.bytesOut += chunk.length;
+      this.forEachSubscriber(subscriber => subscriber.onData?.(chunk));
+    });
+  }
+
+  handleExit() {
+    if (this.detachFeed) {
+      this.detachFeed();
+      this.detachFeed = null;
+    }
+  }
+
+  /**
+   * Stage that serves a format: the capture itself for mpegts, the shared encoder for mjpeg
+   */
+  getOutput(format) {
+    if (format === 'mpegts') return this;
+    if (!this.encoder || this.encoder.ending) {
+      const encoder = new FrameEncoder({ pipeline: this, ffmpegBinary: this.ffmpegBinary });
+      encoder.onClosed = () => {
+        if (this.encoder === encoder) this.encoder = null;
+      };
+      this.encoder = encoder;
+      encoder.start();
+    }
+    return this.encoder;
+  }
+
+  // mpegts subscribers (the encoder's own subscription is not a viewer)
+  get mpegtsViewers() {
+    return this.subscribers.size - (this.encoder && this.subscribers.has(this.encoder.reader) ? 1 : 0);
+  }
+
+  /**
+   * Viewers of either format
+   */
+  get viewers() {
+    return this.mpegtsViewers + (this.encoder ? this.encoder.subscribers.size : 0);
+  }
+
+  getStatus() {
+    const mpegtsViewers = this.mpegtsViewers;
+    return {
+      key: this.key,
+      sourceName: this.sourceName,
+      formats: OUTPUT_FORMATS.filter(format => (format === 'mjpeg' ? !!this.encoder : mpegtsViewers > 0)),
+      method: this.input.method,
+      pid: this.process ? this.process.pid : null,
+      running: !!this.process,
+      startedAt: this.startedAt,
+      subscribers: this.viewers,
+      stopping: !!this.stopTimer,
+      bytesOut: this.bytesOut,
+      mjpeg: this.encoder ? this.encoder.getStatus() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+export class SourceRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.ffmpegBinary - FFmpeg executable
+   * @param {Function} options.resolveInput - async (sourceName) => { args: string[], method: string }
+   *   returning the FFmpeg input arguments for a source. Optional fields: outputArgs (format -> args
+   *   replacing the default encoder settings) and feed (stdin) => detach, for inputs read from pipe:0
+   */
+  constructor({ ffmpegBinary, resolveInput }) {
+    this.ffmpegBinary = ffmpegBinary;
+    this.resolveInput = resolveInput;
+    this.pipelines = new Map(); // source name -> CapturePipeline
+    this.pending = new Map(); // source name -> Promise<CapturePipeline> while the input is being resolved
+  }
+
+  /**
+   * Get the running pipeline for a source, starting one if needed
+   * @returns {Promise<CapturePipeline>}
+   */
+  async acquire(sourceName) {
+    const existing = this.pipelines.get(sourceName);
+    if (existing && !existing.ending) return existing;
+    if (this.pending.has(sourceName)) return this.pending.get(sourceName);
+
+    const pending = (async () => {
+      // A capture that is still exiting may hold the device; start the next one once it is gone
+      if (existing) await existing.whenClosed;
+      const input = await this.resolveInput(sourceName);
+      const pipeline = new CapturePipeline({ key: sourceName, sourceName, ffmpegBinary: this.ffmpegBinary, input });
+      pipeline.onClosed = (closed) => {
+        if (this.pipelines.get(sourceName) === closed) {
+          this.pipelines.delete(sourceName);
+        }
+      };
+      this.pipelines.set(sourceName, pipeline);
+      pipeline.start();
+      return pipeline;
+    })().finally(() => {
+      this.pending.delete(sourceName);
+    });
+
+    this.pending.set(sourceName, pending);
+    return pending;
+  }
+
+  /**
+   * Subscribe to a source's output
+   * @param {string} sourceName - Source to capture
+   * @param {string} format - 'mjpeg' (onFrame) or 'mpegts' (onData)
+   * @param {Object} subscriber - Callbacks: onFrame(jpeg, captureTime), onData(chunk), onError(message), onClose(lastError)
+   * @returns {Promise<{pipeline: Object, unsubscribe: Function}>}
+   */
+  async subscribe(sourceName, format, subscriber) {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown output format: ${format}`);
+    }
+    const pipeline = await this.acquire(sourceName);
+    if (pipeline.closed) {
+      // Capture failed while the input was being resolved
+      subscriber.onClose?.(pipeline.lastError);
+      return { pipeline, unsubscribe: () => {} };
+    }
+    const output = pipeline.getOutput(format);
+    output.add(subscriber);
+    console.log(`Capture ${pipeline.key}: ${pipeline.viewers} viewer(s)`);
+
+    let subscribed = true;
+    return {
+      pipeline,
+      unsubscribe: () => {
+        if (!subscribed) return;
+        subscribed = false;
+        output.remove(subscriber);
+        console.log(`Capture ${pipeline.key}: ${pipeline.viewers} viewer(s)`);
+      }
+    };
+  }
+
+  /**
+   * State of every pipeline (for the status endpoint)
+   */
+  getStatus() {
+    return Array.from(this.pipelines.values()).map(pipeline => pipeline.getStatus());
+  }
+
+  /**
+   * Stop all pipelines (server shutdown)
+   */
+  close() {
+    this.pipelines.forEach(pipeline => pipeline.stop());
+  }
+}
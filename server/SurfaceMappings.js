@@ -0,0 +1,159 @@
+/**
+ * Surface Mappings
+ * Per-surface UV rectangles of each LED mapping, read from a JSON file. The same
+ * rectangles the preview meshes sample from the master canvas drive the per-surface
+ * cut export, so delivery files always match what was reviewed. The file is re-read
+ * when it changes.
+ *
+ * led-surfaces.json:
+ *   {
+ *     "mappings": {
+ *       "renderOption1": {
+ *         "label": "Option 1 (4.7:1) - Projection with Front",
+ *         "surfaces": [
+ *           { "name": "LED_FRONT", "uv": [0.3036, 0.1578, 0.6964, 0.9785], "width": 1754, "height": 780 }
+ *         ]
+ *       }
+ *     }
+ *   }
+ * "uv" is [u0, v0, u1, v1] on the master canvas with the origin at the top left,
+ * matching the LED shader (it samples the video at (u, 1 - v)). "width"/"height"
+ * are the surface's native pixel resolution.
+ *
+ * Power estimates use the panel specs in "panels" (pitchMm, maxNits, maxWattsPerSqm,
+ * idleWattsPerSqm). A surface uses "panel" (default: "default"); its area comes from
+ * width x height x pitch unless "areaSqm" is given. "powerBudgetWatts" on a mapping
+ * marks the frames where the estimate exceeds the stage's budget.
+ */
+
+import fs from 'fs/promises';
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_DIMENSION = 8192;
+const DEFAULT_PANEL = 'default';
+const PANEL_FIELDS = ['pitchMm', 'maxNits', 'maxWattsPerSqm', 'idleWattsPerSqm'];
+
+export class SurfaceMappings {
+  /**
+   * @param {Object} options
+   * @param {string} options.configPath - JSON file with the mapping definitions (may not exist)
+   */
+  constructor({ configPath }) {
+    this.configPath = configPath;
+    this.mappings = new Map(); // mapping type -> { type, label, powerBudgetWatts, surfaces }
+    this.panels = new Map(); // panel name -> { pitchMm, maxNits, maxWattsPerSqm, idleWattsPerSqm }
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Re-read the config file if it changed since the last load
+   */
+  async load() {
+    let stats;
+    try {
+      stats = await fs.stat(this.configPath);
+    } catch (error) {
+      this.mappings.clear();
+      this.panels.clear();
+      this.loadedMtime = null;
+      return;
+    }
+    if (this.loadedMtime === stats.mtimeMs) return;
+
+    this.loadedMtime = stats.mtimeMs;
+    this.mappings.clear();
+    this.panels.clear();
+    try {
+      const config = JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+      Object.entries(config.panels || {}).forEach(([name, panel]) => {
+        const problem = this.validatePanel(panel);
+        if (problem) {
+          console.warn(`Surface mappings: skipping panel "${name}" in ${this.configPath}: ${problem}`);
+          return;
+        }
+        this.panels.set(name, { name, label: panel.label || name, ...Object.fromEntries(PANEL_FIELDS.map(field => [field, panel[field]])) });
+      });
+      Object.entries(config.mappings || {}).forEach(([type, mapping]) => {
+        const surfaces = [];
+        (mapping.surfaces || []).forEach((surface, index) => {
+          const problem = this.validate(surface, surfaces);
+          if (problem) {
+            console.warn(`Surface mappings: skipping ${type} surface ${index} in ${this.configPath}: ${problem}`);
+            return;
+          }
+          surfaces.push({
+            name: surface.name,
+            uv: surface.uv.map(Number),
+            width: surface.width,
+            height: surface.height,
+            panel: surface.panel || DEFAULT_PANEL,
+            areaSqm: surface.areaSqm > 0 ? surface.areaSqm : null
+          });
+        });
+        if (surfaces.length > 0) {
+          this.mappings.set(type, {
+            type,
+            label: mapping.label || type,
+            powerBudgetWatts: mapping.powerBudgetWatts > 0 ? mapping.powerBudgetWatts : null,
+            surfaces
+          });
+        }
+      });
+      console.log(`Surface mappings: loaded ${this.mappings.size} mapping(s) from ${this.configPath}`);
+    } catch (error) {
+      console.error(`Surface mappings: could not read ${this.configPath}:`, error.message);
+    }
+  }
+
+  validate(surface, existing) {
+    if (!surface || typeof surface.name !== 'string' || !NAME_PATTERN.test(surface.name)) {
+      return '"name" must use letters, digits, "_" or "-"';
+    }
+    if (existing.some(other => other.name === surface.name)) return `duplicate name "${surface.name}"`;
+    const uv = surface.uv;
+    if (!Array.isArray(uv) || uv.length !== 4 || !uv.every(value => Number.isFinite(value) && value >= 0 && value <= 1)) {
+      return '"uv" must be [u0, v0, u1, v1] between 0 and 1';
+    }
+    if (!(uv[2] > uv[0] && uv[3] > uv[1])) return '"uv" rectangle is empty';
+    const validSize = value => Number.isInteger(value) && value > 0 && value <= MAX_DIMENSION;
+    if (!validSize(surface.width) || !validSize(surface.height)) {
+      return `"width" and "height" must be whole numbers between 1 and ${MAX_DIMENSION}`;
+    }
+    if (surface.panel !== undefined && (typeof surface.panel !== 'string' || !this.panels.has(surface.panel))) {
+      return `unknown panel "${surface.panel}"`;
+    }
+    return null;
+  }
+
+  validatePanel(panel) {
+    if (!panel || typeof panel !== 'object') return 'must be an object';
+    const missing = PANEL_FIELDS.filter(field => !(Number.isFinite(panel[field]) && panel[field] >= 0));
+    if (missing.length > 0) return `needs non-negative numbers for ${missing.join(', ')}`;
+    if (panel.idleWattsPerSqm > panel.maxWattsPerSqm) return '"idleWattsPerSqm" exceeds "maxWattsPerSqm"';
+    return null;
+  }
+
+  /**
+   * Panel spec of a surface, null when no such panel is configured
+   */
+  getPanel(name) {
+    return this.panels.get(name) || null;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} All mappings ({ type, label, powerBudgetWatts, surfaces })
+   */
+  async list() {
+    await this.load();
+    return Array.from(this.mappings.values());
+  }
+
+  /**
+   * @param {string} type - Mapping type (e.g. renderOption1)
+   * @returns {Promise<Object|null>}
+   */
+  async get(type) {
+    await this.load();
+    return this.mappings.get(type) || null;
+  }
+}
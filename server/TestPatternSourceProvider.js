@@ -0,0 +1,133 @@
+/**
+ * Test Pattern Source Provider
+ * Synthetic live sources generated by FFmpeg lavfi (SMPTE bars, moving luma ramp)
+ * with the source label, a wall-clock timecode and a frame counter burned in.
+ * They exercise the whole live path (/ndi/ws, canvas texture, file info) without
+ * NDI hardware; comparing the burned-in timecode with a clock shows end-to-end latency.
+ *
+ * Source ids: '<pattern>@<width>x<height>', e.g. 'test:bars@4465x950'.
+ * Discovery lists every pattern at the LED canvas sizes; any other size can be requested by id.
+ */
+
+import { LED_CANVAS_SIZES } from '../src/config/ledCanvas.js';
+import { HttpError } from './HttpError.js';
+
+const MAX_DIMENSION = 8192;
+
+// lavfi source per pattern (s = size, r = rate)
+const PATTERNS = {
+  bars: {
+    label: 'SMPTE Bars',
+    source: ({ width, height, fps }) => `smptehdbars=s=${width}x${height}:r=${fps}`
+  },
+  ramp: {
+    label: 'Moving Ramp',
+    // 256-step luma sawtooth shifted every frame, scaled up to the canvas
+    source: ({ width, height, fps }) =>
+      `nullsrc=s=256x1:r=${fps},geq=lum='mod(X+N*2\\,256)':cb=128:cr=128,scale=${width}:${height}:flags=neighbor`
+  }
+};
+
+// Listed sizes: one per distinct LED canvas, plus HD
+const CANVAS_LABELS = { '4465x950': '4.7:1', '5700x950': '6:1' };
+
+function getListedSizes() {
+  const sizes = new Map();
+  Object.values(LED_CANVAS_SIZES).forEach(({ width, height }) => {
+    sizes.set(`${width}x${height}`, { width, height });
+  });
+  sizes.set('1920x1080', { width: 1920, height: 1080 });
+  return Array.from(sizes.values());
+}
+
+// Escape a drawtext option value (option level, the graph level is quoted)
+function escapeDrawtext(value) {
+  return value.replace(/[\\:']/g, '\\$&');
+}
+
+// Wall-clock time of day as HH:MM:SS:FF
+function getWallClockTimecode(fps, date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const frames = Math.floor(date.getMilliseconds() / 1000 * fps);
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}:${pad(frames)}`;
+}
+
+export class TestPatternSourceProvider {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.fps] - Frame rate of the generated sources
+   */
+  constructor({ fps = 30 } = {}) {
+    this.id = 'test';
+    this.label = 'Test Patterns';
+    this.fps = fps;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Every pattern at every listed size
+   */
+  async discover() {
+    const sources = [];
+    Object.entries(PATTERNS).forEach(([pattern, { label }]) => {
+      getListedSizes().forEach(({ width, height }) => {
+        const size = `${width}x${height}`;
+        const aspect = CANVAS_LABELS[size] ? `${CANVAS_LABELS[size]} ` : '';
+        sources.push({
+          id: `${pattern}@${size}`,
+          name: `${label} ${aspect}(${size})`,
+          method: 'Test pattern'
+        });
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Parse '<pattern>@<width>x<height>'
+   */
+  parseId(localId) {
+    const match = /^([a-z]+)@(\d+)x(\d+)$/.exec(localId);
+    if (!match || !PATTERNS[match[1]]) {
+      throw new HttpError(`Unknown test pattern: ${localId}`, 404);
+    }
+    const width = Number(match[2]);
+    const height = Number(match[3]);
+    if (width < 16 || height < 16 || width > MAX_DIMENSION || height > MAX_DIMENSION) {
+      throw new HttpError(`Test pattern size must be between 16 and ${MAX_DIMENSION} pixels`, 400);
+    }
+    // Even dimensions for 4:2:0 output
+    return { pattern: match[1], width: width + (width % 2), height: height + (height % 2) };
+  }
+
+  /**
+   * @param {string} localId - '<pattern>@<width>x<height>'
+   * @returns {Promise<{args: string[], method: string}>}
+   */
+  async resolveInput(localId) {
+    const { pattern, width, height } = this.parseId(localId);
+    const fps = this.fps;
+
+    const fontSize = Math.max(16, Math.round(height / 12));
+    const margin = Math.round(fontSize * 0.6);
+    const lineHeight = Math.round(fontSize * 1.4);
+    const textStyle = `fontsize=${fontSize}:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=${Math.round(fontSize / 6)}:x=${margin}`;
+    const drawText = (options, line) => `drawtext=${options}:${textStyle}:y=${margin + line * lineHeight}`;
+
+    const label = `${PATTERNS[pattern].label} ${width}x${height} ${fps}fps`;
+    // Timecode starts at the current time of day and counts frames, so it follows the wall clock
+    // as long as FFmpeg keeps up with real time
+    const filters = [
+      PATTERNS[pattern].source({ width, height, fps }),
+      'format=yuv420p',
+      drawText(`text='${escapeDrawtext(label)}'`, 0),
+      drawText(`timecode='${escapeDrawtext(getWallClockTimecode(fps))}':rate=${fps}:text='TC\\ '`, 1),
+      drawText(`text='FRAME %{n}'`, 2)
+    ];
+
+    return {
+      method: 'Test pattern',
+      // -re paces generation at the frame rate like a live source
+      args: ['-re', '-f', 'lavfi', '-i', filters.join(',')]
+    };
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Timecode Receiver
+ * Decodes the show clock from Art-Net OpTimeCode packets (see ArtNetListener) or,
+ * as a fallback, from OSC /stage/timecode messages relayed by the OSC bridge, and
+ * broadcasts every frame to the browsers as timecode:frame so the preview can chase it.
+ *
+ *   timecode:frame { timecode: "HH:MM:SS:FF", time (seconds), frameRate, dropFrame, source, serverTime }
+ *
+ * OSC timecode is ignored while Art-Net timecode is arriving.
+ */
+
+import { ARTNET_OPCODES } from './ArtNetListener.js';
+import { parseTimecode, timecodeToSeconds, formatTimecode } from '../src/utils/timecode.js';
+
+// Art-Net timecode type -> frame rate
+const ARTNET_TYPES = [
+  { frameRate: 24, dropFrame: false },
+  { frameRate: 25, dropFrame: false },
+  { frameRate: 29.97, dropFrame: true },
+  { frameRate: 30, dropFrame: false }
+];
+// Art-Net wins over OSC until it has been quiet this long
+const ARTNET_PRIORITY_MS = 1000;
+
+/**
+ * Decode an Art-Net OpTimeCode packet
+ * @param {Buffer} buffer
+ * @returns {{hours: number, minutes: number, seconds: number, frames: number, frameRate: number, dropFrame: boolean}}
+ */
+export function parseArtNetTimecode(buffer) {
+  if (buffer.length < 19) throw new Error('Art-Net timecode packet too short');
+  const [frames, seconds, minutes, hours, type] = buffer.subarray(14, 19);
+  const format = ARTNET_TYPES[type];
+  if (!format) throw new Error(`Unknown Art-Net timecode type ${type}`);
+  if (hours > 23 || minutes > 59 || seconds > 59 || frames >= Math.round(format.frameRate)) {
+    throw new Error('Art-Net timecode out of range');
+  }
+  return { hours, minutes, seconds, frames, ...format };
+}
+
+/**
+ * Decode the arguments of an OSC /stage/timecode message:
+ * "HH:MM:SS:FF" [fps] or hours, minutes, seconds, frames [fps]
+ * @param {Array} args
+ * @param {number} defaultFrameRate - Used when the message has no fps argument
+ */
+export function parseOscTimecode(args, defaultFrameRate) {
+  let timecode;
+  let rateArg;
+  if (typeof args[0] === 'string') {
+    timecode = parseTimecode(args[0]);
+    if (!timecode) throw new Error(`Invalid timecode "${args[0]}"`);
+    rateArg = args[1];
+  } else {
+    const parts = args.slice(0, 4);
+    if (parts.length < 4 || !parts.every(value => Number.isInteger(value) && value >= 0)) {
+      throw new Error('/stage/timecode needs "HH:MM:SS:FF" or hours, minutes, seconds, frames');
+    }
+    const [hours, minutes, seconds, frames] = parts;
+    timecode = { hours, minutes, seconds, frames, dropFrame: false };
+    rateArg = args[4];
+  }
+
+  const frameRate = typeof rateArg === 'number' && rateArg > 0 ? rateArg : defaultFrameRate;
+  const dropFrame = timecode.dropFrame || Math.abs(frameRate - 29.97) < 0.01;
+  if (timecode.hours > 23 || timecode.minutes > 59 || timecode.seconds > 59 || timecode.frames >= Math.round(frameRate)) {
+    throw new Error('Timecode out of range');
+  }
+  return { ...timecode, frameRate: dropFrame ? 29.97 : frameRate, dropFrame };
+}
+
+export class TimecodeReceiver {
+  /**
+   * @param {Object} options
+   * @param {import('./EventHub.js').EventHub} options.eventHub - Relays timecode to the browsers
+   * @param {import('./ArtNetListener.js').ArtNetListener|null} [options.artNet] - Art-Net input, null to only take OSC
+   * @param {number} [options.oscFrameRate] - Frame rate of OSC timecode without an fps argument
+   */
+  constructor({ eventHub, artNet = null, oscFrameRate = 25 }) {
+    this.eventHub = eventHub;
+    this.artNet = artNet;
+    this.oscFrameRate = oscFrameRate;
+
+    this.last = null; // Last broadcast timecode:frame payload
+    this.lastArtNetAt = 0;
+    this.received = 0;
+
+    if (artNet) {
+      artNet.on(ARTNET_OPCODES.timecode, (buffer) => {
+        const timecode = parseArtNetTimecode(buffer);
+        this.lastArtNetAt = Date.now();
+        this.receive(timecode, 'artnet');
+      });
+    }
+  }
+
+  /**
+   * OSC /stage/timecode arguments (see parseOscTimecode)
+   * @throws {Error}
+   */
+  receiveOsc(args) {
+    const timecode = parseOscTimecode(args, this.oscFrameRate);
+    if (Date.now() - this.lastArtNetAt < ARTNET_PRIORITY_MS) return;
+    this.receive(timecode, 'osc');
+  }
+
+  receive(timecode, source) {
+    const nominalRate = timecode.dropFrame ? 30 : timecode.frameRate;
+    this.received++;
+    this.last = {
+      timecode: formatTimecode(timecode, timecode.dropFrame),
+      time: timecodeToSeconds(timecode, nominalRate, timecode.dropFrame),
+      frameRate: timecode.frameRate,
+      dropFrame: timecode.dropFrame,
+      source,
+      serverTime: Date.now()
+    };
+    this.eventHub.broadcast('timecode:frame', this.last);
+  }
+
+  getStatus() {
+    return {
+      artNet: !!this.artNet,
+      received: this.received,
+      last: this.last
+    };
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Timeline Previews
+ * Audio waveform and thumbnail sprite sheet of library videos, drawn under the
+ * timeline so cuts and drops can be found without scrubbing. Both are generated on
+ * first request and cached on disk next to a small JSON description; they are rebuilt
+ * when the source file changes.
+ *
+ *   <cacheDir>/<id>.waveform.json  { sourceModified, sourceSize, duration, peaksPerSecond, peaks }
+ *   <cacheDir>/<id>.filmstrip.json { sourceModified, sourceSize, duration, count, interval, columns, rows, thumbWidth, thumbHeight }
+ *   <cacheDir>/<id>.filmstrip.jpg  Thumbnails in rows of `columns`, left to right
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { HttpError } from './HttpError.js';
+import { writeJsonFile } from './jsonFiles.js';
+
+const WAVEFORM_SAMPLE_RATE = 8000;
+const WAVEFORM_PEAKS_PER_SECOND = 20;
+const MAX_WAVEFORM_PEAKS = 20000;
+const MAX_THUMBNAILS = 120;
+const MIN_THUMBNAIL_INTERVAL = 1; // seconds
+const SPRITE_COLUMNS = 10;
+const THUMB_HEIGHT = 48;
+const GENERATE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Run FFmpeg and collect stdout
+ * @returns {Promise<Buffer>}
+ */
+function runFfmpeg(ffmpegBinary, args) {
+  return new Promise((resolve, reject) => {
+    const ffmpegProcess = spawn(ffmpegBinary, args);
+    const chunks = [];
+    let stderrTail = '';
+
+    const timeoutId = setTimeout(() => {
+      ffmpegProcess.kill('SIGKILL');
+      reject(new Error('FFmpeg timed out'));
+    }, GENERATE_TIMEOUT_MS);
+
+    ffmpegProcess.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpegProcess.stderr.on('data', (chunk) => {
+      stderrTail = (stderrTail + chunk.toString()).slice(-2000);
+    });
+    ffmpegProcess.on('error', (error) => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+    ffmpegProcess.on('close', (code) => {
+      clearTimeout(timeoutId);
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(new Error(stderrTail.trim().split(/\r?\n/).pop() || `FFmpeg exited with code ${code}`));
+      }
+    });
+  });
+}
+
+export class TimelinePreviews {
+  /**
+   * @param {Object} options
+   * @param {string} options.ffmpegBinary - FFmpeg executable
+   * @param {import('./MediaLibrary.js').MediaLibrary} options.mediaLibrary - Videos to preview
+   * @param {string} options.cacheDir - Folder holding the generated files
+   */
+  constructor({ ffmpegBinary, mediaLibrary, cacheDir }) {
+    this.ffmpegBinary = ffmpegBinary;
+    this.mediaLibrary = mediaLibrary;
+    this.cacheDir = path.resolve(cacheDir);
+    this.pending = new Map(); // "<id>.<kind>" -> generation promise, shared by concurrent requests
+  }
+
+  getCachePath(id, suffix) {
+    return path.join(this.cacheDir, `${id}.${suffix}`);
+  }
+
+  getVideo(id) {
+    const entry = this.mediaLibrary.get(id);
+    if (!entry) {
+      throw new HttpError('Media not found', 404);
+    }
+    if (entry.type !== 'video') {
+      throw new HttpError('Timeline previews are only available for videos');
+    }
+    if (!(entry.duration > 0)) {
+      throw new HttpError('Video duration is unknown', 422);
+    }
+    return entry;
+  }
+
+  /**
+   * Cached description, null when missing or made from an older version of the file
+   */
+  async readCached(entry, suffix) {
+    try {
+      const cached = JSON.parse(await fs.promises.readFile(this.getCachePath(entry.id, suffix), 'utf8'));
+      return cached.sourceModified === entry.modified && cached.sourceSize === entry.size ? cached : null;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Generate once, even when several clients ask at the same time
+   */
+  async getOrCreate(entry, kind, create) {
+    const cached = await this.readCached(entry, `${kind}.json`);
+    if (cached) return cached;
+
+    const key = `${entry.id}.${kind}`;
+    if (!this.pending.has(key)) {
+      this.pending.set(key, create(entry).finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  /**
+   * Peak level (0-1) of the first audio track, WAVEFORM_PEAKS_PER_SECOND per second
+   * @param {string} id - Library entry
+   * @returns {Promise<Object>} Waveform description; peaks is empty for silent files
+   */
+  async getWaveform(id) {
+    return this.getOrCreate(this.getVideo(id), 'waveform', entry => this.createWaveform(entry));
+  }
+
+  async createWaveform(entry) {
+    const report = await this.mediaLibrary.getProbeReport(entry);
+    const peaksPerSecond = Math.min(WAVEFORM_PEAKS_PER_SECOND, MAX_WAVEFORM_PEAKS / entry.duration);
+    let peaks = [];
+
+    if (report && report.audio.length > 0) {
+      const pcm = await runFfmpeg(this.ffmpegBinary, [
+        '-hide_banner', '-nostats', '-v', 'error',
+        '-i', this.mediaLibrary.resolvePath(entry),
+        '-map', '0:a:0', '-ac', '1', '-ar', String(WAVEFORM_SAMPLE_RATE),
+        '-f', 's16le', '-acodec', 'pcm_s16le', '-'
+      ]);
+      const samples = Math.floor(pcm.length / 2);
+      const samplesPerPeak = WAVEFORM_SAMPLE_RATE / peaksPerSecond;
+      const count = Math.ceil(samples / samplesPerPeak);
+      for (let bucket = 0; bucket < count; bucket++) {
+        const end = Math.min(samples, Math.round((bucket + 1) * samplesPerPeak));
+        let peak = 0;
+        for (let i = Math.round(bucket * samplesPerPeak); i < end; i++) {
+          const value = Math.abs(pcm.readInt16LE(i * 2));
+          if (value > peak) peak = value;
+        }
+        peaks.push(Number((peak / 32768).toFixed(3)));
+      }
+    }
+
+    const waveform = {
+      sourceModified: entry.modified,
+      sourceSize: entry.size,
+      duration: entry.duration,
+      peaksPerSecond,
+      peaks
+    };
+    await writeJsonFile(this.getCachePath(entry.id, 'waveform.json'), waveform);
+    return waveform;
+  }
+
+  /**
+   * Thumbnail sprite sheet description; the image is served from getFilmstripImagePath()
+   * @param {string} id - Library entry
+   * @returns {Promise<Object>}
+   */
+  async getFilmstrip(id) {
+    return this.getOrCreate(this.getVideo(id), 'filmstrip', entry => this.createFilmstrip(entry));
+  }
+
+  async createFilmstrip(entry) {
+    const count = Math.max(1, Math.min(MAX_THUMBNAILS, Math.floor(entry.duration / MIN_THUMBNAIL_INTERVAL)));
+    const interval = entry.duration / count;
+    const aspect = entry.width && entry.height ? entry.width / entry.height : 16 / 9;
+    // Even width for the JPEG encoder's chroma subsampling
+    const thumbWidth = Math.max(2, Math.round((THUMB_HEIGHT * aspect) / 2) * 2);
+    const columns = Math.min(SPRITE_COLUMNS, count);
+    const rows = Math.ceil(count / columns);
+
+    // Every frame is decoded so the thumbnails land on their times; the result is cached
+    const imagePath = this.getCachePath(entry.id, 'filmstrip.jpg');
+    const tempPath = `${imagePath}.${process.pid}.tmp.jpg`;
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+    await runFfmpeg(this.ffmpegBinary, [
+      '-hide_banner', '-nostats', '-v', 'error', '-y',
+      '-i', this.mediaLibrary.resolvePath(entry),
+      '-map', '0:v:0', '-an',
+      '-vf', `fps=1/${interval.toFixed(6)},scale=${thumbWidth}:${THUMB_HEIGHT},setsar=1,tile=${columns}x${rows}`,
+      '-vsync', 'vfr', '-frames:v', '1', '-q:v', '4',
+      tempPath
+    ]);
+    await fs.promises.rename(tempPath, imagePath);
+
+    const filmstrip = {
+      sourceModified: entry.modified,
+      sourceSize: entry.size,
+      duration: entry.duration,
+      count,
+      interval,
+      columns,
+      rows,
+      thumbWidth,
+      thumbHeight: THUMB_HEIGHT
+    };
+    await writeJsonFile(this.getCachePath(entry.id, 'filmstrip.json'), filmstrip);
+    return filmstrip;
+  }
+
+  /**
+   * Sprite sheet image of a library video, generated if needed
+   * @returns {Promise<string>} Absolute path of the JPEG
+   */
+  async getFilmstripImagePath(id) {
+    await this.getFilmstrip(id);
+    return this.getCachePath(id, 'filmstrip.jpg');
+  }
+}
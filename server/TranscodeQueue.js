@@ -0,0 +1,398 @@
+/**
+ * Transcode Queue
+ * Runs FFmpeg jobs that turn library masters the browser cannot decode
+ * (ProRes, HAP, ...) into H.264/VP9 proxies at the LED canvas resolution.
+ * Finished proxies are written to the library's proxies/ folder and registered
+ * as regular library entries; job progress is pushed over the event channel.
+ *
+ * Cut jobs split a master render into one file per LED surface: each surface's
+ * UV rectangle (see SurfaceMappings.js) is cropped from the canvas and scaled to
+ * the surface's native resolution, in a single FFmpeg pass. The files land in
+ * cuts/<master>_<mapping>/ and are registered like proxies.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { HttpError } from './HttpError.js';
+
+const PROXY_FOLDER = 'proxies';
+const CUT_FOLDER = 'cuts';
+const MAX_FINISHED_JOBS = 50;
+const PROGRESS_BROADCAST_INTERVAL_MS = 500;
+const MAX_DIMENSION = 8192;
+
+// Output settings per format; cut files carry no audio
+const PROXY_FORMATS = {
+  h264: {
+    extension: '.mp4',
+    videoArgs: [
+      '-c:v', 'libx264', '-preset', 'medium', '-crf', '18',
+      '-profile:v', 'high', '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart' // moov first so playback starts before download completes
+    ],
+    audioArgs: ['-c:a', 'aac', '-b:a', '192k']
+  },
+  vp9: {
+    extension: '.webm',
+    videoArgs: [
+      '-c:v', 'libvpx-vp9', '-crf', '31', '-b:v', '0',
+      '-deadline', 'good', '-cpu-used', '2', '-row-mt', '1', '-pix_fmt', 'yuv420p'
+    ],
+    audioArgs: ['-c:a', 'libopus', '-b:a', '128k']
+  }
+};
+
+export const TRANSCODE_FORMATS = Object.keys(PROXY_FORMATS);
+
+/**
+ * Round up to an even number (required by 4:2:0 chroma subsampling)
+ */
+function toEven(value) {
+  return Math.ceil(value / 2) * 2;
+}
+
+/**
+ * Library entry path of a file below the library root
+ */
+function toRelativePath(rootDir, filePath) {
+  return path.relative(rootDir, filePath).split(path.sep).join('/');
+}
+
+export class TranscodeQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.ffmpegBinary - FFmpeg executable
+   * @param {import('./MediaLibrary.js').MediaLibrary} options.mediaLibrary - Source and destination library
+   * @param {import('./EventHub.js').EventHub} [options.eventHub] - Channel used for progress updates
+   * @param {import('./SurfaceMappings.js').SurfaceMappings} [options.surfaceMappings] - Surface rectangles for cut jobs
+   * @param {number} [options.concurrency] - Jobs run in parallel
+   */
+  constructor({ ffmpegBinary, mediaLibrary, eventHub = null, surfaceMappings = null, concurrency = 1 }) {
+    this.ffmpegBinary = ffmpegBinary;
+    this.mediaLibrary = mediaLibrary;
+    this.eventHub = eventHub;
+    this.surfaceMappings = surfaceMappings;
+    this.concurrency = Math.max(1, concurrency);
+
+    this.jobs = new Map(); // id -> job (insertion order = submission order)
+    this.processes = new Map(); // id -> { ffmpegProcess, tempPaths }
+  }
+
+  /**
+   * Check that a library entry can be used as a job source
+   */
+  getVideoSource(mediaId, format) {
+    const source = this.mediaLibrary.get(mediaId);
+    if (!source) {
+      throw new HttpError('Media not found', 404);
+    }
+    if (source.type !== 'video') {
+      throw new HttpError('Only video files can be transcoded');
+    }
+    if (!PROXY_FORMATS[format]) {
+      throw new HttpError(`Unsupported format. Allowed: ${TRANSCODE_FORMATS.join(', ')}`);
+    }
+    return source;
+  }
+
+  /**
+   * Queue a proxy transcode of a library entry
+   * @param {Object} request
+   * @param {string} request.mediaId - Library entry to transcode
+   * @param {string} [request.format] - 'h264' or 'vp9'
+   * @param {number} request.width - Target width (LED canvas)
+   * @param {number} request.height - Target height (LED canvas)
+   * @returns {Object} The queued job
+   */
+  enqueue({ mediaId, format = 'h264', width, height }) {
+    const source = this.getVideoSource(mediaId, format);
+
+    const targetWidth = parseInt(width, 10);
+    const targetHeight = parseInt(height, 10);
+    if (!(targetWidth > 0 && targetWidth <= MAX_DIMENSION && targetHeight > 0 && targetHeight <= MAX_DIMENSION)) {
+      throw new HttpError(`width and height must be between 1 and ${MAX_DIMENSION}`);
+    }
+
+    const job = this.createJob('proxy', source, format, {
+      width: toEven(targetWidth),
+      height: toEven(targetHeight),
+      output: null
+    });
+    console.log(`Transcode queued: ${source.name} -> ${format} ${job.width}x${job.height} (${job.id})`);
+    return this.submit(job);
+  }
+
+  /**
+   * Queue a per-surface cut of a master render
+   * @param {Object} request
+   * @param {string} request.mediaId - Master render in the library
+   * @param {string} request.mappingType - Mapping whose surfaces are cut out (e.g. renderOption1)
+   * @param {string} [request.format] - 'h264' or 'vp9'
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueueCut({ mediaId, mappingType, format = 'h264' }) {
+    const source = this.getVideoSource(mediaId, format);
+    const mapping = this.surfaceMappings && typeof mappingType === 'string'
+      ? await this.surfaceMappings.get(mappingType)
+      : null;
+    if (!mapping) {
+      throw new HttpError(`No surface definition for mapping "${mappingType}"`, 404);
+    }
+
+    const job = this.createJob('cut', source, format, {
+      mappingType,
+      mappingLabel: mapping.label,
+      surfaces: mapping.surfaces.map(surface => ({ ...surface, uv: [...surface.uv] })),
+      outputs: []
+    });
+    console.log(`Cut queued: ${source.name} -> ${mappingType}, ${job.surfaces.length} surface(s), ${format} (${job.id})`);
+    return this.submit(job);
+  }
+
+  createJob(kind, source, format, fields) {
+    return {
+      id: crypto.randomBytes(6).toString('hex'),
+      kind,
+      mediaId: source.id,
+      sourceName: source.name,
+      format,
+      ...fields,
+      status: 'queued',
+      progress: 0,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+  }
+
+  submit(job) {
+    this.jobs.set(job.id, job);
+    this.notify(job);
+    this.pruneFinished();
+    this.runNext();
+    return job;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @returns {Object|null} The job, or null if the id is unknown
+   */
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) return null;
+    if (job.status !== 'queued' && job.status !== 'running') return job;
+
+    const running = this.processes.get(id);
+    this.finish(job, 'cancelled');
+    if (running) {
+      running.ffmpegProcess.kill('SIGTERM');
+    }
+    return job;
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   */
+  runNext() {
+    for (const job of this.jobs.values()) {
+      if (this.processes.size >= this.concurrency) return;
+      if (job.status === 'queued') {
+        this.start(job);
+      }
+    }
+  }
+
+  /**
+   * FFmpeg output arguments and destination files of a job
+   * @returns {{args: string[], outputs: Array<{tempPath: string, dir: string, fileName: string}>}}
+   */
+  buildOutputs(job, stem) {
+    const settings = PROXY_FORMATS[job.format];
+    const rootDir = this.mediaLibrary.rootDir;
+
+    if (job.kind === 'cut') {
+      const dir = path.join(rootDir, CUT_FOLDER, `${stem}_${job.mappingType}`);
+      // One decode feeds every surface: split the canvas, then crop and scale each branch
+      const branches = job.surfaces.map((surface, index) => {
+        const [u0, v0, u1, v1] = surface.uv;
+        const span = (from, to) => Number((to - from).toFixed(6));
+        return `[s${index}]crop=w=iw*${span(u0, u1)}:h=ih*${span(v0, v1)}:x=iw*${u0}:y=ih*${v0},` +
+          `scale=${surface.width}:${surface.height}:flags=lanczos,setsar=1[o${index}]`;
+      });
+      const split = `[0:v]split=${job.surfaces.length}${job.surfaces.map((_, index) => `[s${index}]`).join('')}`;
+      const args = ['-filter_complex', [split, ...branches].join(';')];
+      const outputs = job.surfaces.map((surface, index) => {
+        // Dot-prefixed so the library ignores the file until it is complete
+        const tempPath = path.join(dir, `.${job.id}_${index}${settings.extension}`);
+        args.push('-map', `[o${index}]`, ...settings.videoArgs, '-an', tempPath);
+        return { tempPath, dir, fileName: `${stem}_${surface.name}_${surface.width}x${surface.height}${settings.extension}` };
+      });
+      return { args, outputs };
+    }
+
+    const dir = path.join(rootDir, PROXY_FOLDER);
+    const tempPath = path.join(dir, `.${job.id}${settings.extension}`);
+    return {
+      args: [
+        '-map', '0:v:0', '-map', '0:a:0?',
+        // Stretch to the canvas: content is authored for the LED layout, not the source aspect
+        '-vf', `scale=${job.width}:${job.height}:flags=lanczos,setsar=1`,
+        ...settings.videoArgs,
+        ...settings.audioArgs,
+        tempPath
+      ],
+      outputs: [{ tempPath, dir, fileName: `${stem}_proxy_${job.width}x${job.height}${settings.extension}` }]
+    };
+  }
+
+  start(job) {
+    const source = this.mediaLibrary.get(job.mediaId);
+    if (!source) {
+      this.finish(job, 'failed', 'Source file was removed');
+      this.runNext();
+      return;
+    }
+
+    const stem = path.basename(source.name, path.extname(source.name));
+    const { args: outputArgs, outputs } = this.buildOutputs(job, stem);
+    const tempPaths = outputs.map(output => output.tempPath);
+
+    const args = [
+      '-hide_banner', '-nostats', '-y',
+      '-progress', 'pipe:1',
+      '-i', this.mediaLibrary.resolvePath(source),
+      ...outputArgs
+    ];
+
+    fs.mkdirSync(outputs[0].dir, { recursive: true });
+    const ffmpegProcess = spawn(this.ffmpegBinary, args);
+    this.processes.set(job.id, { ffmpegProcess, tempPaths });
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`Transcode started: ${job.sourceName} (${job.id})`);
+    this.notify(job);
+
+    const duration = source.duration || 0;
+    let lastBroadcast = 0;
+    let stderrTail = '';
+
+    ffmpegProcess.stdout.on('data', (chunk) => {
+      // -progress writes key=value blocks; out_time_ms is in microseconds
+      const matches = chunk.toString().match(/out_time_ms=(\d+)/g);
+      if (!matches || !duration) return;
+      const outTime = parseInt(matches[matches.length - 1].split('=')[1], 10) / 1e6;
+      job.progress = Math.min(0.99, outTime / duration);
+
+      const now = Date.now();
+      if (now - lastBroadcast >= PROGRESS_BROADCAST_INTERVAL_MS) {
+        lastBroadcast = now;
+        this.notify(job);
+      }
+    });
+
+    ffmpegProcess.stderr.on('data', (chunk) => {
+      stderrTail = (stderrTail + chunk.toString()).slice(-2000);
+    });
+
+    ffmpegProcess.on('error', (error) => {
+      console.error(`Transcode ${job.id} could not start FFmpeg:`, error.message);
+    });
+
+    ffmpegProcess.on('close', async (code) => {
+      this.processes.delete(job.id);
+
+      if (job.status === 'running') {
+        if (code === 0) {
+          try {
+            const entries = [];
+            for (const output of outputs) {
+              const finalPath = path.join(output.dir, await this.allocateOutputName(output.dir, output.fileName));
+              await fs.promises.rename(output.tempPath, finalPath);
+              entries.push(await this.mediaLibrary.register(toRelativePath(this.mediaLibrary.rootDir, finalPath)));
+            }
+            if (job.kind === 'cut') {
+              job.outputs = entries;
+            } else {
+              job.output = entries[0];
+            }
+            job.progress = 1;
+            this.finish(job, 'done');
+          } catch (error) {
+            this.finish(job, 'failed', error.message);
+          }
+        } else {
+          const lastLine = stderrTail.trim().split(/\r?\n/).pop() || `FFmpeg exited with code ${code}`;
+          this.finish(job, 'failed', lastLine);
+        }
+      }
+
+      await Promise.all(tempPaths.map(tempPath => fs.promises.rm(tempPath, { force: true })));
+      this.runNext();
+    });
+  }
+
+  /**
+   * Pick an unused file name in an output folder (name, name_1, name_2, ...)
+   */
+  async allocateOutputName(dir, fileName) {
+    const ext = path.extname(fileName);
+    const stem = fileName.slice(0, -ext.length);
+    let candidate = fileName;
+    for (let i = 1; ; i++) {
+      try {
+        await fs.promises.access(path.join(dir, candidate));
+        candidate = `${stem}_${i}${ext}`;
+      } catch {
+        return candidate;
+      }
+    }
+  }
+
+  finish(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    if (error) {
+      console.error(`Transcode ${status}: ${job.sourceName} (${job.id}): ${error}`);
+    } else {
+      console.log(`Transcode ${status}: ${job.sourceName} (${job.id})`);
+    }
+    this.notify(job);
+  }
+
+  /**
+   * Forget the oldest finished jobs beyond MAX_FINISHED_JOBS
+   */
+  pruneFinished() {
+    const finished = this.list().filter(job => !['queued', 'running'].includes(job.status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => {
+      this.jobs.delete(job.id);
+    });
+  }
+
+  notify(job) {
+    if (this.eventHub) {
+      this.eventHub.broadcast('transcode:job', { job });
+    }
+  }
+
+  /**
+   * Stop all running FFmpeg processes (server shutdown)
+   */
+  close() {
+    this.processes.forEach(({ ffmpegProcess }) => ffmpegProcess.kill('SIGTERM'));
+    this.processes.clear();
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * V4L2 Source Provider
+ * Lists Video4Linux capture devices (/dev/videoN) on Linux, e.g. capture cards
+ * and UVC cameras on the review box.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { HttpError } from './HttpError.js';
+
+const DEVICE_DIR = '/dev';
+const SYSFS_DIR = '/sys/class/video4linux';
+
+export class V4l2SourceProvider {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getCapabilities - async () => FFmpeg capabilities (see ffmpegCapabilities.js)
+   * @param {number} [options.framerate] - Capture frame rate requested from the device
+   */
+  constructor({ getCapabilities, framerate = 30 }) {
+    this.id = 'v4l2';
+    this.label = 'Video4Linux';
+    this.getCapabilities = getCapabilities;
+    this.framerate = framerate;
+  }
+
+  /**
+   * List capture devices
+   * @returns {Promise<Object[]>} Source descriptors ({ id: device path, name })
+   */
+  async discover() {
+    if (process.platform !== 'linux') return [];
+    const { features } = await this.getCapabilities();
+    if (!features.v4l2) return [];
+
+    let entries;
+    try {
+      entries = await fs.readdir(DEVICE_DIR);
+    } catch (error) {
+      return [];
+    }
+
+    const devices = entries
+      .filter(entry => /^video\d+$/.test(entry))
+      .sort((a, b) => Number(a.slice(5)) - Number(b.slice(5)));
+
+    const sources = [];
+    for (const device of devices) {
+      const info = await this.readDeviceInfo(device);
+      // Drivers expose extra nodes (metadata, second stream) with index > 0
+      if (info.index > 0) continue;
+      sources.push({
+        id: path.join(DEVICE_DIR, device),
+        name: info.name ? `${info.name} (${device})` : device
+      });
+    }
+    return sources;
+  }
+
+  /**
+   * Read the device name and node index from sysfs
+   */
+  async readDeviceInfo(device) {
+    const readValue = async (file) => {
+      try {
+        return (await fs.readFile(path.join(SYSFS_DIR, device, file), 'utf8')).trim();
+      } catch (error) {
+        return null;
+      }
+    };
+    const [name, index] = await Promise.all([readValue('name'), readValue('index')]);
+    return { name, index: index === null ? 0 : Number(index) };
+  }
+
+  /**
+   * @param {string} devicePath - e.g. /dev/video0
+   * @returns {Promise<{args: string[], method: string}>}
+   */
+  async resolveInput(devicePath) {
+    if (!/^\/dev\/video\d+$/.test(devicePath)) {
+      throw new HttpError(`Not a video device: ${devicePath}`, 400);
+    }
+    return {
+      method: 'V4L2',
+      args: ['-f', 'v4l2', '-framerate', String(this.framerate), '-i', devicePath]
+    };
+  }
+}
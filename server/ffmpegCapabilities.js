@@ -0,0 +1,174 @@
+/**
+ * FFmpeg Capabilities
+ * Asks the FFmpeg binary which input formats, devices, encoders, protocols and filters
+ * it was built with, so capture methods can be checked up front instead of failing
+ * when a pipeline starts.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+const QUERY_TIMEOUT_MS = 10000;
+const MAX_OUTPUT_BYTES = 4 * 1024 * 1024;
+
+// Features the app cares about: name -> where to look for it
+const FEATURES = {
+  libndi_newtek: 'inputFormats',
+  dshow: 'inputFormats',
+  v4l2: 'inputFormats',
+  avfoundation: 'inputFormats',
+  lavfi: 'inputFormats',
+  libx264: 'encoders',
+  'libvpx-vp9': 'encoders',
+  libopus: 'encoders',
+  aac: 'encoders',
+  mjpeg: 'encoders',
+  rtmp: 'inputProtocols',
+  srt: 'inputProtocols',
+  drawtext: 'filters'
+};
+
+// Cached per binary; capabilities do not change while the server runs
+const cache = new Map();
+
+async function runQuery(ffmpegBinary, option) {
+  try {
+    const { stdout } = await execFileAsync(ffmpegBinary, ['-hide_banner', option], {
+      timeout: QUERY_TIMEOUT_MS,
+      maxBuffer: MAX_OUTPUT_BYTES
+    });
+    return stdout;
+  } catch (error) {
+    // Some builds exit non-zero for listing options but still print the list
+    if (error.stdout) return error.stdout;
+    throw error;
+  }
+}
+
+/**
+ * Names from a "-formats" / "-devices" listing (" DE name1,name2  Description")
+ * @param {string} output
+ * @param {boolean} demuxOnly - Only entries with the D (demuxing) flag
+ */
+export function parseFormatList(output, demuxOnly = true) {
+  const names = [];
+  let inList = false;
+  output.split(/\r?\n/).forEach(line => {
+    if (line.trim() === '--') {
+      inList = true;
+      return;
+    }
+    if (!inList) return;
+    const match = /^ ([D ])([E ]) (\S+)/.exec(line);
+    if (!match || (demuxOnly && match[1] !== 'D')) return;
+    names.push(...match[3].split(','));
+  });
+  return names;
+}
+
+/**
+ * Encoder names from "-encoders" (" V..... libx264  Description")
+ * @returns {{video: string[], audio: string[]}}
+ */
+export function parseEncoderList(output) {
+  const encoders = { video: [], audio: [] };
+  let inList = false;
+  output.split(/\r?\n/).forEach(line => {
+    if (line.trim() === '------') {
+      inList = true;
+      return;
+    }
+    if (!inList) return;
+    const match = /^ ([VAS])\S{5} (\S+)/.exec(line);
+    if (!match) return;
+    if (match[1] === 'V') encoders.video.push(match[2]);
+    if (match[1] === 'A') encoders.audio.push(match[2]);
+  });
+  return encoders;
+}
+
+/**
+ * Protocol names from "-protocols" (indented names under "Input:" / "Output:")
+ * @returns {{input: string[], output: string[]}}
+ */
+export function parseProtocolList(output) {
+  const protocols = { input: [], output: [] };
+  let section = null;
+  output.split(/\r?\n/).forEach(line => {
+    if (/^Input:/.test(line)) section = 'input';
+    else if (/^Output:/.test(line)) section = 'output';
+    else if (section && line.trim()) protocols[section].push(line.trim());
+  });
+  return protocols;
+}
+
+/**
+ * Filter names from "-filters" (" TSC name  A->A  Description")
+ */
+export function parseFilterList(output) {
+  const filters = [];
+  output.split(/\r?\n/).forEach(line => {
+    const match = /^ [T.][S.][C.] (\S+)\s+\S+->\S+/.exec(line);
+    if (match) filters.push(match[1]);
+  });
+  return filters;
+}
+
+async function detect(ffmpegBinary) {
+  const [versionOutput, formatsOutput, encodersOutput, protocolsOutput, filtersOutput] = await Promise.all([
+    runQuery(ffmpegBinary, '-version'),
+    runQuery(ffmpegBinary, '-formats'),
+    runQuery(ffmpegBinary, '-encoders'),
+    runQuery(ffmpegBinary, '-protocols'),
+    runQuery(ffmpegBinary, '-filters')
+  ]);
+
+  const versionMatch = /ffmpeg version (\S+)/.exec(versionOutput);
+  const configurationMatch = /configuration: (.*)/.exec(versionOutput);
+  const lists = {
+    inputFormats: parseFormatList(formatsOutput),
+    encoders: parseEncoderList(encodersOutput),
+    protocols: parseProtocolList(protocolsOutput),
+    filters: parseFilterList(filtersOutput)
+  };
+
+  const lookup = {
+    inputFormats: lists.inputFormats,
+    encoders: [...lists.encoders.video, ...lists.encoders.audio],
+    inputProtocols: lists.protocols.input,
+    filters: lists.filters
+  };
+  const features = {};
+  Object.entries(FEATURES).forEach(([name, listName]) => {
+    features[name] = lookup[listName].includes(name);
+  });
+
+  return {
+    available: true,
+    path: ffmpegBinary,
+    version: versionMatch ? versionMatch[1] : null,
+    configuration: configurationMatch ? configurationMatch[1].trim() : null,
+    features,
+    inputFormats: lists.inputFormats,
+    encoders: lists.encoders,
+    protocols: lists.protocols
+  };
+}
+
+/**
+ * Detect (once) what the FFmpeg binary supports
+ * @param {string} ffmpegBinary - FFmpeg executable
+ * @returns {Promise<Object>} { available, path, version, configuration, features, inputFormats, encoders, protocols }
+ *   or { available: false, path, error } when the binary cannot be run
+ */
+export function getFfmpegCapabilities(ffmpegBinary) {
+  if (!cache.has(ffmpegBinary)) {
+    cache.set(ffmpegBinary, detect(ffmpegBinary).catch(error => {
+      console.error(`Could not query FFmpeg capabilities (${ffmpegBinary}):`, error.message);
+      return { available: false, path: ffmpegBinary, error: error.message, features: {} };
+    }));
+  }
+  return cache.get(ffmpegBinary);
+}
@@ -0,0 +1,224 @@
+/**
+ * Flash Detection
+ * Photosensitive epilepsy screening of show content, following the general flash and
+ * red flash thresholds of ITU-R BT.1702 / Ofcom / WCAG 2.x:
+ *
+ *   - A transition is an increase or decrease of relative luminance of at least 10% of
+ *     the maximum, where the darker state is below 0.8, over at least 25% of the LED
+ *     area. A red transition is a change of at least 20 in (R - G - B) x 320 on
+ *     saturated red (R / (R + G + B) >= 0.8), over the same area.
+ *   - A flash is a pair of opposing transitions. More than three flashes in any one
+ *     second fails; exactly three is at the limit and is reported as a warning.
+ *
+ * Frames arrive as RGB thumbnails of the LED surfaces; each thumbnail pixel is weighted
+ * by the surface area it stands for, so the 25% rule applies to the whole LED area
+ * rather than to the master canvas with its unused regions. Luminance changes are
+ * accumulated over consecutive frames in the same direction, so fades spread over a
+ * few frames count as well.
+ */
+
+export const FLASH_LIMITS = {
+  luminanceChange: 0.1,
+  darkerBelow: 0.8,
+  redChange: 20,
+  redRatio: 0.8,
+  minArea: 0.25,
+  maxFlashesPerSecond: 3
+};
+
+// Per-pixel changes below this are treated as noise (about one 8-bit code value)
+const NOISE = { general: 0.002, red: 1 };
+
+// sRGB code value (0-255) -> linear (0-1)
+const SRGB_LUT = Array.from({ length: 256 }, (_, level) => {
+  const value = level / 255;
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * Tracks luminance and saturated red frame by frame and records transitions
+ */
+export class FlashDetector {
+  /**
+   * @param {Float64Array|number[]} weights - Share of the LED area per thumbnail pixel (sums to 1)
+   */
+  constructor(weights) {
+    this.weights = weights;
+    this.pixels = weights.length;
+    this.previous = null; // { luminance, red } of the last frame
+    this.frame = 0;
+    this.transitions = { general: [], red: [] }; // [frame, direction] pairs
+    this.state = { general: null, red: null }; // running accumulation per kind
+  }
+
+  /**
+   * @param {Buffer} buffer - rgb24 pixels of all thumbnails
+   * @param {number} offset - Start of the frame in the buffer
+   */
+  addFrame(buffer, offset) {
+    const luminance = new Float32Array(this.pixels);
+    const red = new Float32Array(this.pixels);
+    for (let i = 0; i < this.pixels; i++) {
+      const r = SRGB_LUT[buffer[offset + i * 3]];
+      const g = SRGB_LUT[buffer[offset + i * 3 + 1]];
+      const b = SRGB_LUT[buffer[offset + i * 3 + 2]];
+      luminance[i] = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      const sum = r + g + b;
+      red[i] = sum > 0 && r / sum >= FLASH_LIMITS.redRatio ? Math.max(0, r - g - b) * 320 : 0;
+    }
+
+    if (this.previous) {
+      this.track('general', this.previous.luminance, luminance, FLASH_LIMITS.luminanceChange);
+      this.track('red', this.previous.red, red, FLASH_LIMITS.redChange);
+    }
+    this.previous = { luminance, red };
+    this.frame++;
+  }
+
+  /**
+   * Accumulate the change of the area that moved in one direction and record a
+   * transition once it passes the threshold
+   */
+  track(kind, before, after, threshold) {
+    const noise = NOISE[kind];
+    const sides = { 1: { area: 0, diff: 0, before: 0, after: 0 }, [-1]: { area: 0, diff: 0, before: 0, after: 0 } };
+    for (let i = 0; i < this.pixels; i++) {
+      const diff = after[i] - before[i];
+      if (Math.abs(diff) < noise) continue;
+      const side = sides[diff > 0 ? 1 : -1];
+      const weight = this.weights[i];
+      side.area += weight;
+      side.diff += diff * weight;
+      side.before += before[i] * weight;
+      side.after += after[i] * weight;
+    }
+
+    const direction = sides[1].area >= sides[-1].area ? 1 : -1;
+    const side = sides[direction];
+    if (side.area < FLASH_LIMITS.minArea) {
+      this.state[kind] = null; // Too small to count, or no change at all
+      return;
+    }
+
+    const diff = side.diff / side.area;
+    let state = this.state[kind];
+    if (!state || state.direction !== direction) {
+      state = { direction, change: 0, startLevel: side.before / side.area, counted: false };
+      this.state[kind] = state;
+    }
+    state.change += diff;
+    if (state.counted || Math.abs(state.change) < threshold) return;
+    // General flashes only count while the darker state is below 0.8
+    if (kind === 'general' && Math.min(state.startLevel, side.after / side.area) >= FLASH_LIMITS.darkerBelow) return;
+    state.counted = true;
+    this.transitions[kind].push([this.frame, direction]);
+  }
+
+  getTransitions() {
+    return this.transitions;
+  }
+}
+
+/**
+ * Time ranges with too many flashes
+ * @param {Object} transitions - { general: [[frame, direction]], red: [...] } from FlashDetector
+ * @param {number} fps
+ * @returns {{status: string, ranges: Object[], flashCount: Object}} Ranges are
+ *   { kind, status, start, end, flashesPerSecond } in seconds, sorted by start
+ */
+export function summarizeFlashes(transitions, fps) {
+  const ranges = [];
+  const flashCount = {};
+  Object.entries(transitions).forEach(([kind, list]) => {
+    // Only reversals make flashes; repeated changes in one direction are one transition
+    const reversals = list.filter(([, direction], index) => index === 0 || list[index - 1][1] !== direction);
+    flashCount[kind] = Math.floor(reversals.length / 2);
+
+    let current = null;
+    let windowStart = 0;
+    reversals.forEach(([frame], index) => {
+      while (frame - reversals[windowStart][0] >= fps) windowStart++;
+      // Transitions within one second, ending at this one
+      const flashes = (index - windowStart + 1) / 2;
+      if (flashes < FLASH_LIMITS.maxFlashesPerSecond) return;
+      const status = flashes > FLASH_LIMITS.maxFlashesPerSecond ? 'fail' : 'warn';
+      const start = reversals[windowStart][0] / fps;
+      const end = (frame + 1) / fps;
+      if (current && start <= current.end) {
+        current.end = end;
+        if (status === 'fail') current.status = status;
+        current.flashesPerSecond = Math.max(current.flashesPerSecond, flashes);
+      } else {
+        current = { kind, status, start, end, flashesPerSecond: flashes };
+        ranges.push(current);
+      }
+    });
+  });
+
+  ranges.sort((a, b) => a.start - b.start);
+  const status = ranges.some(range => range.status === 'fail') ? 'fail'
+    : ranges.length > 0 ? 'warn' : 'pass';
+  return { status, ranges, flashCount };
+}
+
+function formatTimecode(seconds, fps) {
+  const frames = Math.round(seconds * fps);
+  const rate = Math.round(fps) || 1;
+  const totalSeconds = Math.floor(frames / rate);
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(frames % rate)}`;
+}
+
+/**
+ * Flash report for the content team
+ * @param {Object} result - Flash result from LuminanceAnalyzer.getResult()
+ * @param {'csv'|'md'|'json'} format
+ * @returns {{content: string, contentType: string, fileName: string}|null} Null for an unknown format
+ */
+export function formatFlashReport(result, format) {
+  const baseName = result.sourceName.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_') || 'media';
+  const fileName = `${baseName}-${result.mappingType}-flash-report.${format}`;
+  const label = { general: 'General flash', red: 'Red flash' };
+
+  if (format === 'json') {
+    return { content: JSON.stringify(result, null, 2), contentType: 'application/json; charset=utf-8', fileName };
+  }
+
+  if (format === 'csv') {
+    const header = ['type', 'status', 'start', 'end', 'start_seconds', 'end_seconds', 'max_flashes_per_second'];
+    const rows = result.ranges.map(range => [
+      range.kind, range.status, formatTimecode(range.start, result.fps), formatTimecode(range.end, result.fps),
+      range.start.toFixed(3), range.end.toFixed(3), range.flashesPerSecond
+    ]);
+    return {
+      content: [header, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n',
+      contentType: 'text/csv; charset=utf-8',
+      fileName
+    };
+  }
+
+  if (format === 'md') {
+    const lines = [
+      `# Flash safety report: ${result.sourceName}`,
+      '',
+      `- Result: **${result.status.toUpperCase()}**`,
+      `- Mapping: ${result.mappingType}`,
+      `- Frames: ${result.frameCount} at ${result.fps} fps`,
+      `- Flashes: ${result.flashCount.general} general, ${result.flashCount.red} red`,
+      `- Limit: no more than ${FLASH_LIMITS.maxFlashesPerSecond} flashes in any one second over ${FLASH_LIMITS.minArea * 100}% of the LED area`,
+      `- Analyzed: ${result.analyzedAt}${result.stale ? ' (file changed since)' : ''}`,
+      ''
+    ];
+    if (result.ranges.length === 0) {
+      lines.push('No flash sequences at or above the limit.');
+    } else {
+      lines.push('| Type | Status | Start | End | Max flashes/s |', '| --- | --- | --- | --- | --- |');
+      result.ranges.forEach(range => {
+        lines.push(`| ${label[range.kind]} | ${range.status} | ${formatTimecode(range.start, result.fps)} | ${formatTimecode(range.end, result.fps)} | ${range.flashesPerSecond} |`);
+      });
+    }
+    return { content: lines.join('\n') + '\n', contentType: 'text/markdown; charset=utf-8', fileName };
+  }
+
+  return null;
+}
@@ -0,0 +1,54 @@
+/**
+ * JSON Files
+ * Atomic JSON writes (temp file + rename, so readers never see a half-written file)
+ * and a per-file queue for read-modify-write updates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+let tempCounter = 0;
+
+/**
+ * Write JSON to a file atomically, creating its folder if needed
+ * @param {string} filePath
+ * @param {*} data
+ * @param {Object} [options]
+ * @param {boolean} [options.pretty] - Indented, for files people may read or edit
+ */
+export async function writeJsonFile(filePath, data, { pretty = false } = {}) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+  try {
+    await fs.promises.writeFile(tempPath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Runs async tasks one after another per key (e.g. a file path), so concurrent
+ * read-modify-write updates of the same file are not lost
+ */
+export class WriteQueue {
+  constructor() {
+    this.queues = new Map(); // key -> Promise of the last task
+  }
+
+  /**
+   * @param {string} key
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} The task's result
+   */
+  run(key, task) {
+    const previous = this.queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(key, next);
+    next.finally(() => {
+      if (this.queues.get(key) === next) this.queues.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+}
@@ -0,0 +1,415 @@
+/**
+ * Media Probe
+ * Reads container/stream metadata by running the bundled FFmpeg binary
+ * against a file and parsing its stream report (no ffprobe required).
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { HttpError } from './HttpError.js';
+
+const PROBE_TIMEOUT_MS = 15000;
+
+/**
+ * Parse "HH:MM:SS.ss" into seconds
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseDuration(value) {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value || '');
+  if (!match) return null;
+  return (parseInt(match[1], 10) * 3600) + (parseInt(match[2], 10) * 60) + parseFloat(match[3]);
+}
+
+// Broadcast rates FFmpeg prints rounded; mapped back to their exact NTSC fractions
+const NTSC_RATES = {
+  '23.98': [24000, 1001],
+  '23.976': [24000, 1001],
+  '29.97': [30000, 1001],
+  '47.95': [48000, 1001],
+  '59.94': [60000, 1001],
+  '119.88': [120000, 1001]
+};
+
+const FIELD_ORDERS = ['progressive', 'top first', 'bottom first', 'top coded first (swapped)', 'bottom coded first (swapped)'];
+
+/**
+ * Split a stream description on commas that are not inside parentheses/brackets
+ * e.g. "h264 (High), yuv420p(tv, bt709), 1920x1080" -> 3 parts
+ */
+function splitStreamDetails(details) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of details) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Split "h264 (High) (avc1 / 0x31637661)" into codec name and profile
+ */
+function parseCodec(part) {
+  const codec = part.split(/\s/)[0];
+  // Profile is the first parenthesised group that is not a FourCC tag ("avc1 / 0x...")
+  const profileMatch = /\(([^)]+)\)/g;
+  let profile = null;
+  let match;
+  while ((match = profileMatch.exec(part)) !== null) {
+    if (!/ \/ 0x/.test(match[1])) {
+      profile = match[1];
+      break;
+    }
+  }
+  return { codec, profile };
+}
+
+/**
+ * Bits per component from a pixel format name (yuv420p10le -> 10, p010le -> 10, rgb48le -> 16)
+ */
+function getBitDepth(pixelFormat) {
+  if (!pixelFormat) return null;
+  const semiPlanar = /^p0(\d{2})(le|be)?$/.exec(pixelFormat);
+  if (semiPlanar) return parseInt(semiPlanar[1], 10);
+  const planar = /p(\d{2})(le|be)?$/.exec(pixelFormat);
+  if (planar) return parseInt(planar[1], 10);
+  if (/^(rgb|bgr)48|^(rgba|bgra)64|^gray16/.test(pixelFormat)) return 16;
+  if (/^gray(\d{2})/.test(pixelFormat)) return parseInt(/^gray(\d{2})/.exec(pixelFormat)[1], 10);
+  return 8;
+}
+
+/**
+ * Parse a pixel format part such as "yuv420p10le(tv, bt2020nc/bt2020/smpte2084, progressive)"
+ */
+function parsePixelFormat(part) {
+  const match = /^([a-z0-9_]+)(?:\((.*)\))?$/.exec(part);
+  if (!match) return null;
+
+  const result = {
+    pixelFormat: match[1],
+    bitDepth: getBitDepth(match[1]),
+    colorRange: null,
+    colorSpace: null,
+    colorPrimaries: null,
+    colorTransfer: null,
+    fieldOrder: null
+  };
+
+  (match[2] ? match[2].split(/,\s*/) : []).forEach(item => {
+    if (item === 'tv' || item === 'pc') {
+      result.colorRange = item === 'tv' ? 'limited' : 'full';
+    } else if (FIELD_ORDERS.includes(item)) {
+      result.fieldOrder = item;
+    } else if (item.includes('/')) {
+      [result.colorSpace, result.colorPrimaries, result.colorTransfer] = item.split('/');
+    } else if (item) {
+      // FFmpeg prints a single name when space, primaries and transfer agree
+      result.colorSpace = result.colorPrimaries = result.colorTransfer = item;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Frame rate from the "fps"/"tbr" figure, with NTSC rates restored to their exact fraction
+ * @returns {{fps: number, frameRate: string, isNtsc: boolean}|null}
+ */
+function parseFrameRate(raw) {
+  if (!raw) return null;
+  if (NTSC_RATES[raw]) {
+    const [num, den] = NTSC_RATES[raw];
+    return { fps: Math.round((num / den) * 1000) / 1000, frameRate: `${num}/${den}`, isNtsc: true };
+  }
+  const fps = raw.endsWith('k') ? parseFloat(raw) * 1000 : parseFloat(raw);
+  if (!isFinite(fps) || fps <= 0) return null;
+  return { fps, frameRate: Number.isInteger(fps) ? `${fps}/1` : String(fps), isNtsc: false };
+}
+
+function parseVideoStream(details) {
+  const parts = splitStreamDetails(details);
+  const { codec, profile } = parseCodec(parts[0] || '');
+  const video = {
+    codec,
+    profile,
+    width: null,
+    height: null,
+    pixelAspect: null,
+    displayAspect: null,
+    fps: null,
+    frameRate: null,
+    ntscRate: false,
+    bitrate: null,
+    pixelFormat: null,
+    bitDepth: null,
+    colorRange: null,
+    colorSpace: null,
+    colorPrimaries: null,
+    colorTransfer: null,
+    fieldOrder: null
+  };
+
+  let fpsRaw = null;
+  let tbrRaw = null;
+  parts.slice(1).forEach(part => {
+    const sizeMatch = /^(\d{2,5})x(\d{2,5})/.exec(part);
+    const aspectMatch = /SAR (\d+:\d+) DAR (\d+:\d+)/.exec(part);
+    if (aspectMatch) {
+      video.pixelAspect = aspectMatch[1];
+      video.displayAspect = aspectMatch[2];
+    }
+    if (sizeMatch) {
+      video.width = parseInt(sizeMatch[1], 10);
+      video.height = parseInt(sizeMatch[2], 10);
+    } else if (/ fps$/.test(part)) {
+      fpsRaw = part.slice(0, -4);
+    } else if (/ tbr$/.test(part)) {
+      tbrRaw = part.slice(0, -4);
+    } else if (/ kb\/s$/.test(part)) {
+      video.bitrate = parseInt(part, 10) * 1000;
+    } else if (!video.pixelFormat && !aspectMatch) {
+      const pixel = parsePixelFormat(part);
+      if (pixel) Object.assign(video, pixel);
+    }
+  });
+
+  const rate = parseFrameRate(fpsRaw) || parseFrameRate(tbrRaw);
+  if (rate) {
+    video.fps = rate.fps;
+    video.frameRate = rate.frameRate;
+    video.ntscRate = rate.isNtsc;
+  }
+
+  return video;
+}
+
+function parseAudioStream(details, index, language) {
+  const parts = splitStreamDetails(details);
+  const { codec, profile } = parseCodec(parts[0] || '');
+  const audio = {
+    index,
+    language: language && language !== 'und' ? language : null,
+    codec,
+    profile,
+    sampleRate: null,
+    channelLayout: null,
+    sampleFormat: null,
+    bitrate: null
+  };
+
+  // Order is: codec, sample rate, channel layout, sample format, bitrate
+  parts.slice(1).forEach(part => {
+    if (/ Hz$/.test(part)) {
+      audio.sampleRate = parseInt(part, 10);
+    } else if (/ kb\/s$/.test(part)) {
+      audio.bitrate = parseInt(part, 10) * 1000;
+    } else if (audio.sampleRate && !audio.channelLayout) {
+      audio.channelLayout = part;
+    } else if (audio.channelLayout && !audio.sampleFormat) {
+      audio.sampleFormat = part;
+    }
+  });
+
+  return audio;
+}
+
+/**
+ * Parse the stderr report printed by `ffmpeg -i <file>`
+ * @param {string} output - FFmpeg stderr
+ * @returns {Object|null} Probe report, or null if no input was recognised
+ */
+export function parseProbeOutput(output) {
+  const inputMatch = /Input #0, (.+?), from '/.exec(output);
+  if (!inputMatch) return null;
+
+  const result = {
+    format: inputMatch[1],
+    duration: null,
+    bitrate: null,
+    video: null,
+    audio: [],
+    timecode: null
+  };
+
+  const durationMatch = /Duration: ([\d:.]+|N\/A)(?:, start: [-\d.]+)?, bitrate: (\d+|N\/A)/.exec(output);
+  if (durationMatch) {
+    result.duration = parseDuration(durationMatch[1]);
+    result.bitrate = durationMatch[2] === 'N/A' ? null : parseInt(durationMatch[2], 10) * 1000;
+  }
+
+  const lines = output.split(/\r?\n/);
+  for (const line of lines) {
+    const streamMatch = /Stream #0:(\d+)(?:\[0x[\da-f]+\])?(?:\((\w+)\))?: (Video|Audio): (.*)$/.exec(line);
+    if (!streamMatch) continue;
+
+    const [, index, language, kind, rawDetails] = streamMatch;
+    // Drop trailing dispositions such as "(default)" or "(forced)"
+    const details = rawDetails.replace(/(\s\((default|forced|attached pic|dub|original|comment)\))+$/, '');
+    if (kind === 'Audio') {
+      result.audio.push(parseAudioStream(details, parseInt(index, 10), language));
+    } else if (!result.video) {
+      // First video stream only (cover art etc. may follow)
+      result.video = parseVideoStream(details);
+    }
+  }
+
+  // Start timecode from container/track metadata; ';' or '.' before the frames marks drop-frame
+  const timecodeMatch = /^\s*timecode\s*: (\d{2}:\d{2}:\d{2})([:;.])(\d{2})\s*$/m.exec(output);
+  if (timecodeMatch) {
+    result.timecode = {
+      start: `${timecodeMatch[1]}${timecodeMatch[2]}${timecodeMatch[3]}`,
+      dropFrame: timecodeMatch[2] !== ':'
+    };
+  }
+
+  // Flat summary fields used by the media library listing
+  result.width = result.video?.width ?? null;
+  result.height = result.video?.height ?? null;
+  result.fps = result.video?.fps ?? null;
+  result.codec = result.video?.codec ?? null;
+  result.hasAudio = result.audio.length > 0;
+
+  return result;
+}
+
+/**
+ * Probe a media file
+ * @param {string} ffmpegBinary - Path to the FFmpeg executable
+ * @param {string} filePath - Absolute path to the media file
+ * @returns {Promise<Object>} Parsed probe data
+ */
+export function probeMedia(ffmpegBinary, filePath) {
+  return new Promise((resolve, reject) => {
+    // Without an output FFmpeg prints the input report and exits with code 1
+    const probeProcess = spawn(ffmpegBinary, ['-hide_banner', '-i', filePath]);
+    let stderr = '';
+
+    const timeoutId = setTimeout(() => {
+      probeProcess.kill('SIGKILL');
+      reject(new Error('Probe timed out'));
+    }, PROBE_TIMEOUT_MS);
+
+    probeProcess.stderr.on('data', (chunk) => {
+      stderr += chunk.toString();
+    });
+
+    probeProcess.on('error', (error) => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+
+    probeProcess.on('close', () => {
+      clearTimeout(timeoutId);
+      const result = parseProbeOutput(stderr);
+      if (result) {
+        resolve(result);
+      } else {
+        const lastLine = stderr.trim().split(/\r?\n/).pop() || 'Unrecognised media file';
+        reject(new Error(lastLine));
+      }
+    });
+  });
+}
+
+/**
+ * Offset of the first top-level MP4/MOV box that starts past the leading bytes, where
+ * the index (moov) of a file written without faststart sits behind the media data
+ * @param {Buffer} head - Leading bytes of the file
+ * @param {number} totalSize - Full file size
+ * @returns {number|null} Null if the bytes are not a box sequence or nothing follows them
+ */
+export function findTrailingBoxOffset(head, totalSize) {
+  let offset = 0;
+  while (offset + 8 <= head.length) {
+    let size = head.readUInt32BE(offset);
+    if (!/^[\x20-\x7e]{4}$/.test(head.toString('latin1', offset + 4, offset + 8))) return null;
+    if (size === 1) {
+      if (offset + 16 > head.length) return null;
+      size = Number(head.readBigUInt64BE(offset + 8));
+    }
+    if (size < 8) return null; // 0 runs to the end of the file
+    offset += size;
+  }
+  return offset >= head.length && offset < totalSize ? offset : null;
+}
+
+/**
+ * Probe a streamed upload (whole file, its leading bytes, or its leading bytes
+ * followed by its trailing bytes).
+ * The data is spooled to a temp file because FFmpeg needs to seek in MP4/MOV; a
+ * trailing part is written at its own offset, leaving the gap as a sparse hole.
+ * @param {string} ffmpegBinary - Path to the FFmpeg executable
+ * @param {import('stream').Readable} source - Request body stream
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Original name, used to keep the extension as a format hint
+ * @param {number} [options.maxBytes] - Upload size limit (0 = unlimited)
+ * @param {number|null} [options.totalSize] - Full file size, if known
+ * @param {number|null} [options.headBytes] - With tailOffset: length of the leading part of the body
+ * @param {number|null} [options.tailOffset] - File offset of the rest of the body
+ * @returns {Promise<{report: Object, bytesReceived: number}>}
+ * @throws {HttpError} With tailOffset set when the trailing bytes from there are needed
+ */
+export async function probeUpload(ffmpegBinary, source, {
+  fileName = '', maxBytes = 0, totalSize = null, headBytes = null, tailOffset = null
+} = {}) {
+  const ext = path.extname(path.basename(fileName)).replace(/[^\w.]/g, '').slice(0, 8);
+  const tempPath = path.join(os.tmpdir(), `stagepreview-probe-${crypto.randomBytes(6).toString('hex')}${ext}`);
+  const ranged = headBytes !== null && tailOffset !== null;
+  if (ranged && !(headBytes > 0 && tailOffset >= headBytes)) {
+    throw new HttpError('Invalid probe range', 400);
+  }
+  let bytesReceived = 0;
+
+  const file = await fs.promises.open(tempPath, 'w');
+  try {
+    try {
+      for await (const chunk of source) {
+        let data = chunk;
+        if (maxBytes && bytesReceived + data.length > maxBytes) {
+          throw new HttpError(`Upload exceeds limit of ${maxBytes} bytes`, 413);
+        }
+        // Split a chunk that spans the end of the leading part
+        if (ranged && bytesReceived < headBytes && bytesReceived + data.length > headBytes) {
+          const headPart = headBytes - bytesReceived;
+          await file.write(data, 0, headPart, bytesReceived);
+          bytesReceived += headPart;
+          data = data.subarray(headPart);
+        }
+        const position = ranged && bytesReceived >= headBytes ? tailOffset + (bytesReceived - headBytes) : bytesReceived;
+        await file.write(data, 0, data.length, position);
+        bytesReceived += data.length;
+      }
+    } finally {
+      await file.close();
+    }
+    if (bytesReceived === 0) {
+      throw new HttpError('Upload is empty', 400);
+    }
+
+    try {
+      const report = await probeMedia(ffmpegBinary, tempPath);
+      return { report, bytesReceived };
+    } catch (error) {
+      // Usually a header range that does not contain the index (e.g. MP4 with moov at the end)
+      const probeError = new HttpError(`Could not read media header: ${error.message.replace(`${tempPath}: `, '')}`, 422);
+      if (!ranged && totalSize > bytesReceived) {
+        probeError.tailOffset = findTrailingBoxOffset(await fs.promises.readFile(tempPath), totalSize);
+      }
+      throw probeError;
+    }
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * Media Validation
+ * Checks a render against what the selected LED mapping expects: canvas aspect and
+ * size, frame rate, codec, keyframe interval (scrubbing), bitrate and audio.
+ * Every check is rated pass/warn/fail; the report's status is the worst of them.
+ *
+ * The keyframe interval needs the packet list, so it is only checked for files
+ * the server can read (media library entries), and not at all for intra-only codecs.
+ * The frame rate is checked against the rates the server is configured with; without
+ * any it is rated warn, since a wrong rate cannot be told from a right one.
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import { LED_CANVAS_SIZES, LED_CONTENT_ASPECTS } from '../src/config/ledCanvas.js';
+import { HttpError } from './HttpError.js';
+
+const STATUS_RANK = { pass: 0, warn: 1, fail: 2 };
+
+// A 4.7:1 render may be off by a few pixels; a 6:1 render on a 4.7:1 mapping is not
+const ASPECT_TOLERANCE = 0.02;
+
+// Longest keyframe interval before scrubbing gets sluggish / stutters
+const GOP_WARN_SECONDS = 1;
+const GOP_FAIL_SECONDS = 2;
+
+// Bits per pixel per frame below which LED content shows compression artifacts
+const MIN_BITS_PER_PIXEL = 0.02;
+// Bitrate above which browsers struggle to decode the full canvas in real time
+const MAX_WEB_BITRATE = 100e6;
+
+const KEYFRAME_SCAN_SECONDS = 120;
+const KEYFRAME_SCAN_TIMEOUT_MS = 30000;
+
+const WEB_VIDEO_CODECS = ['h264', 'vp8', 'vp9', 'av1'];
+const INTRA_ONLY_CODECS = ['prores', 'hap', 'dnxhd', 'mjpeg', 'cfhd', 'qtrle', 'png'];
+const WEB_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis', 'flac'];
+const PREFERRED_SAMPLE_RATE = 48000;
+
+// Keyframe scans per file, reused while size and mtime are unchanged
+const keyframeCache = new Map(); // file path -> { mtimeMs, size, result }
+
+/**
+ * Parse the packet list printed by `ffmpeg -c copy -f framecrc`
+ * ("stream, dts, pts, duration, size, crc[, F=0x..]"; F is only printed for non-key packets)
+ * @param {string} output
+ * @returns {{keyframes: number, maxInterval: number|null, averageInterval: number|null, scannedSeconds: number, videoBitrate: number|null}|null}
+ */
+export function parseKeyframeScan(output) {
+  const timeBaseMatch = /^#tb 0: (\d+)\/(\d+)$/m.exec(output);
+  if (!timeBaseMatch) return null;
+  const timeBase = parseInt(timeBaseMatch[1], 10) / parseInt(timeBaseMatch[2], 10);
+
+  const keyTimes = [];
+  let firstTime = null;
+  let endTime = null;
+  let totalBytes = 0;
+  output.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith('#')) return;
+    const parts = line.split(',').map(part => part.trim());
+    const pts = parseInt(parts[2], 10);
+    if (parts.length < 6 || !Number.isFinite(pts)) return;
+
+    const time = pts * timeBase;
+    const flags = parts.find(part => part.startsWith('F='));
+    const isKey = flags ? (parseInt(flags.slice(2), 16) & 1) === 1 : true;
+    if (isKey) keyTimes.push(time);
+    firstTime = firstTime === null ? time : Math.min(firstTime, time);
+    endTime = Math.max(endTime ?? time, time + (parseInt(parts[3], 10) || 0) * timeBase);
+    totalBytes += parseInt(parts[4], 10) || 0;
+  });
+  if (firstTime === null) return null;
+
+  keyTimes.sort((a, b) => a - b);
+  // The stretch after the last keyframe counts too: a file with a single keyframe has one long GOP
+  const boundaries = [...keyTimes, endTime];
+  const intervals = boundaries.slice(1).map((time, index) => time - boundaries[index]).filter(interval => interval > 0);
+  const scannedSeconds = endTime - firstTime;
+
+  return {
+    keyframes: keyTimes.length,
+    maxInterval: intervals.length > 0 ? Math.max(...intervals) : null,
+    averageInterval: intervals.length > 0 ? scannedSeconds / intervals.length : null,
+    scannedSeconds,
+    videoBitrate: scannedSeconds > 0 ? Math.round((totalBytes * 8) / scannedSeconds) : null
+  };
+}
+
+/**
+ * Whether a probed file's keyframe spacing is worth scanning (intra-only codecs have
+ * a keyframe on every frame)
+ * @param {Object} report - Probe report (see mediaProbe.js)
+ */
+export function needsKeyframeScan(report) {
+  return Boolean(report?.video) && !INTRA_ONLY_CODECS.includes(report.video.codec);
+}
+
+/**
+ * Read the video packet list of a file (no decoding) and measure its keyframe spacing
+ * @param {string} ffmpegBinary - Path to the FFmpeg executable
+ * @param {string} filePath - Absolute path to the media file
+ * @returns {Promise<Object>} See parseKeyframeScan
+ */
+export async function scanKeyframes(ffmpegBinary, filePath) {
+  const stat = await fs.promises.stat(filePath);
+  const cached = keyframeCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.result;
+  }
+
+  const result = await new Promise((resolve, reject) => {
+    const scanProcess = spawn(ffmpegBinary, [
+      '-hide_banner', '-v', 'error',
+      '-t', String(KEYFRAME_SCAN_SECONDS),
+      '-i', filePath,
+      '-map', '0:v:0', '-c', 'copy', '-f', 'framecrc', '-'
+    ]);
+    let stdout = '';
+    let stderr = '';
+
+    const timeoutId = setTimeout(() => {
+      scanProcess.kill('SIGKILL');
+      reject(new Error('Keyframe scan timed out'));
+    }, KEYFRAME_SCAN_TIMEOUT_MS);
+
+    scanProcess.stdout.on('data', (chunk) => {
+      stdout += chunk.toString();
+    });
+    scanProcess.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+
+    scanProcess.on('error', (error) => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+
+    scanProcess.on('close', () => {
+      clearTimeout(timeoutId);
+      const scan = parseKeyframeScan(stdout);
+      if (scan) {
+        resolve(scan);
+      } else {
+        reject(new Error(stderr.trim().split(/\r?\n/).pop() || 'No video packets found'));
+      }
+    });
+  });
+
+  keyframeCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, result });
+  return result;
+}
+
+function formatAspect(aspect) {
+  return `${Number(aspect.toFixed(2))}:1`;
+}
+
+function formatBitrate(bitrate) {
+  return bitrate >= 1e6 ? `${(bitrate / 1e6).toFixed(1)} Mb/s` : `${Math.round(bitrate / 1000)} kb/s`;
+}
+
+/**
+ * Display aspect of the picture, taking non-square pixels into account
+ */
+function getDisplayAspect(video) {
+  const [sarNum, sarDen] = (video.pixelAspect || '1:1').split(':').map(Number);
+  const pixelAspect = sarNum > 0 && sarDen > 0 ? sarNum / sarDen : 1;
+  return (video.width * pixelAspect) / video.height;
+}
+
+function checkFrameRate(video, frameRates) {
+  if (frameRates.length === 0) {
+    return ['warn', `${video.fps ? `${video.fps} fps` : 'Frame rate unknown'}; no expected rate configured (VALIDATION_FRAME_RATES)`];
+  }
+  if (!video.fps) {
+    return ['warn', 'Frame rate unknown'];
+  }
+  const expected = frameRates.map(rate => `${rate}`).join(' or ');
+  if (frameRates.some(rate => Math.abs(rate - video.fps) < 0.01)) {
+    return ['pass', `${video.fps} fps`];
+  }
+  if (video.ntscRate && frameRates.some(rate => Math.round(video.fps) === rate)) {
+    return ['warn', `${video.fps} fps (${video.frameRate}) drifts against ${expected} fps playback`];
+  }
+  return ['fail', `${video.fps} fps, expected ${expected} fps`];
+}
+
+function checkCodec(video) {
+  const profile = video.profile ? ` (${video.profile})` : '';
+  if (video.fieldOrder && video.fieldOrder !== 'progressive') {
+    return ['fail', `${video.codec}${profile} is interlaced (${video.fieldOrder}); LED content must be progressive`];
+  }
+  if (WEB_VIDEO_CODECS.includes(video.codec)) {
+    if (video.bitDepth > 8 && video.codec !== 'av1' && video.codec !== 'vp9') {
+      return ['warn', `${video.codec}${profile} ${video.bitDepth}-bit does not decode in browsers; create a web proxy`];
+    }
+    return ['pass', `${video.codec}${profile}`];
+  }
+  if (video.codec === 'hevc') {
+    return ['warn', `hevc${profile} only plays in some browsers`];
+  }
+  return ['warn', `${video.codec}${profile} does not play in browsers; create a web proxy`];
+}
+
+function checkKeyframes(video, keyframes) {
+  if (INTRA_ONLY_CODECS.includes(video.codec)) {
+    return ['pass', 'Every frame is a keyframe'];
+  }
+  if (!keyframes) {
+    return ['warn', 'Not checked (file is not in the media library)'];
+  }
+  if (keyframes.maxInterval === null) {
+    return ['warn', 'Not enough frames to measure'];
+  }
+  const seconds = keyframes.maxInterval;
+  const frames = video.fps ? ` (${Math.round(seconds * video.fps)} frames)` : '';
+  const message = `Keyframe every ${Number(seconds.toFixed(2))}s${frames} at most`;
+  if (seconds > GOP_FAIL_SECONDS) {
+    return ['fail', `${message}; scrubbing will stutter. Re-export with a GOP of ${GOP_WARN_SECONDS}s or less`];
+  }
+  if (seconds > GOP_WARN_SECONDS) {
+    return ['warn', `${message}; scrubbing may lag`];
+  }
+  return ['pass', message];
+}
+
+function checkBitrate(report, video, keyframes) {
+  const bitrate = keyframes?.videoBitrate || video.bitrate || report.bitrate;
+  if (!bitrate) {
+    return ['warn', 'Bitrate unknown'];
+  }
+  if (INTRA_ONLY_CODECS.includes(video.codec)) {
+    return ['pass', formatBitrate(bitrate)];
+  }
+  if (bitrate > MAX_WEB_BITRATE) {
+    return ['warn', `${formatBitrate(bitrate)} may not decode in real time in the browser`];
+  }
+  if (video.width && video.height && video.fps) {
+    const bitsPerPixel = bitrate / (video.width * video.height * video.fps);
+    if (bitsPerPixel < MIN_BITS_PER_PIXEL) {
+      return ['warn', `${formatBitrate(bitrate)} is low for ${video.width}x${video.height} at ${video.fps} fps; expect banding and blocking`];
+    }
+  }
+  return ['pass', formatBitrate(bitrate)];
+}
+
+function checkAudio(report) {
+  if (report.audio.length === 0) {
+    return ['pass', 'No audio'];
+  }
+  const track = report.audio[0];
+  const details = [track.codec, track.sampleRate ? `${track.sampleRate / 1000} kHz` : null, track.channelLayout].filter(Boolean).join(', ');
+  if (!WEB_AUDIO_CODECS.includes(track.codec)) {
+    return ['warn', `${details} does not play in browsers`];
+  }
+  if (track.sampleRate && track.sampleRate !== PREFERRED_SAMPLE_RATE) {
+    return ['warn', `${details}; show audio is ${PREFERRED_SAMPLE_RATE / 1000} kHz`];
+  }
+  if (report.audio.length > 1) {
+    return ['warn', `${details}; only the first of ${report.audio.length} tracks plays`];
+  }
+  return ['pass', details];
+}
+
+/**
+ * Rate a probe report against a mapping
+ * @param {Object} report - Probe report (see mediaProbe.js)
+ * @param {Object} options
+ * @param {string} options.mappingType - Mapping the file will be played on
+ * @param {number[]} [options.frameRates] - Accepted frame rates (empty = warn, not configured)
+ * @param {boolean} [options.still] - Image: only the picture size is checked
+ * @param {Object|null} [keyframes] - Result of scanKeyframes, null when not scanned
+ * @returns {{mappingType: string, expected: Object, status: string, checks: Array<{id: string, label: string, status: string, message: string}>}}
+ */
+export function validateMedia(report, { mappingType, frameRates = [], still = false }, keyframes = null) {
+  const aspect = LED_CONTENT_ASPECTS[mappingType];
+  if (!aspect) {
+    throw new HttpError(`Unknown mapping type "${mappingType}"`);
+  }
+  if (!report || typeof report !== 'object' || !Array.isArray(report.audio)) {
+    throw new HttpError('report must be a probe report');
+  }
+
+  const canvas = LED_CANVAS_SIZES[mappingType] || null;
+  const checks = [];
+  const add = (id, label, [status, message]) => checks.push({ id, label, status, message });
+  const video = report.video;
+
+  if (!video || !video.width || !video.height) {
+    add('video', 'Picture', ['fail', 'No video stream found']);
+  } else {
+    const fileAspect = getDisplayAspect(video);
+    add('aspect', 'Aspect', Math.abs(fileAspect - aspect) / aspect <= ASPECT_TOLERANCE
+      ? ['pass', formatAspect(fileAspect)]
+      : ['fail', `${formatAspect(fileAspect)} file on a ${formatAspect(aspect)} mapping`]);
+
+    if (canvas) {
+      // 4:2:0 codecs need even dimensions, so a 4465 wide canvas is rendered at 4464
+      const matchesCanvas = Math.abs(video.width - canvas.width) <= 1 && Math.abs(video.height - canvas.height) <= 1;
+      add('size', 'Size', matchesCanvas
+        ? ['pass', `${video.width}x${video.height}`]
+        : ['warn', `${video.width}x${video.height}, canvas is ${canvas.width}x${canvas.height} (scaled)`]);
+    }
+
+    if (!still) {
+      add('fps', 'Frame rate', checkFrameRate(video, frameRates));
+      add('codec', 'Codec', checkCodec(video));
+      add('keyframes', 'Keyframes', checkKeyframes(video, keyframes));
+      add('bitrate', 'Bitrate', checkBitrate(report, video, keyframes));
+    }
+  }
+  if (!still) {
+    add('audio', 'Audio', checkAudio(report));
+  }
+
+  const status = checks.reduce((worst, check) => STATUS_RANK[check.status] > STATUS_RANK[worst] ? check.status : worst, 'pass');
+  return {
+    mappingType,
+    expected: { aspect, width: canvas?.width ?? null, height: canvas?.height ?? null, frameRates },
+    status,
+    checks
+  };
+}
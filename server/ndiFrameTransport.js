@@ -0,0 +1,157 @@
+/**
+ * NDI Frame Transport
+ * Splits FFmpeg MJPEG output into frames and sends them to /ndi/ws clients as
+ * binary WebSocket messages, dropping frames while a client is behind.
+ *
+ * Binary frame layout (little-endian, header followed by the JPEG bytes):
+ *   0  uint8    protocol version (FRAME_PROTOCOL_VERSION)
+ *   1  uint8    payload format (FRAME_FORMAT_JPEG)
+ *   2  uint16   width in pixels (0 if unknown)
+ *   4  uint16   height in pixels (0 if unknown)
+ *   6  uint16   header length in bytes (FRAME_HEADER_BYTES)
+ *   8  uint32   sequence number (increments for every captured frame, dropped ones leave gaps)
+ *   12 uint32   frames dropped for this client so far
+ *   16 float64  capture timestamp (server Date.now() in ms)
+ * Control messages (connected, error, closed) stay JSON text messages, as does the clock
+ * sync pair used to measure latency against the capture timestamp:
+ *   { type: 'ping', clientTime }  ->  { type: 'pong', clientTime, receivedAt, serverTime }
+ */
+
+export const FRAME_PROTOCOL_VERSION = 1;
+export const FRAME_FORMAT_JPEG = 1;
+export const FRAME_HEADER_BYTES = 24;
+
+// Skip frames while more than this is still queued in the socket
+const DEFAULT_MAX_BUFFERED_BYTES = 512 * 1024;
+// Discard the buffer if FFmpeg output stops looking like JPEG
+const MAX_SPLITTER_BUFFER_BYTES = 32 * 1024 * 1024;
+
+const JPEG_SOI = Buffer.from([0xFF, 0xD8]);
+const JPEG_EOI = Buffer.from([0xFF, 0xD9]);
+
+/**
+ * Read width/height from a JPEG's start-of-frame marker
+ * @param {Buffer} jpeg - Complete JPEG image
+ * @returns {{width: number, height: number}|null}
+ */
+export function getJpegSize(jpeg) {
+  let offset = 2; // after SOI
+  while (offset + 9 < jpeg.length) {
+    if (jpeg[offset] !== 0xFF) return null;
+    const marker = jpeg[offset + 1];
+    const length = jpeg.readUInt16BE(offset + 2);
+    // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        height: jpeg.readUInt16BE(offset + 5),
+        width: jpeg.readUInt16BE(offset + 7)
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Build a binary frame message
+ * @returns {Buffer}
+ */
+export function encodeFrame({ jpeg, sequence, dropped, timestamp, width = 0, height = 0 }) {
+  const header = Buffer.alloc(FRAME_HEADER_BYTES);
+  header.writeUInt8(FRAME_PROTOCOL_VERSION, 0);
+  header.writeUInt8(FRAME_FORMAT_JPEG, 1);
+  header.writeUInt16LE(width, 2);
+  header.writeUInt16LE(height, 4);
+  header.writeUInt16LE(FRAME_HEADER_BYTES, 6);
+  header.writeUInt32LE(sequence >>> 0, 8);
+  header.writeUInt32LE(dropped >>> 0, 12);
+  header.writeDoubleLE(timestamp, 16);
+  return Buffer.concat([header, jpeg]);
+}
+
+/**
+ * Reassembles complete JPEG images from an MJPEG byte stream (image2pipe output)
+ */
+export class MjpegFrameSplitter {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Add a chunk of FFmpeg stdout
+   * @param {Buffer} chunk
+   * @returns {Buffer[]} Complete JPEG frames found so far
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+
+    let startIndex = this.buffer.indexOf(JPEG_SOI);
+    while (startIndex !== -1) {
+      const endIndex = this.buffer.indexOf(JPEG_EOI, startIndex + 2);
+      if (endIndex === -1) break; // Incomplete frame, wait for more data
+
+      frames.push(this.buffer.subarray(startIndex, endIndex + 2));
+      this.buffer = this.buffer.subarray(endIndex + 2);
+      startIndex = this.buffer.indexOf(JPEG_SOI);
+    }
+
+    if (startIndex === -1) {
+      // Keep a trailing 0xFF in case the next chunk starts with the rest of an SOI marker
+      this.buffer = this.buffer.length && this.buffer[this.buffer.length - 1] === 0xFF
+        ? this.buffer.subarray(this.buffer.length - 1)
+        : Buffer.alloc(0);
+    } else if (this.buffer.length > MAX_SPLITTER_BUFFER_BYTES) {
+      console.warn('MJPEG splitter: no frame end found, discarding buffered data');
+      this.buffer = Buffer.alloc(0);
+    }
+
+    return frames;
+  }
+}
+
+/**
+ * Sends frames to one WebSocket client, skipping frames while its send buffer is backed up
+ */
+export class FrameSender {
+  /**
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} [options]
+   * @param {number} [options.maxBufferedBytes] - Drop frames while ws.bufferedAmount exceeds this
+   */
+  constructor(ws, { maxBufferedBytes = DEFAULT_MAX_BUFFERED_BYTES } = {}) {
+    this.ws = ws;
+    this.maxBufferedBytes = maxBufferedBytes;
+    this.sequence = 0;
+    this.sent = 0;
+    this.dropped = 0;
+  }
+
+  /**
+   * Send a frame unless the client is behind
+   * @param {Buffer} jpeg - Complete JPEG image
+   * @param {number} [timestamp] - Capture time (ms)
+   * @returns {boolean} True if the frame was sent
+   */
+  send(jpeg, timestamp = Date.now()) {
+    this.sequence++;
+    if (this.ws.readyState !== this.ws.OPEN) return false;
+
+    if (this.ws.bufferedAmount > this.maxBufferedBytes) {
+      this.dropped++;
+      return false;
+    }
+
+    const size = getJpegSize(jpeg);
+    this.ws.send(encodeFrame({
+      jpeg,
+      sequence: this.sequence,
+      dropped: this.dropped,
+      timestamp,
+      width: size ? size.width : 0,
+      height: size ? size.height : 0
+    }), { binary: true });
+    this.sent++;
+    return true;
+  }
+}
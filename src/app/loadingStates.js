@@ -19,6 +19,16 @@ export function registerLoadingStates(loadingManager) {
   loadingManager.register('cameraControls', ['ui', 'dom']);
   loadingManager.register('vrManager', ['ui', 'dom']);
   loadingManager.register('shaderControls', ['stageMeshes', 'ledMeshes']);
+  loadingManager.register('annotations', ['playbackControls', 'mediaManager']);
+  loadingManager.register('timelinePreviews', ['playbackControls', 'mediaManager']);
+  loadingManager.register('luminance', ['playbackControls', 'mediaManager']);
+  loadingManager.register('flashSafety', ['playbackControls', 'mediaManager']);
+  loadingManager.register('oscControl', ['playbackControls', 'cameraControls']);
+  loadingManager.register('timecodeChase', ['playbackControls', 'mediaManager']);
+  loadingManager.register('dmxLighting', ['cameraControls']);
+  loadingManager.register('reviewSession', ['playbackControls', 'cameraControls', 'shaderControls']);
+  loadingManager.register('looks', ['mediaManager', 'cameraControls', 'shaderControls']);
+  loadingManager.register('remoteControl', ['playbackControls', 'looks']);
 }
 
 
@@ -0,0 +1,40 @@
+/**
+ * LED canvas sizes
+ * Pixel resolution of the content canvas for each LED mapping (matches the UV grid test patterns)
+ * and the content aspect ratio each mapping expects
+ */
+
+export const LED_CANVAS_SIZES = {
+  renderOption1: { width: 4465, height: 950 },
+  renderOption1NoFront: { width: 4465, height: 950 },
+  renderOption2WithFront: { width: 5700, height: 950 },
+  renderOption2NoFront: { width: 5700, height: 950 }
+};
+
+// Used for mappings without a dedicated canvas (front projection, FarCam, festival)
+export const DEFAULT_LED_CANVAS_SIZE = LED_CANVAS_SIZES.renderOption1;
+
+/**
+ * Get the LED canvas size for a mapping type
+ * @param {string} mappingType - Mapping type
+ * @returns {{width: number, height: number}} Canvas size in pixels
+ */
+export function getLEDCanvasSize(mappingType) {
+  return LED_CANVAS_SIZES[mappingType] || DEFAULT_LED_CANVAS_SIZE;
+}
+
+// Content aspect ratio (width:1) per mapping type, as shown in the mapping selector labels
+export const LED_CONTENT_ASPECTS = {
+  renderOption1: 4.7,
+  renderOption1NoFront: 4.7,
+  renderOption2WithFront: 6,
+  renderOption2NoFront: 6,
+  frontProjection: 5.1,
+  frontProjectionPerspective: 5.1,
+  farCamA: 5,
+  farCamB: 5,
+  farCamC: 5,
+  farCamD: 5,
+  farCamE: 5,
+  festival: 7.4
+};
@@ -0,0 +1,76 @@
+/**
+ * Server Clock
+ * Estimates the server's clock from ping/pong round trips (NTP-style), so devices
+ * can act on the same moment: t0 ping sent, t1 received by the server, t2 pong sent,
+ * t3 pong received. The offset is ((t1 - t0) + (t2 - t3)) / 2, taken from the recent
+ * sample with the shortest round trip (least queueing, least asymmetry).
+ * Local time is performance.now(), which system clock adjustments do not move.
+ */
+
+const MAX_SAMPLES = 8;
+
+export class ServerClock {
+  constructor() {
+    // Until the first sample, assume the local wall clock matches the server
+    this.offset = Date.now() - performance.now(); // server time - performance.now() (ms)
+    this.roundTrip = null; // ms, of the sample the offset comes from
+    this.samples = []; // { offset, roundTrip }
+  }
+
+  /**
+   * Rough offset from a server timestamp, used until round trips have been measured
+   * @param {number} serverTime
+   */
+  seed(serverTime) {
+    if (this.samples.length === 0) {
+      this.offset = serverTime - performance.now();
+    }
+  }
+
+  /**
+   * Start over, e.g. after reconnecting (possibly to a restarted server)
+   */
+  reset() {
+    this.samples = [];
+    this.roundTrip = null;
+  }
+
+  /**
+   * @param {number} clientSentAt - performance.now() when the ping was sent (t0)
+   * @param {number} serverReceivedAt - Server time the ping arrived (t1)
+   * @param {number} serverSentAt - Server time the pong was sent (t2)
+   * @param {number} [clientReceivedAt] - performance.now() when the pong arrived (t3)
+   */
+  addSample(clientSentAt, serverReceivedAt, serverSentAt, clientReceivedAt = performance.now()) {
+    const roundTrip = (clientReceivedAt - clientSentAt) - (serverSentAt - serverReceivedAt);
+    if (!(roundTrip >= 0)) return;
+    this.samples.push({
+      offset: ((serverReceivedAt - clientSentAt) + (serverSentAt - clientReceivedAt)) / 2,
+      roundTrip
+    });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+    const best = this.samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+    this.offset = best.offset;
+    this.roundTrip = best.roundTrip;
+  }
+
+  /**
+   * Current server time (ms since the epoch, fractional)
+   */
+  now() {
+    return performance.now() + this.offset;
+  }
+
+  /**
+   * @returns {{synced: boolean, roundTrip: number|null, uncertainty: number|null}} uncertainty: worst-case error (ms)
+   */
+  getStatus() {
+    return {
+      synced: this.samples.length > 0,
+      roundTrip: this.roundTrip,
+      uncertainty: this.roundTrip !== null ? this.roundTrip / 2 : null
+    };
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Server Events
+ * Maintains the WebSocket connection to the backend event channel (/api/events)
+ * and dispatches incoming messages to subscribers by type.
+ */
+
+const RECONNECT_DELAY_MIN_MS = 1000;
+const RECONNECT_DELAY_MAX_MS = 15000;
+
+export class ServerEvents {
+  constructor(path = '/api/events') {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    this.url = `${protocol}//${window.location.host}${path}`;
+    this.socket = null;
+    this.handlers = new Map(); // type -> Set of handlers
+    this.reconnectDelay = RECONNECT_DELAY_MIN_MS;
+    this.reconnectTimer = null;
+    this.closedByClient = false;
+  }
+
+  /**
+   * Open the connection (reconnects automatically until close() is called)
+   */
+  connect() {
+    if (this.socket) return;
+    this.closedByClient = false;
+
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (error) {
+      console.warn('Server events: could not open WebSocket:', error.message);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket.onopen = () => {
+      console.log('Server events connected');
+      this.reconnectDelay = RECONNECT_DELAY_MIN_MS;
+      this.dispatch({ type: 'open' });
+    };
+
+    this.socket.onmessage = (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (data && typeof data.type === 'string') {
+        this.dispatch(data);
+      }
+    };
+
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.dispatch({ type: 'close' });
+      if (!this.closedByClient) {
+        this.scheduleReconnect();
+      }
+    };
+
+    this.socket.onerror = () => {
+      // onclose follows; backend may simply not be running
+      console.debug('Server events: connection error at', this.url);
+    };
+  }
+
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_DELAY_MAX_MS);
+  }
+
+  dispatch(data) {
+    const handlers = this.handlers.get(data.type);
+    if (!handlers) return;
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`Server events handler error (${data.type}):`, error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to a message type. 'open' and 'close' report connection changes.
+   * @param {string} type - Message type
+   * @param {Function} handler - Called with the parsed message
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Send a message to the server (dropped while disconnected)
+   * @returns {boolean} True if the message was sent
+   */
+  send(type, payload = {}) {
+    if (!this.isConnected()) return false;
+    this.socket.send(JSON.stringify({ type, ...payload }));
+    return true;
+  }
+
+  isConnected() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  close() {
+    this.closedByClient = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
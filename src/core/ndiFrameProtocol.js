@@ -0,0 +1,36 @@
+/**
+ * NDI Frame Protocol
+ * Decodes the binary frame messages sent over /ndi/ws
+ * (layout documented in server/ndiFrameTransport.js).
+ */
+
+export const FRAME_PROTOCOL_VERSION = 1;
+export const FRAME_FORMAT_JPEG = 1;
+
+const MIN_HEADER_BYTES = 24;
+
+/**
+ * Parse a binary frame message
+ * @param {ArrayBuffer} buffer - WebSocket message data
+ * @returns {Object|null} { width, height, sequence, dropped, timestamp, payload } or null if unsupported
+ */
+export function parseFrameMessage(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < MIN_HEADER_BYTES) return null;
+
+  const view = new DataView(buffer);
+  const version = view.getUint8(0);
+  const format = view.getUint8(1);
+  const headerLength = view.getUint16(6, true);
+  if (version !== FRAME_PROTOCOL_VERSION || format !== FRAME_FORMAT_JPEG || headerLength < MIN_HEADER_BYTES) {
+    return null;
+  }
+
+  return {
+    width: view.getUint16(2, true),
+    height: view.getUint16(4, true),
+    sequence: view.getUint32(8, true),
+    dropped: view.getUint32(12, true),
+    timestamp: view.getFloat64(16, true),
+    payload: new Uint8Array(buffer, headerLength)
+  };
+}
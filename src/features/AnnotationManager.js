@@ -0,0 +1,468 @@
+/**
+ * Annotation Manager
+ * Review notes pinned to a point on the LED/stage meshes at a video frame. Notes are
+ * stored per media file on the server (/api/annotations), shown as pins in the scene
+ * (desktop and VR) and as markers on the timeline, and kept live over the event channel.
+ */
+
+import * as THREE from 'three';
+import { getElement, on, toggleClass, setText } from '../utils/domUtils.js';
+
+const PIN_RADIUS = 0.08;
+const PIN_COLORS = {
+  open: 0xffc107,
+  resolved: 0x4caf50,
+  pending: 0x03a9f4
+};
+// Pins within this many seconds of the playhead are highlighted
+const ACTIVE_WINDOW_SECONDS = 1;
+const CLICK_MOVE_TOLERANCE_PX = 5;
+
+function formatTime(seconds) {
+  if (seconds === null || seconds === undefined) return '--:--';
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
+}
+
+export class AnnotationManager {
+  /**
+   * @param {Object} options
+   * @param {THREE.Scene} options.scene
+   * @param {THREE.Camera} options.camera
+   * @param {HTMLCanvasElement} options.canvas - Renderer canvas (clicks pick pin positions)
+   * @param {Object} options.controls - OrbitControls (target is moved when jumping to a note)
+   * @param {THREE.Object3D[]} options.pickTargets - Meshes/groups notes can be pinned to
+   * @param {Object} options.mediaManager
+   * @param {Object} options.playbackControls
+   * @param {Object} options.serverEvents - Backend event channel
+   * @param {Function} options.getMappingType - () => current mapping type
+   * @param {Function} options.getAuthor - () => name stored with new notes
+   */
+  constructor({ scene, camera, canvas, controls, pickTargets, mediaManager, playbackControls, serverEvents, getMappingType, getAuthor }) {
+    this.camera = camera;
+    this.canvas = canvas;
+    this.controls = controls;
+    this.pickTargets = pickTargets;
+    this.mediaManager = mediaManager;
+    this.playbackControls = playbackControls;
+    this.serverEvents = serverEvents;
+    this.getMappingType = getMappingType;
+    this.getAuthor = getAuthor;
+
+    this.group = new THREE.Group();
+    this.group.name = 'Annotations';
+    scene.add(this.group);
+    this.pinGeometry = new THREE.SphereGeometry(PIN_RADIUS, 16, 12);
+    this.pins = new Map(); // annotation id -> mesh
+
+    this.media = null; // { key, name } of the loaded media
+    this.annotations = [];
+    this.loadToken = 0;
+    this.pickMode = false;
+    this.pending = null; // { position, meshName, frame, time, mappingType, pin }
+    this.pointerDown = null;
+    this.markerDuration = null;
+    this.raycaster = new THREE.Raycaster();
+
+    // DOM elements (set in init)
+    this.addBtn = null;
+    this.form = null;
+    this.formInfo = null;
+    this.commentInput = null;
+    this.listEl = null;
+    this.statusEl = null;
+    this.exportCsvLink = null;
+    this.exportMdLink = null;
+    this.timelineMarkers = null;
+  }
+
+  init() {
+    this.addBtn = getElement('annotationAddBtn');
+    this.form = getElement('annotationForm');
+    this.formInfo = getElement('annotationFormInfo');
+    this.commentInput = getElement('annotationComment');
+    this.listEl = getElement('annotationList');
+    this.statusEl = getElement('annotationStatus');
+    this.exportCsvLink = getElement('annotationExportCsv');
+    this.exportMdLink = getElement('annotationExportMd');
+    this.timelineMarkers = getElement('timelineMarkers');
+
+    if (this.addBtn) {
+      on(this.addBtn, 'click', () => this.setPickMode(!this.pickMode));
+    }
+    const saveBtn = getElement('annotationSaveBtn');
+    if (saveBtn) {
+      on(saveBtn, 'click', () => this.savePending());
+    }
+    const cancelBtn = getElement('annotationCancelBtn');
+    if (cancelBtn) {
+      on(cancelBtn, 'click', () => this.cancelPending());
+    }
+    if (this.commentInput) {
+      on(this.commentInput, 'keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) this.savePending();
+        if (e.key === 'Escape') this.cancelPending();
+      });
+    }
+
+    on(this.canvas, 'pointerdown', (e) => {
+      this.pointerDown = { x: e.clientX, y: e.clientY };
+    });
+    on(this.canvas, 'pointerup', (e) => this.handlePointerUp(e));
+
+    this.serverEvents.on('annotation:changed', (data) => this.handleChange(data));
+    // Reload after reconnecting; notes may have changed while offline
+    this.serverEvents.on('open', () => {
+      if (this.media) this.load(this.media);
+    });
+
+    this.render();
+  }
+
+  /**
+   * Key of the media file notes belong to: library id when the file is in the
+   * media library, otherwise its asset path or local file name
+   * @returns {{key: string, name: string}|null}
+   */
+  getCurrentMedia() {
+    const mediaPath = this.mediaManager.currentVideoPath || this.mediaManager.currentImagePath;
+    if (!mediaPath || mediaPath.startsWith('NDI:')) return null;
+    const entry = this.mediaManager.findMediaLibraryEntry(mediaPath);
+    if (entry) return { key: entry.id, name: entry.name };
+    return { key: mediaPath, name: mediaPath.split('/').pop() };
+  }
+
+  async load(media) {
+    const token = ++this.loadToken;
+    this.media = media;
+    this.annotations = [];
+    this.cancelPending();
+    this.render();
+    if (!media) return;
+
+    try {
+      const response = await fetch(`/api/annotations?media=${encodeURIComponent(media.key)}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      if (token !== this.loadToken) return; // Media changed while loading
+      this.annotations = data.annotations || [];
+      this.render();
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.warn('Annotations: could not load notes:', error.message);
+      this.setStatus('Notes need the backend server');
+    }
+  }
+
+  handleChange({ media, action, annotation }) {
+    if (!this.media || media !== this.media.key || !annotation) return;
+    const index = this.annotations.findIndex(item => item.id === annotation.id);
+    if (action === 'deleted') {
+      if (index !== -1) this.annotations.splice(index, 1);
+    } else if (index !== -1) {
+      this.annotations[index] = annotation;
+    } else {
+      this.annotations.push(annotation);
+    }
+    this.render();
+  }
+
+  setPickMode(enabled) {
+    this.pickMode = enabled && !!this.media;
+    toggleClass(this.addBtn, 'active', this.pickMode);
+    this.canvas.style.cursor = this.pickMode ? 'crosshair' : '';
+    if (this.pickMode) {
+      this.setStatus('Click a point on an LED or stage mesh');
+    } else {
+      this.render();
+    }
+  }
+
+  handlePointerUp(e) {
+    const start = this.pointerDown;
+    this.pointerDown = null;
+    if (!this.pickMode || !start || e.button !== 0) return;
+    // Ignore orbit drags
+    if (Math.hypot(e.clientX - start.x, e.clientY - start.y) > CLICK_MOVE_TOLERANCE_PX) return;
+
+    const rect = this.canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    const hit = this.raycaster.intersectObjects(this.pickTargets, true)
+      .find(intersection => intersection.object.visible && intersection.object.isMesh);
+    if (!hit) {
+      this.setStatus('No mesh there - click on an LED or stage surface');
+      return;
+    }
+
+    this.setPickMode(false);
+    this.startPending(hit);
+  }
+
+  /**
+   * Anchor a new note at the picked point and the current frame, then ask for the comment
+   */
+  startPending(hit) {
+    this.cancelPending();
+    const video = this.mediaManager.getCurrentVideoElement();
+    const fileInfoManager = this.mediaManager.fileInfoManager;
+    const position = this.group.worldToLocal(hit.point.clone());
+
+    const pin = this.createPin(PIN_COLORS.pending);
+    pin.position.copy(position);
+    this.group.add(pin);
+
+    this.pending = {
+      position: { x: position.x, y: position.y, z: position.z },
+      meshName: hit.object.name || hit.object.parent?.name || null,
+      frame: video && fileInfoManager ? fileInfoManager.getFrameNumber(video) : null,
+      time: video ? video.currentTime : null,
+      mappingType: this.getMappingType(),
+      pin
+    };
+
+    if (this.formInfo) {
+      const frame = this.pending.frame !== null ? `Frame ${this.pending.frame}` : 'Still image';
+      setText(this.formInfo, `${frame} - ${this.pending.mappingType}${this.pending.meshName ? ` - ${this.pending.meshName}` : ''}`);
+    }
+    toggleClass(this.form, 'hidden', false);
+    if (this.commentInput) {
+      this.commentInput.value = '';
+      this.commentInput.focus();
+    }
+  }
+
+  cancelPending() {
+    if (this.pending) {
+      this.group.remove(this.pending.pin);
+      this.pending.pin.material.dispose();
+      this.pending = null;
+    }
+    toggleClass(this.form, 'hidden', true);
+  }
+
+  async savePending() {
+    if (!this.pending || !this.media) return;
+    const comment = this.commentInput ? this.commentInput.value.trim() : '';
+    if (!comment) {
+      this.setStatus('Write a comment first');
+      return;
+    }
+
+    const { pin, ...anchor } = this.pending;
+    try {
+      const response = await fetch('/api/annotations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...anchor,
+          media: this.media.key,
+          mediaName: this.media.name,
+          comment,
+          author: this.getAuthor()
+        })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      this.cancelPending();
+      this.handleChange({ media: this.media.key, action: 'created', annotation: data });
+    } catch (error) {
+      console.error('Annotations: could not save note:', error);
+      this.setStatus(`Could not save note: ${error.message}`);
+    }
+  }
+
+  async setResolved(annotation, resolved) {
+    await this.request(`/api/annotations/${encodeURIComponent(annotation.id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ media: this.media.key, resolved })
+    }, 'update');
+  }
+
+  async deleteAnnotation(annotation) {
+    if (!confirm(`Delete note "${annotation.comment}"?`)) return;
+    await this.request(
+      `/api/annotations/${encodeURIComponent(annotation.id)}?media=${encodeURIComponent(this.media.key)}`,
+      { method: 'DELETE' },
+      'delete'
+    );
+  }
+
+  // Changes come back through the event channel; only failures need handling here
+  async request(url, options, action) {
+    try {
+      const response = await fetch(url, options);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error(`Annotations: could not ${action} note:`, error);
+      this.setStatus(`Could not ${action} note: ${error.message}`);
+    }
+  }
+
+  /**
+   * Seek to the note's frame and orbit around its pin
+   */
+  goTo(annotation) {
+    const video = this.mediaManager.getCurrentVideoElement();
+    if (video && annotation.time !== null && this.playbackControls) {
+      if (!video.paused) this.playbackControls.togglePlayPause();
+      this.playbackControls.seekTo(annotation.time);
+    }
+    if (this.controls && this.controls.enabled) {
+      const target = this.group.localToWorld(new THREE.Vector3(annotation.position.x, annotation.position.y, annotation.position.z));
+      this.controls.target.copy(target);
+      this.controls.update();
+    }
+  }
+
+  createPin(color) {
+    const material = new THREE.MeshBasicMaterial({ color, transparent: true, depthTest: false });
+    const pin = new THREE.Mesh(this.pinGeometry, material);
+    pin.renderOrder = 999; // Stay visible through the LED surface they sit on
+    return pin;
+  }
+
+  setStatus(text) {
+    if (this.statusEl) setText(this.statusEl, text);
+  }
+
+  /**
+   * Rebuild pins, the note list, timeline markers and export links
+   */
+  render() {
+    const sorted = [...this.annotations].sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+    this.renderPins(sorted);
+    this.renderList(sorted);
+    this.renderTimelineMarkers();
+
+    const hasMedia = !!this.media;
+    if (this.addBtn) this.addBtn.disabled = !hasMedia;
+    [['csv', this.exportCsvLink], ['md', this.exportMdLink]].forEach(([format, link]) => {
+      if (!link) return;
+      toggleClass(link, 'hidden', !hasMedia || sorted.length === 0);
+      if (hasMedia) {
+        link.href = `/api/annotations/export?media=${encodeURIComponent(this.media.key)}&format=${format}`;
+      }
+    });
+
+    if (!hasMedia) {
+      this.setStatus('Load a video or image to add notes');
+    } else {
+      const open = sorted.filter(annotation => !annotation.resolved).length;
+      this.setStatus(`${sorted.length} note(s), ${open} open`);
+    }
+  }
+
+  renderPins(sorted) {
+    const ids = new Set(sorted.map(annotation => annotation.id));
+    this.pins.forEach((pin, id) => {
+      if (!ids.has(id)) {
+        this.group.remove(pin);
+        pin.material.dispose();
+        this.pins.delete(id);
+      }
+    });
+    sorted.forEach(annotation => {
+      let pin = this.pins.get(annotation.id);
+      if (!pin) {
+        pin = this.createPin(PIN_COLORS.open);
+        this.group.add(pin);
+        this.pins.set(annotation.id, pin);
+      }
+      pin.position.set(annotation.position.x, annotation.position.y, annotation.position.z);
+      pin.material.color.setHex(annotation.resolved ? PIN_COLORS.resolved : PIN_COLORS.open);
+      pin.userData.time = annotation.time;
+    });
+  }
+
+  renderList(sorted) {
+    if (!this.listEl) return;
+    this.listEl.innerHTML = '';
+    sorted.forEach(annotation => {
+      const item = document.createElement('div');
+      item.className = 'annotation-item';
+      toggleClass(item, 'resolved', annotation.resolved);
+
+      const header = document.createElement('div');
+      header.className = 'annotation-item-header';
+      const frame = annotation.frame !== null ? `F${String(annotation.frame).padStart(4, '0')}` : 'Still';
+      header.textContent = `${frame} | ${formatTime(annotation.time)} | ${annotation.author}`;
+      header.title = [annotation.mappingType, annotation.meshName].filter(Boolean).join(' / ');
+
+      const comment = document.createElement('div');
+      comment.className = 'annotation-item-comment';
+      comment.textContent = annotation.comment;
+
+      const actions = document.createElement('div');
+      actions.className = 'annotation-item-actions';
+      const addAction = (label, title, handler) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-sm';
+        button.textContent = label;
+        button.title = title;
+        on(button, 'click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        actions.appendChild(button);
+      };
+      addAction(annotation.resolved ? 'Reopen' : 'Resolve', 'Mark as handled', () => this.setResolved(annotation, !annotation.resolved));
+      addAction('Delete', 'Delete note', () => this.deleteAnnotation(annotation));
+
+      item.append(header, comment, actions);
+      on(item, 'click', () => this.goTo(annotation));
+      this.listEl.appendChild(item);
+    });
+  }
+
+  renderTimelineMarkers() {
+    if (!this.timelineMarkers) return;
+    this.timelineMarkers.innerHTML = '';
+    const video = this.mediaManager.getCurrentVideoElement();
+    const duration = video ? video.duration : NaN;
+    this.markerDuration = isFinite(duration) && duration > 0 ? duration : null;
+    if (!this.markerDuration) return;
+
+    this.annotations.forEach(annotation => {
+      if (annotation.time === null) return;
+      const marker = document.createElement('div');
+      marker.className = 'timeline-marker';
+      toggleClass(marker, 'resolved', annotation.resolved);
+      marker.style.left = `${Math.min(100, (annotation.time / this.markerDuration) * 100)}%`;
+      marker.title = `${formatTime(annotation.time)} - ${annotation.comment}`;
+      on(marker, 'click', () => this.goTo(annotation));
+      this.timelineMarkers.appendChild(marker);
+    });
+  }
+
+  /**
+   * Per-frame: follow media changes and highlight pins near the playhead
+   */
+  update() {
+    const media = this.getCurrentMedia();
+    if ((media && media.key) !== (this.media && this.media.key)) {
+      this.load(media);
+    }
+
+    const video = this.mediaManager.getCurrentVideoElement();
+    const duration = video ? video.duration : NaN;
+    if ((isFinite(duration) && duration > 0 ? duration : null) !== this.markerDuration) {
+      this.renderTimelineMarkers();
+    }
+
+    const currentTime = video ? video.currentTime : null;
+    this.pins.forEach(pin => {
+      const active = currentTime === null || pin.userData.time === null ||
+        Math.abs(pin.userData.time - currentTime) <= ACTIVE_WINDOW_SECONDS;
+      pin.scale.setScalar(active ? 1.5 : 1);
+      pin.material.opacity = active ? 1 : 0.35;
+    });
+  }
+}
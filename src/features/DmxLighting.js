@@ -0,0 +1,180 @@
+/**
+ * DMX Lighting
+ * Lets the lighting designer preview cues against the LED content: DMX levels from
+ * the desk (Art-Net / sACN, relayed by the server as dmx:universe) are mapped through
+ * the server's channel patch onto the directional light (color, intensity, azimuth,
+ * elevation), the ambient light and the background color.
+ * While enabled, DMX wins over the sliders and the content-driven dynamic light; when
+ * the signal drops the last look is held.
+ */
+
+import { getElement, on, setText } from '../utils/domUtils.js';
+
+const STORAGE_KEY = 'dmxLighting.enabled';
+const SIGNAL_TIMEOUT_MS = 3000; // The server repeats levels every second while a desk is sending
+const PROTOCOL_LABELS = { artnet: 'Art-Net', sacn: 'sACN' };
+
+function decodeLevels(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function hasValues(values) {
+  return Object.values(values).some(value => value !== undefined);
+}
+
+export class DmxLighting {
+  /**
+   * @param {Object} options
+   * @param {Object} options.serverEvents - Backend event channel (dmx:universe, dmx:patch)
+   * @param {Object} options.actions - {
+   *     setLight({red, green, blue, intensity}), setLightAngles({azimuth, elevation}),
+   *     setAmbient({red, green, blue, intensity}), setBackground({red, green, blue}), restore()
+   *   } Unpatched values are undefined
+   */
+  constructor({ serverEvents, actions }) {
+    this.serverEvents = serverEvents;
+    this.actions = actions;
+
+    this.enabled = false;
+    this.patch = null; // { source, parameters: { 'light.red': { protocol, universe, channel, fine, min, max }, ... } }
+    this.universes = new Map(); // "<protocol>:<universe>" -> { levels, source, receivedAt }
+    this.look = null; // Parameter values from the latest levels
+    this.applied = {}; // JSON of the last applied angles/ambient/background, by group
+    this.lastStatus = null;
+
+    // DOM elements (set in init)
+    this.enabledCheckbox = null;
+    this.statusEl = null;
+  }
+
+  init() {
+    this.enabledCheckbox = getElement('dmxLightingEnabled');
+    this.statusEl = getElement('dmxLightingStatus');
+
+    this.enabled = localStorage.getItem(STORAGE_KEY) === 'true';
+    if (this.enabledCheckbox) {
+      this.enabledCheckbox.checked = this.enabled;
+      on(this.enabledCheckbox, 'change', () => this.setEnabled(this.enabledCheckbox.checked));
+    }
+
+    this.serverEvents.on('dmx:universe', data => this.receiveUniverse(data));
+    this.serverEvents.on('dmx:patch', ({ patch }) => this.setPatch(patch));
+    // The patch may have changed while offline
+    this.serverEvents.on('open', () => this.load());
+
+    this.load();
+  }
+
+  async load() {
+    try {
+      const response = await fetch('/api/dmx');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      this.setPatch(data.patch);
+    } catch (error) {
+      console.warn('DMX: could not load the patch:', error.message);
+      this.patch = null;
+    }
+  }
+
+  setPatch(patch) {
+    this.patch = patch;
+    this.look = null;
+    this.applied = {};
+    this.computeLook();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    localStorage.setItem(STORAGE_KEY, String(enabled));
+    this.applied = {};
+    if (!enabled) this.actions.restore();
+  }
+
+  receiveUniverse({ protocol, universe, data, source }) {
+    this.universes.set(`${protocol}:${universe}`, { levels: decodeLevels(data), source, receivedAt: Date.now() });
+    this.computeLook();
+  }
+
+  /**
+   * Map the patched channels to parameter values; parameters whose universe has not
+   * arrived yet keep their last value
+   */
+  computeLook() {
+    if (!this.patch) return;
+    const look = { ...this.look };
+    Object.entries(this.patch.parameters).forEach(([name, parameter]) => {
+      const universe = this.universes.get(`${parameter.protocol}:${parameter.universe}`);
+      if (!universe) return;
+      const coarse = universe.levels[parameter.channel - 1];
+      const level = parameter.fine
+        ? (coarse * 256 + universe.levels[parameter.fine - 1]) / 65535
+        : coarse / 255;
+      look[name] = parameter.min + level * (parameter.max - parameter.min);
+    });
+    this.look = Object.keys(look).length > 0 ? look : null;
+  }
+
+  /**
+   * Per-frame (after the dynamic light): apply the look and update the status line
+   */
+  update() {
+    this.updateStatus();
+    if (!this.enabled || !this.look) return;
+    const look = this.look;
+    const group = prefix => ({
+      red: look[`${prefix}.red`],
+      green: look[`${prefix}.green`],
+      blue: look[`${prefix}.blue`],
+      intensity: look[`${prefix}.intensity`]
+    });
+
+    // The dynamic light and intensity slider write the directional light too, so it is set every frame
+    const light = group('light');
+    if (hasValues(light)) this.actions.setLight(light);
+
+    this.applyOnChange('angles', { azimuth: look['light.azimuth'], elevation: look['light.elevation'] }, this.actions.setLightAngles);
+    this.applyOnChange('ambient', group('ambient'), this.actions.setAmbient);
+    this.applyOnChange('background', {
+      red: look['background.red'],
+      green: look['background.green'],
+      blue: look['background.blue']
+    }, this.actions.setBackground);
+  }
+
+  applyOnChange(key, values, apply) {
+    if (!hasValues(values)) return;
+    const json = JSON.stringify(values);
+    if (this.applied[key] === json) return;
+    this.applied[key] = json;
+    apply(values);
+  }
+
+  updateStatus() {
+    let status;
+    if (!this.patch) {
+      status = 'DMX needs the backend server';
+    } else {
+      const now = Date.now();
+      const patched = Object.values(this.patch.parameters);
+      const live = Array.from(this.universes.entries())
+        .filter(([key, universe]) => now - universe.receivedAt < SIGNAL_TIMEOUT_MS
+          && patched.some(parameter => `${parameter.protocol}:${parameter.universe}` === key));
+      if (patched.length === 0) {
+        status = 'No channels patched';
+      } else if (live.length > 0) {
+        status = live.map(([key, universe]) => {
+          const [protocol, number] = key.split(':');
+          return `${PROTOCOL_LABELS[protocol]} ${number} from ${universe.source}`;
+        }).join(', ');
+      } else if (this.look) {
+        status = 'No DMX signal, holding the last look';
+      } else {
+        status = `Waiting for DMX (${patched.length} channels patched)`;
+      }
+    }
+    if (status === this.lastStatus) return;
+    this.lastStatus = status;
+    setText(this.statusEl, status);
+  }
+}
@@ -1,8 +1,37 @@
 /**
  * File Info Manager
- * Handles file metadata extraction and display updates
+ * Handles file metadata extraction and display updates, and shows the server's
+ * render check (pass/warn/fail against the selected mapping) for loaded videos
  */
 
+// Display names for FFmpeg codec ids
+const CODEC_NAMES = {
+  h264: 'H.264',
+  hevc: 'H.265',
+  prores: 'ProRes',
+  vp8: 'VP8',
+  vp9: 'VP9',
+  av1: 'AV1',
+  hap: 'HAP',
+  dnxhd: 'DNxHD',
+  mpeg4: 'MPEG-4',
+  mjpeg: 'MJPEG'
+};
+
+const VALIDATION_ICONS = { pass: '✓', warn: '!', fail: '✗' };
+
+// Timecode chase state -> label and badge tone (see PlaybackControls.updateChase)
+const CHASE_STATES = {
+  waiting: { label: 'WAITING', tone: null },
+  locked: { label: 'LOCKED', tone: 'pass' },
+  syncing: { label: 'SYNCING', tone: 'warn' },
+  stopped: { label: 'STOPPED', tone: 'pass' },
+  outside: { label: 'OUT OF RANGE', tone: 'warn' },
+  freewheel: { label: 'FREEWHEEL', tone: 'warn' },
+  lost: { label: 'NO SIGNAL', tone: 'fail' }
+};
+const CHASE_SOURCES = { artnet: 'Art-Net', osc: 'OSC' };
+
 export class FileInfoManager {
   constructor(mediaManager) {
     this.mediaManager = mediaManager;
@@ -20,6 +49,17 @@ export class FileInfoManager {
     this.stillFileNameDisplay = document.getElementById('stillFileNameDisplay');
     this.showFileInfoCheckbox = document.getElementById('showFileInfo');
     this.overlayImage = document.getElementById('overlayImage');
+    this.probeInfoGroup = document.getElementById('mediaProbeInfo');
+    this.probeInfoContent = document.getElementById('mediaProbeInfoContent');
+    this.validationGroup = document.getElementById('mediaValidationGroup');
+    this.validationStatus = document.getElementById('mediaValidationStatus');
+    this.validationContent = document.getElementById('mediaValidationContent');
+    this.timecodeStatus = document.getElementById('timecodeStatus');
+    
+    // Render check state
+    this.mappingType = null;
+    this.validationTarget = null; // { entry, report } of the loaded video
+    this.validationRequest = 0; // Drops responses for media that is no longer loaded
   }
   
   /**
@@ -63,6 +103,12 @@ export class FileInfoManager {
   getVideoCodec(video, path) {
     if (!video) return 'unknown';
     
+    // Prefer the server probe of a locally loaded file
+    const report = this.mediaManager ? this.mediaManager.getProbeReport() : null;
+    if (report && report.video) {
+      return CODEC_NAMES[report.video.codec] || report.video.codec.toUpperCase();
+    }
+    
     // Try to detect codec from file extension
     if (path) {
       const ext = path.toLowerCase().split('.').pop();
@@ -135,6 +181,8 @@ export class FileInfoManager {
    * @param {File} file - Image file
    */
   updateStillInfo(file) {
+    this.updateProbeInfo(null);
+    this.validateMedia(null);
     const imagePath = this.mediaManager ? this.mediaManager.getCurrentImagePath() : null;
     const fileName = this.getFileName(file ? file.name : (imagePath || ''));
     const metadata = this.getImageMetadata(file, this.overlayImage);
@@ -178,6 +226,25 @@ export class FileInfoManager {
     }
   }
 
+  /**
+   * Frame number for the video's current time, matching the burned-in frame counter
+   * (adjusted by the frame offset slider)
+   * @param {HTMLVideoElement} video
+   * @returns {number}
+   */
+  getFrameNumber(video) {
+    const frameRate = this.mediaManager ? this.mediaManager.getVideoFrameRate() : 30;
+    const frameOffset = this.getFrameOffset();
+    
+    // Standard formula: frame = floor((time - offset) * fps)
+    const currentFrame = Math.max(0, Math.floor(((video.currentTime || 0) - (frameOffset / frameRate)) * frameRate));
+    const totalFrames = Math.floor(video.duration * frameRate);
+    if (!isFinite(totalFrames)) return currentFrame;
+    
+    // Clamp to valid range
+    return Math.max(0, Math.min(currentFrame, Math.max(0, totalFrames - 1)));
+  }
+  
   /**
    * Update video frame info display
    * @param {HTMLVideoElement} video - Video element
@@ -265,23 +332,11 @@ export class FileInfoManager {
     const duration = video.duration;
     const frameRate = this.mediaManager ? this.mediaManager.getVideoFrameRate() : 30;
     
-    // Calculate frame number to match burned-in frame counter
-    // Get frame offset from UI control (adjustable via slider)
-    const frameOffset = this.getFrameOffset();
-    
-    // Calculate frame number
-    // Standard formula: frame = floor((time - offset) * fps)
-    const frameNumber = (currentTime - (frameOffset / frameRate)) * frameRate;
-    let currentFrame = Math.floor(frameNumber);
-    
-    // Ensure non-negative
-    currentFrame = Math.max(0, currentFrame);
-    
     // Calculate total frames
     const totalFrames = Math.floor(duration * frameRate);
     
-    // Clamp to valid range
-    const clampedFrame = Math.max(0, Math.min(currentFrame, Math.max(0, totalFrames - 1)));
+    // Frame number matching the burned-in frame counter
+    const clampedFrame = this.getFrameNumber(video);
     
     // Update filename display with codec info and FPS
     if (this.fileNameDisplay) {
@@ -374,6 +429,8 @@ export class FileInfoManager {
    * @param {string|null} streamName
    */
   setNDIStreamName(streamName) {
+    this.updateProbeInfo(null);
+    this.validateMedia(null);
     if (this.fileNameDisplay) {
       this.fileNameDisplay.textContent = streamName ? 'NDI STREAM' : '';
     }
@@ -410,6 +467,8 @@ export class FileInfoManager {
    * @param {string|null} cameraName
    */
   setNDICameraName(cameraName) {
+    this.updateProbeInfo(null);
+    this.validateMedia(null);
     if (this.fileNameDisplay) {
       this.fileNameDisplay.textContent = cameraName ? 'NDI STREAM' : '';
     }
@@ -447,6 +506,185 @@ export class FileInfoManager {
       }
     }
   }
-}
 
+  /**
+   * Turn a probe report into label/value rows
+   * @param {Object} report - Report from /api/video/framerate/upload
+   * @returns {Array<[string, string]>}
+   */
+  formatProbeReport(report) {
+    const rows = [];
+    const video = report.video;
+    
+    if (video) {
+      const codec = CODEC_NAMES[video.codec] || video.codec;
+      rows.push(['Codec', video.profile ? `${codec} (${video.profile})` : codec]);
+      if (video.width && video.height) {
+        const aspect = video.pixelAspect && video.pixelAspect !== '1:1' ? `, PAR ${video.pixelAspect}` : '';
+        rows.push(['Size', `${video.width}x${video.height}${aspect}`]);
+      }
+      if (video.fps) {
+        rows.push(['Frame rate', video.ntscRate ? `${video.fps} fps (${video.frameRate})` : `${video.fps} fps`]);
+      }
+      if (video.pixelFormat) {
+        rows.push(['Pixels', `${video.pixelFormat}${video.bitDepth ? `, ${video.bitDepth}-bit` : ''}`]);
+      }
+      const color = [video.colorPrimaries, video.colorTransfer, video.colorRange].filter(Boolean);
+      if (color.length) {
+        rows.push(['Color', color.join(' / ')]);
+      }
+    }
+    
+    if (report.duration) {
+      rows.push(['Duration', `${report.duration.toFixed(2)}s`]);
+    }
+    if (report.timecode) {
+      rows.push(['Timecode', `${report.timecode.start}${report.timecode.dropFrame ? ' (DF)' : ''}`]);
+    }
+    
+    if (report.audio.length === 0) {
+      rows.push(['Audio', 'none']);
+    }
+    report.audio.forEach((track, i) => {
+      const details = [
+        track.codec,
+        track.sampleRate ? `${track.sampleRate / 1000} kHz` : null,
+        track.channelLayout,
+        track.language
+      ].filter(Boolean);
+      rows.push([report.audio.length > 1 ? `Audio ${i + 1}` : 'Audio', details.join(', ')]);
+    });
+    
+    return rows;
+  }
 
+  /**
+   * Show (or hide, when null) the probe details of a locally loaded video
+   * @param {Object|null} report - Probe report
+   */
+  updateProbeInfo(report) {
+    if (!this.probeInfoGroup || !this.probeInfoContent) return;
+    
+    this.probeInfoContent.innerHTML = '';
+    if (!report) {
+      this.probeInfoGroup.classList.add('hidden');
+      return;
+    }
+    
+    this.formatProbeReport(report).forEach(([label, value]) => {
+      const row = document.createElement('div');
+      row.className = 'debug-info-row';
+      const labelEl = document.createElement('span');
+      labelEl.className = 'debug-label-text';
+      labelEl.textContent = `${label}:`;
+      const valueEl = document.createElement('span');
+      valueEl.className = 'debug-value';
+      valueEl.textContent = value;
+      row.append(labelEl, valueEl);
+      this.probeInfoContent.appendChild(row);
+    });
+    this.probeInfoGroup.classList.remove('hidden');
+  }
+
+  /**
+   * Timecode chase indicator next to the playback filename
+   * @param {Object|null} status - From PlaybackControls.updateChase(); null hides it
+   */
+  setTimecodeStatus(status) {
+    if (!this.timecodeStatus) return;
+    const state = status ? CHASE_STATES[status.state] : null;
+    const text = state ? `TC ${status.timecode || '--:--:--:--'} ${state.label}` : '';
+    if (text === this.timecodeStatus.textContent) return;
+
+    this.timecodeStatus.textContent = text;
+    this.timecodeStatus.className = `validation-badge timecode-status${state && state.tone ? ` validation-${state.tone}` : ''}${state ? '' : ' hidden'}`;
+    this.timecodeStatus.title = status && status.source ? `Chasing ${CHASE_SOURCES[status.source] || status.source} timecode` : 'Chasing timecode';
+  }
+
+  /**
+   * Mapping the render check compares against; re-checks the loaded video
+   * @param {string} mappingType
+   */
+  setMappingType(mappingType) {
+    this.mappingType = mappingType;
+    this.runValidation();
+  }
+
+  /**
+   * Check the loaded video against the current mapping (or hide the check, when null)
+   * @param {Object|null} target
+   * @param {Object} [target.entry] - Media library entry (full check, including keyframes)
+   * @param {Object} [target.report] - Probe report of a local file
+   */
+  validateMedia(target) {
+    this.validationTarget = target && (target.entry || target.report) ? target : null;
+    this.runValidation();
+  }
+
+  async runValidation() {
+    const requestId = ++this.validationRequest;
+    const target = this.validationTarget;
+    if (!target || !this.mappingType) {
+      this.renderValidation(null);
+      return;
+    }
+    
+    this.renderValidation({ status: 'pending', checks: [] });
+    try {
+      const mapping = encodeURIComponent(this.mappingType);
+      const response = target.entry
+        ? await fetch(`/api/media/${encodeURIComponent(target.entry.id)}/validation?mapping=${mapping}`)
+        : await fetch('/api/media/validate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ mapping: this.mappingType, report: target.report })
+        });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      if (requestId === this.validationRequest) {
+        this.renderValidation(data);
+      }
+    } catch (error) {
+      console.warn('Render check failed:', error.message);
+      if (requestId === this.validationRequest) {
+        this.renderValidation(null);
+      }
+    }
+  }
+
+  /**
+   * Show a render check report ({ status, checks }), or hide the panel when null
+   */
+  renderValidation(result) {
+    if (!this.validationGroup || !this.validationContent) return;
+    
+    this.validationContent.innerHTML = '';
+    if (!result) {
+      this.validationGroup.classList.add('hidden');
+      return;
+    }
+    
+    if (this.validationStatus) {
+      this.validationStatus.className = `validation-badge validation-${result.status}`;
+      this.validationStatus.textContent = result.status === 'pending' ? 'checking...' : result.status.toUpperCase();
+    }
+    result.checks.forEach(check => {
+      const row = document.createElement('div');
+      row.className = `validation-row validation-${check.status}`;
+      const iconEl = document.createElement('span');
+      iconEl.className = 'validation-icon';
+      iconEl.textContent = VALIDATION_ICONS[check.status] || '';
+      const labelEl = document.createElement('span');
+      labelEl.className = 'debug-label-text';
+      labelEl.textContent = `${check.label}:`;
+      const messageEl = document.createElement('span');
+      messageEl.className = 'validation-message';
+      messageEl.textContent = check.message;
+      row.append(iconEl, labelEl, messageEl);
+      this.validationContent.appendChild(row);
+    });
+    this.validationGroup.classList.remove('hidden');
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Flash Safety Manager
+ * Photosensitive flash screening of library videos. The server checks the LED surfaces
+ * of the current mapping for general and red flash sequences (/api/analysis, kind
+ * "flash"); offending time ranges are listed in the Media tab and marked on the
+ * timeline, and the report can be downloaded for the content team.
+ */
+
+import { getElement, on, toggleClass, setText } from '../utils/domUtils.js';
+
+const KIND_LABELS = {
+  general: 'General flash',
+  red: 'Red flash'
+};
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${(seconds % 60).toFixed(2).padStart(5, '0')}`;
+}
+
+export class FlashSafetyManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.mediaManager
+   * @param {Object} options.playbackControls - Marks the ranges on the timeline
+   * @param {Object} options.serverEvents - Backend event channel (job progress)
+   * @param {Function} options.getMappingType - () => current mapping type
+   */
+  constructor({ mediaManager, playbackControls, serverEvents, getMappingType }) {
+    this.mediaManager = mediaManager;
+    this.playbackControls = playbackControls;
+    this.serverEvents = serverEvents;
+    this.getMappingType = getMappingType;
+
+    this.mediaId = null; // Library id of the loaded video
+    this.mappingType = null;
+    this.result = null;
+    this.job = null;
+    this.loadToken = 0;
+
+    // DOM elements (set in init)
+    this.group = null;
+    this.analyzeBtn = null;
+    this.badge = null;
+    this.statusEl = null;
+    this.rangeList = null;
+    this.exportLinks = [];
+  }
+
+  init() {
+    this.group = getElement('flashSafetyGroup');
+    this.analyzeBtn = getElement('flashAnalyzeBtn');
+    this.badge = getElement('flashSafetyStatus');
+    this.statusEl = getElement('flashSafetyInfo');
+    this.rangeList = getElement('flashRangeList');
+    this.exportLinks = [['csv', getElement('flashExportCsv')], ['md', getElement('flashExportMd')], ['json', getElement('flashExportJson')]]
+      .filter(([, link]) => link);
+
+    if (this.analyzeBtn) {
+      on(this.analyzeBtn, 'click', () => {
+        if (this.job) this.cancel();
+        else this.analyze();
+      });
+    }
+
+    this.serverEvents.on('analysis:job', ({ job }) => this.handleJob(job));
+    // Reload after reconnecting; a job may have finished while offline
+    this.serverEvents.on('open', () => {
+      if (this.mediaId) this.load();
+    });
+
+    this.render();
+  }
+
+  async load() {
+    const token = ++this.loadToken;
+    this.result = null;
+    this.job = null;
+    this.render();
+    if (!this.mediaId || !this.mappingType) return;
+
+    try {
+      const response = await fetch(`/api/analysis/${encodeURIComponent(this.mediaId)}?mapping=${encodeURIComponent(this.mappingType)}&kind=flash`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      if (token !== this.loadToken) return; // Media or mapping changed while loading
+      this.result = data.analysis;
+      this.job = data.job;
+      this.render();
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.warn('Flash safety: could not load analysis:', error.message);
+      this.setStatus(`Could not load flash check: ${error.message}`);
+    }
+  }
+
+  async analyze() {
+    if (!this.mediaId || !this.mappingType) return;
+    try {
+      const response = await fetch('/api/analysis', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mediaId: this.mediaId, mappingType: this.mappingType, kind: 'flash' })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      this.handleJob(data);
+    } catch (error) {
+      console.error('Flash safety: could not start analysis:', error);
+      this.setStatus(`Could not start flash check: ${error.message}`);
+    }
+  }
+
+  async cancel() {
+    if (!this.job) return;
+    try {
+      const response = await fetch(`/api/analysis/jobs/${encodeURIComponent(this.job.id)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Flash safety: could not cancel analysis:', error);
+      this.setStatus(`Could not cancel flash check: ${error.message}`);
+    }
+  }
+
+  handleJob(job) {
+    if (!job || job.kind !== 'flash' || job.mediaId !== this.mediaId || job.mappingType !== this.mappingType) return;
+    if (job.status === 'queued' || job.status === 'running') {
+      this.job = job;
+      this.render();
+      return;
+    }
+    this.job = null;
+    if (job.status === 'done') {
+      this.load();
+      return;
+    }
+    this.render();
+    if (job.status === 'failed') this.setStatus(`Flash check failed: ${job.error}`);
+  }
+
+  setStatus(text) {
+    if (this.statusEl) setText(this.statusEl, text);
+  }
+
+  /**
+   * Update the badge, status line, range list, export links and timeline marks
+   */
+  render() {
+    const result = this.result;
+    toggleClass(this.group, 'hidden', !this.mediaId);
+    if (this.analyzeBtn) {
+      this.analyzeBtn.disabled = !this.mediaId;
+      setText(this.analyzeBtn, this.job ? 'Cancel' : result ? 'Re-check' : 'Check');
+    }
+    if (this.badge) {
+      this.badge.className = result ? `validation-badge validation-${result.status}` : 'validation-badge';
+      setText(this.badge, result ? result.status.toUpperCase() : '');
+    }
+
+    if (this.job) {
+      this.setStatus(this.job.status === 'queued' ? 'Waiting for other analyses...' : `Checking ${Math.round((this.job.progress || 0) * 100)}%`);
+    } else if (!result) {
+      this.setStatus(`Not checked for ${this.mappingType || 'this mapping'}`);
+    } else {
+      const flashes = `${result.flashCount.general} general, ${result.flashCount.red} red flash(es)`;
+      this.setStatus(`${flashes}${result.stale ? ' - file changed since, re-check' : ''}`);
+    }
+
+    this.exportLinks.forEach(([format, link]) => {
+      toggleClass(link, 'hidden', !result);
+      if (result) {
+        link.href = `/api/analysis/${encodeURIComponent(this.mediaId)}/flash-report?mapping=${encodeURIComponent(this.mappingType)}&format=${format}`;
+      }
+    });
+
+    this.renderRanges();
+    this.playbackControls.setFlashRanges(result ? result.ranges : [], result ? result.duration : null);
+  }
+
+  renderRanges() {
+    if (!this.rangeList) return;
+    this.rangeList.innerHTML = '';
+    const ranges = this.result ? this.result.ranges : [];
+    toggleClass(this.rangeList, 'hidden', ranges.length === 0);
+    ranges.forEach(range => {
+      const row = document.createElement('div');
+      row.className = `validation-row validation-${range.status} clickable`;
+      row.title = 'Click to seek';
+      const label = document.createElement('span');
+      label.className = 'debug-label-text';
+      label.textContent = KIND_LABELS[range.kind] || range.kind;
+      const message = document.createElement('span');
+      message.className = 'validation-message';
+      message.textContent = `${formatTime(range.start)} - ${formatTime(range.end)}, up to ${range.flashesPerSecond} flashes/s`;
+      row.append(label, message);
+      on(row, 'click', () => this.playbackControls.seekTo(range.start));
+      this.rangeList.appendChild(row);
+    });
+  }
+
+  /**
+   * Per-frame: follow media and mapping changes
+   */
+  update() {
+    const videoPath = this.mediaManager.currentVideoPath;
+    const entry = videoPath && !videoPath.startsWith('NDI:') ? this.mediaManager.findMediaLibraryEntry(videoPath) : null;
+    const mediaId = entry ? entry.id : null;
+    const mappingType = this.getMappingType();
+    if (mediaId !== this.mediaId || mappingType !== this.mappingType) {
+      this.mediaId = mediaId;
+      this.mappingType = mappingType;
+      this.load();
+    }
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * Look Manager
+ * Named snapshots of the review state ("looks") saved on the server (/api/looks).
+ * What a look contains is decided by the capture/apply callbacks; this class handles
+ * the panel, the REST calls and live updates over the event channel.
+ */
+
+import { getElement, on, toggleClass, setText } from '../utils/domUtils.js';
+
+function formatDate(isoString) {
+  const date = new Date(isoString);
+  return isNaN(date) ? '' : date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+}
+
+export class LookManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.serverEvents - Backend event channel
+   * @param {Function} options.capture - () => snapshot of the current state (JSON-serialisable)
+   * @param {Function} options.apply - (state) => restore a snapshot; returns a list of warnings
+   * @param {Function} [options.describe] - (state) => short summary shown in the list
+   * @param {Function} [options.getAuthor] - () => name stored with new looks
+   */
+  constructor({ serverEvents, capture, apply, describe = null, getAuthor = null }) {
+    this.serverEvents = serverEvents;
+    this.capture = capture;
+    this.apply = apply;
+    this.describe = describe;
+    this.getAuthor = getAuthor;
+
+    this.looks = [];
+    this.activeId = null; // Last look applied or saved
+
+    // DOM elements (set in init)
+    this.nameInput = null;
+    this.saveBtn = null;
+    this.listEl = null;
+    this.statusEl = null;
+  }
+
+  init() {
+    this.nameInput = getElement('lookNameInput');
+    this.saveBtn = getElement('lookSaveBtn');
+    this.listEl = getElement('lookList');
+    this.statusEl = getElement('lookStatus');
+
+    if (this.saveBtn) {
+      on(this.saveBtn, 'click', () => this.saveNew());
+    }
+    if (this.nameInput) {
+      on(this.nameInput, 'keydown', (e) => {
+        if (e.key === 'Enter') this.saveNew();
+      });
+    }
+
+    this.serverEvents.on('look:changed', (data) => this.handleChange(data));
+    // Reload after reconnecting; looks may have changed while offline
+    this.serverEvents.on('open', () => this.load());
+
+    this.load();
+  }
+
+  async load() {
+    try {
+      const response = await fetch('/api/looks');
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      this.looks = data.looks || [];
+      this.render();
+      if (this.looks.length > 0) this.setStatus(`${this.looks.length} look(s)`);
+    } catch (error) {
+      console.warn('Looks: could not load looks:', error.message);
+      this.setStatus('Looks need the backend server');
+    }
+  }
+
+  handleChange({ action, look }) {
+    if (!look) return;
+    const index = this.looks.findIndex(item => item.id === look.id);
+    if (action === 'deleted') {
+      if (index !== -1) this.looks.splice(index, 1);
+      if (this.activeId === look.id) this.activeId = null;
+    } else if (index !== -1) {
+      this.looks[index] = look;
+    } else {
+      this.looks.push(look);
+    }
+    this.looks.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    this.render();
+  }
+
+  async saveNew() {
+    const name = this.nameInput ? this.nameInput.value.trim() : '';
+    if (!name) {
+      this.setStatus('Enter a name for the look first');
+      return;
+    }
+
+    const look = await this.request('/api/looks', 'POST', {
+      name,
+      author: this.getAuthor ? this.getAuthor() : null,
+      state: this.capture()
+    }, 'save');
+    if (!look) return;
+    if (this.nameInput) this.nameInput.value = '';
+    this.activeId = look.id;
+    this.handleChange({ action: 'created', look });
+    this.setStatus(`Saved "${look.name}"`);
+  }
+
+  async overwrite(look) {
+    if (!confirm(`Replace "${look.name}" with the current view?`)) return;
+    const updated = await this.request(`/api/looks/${encodeURIComponent(look.id)}`, 'PUT', { state: this.capture() }, 'update');
+    if (!updated) return;
+    this.activeId = updated.id;
+    this.handleChange({ action: 'updated', look: updated });
+    this.setStatus(`Updated "${updated.name}"`);
+  }
+
+  async rename(look) {
+    const name = prompt('Look name', look.name);
+    if (!name || !name.trim() || name.trim() === look.name) return;
+    const updated = await this.request(`/api/looks/${encodeURIComponent(look.id)}`, 'PUT', { name }, 'rename');
+    if (updated) this.handleChange({ action: 'updated', look: updated });
+  }
+
+  async deleteLook(look) {
+    if (!confirm(`Delete look "${look.name}"?`)) return;
+    const result = await this.request(`/api/looks/${encodeURIComponent(look.id)}`, 'DELETE', null, 'delete');
+    if (result) this.handleChange({ action: 'deleted', look });
+  }
+
+  /**
+   * Restore every subsystem from a look
+   * @returns {string[]|null} Parts that could not be restored, null if applying failed
+   */
+  applyLook(look) {
+    let warnings;
+    try {
+      warnings = this.apply(look.state) || [];
+    } catch (error) {
+      console.error(`Looks: could not apply "${look.name}":`, error);
+      this.setStatus(`Could not apply "${look.name}": ${error.message}`);
+      return null;
+    }
+    this.activeId = look.id;
+    this.render();
+    this.setStatus(warnings.length > 0
+      ? `Applied "${look.name}" (${warnings.join('; ')})`
+      : `Applied "${look.name}"`);
+    return warnings;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Response body, null on failure (reported in the status line)
+   */
+  async request(url, method, body, action) {
+    try {
+      const options = { method };
+      if (body) {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify(body);
+      }
+      const response = await fetch(url, options);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      return data;
+    } catch (error) {
+      console.error(`Looks: could not ${action} look:`, error);
+      this.setStatus(`Could not ${action} look: ${error.message}`);
+      return null;
+    }
+  }
+
+  setStatus(text) {
+    if (this.statusEl) setText(this.statusEl, text);
+  }
+
+  render() {
+    if (!this.listEl) return;
+    this.listEl.innerHTML = '';
+    this.looks.forEach(look => {
+      const item = document.createElement('div');
+      item.className = 'look-item';
+      toggleClass(item, 'active', look.id === this.activeId);
+      item.title = 'Click to apply';
+
+      const name = document.createElement('div');
+      name.className = 'look-item-name';
+      name.textContent = look.name;
+
+      const meta = document.createElement('div');
+      meta.className = 'look-item-meta';
+      const summary = this.describe ? this.describe(look.state) : '';
+      meta.textContent = [summary, look.author, formatDate(look.updatedAt)].filter(Boolean).join(' | ');
+
+      const actions = document.createElement('div');
+      actions.className = 'look-item-actions';
+      const addAction = (label, title, handler) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-sm';
+        button.textContent = label;
+        button.title = title;
+        on(button, 'click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        actions.appendChild(button);
+      };
+      addAction('Update', 'Replace with the current view', () => this.overwrite(look));
+      addAction('Rename', 'Rename look', () => this.rename(look));
+      addAction('Delete', 'Delete look', () => this.deleteLook(look));
+
+      item.append(name, meta, actions);
+      on(item, 'click', () => this.applyLook(look));
+      this.listEl.appendChild(item);
+    });
+
+    if (this.looks.length === 0) {
+      this.setStatus('No saved looks yet');
+    }
+  }
+}
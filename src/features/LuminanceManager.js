@@ -0,0 +1,234 @@
+/**
+ * Luminance Manager
+ * Average picture level and LED power-draw estimates for library videos. The server
+ * analyzes each surface of the current mapping (/api/analysis); the result is shown
+ * as a summary in the Media tab and as a graph under the timeline.
+ */
+
+import { getElement, on, toggleClass, setText } from '../utils/domUtils.js';
+
+// Samples requested for the timeline graph
+const GRAPH_POINTS = 600;
+
+function formatWatts(watts) {
+  if (watts === null || watts === undefined) return '-';
+  return watts >= 1000 ? `${(watts / 1000).toFixed(1)} kW` : `${watts} W`;
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+export class LuminanceManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.mediaManager
+   * @param {Object} options.playbackControls - Draws the graph under the timeline
+   * @param {Object} options.serverEvents - Backend event channel (job progress)
+   * @param {Function} options.getMappingType - () => current mapping type
+   */
+  constructor({ mediaManager, playbackControls, serverEvents, getMappingType }) {
+    this.mediaManager = mediaManager;
+    this.playbackControls = playbackControls;
+    this.serverEvents = serverEvents;
+    this.getMappingType = getMappingType;
+
+    this.mediaId = null; // Library id of the loaded video
+    this.mappingType = null;
+    this.analysis = null;
+    this.job = null;
+    this.loadToken = 0;
+
+    // DOM elements (set in init)
+    this.group = null;
+    this.analyzeBtn = null;
+    this.statusEl = null;
+    this.summaryEl = null;
+  }
+
+  init() {
+    this.group = getElement('luminanceGroup');
+    this.analyzeBtn = getElement('luminanceAnalyzeBtn');
+    this.statusEl = getElement('luminanceStatus');
+    this.summaryEl = getElement('luminanceSummary');
+
+    if (this.analyzeBtn) {
+      on(this.analyzeBtn, 'click', () => {
+        if (this.job) this.cancel();
+        else this.analyze();
+      });
+    }
+
+    this.serverEvents.on('analysis:job', ({ job }) => this.handleJob(job));
+    // Reload after reconnecting; a job may have finished while offline
+    this.serverEvents.on('open', () => {
+      if (this.mediaId) this.load();
+    });
+
+    this.render();
+  }
+
+  async load() {
+    const token = ++this.loadToken;
+    this.analysis = null;
+    this.job = null;
+    this.render();
+    if (!this.mediaId || !this.mappingType) return;
+
+    try {
+      const response = await fetch(`/api/analysis/${encodeURIComponent(this.mediaId)}?mapping=${encodeURIComponent(this.mappingType)}&points=${GRAPH_POINTS}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      if (token !== this.loadToken) return; // Media or mapping changed while loading
+      this.analysis = data.analysis;
+      this.job = data.job;
+      this.render();
+    } catch (error) {
+      if (token !== this.loadToken) return;
+      console.warn('Luminance: could not load analysis:', error.message);
+      this.setStatus(`Could not load analysis: ${error.message}`);
+    }
+  }
+
+  async analyze() {
+    if (!this.mediaId || !this.mappingType) return;
+    try {
+      const response = await fetch('/api/analysis', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mediaId: this.mediaId, mappingType: this.mappingType })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      this.handleJob(data);
+    } catch (error) {
+      console.error('Luminance: could not start analysis:', error);
+      this.setStatus(`Could not start analysis: ${error.message}`);
+    }
+  }
+
+  async cancel() {
+    if (!this.job) return;
+    try {
+      const response = await fetch(`/api/analysis/jobs/${encodeURIComponent(this.job.id)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Luminance: could not cancel analysis:', error);
+      this.setStatus(`Could not cancel analysis: ${error.message}`);
+    }
+  }
+
+  handleJob(job) {
+    if (!job || job.kind !== 'luminance' || job.mediaId !== this.mediaId || job.mappingType !== this.mappingType) return;
+    if (job.status === 'queued' || job.status === 'running') {
+      this.job = job;
+      this.render();
+      return;
+    }
+    this.job = null;
+    if (job.status === 'done') {
+      this.load();
+      return;
+    }
+    this.render();
+    if (job.status === 'failed') this.setStatus(`Analysis failed: ${job.error}`);
+  }
+
+  setStatus(text) {
+    if (this.statusEl) setText(this.statusEl, text);
+  }
+
+  /**
+   * Update the button, status line, summary and timeline graph
+   */
+  render() {
+    toggleClass(this.group, 'hidden', !this.mediaId);
+    if (this.analyzeBtn) {
+      this.analyzeBtn.disabled = !this.mediaId;
+      setText(this.analyzeBtn, this.job ? 'Cancel' : this.analysis ? 'Re-analyze' : 'Analyze');
+    }
+
+    const analysis = this.analysis;
+    if (this.job) {
+      this.setStatus(this.job.status === 'queued' ? 'Waiting for other analyses...' : `Analyzing ${formatPercent(this.job.progress || 0)}`);
+    } else if (!analysis) {
+      this.setStatus(`Not analyzed for ${this.mappingType || 'this mapping'}`);
+    } else {
+      this.setStatus(`${analysis.frameCount} frames, ${new Date(analysis.analyzedAt).toLocaleString()}${analysis.stale ? ' - file changed since, re-analyze' : ''}`);
+    }
+
+    this.renderSummary();
+    this.playbackControls.setLuminanceGraph(analysis ? {
+      apl: analysis.graph.apl,
+      watts: analysis.graph.watts,
+      budgetWatts: analysis.total.budgetWatts,
+      duration: analysis.duration
+    } : null);
+  }
+
+  renderSummary() {
+    if (!this.summaryEl) return;
+    this.summaryEl.innerHTML = '';
+    toggleClass(this.summaryEl, 'hidden', !this.analysis);
+    if (!this.analysis) return;
+
+    const { total, surfaces } = this.analysis;
+    const addRow = (label, value, className = '') => {
+      const row = document.createElement('div');
+      row.className = `luminance-row ${className}`.trim();
+      const name = document.createElement('span');
+      name.className = 'luminance-row-label';
+      name.textContent = label;
+      const text = document.createElement('span');
+      text.textContent = value;
+      row.append(name, text);
+      this.summaryEl.appendChild(row);
+      return row;
+    };
+
+    addRow('APL', `${formatPercent(total.averageApl)} avg, ${formatPercent(total.peakApl)} peak`);
+    if (total.averageWatts !== null) {
+      const peak = addRow('Power', `${formatWatts(total.averageWatts)} avg, ${formatWatts(total.peakWatts)} peak`);
+      if (total.peakTime !== null) {
+        peak.title = `Peak at ${total.peakTime.toFixed(2)}s - click to seek`;
+        peak.classList.add('clickable');
+        on(peak, 'click', () => this.playbackControls.seekTo(total.peakTime));
+      }
+      if (total.budgetWatts) {
+        const over = total.secondsOverBudget > 0;
+        addRow('Budget', over
+          ? `${formatWatts(total.budgetWatts)} - exceeded for ${total.secondsOverBudget.toFixed(1)}s`
+          : `${formatWatts(total.budgetWatts)} - within budget`, over ? 'over-budget' : '');
+      }
+    } else {
+      addRow('Power', 'No panel specs for this mapping');
+    }
+
+    surfaces.forEach(surface => {
+      const parts = [`APL ${formatPercent(surface.averageApl)}`];
+      if (surface.peakWatts !== null) {
+        parts.push(`${formatWatts(surface.peakWatts)} peak`, `${surface.averageNits}/${surface.peakNits} nits`);
+      }
+      const row = addRow(surface.name, parts.join(' | '), 'luminance-surface');
+      if (surface.panel) row.title = `${surface.panel}${surface.areaSqm ? `, ${surface.areaSqm} m²` : ''} - nits avg/peak`;
+    });
+  }
+
+  /**
+   * Per-frame: follow media and mapping changes
+   */
+  update() {
+    const videoPath = this.mediaManager.currentVideoPath;
+    const entry = videoPath && !videoPath.startsWith('NDI:') ? this.mediaManager.findMediaLibraryEntry(videoPath) : null;
+    const mediaId = entry ? entry.id : null;
+    const mappingType = this.getMappingType();
+    if (mediaId !== this.mediaId || mappingType !== this.mappingType) {
+      this.mediaId = mediaId;
+      this.mappingType = mappingType;
+      this.load();
+    }
+  }
+}
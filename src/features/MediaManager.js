@@ -7,6 +7,14 @@ import * as THREE from 'three';
 import { getElement } from '../utils/domUtils.js';
 import { RUNTIME_FLAGS } from '../config/runtimeFlags.js';
 import { debugLog } from '../utils/logger.js';
+import { parseFrameMessage } from '../core/ndiFrameProtocol.js';
+import { ServerClock } from '../core/ServerClock.js';
+
+// Leading bytes sent for a server probe; enough for the header of faststart MP4/MOV files
+const PROBE_HEADER_BYTES = 4 * 1024 * 1024;
+// Clock pings on the NDI socket, so frame latency is measured against the server's clock
+const NDI_INITIAL_PINGS = 5;
+const NDI_PING_INTERVAL_MS = 10000;
 
 export class MediaManager {
   constructor(options) {
@@ -50,10 +58,18 @@ export class MediaManager {
     this.frameCanvas = null;
     this.frameContext = null;
     this.canvasTexture = null;
+    this.ndiFrameStats = null;
     this.ndiStreamWindows = new Map();
     this.currentNDIStream = null; // MediaStream from getUserMedia
     this.currentNDICameraName = null; // Virtual camera device name for NDI
     
+    // Media library (server-side listing used to populate videoAssetSelect)
+    this.mediaLibrary = [];
+    this.videoAssetLibraryGroup = getElement('videoAssetLibraryGroup');
+    
+    // Server probe report of the current locally loaded video
+    this.probeReport = null;
+    
     // Default video path
     this.DEFAULT_VIDEO_PATH = '/assets/videos/shG010_Eva_v12_55FP.mp4';
   }
@@ -71,341 +87,207 @@ export class MediaManager {
   }
   
   /**
-   * Parse MP4 header to extract frame rate
+   * Fetch the media library listing from the server and populate the selector
+   * @returns {Promise<Array|null>} Library entries, or null if the server is unavailable
    */
-  async parseMP4FrameRate(file) {
-    if (!file || !file.name.toLowerCase().endsWith('.mp4')) {
-      console.log('[FPS Detection] Not an MP4 file or file is null');
+  async loadMediaLibrary() {
+    try {
+      const response = await fetch('/api/media', { cache: 'no-cache' });
+      if (!response.ok) {
+        console.warn('Media library request failed:', response.status, response.statusText);
+        return null;
+      }
+      const data = await response.json();
+      this.setMediaLibrary(data.items || []);
+      return this.mediaLibrary;
+    } catch (error) {
+      console.debug('Media library not available (backend server not running?):', error.message);
       return null;
     }
+  }
+  
+  /**
+   * Keep the library in sync with server-side changes
+   * @param {import('../core/ServerEvents.js').ServerEvents} serverEvents
+   */
+  watchMediaLibrary(serverEvents) {
+    serverEvents.on('media:changed', (data) => {
+      this.setMediaLibrary(data.items || []);
+    });
+    // Re-fetch after (re)connecting in case changes were missed while offline
+    serverEvents.on('open', () => {
+      this.loadMediaLibrary();
+    });
+  }
+  
+  /**
+   * Replace the library listing and rebuild the selector options
+   * @param {Array} items - Library entries from /api/media
+   */
+  setMediaLibrary(items) {
+    this.mediaLibrary = items;
+    this.populateVideoAssetSelect();
+  }
+  
+  /**
+   * Value used in videoAssetSelect for a library entry.
+   * Files inside the bundled assets folder keep their /assets/videos URL.
+   */
+  getMediaLibraryValue(entry) {
+    return entry.publicPath || entry.url;
+  }
+  
+  /**
+   * Find the library entry for a selector value / video path
+   */
+  findMediaLibraryEntry(videoPath) {
+    if (!videoPath) return null;
+    return this.mediaLibrary.find(entry => this.getMediaLibraryValue(entry) === videoPath || entry.url === videoPath) || null;
+  }
+  
+  /**
+   * Build the option label for a library entry, e.g. "Eva.mp4 (4465x950, 30fps)"
+   */
+  formatMediaLibraryLabel(entry) {
+    const details = [];
+    if (entry.width && entry.height) {
+      details.push(`${entry.width}x${entry.height}`);
+    }
+    if (entry.type === 'video' && entry.fps) {
+      details.push(`${Number(entry.fps.toFixed(2))}fps`);
+    }
+    return details.length > 0 ? `${entry.name} (${details.join(', ')})` : entry.name;
+  }
+  
+  /**
+   * Rebuild the library options of videoAssetSelect, keeping the current selection
+   */
+  populateVideoAssetSelect() {
+    if (!this.videoAssetSelect || !this.videoAssetLibraryGroup) return;
+    
+    const selectedValue = this.videoAssetSelect.value;
+    this.videoAssetLibraryGroup.innerHTML = '';
+    
+    this.mediaLibrary.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = this.getMediaLibraryValue(entry);
+      option.textContent = this.formatMediaLibraryLabel(entry);
+      option.dataset.mediaId = entry.id;
+      this.videoAssetLibraryGroup.appendChild(option);
+    });
+    
+    // Restore selection (falls back to no selection if the file was removed)
+    const stillAvailable = Array.from(this.videoAssetSelect.options).some(option => option.value === selectedValue);
+    this.videoAssetSelect.value = stillAvailable ? selectedValue : '';
+  }
+  
+  /**
+   * Upload a file into the server media library
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<Object>} The created library entry
+   */
+  async uploadToMediaLibrary(file) {
+    const response = await fetch(`/api/media?name=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Upload failed (${response.status})`);
+    }
+    
+    // Add immediately; the media:changed event will follow with the full listing
+    this.addMediaLibraryEntry(data);
+    return data;
+  }
+  
+  /**
+   * Add an entry to the local listing if it is not there yet
+   */
+  addMediaLibraryEntry(entry) {
+    if (!this.findMediaLibraryEntry(this.getMediaLibraryValue(entry))) {
+      this.setMediaLibrary([...this.mediaLibrary, entry]);
+    }
+  }
+  
+  /**
+   * Select a library entry in the asset dropdown and load it
+   * @param {Object} entry - Media library entry
+   */
+  selectMediaLibraryEntry(entry) {
+    if (!entry || !this.videoAssetSelect) return;
+    this.addMediaLibraryEntry(entry);
+    this.videoAssetSelect.value = this.getMediaLibraryValue(entry);
+    this.videoAssetSelect.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  
+  /**
+   * Delete a file from the server media library
+   * @param {string} id - Library entry id
+   */
+  async deleteFromMediaLibrary(id) {
+    const response = await fetch(`/api/media/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Delete failed (${response.status})`);
+    }
+    this.setMediaLibrary(this.mediaLibrary.filter(entry => entry.id !== id));
+  }
+  
+  /**
+   * Probe a local file on the server (fps, resolution, codec, color, audio, timecode).
+   * Only the leading bytes are sent first. If they are not enough, an MP4/MOV with the
+   * moov atom at the end gets its trailing boxes sent along with them (the server says
+   * where they start); other files are not uploaded whole, their frame rate stays unknown.
+   * @param {File} file - Locally selected/dropped file
+   * @returns {Promise<Object|null>} Probe report, or null if the server could not read it
+   */
+  async probeLocalFile(file) {
+    if (!file) return null;
+    
+    // Resolves to the report, { tailOffset } to retry with more of the file, or null
+    const post = async (body, range = '') => {
+      const response = await fetch(`/api/video/framerate/upload?name=${encodeURIComponent(file.name)}&size=${file.size}${range}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body
+      });
+      if (response.ok) return { report: await response.json() };
+      const data = await response.json().catch(() => ({}));
+      console.warn('[FPS Detection] Server probe failed:', response.status, data.error || response.statusText);
+      return response.status === 422 ? { tailOffset: data.tailOffset ?? null } : null;
+    };
     
     try {
-      // Read a larger chunk to ensure we get track information
-      // Try to read up to 512KB to ensure we get all metadata
-      const chunkSize = 512 * 1024;
-      const blob = file.slice(0, chunkSize);
-      const arrayBuffer = await blob.arrayBuffer();
-      const view = new DataView(arrayBuffer);
-      console.log('[FPS Detection] Parsing MP4 file:', file.name, 'chunk size:', arrayBuffer.byteLength, 'file size:', file.size);
-      
-      let offset = 0;
-      const maxOffset = Math.min(arrayBuffer.byteLength, chunkSize);
-      
-      let movieTimescale = null;
-      let movieDuration = null;
-      let trackTimescale = null;
-      let trackDuration = null;
-      let sampleCount = null;
-      
-      // First pass: find movie header and track information
-      while (offset < maxOffset - 8) {
-        const size = view.getUint32(offset);
-        if (size === 0 || size > maxOffset) break;
-        
-        const type = String.fromCharCode(
-          view.getUint8(offset + 4),
-          view.getUint8(offset + 5),
-          view.getUint8(offset + 6),
-          view.getUint8(offset + 7)
-        );
-        
-        if (type === 'moov') {
-          const moovSize = size;
-          const moovEnd = Math.min(offset + moovSize, maxOffset);
-          let moovOffset = offset + 8;
-          
-          while (moovOffset < moovEnd - 8) {
-            const atomSize = view.getUint32(moovOffset);
-            if (atomSize === 0 || atomSize > moovEnd - moovOffset) break;
-            
-            const atomType = String.fromCharCode(
-              view.getUint8(moovOffset + 4),
-              view.getUint8(moovOffset + 5),
-              view.getUint8(moovOffset + 6),
-              view.getUint8(moovOffset + 7)
-            );
-            
-            // Parse movie header for timescale and duration
-            if (atomType === 'mvhd') {
-              // mvhd (movie header) layout:
-              // size+type(8)
-              // version(1)+flags(3)
-              // version 0:
-              //   creation(4) modification(4) timescale(4) duration(4)
-              // version 1:
-              //   creation(8) modification(8) timescale(4) duration(8)
-              const version = view.getUint8(moovOffset + 8);
-              let timescaleOffset, durationOffset;
-              
-              if (version === 1) {
-                timescaleOffset = moovOffset + 32;
-                durationOffset = moovOffset + 36;
-              } else {
-                timescaleOffset = moovOffset + 20;
-                durationOffset = moovOffset + 24;
-              }
-              
-              movieTimescale = view.getUint32(timescaleOffset, false);
-              
-              if (version === 1) {
-                const durationHigh = view.getUint32(durationOffset, false);
-                const durationLow = view.getUint32(durationOffset + 4, false);
-                movieDuration = (durationHigh * 0x100000000) + durationLow;
-              } else {
-                movieDuration = view.getUint32(durationOffset, false);
-              }
-            }
-            
-            // Parse track to find video track and sample count
-            if (atomType === 'trak') {
-              const trakSize = atomSize;
-              const trakEnd = Math.min(moovOffset + trakSize, moovEnd);
-              let trakOffset = moovOffset + 8;
-              
-              let isVideoTrack = false;
-              let currentTrackTimescale = null;
-              let currentTrackDuration = null;
-              let currentSampleCount = null;
-              
-              while (trakOffset < trakEnd - 8) {
-                const trakAtomSize = view.getUint32(trakOffset);
-                if (trakAtomSize === 0 || trakAtomSize > trakEnd - trakOffset) break;
-                
-                const trakAtomType = String.fromCharCode(
-                  view.getUint8(trakOffset + 4),
-                  view.getUint8(trakOffset + 5),
-                  view.getUint8(trakOffset + 6),
-                  view.getUint8(trakOffset + 7)
-                );
-                
-                // Parse media header for track timescale and check handler type
-                if (trakAtomType === 'mdia') {
-                  const mdiaSize = trakAtomSize;
-                  const mdiaEnd = Math.min(trakOffset + mdiaSize, trakEnd);
-                  let mdiaOffset = trakOffset + 8;
-                  
-                  while (mdiaOffset < mdiaEnd - 8) {
-                    const mdiaAtomSize = view.getUint32(mdiaOffset);
-                    if (mdiaAtomSize === 0 || mdiaAtomSize > mdiaEnd - mdiaOffset) break;
-                    
-                    const mdiaAtomType = String.fromCharCode(
-                      view.getUint8(mdiaOffset + 4),
-                      view.getUint8(mdiaOffset + 5),
-                      view.getUint8(mdiaOffset + 6),
-                      view.getUint8(mdiaOffset + 7)
-                    );
-                    
-                    // Check handler type to identify video tracks
-                    if (mdiaAtomType === 'hdlr') {
-                      // hdlr atom structure:
-                      // 8 bytes: size + type
-                      // 1 byte: version
-                      // 3 bytes: flags
-                      // 4 bytes: component type (usually 'mhlr')
-                      // 4 bytes: component subtype (this is what we want - 'vide' for video)
-                      // So handler subtype is at offset 8 + 1 + 3 + 4 = 16 from atom start
-                      const hdlrHandlerTypeOffset = mdiaOffset + 16;
-                      if (hdlrHandlerTypeOffset + 4 <= mdiaEnd) {
-                        const handlerType = String.fromCharCode(
-                          view.getUint8(hdlrHandlerTypeOffset),
-                          view.getUint8(hdlrHandlerTypeOffset + 1),
-                          view.getUint8(hdlrHandlerTypeOffset + 2),
-                          view.getUint8(hdlrHandlerTypeOffset + 3)
-                        );
-                        console.log('[FPS Detection] Found handler type:', handlerType);
-                        // Video tracks have handler type 'vide'
-                        if (handlerType === 'vide') {
-                          isVideoTrack = true;
-                          console.log('[FPS Detection] Identified as video track');
-                        }
-                      }
-                    }
-                    
-                    if (mdiaAtomType === 'mdhd') {
-                      // mdhd (media header) layout:
-                      // size+type(8)
-                      // version(1)+flags(3)
-                      // version 0:
-                      //   creation(4) modification(4) timescale(4) duration(4)
-                      // version 1:
-                      //   creation(8) modification(8) timescale(4) duration(8)
-                      const mdhdVersion = view.getUint8(mdiaOffset + 8);
-                      let mdhdTimescaleOffset, mdhdDurationOffset;
-                      
-                      if (mdhdVersion === 1) {
-                        mdhdTimescaleOffset = mdiaOffset + 32;
-                        mdhdDurationOffset = mdiaOffset + 36;
-                      } else {
-                        mdhdTimescaleOffset = mdiaOffset + 20;
-                        mdhdDurationOffset = mdiaOffset + 24;
-                      }
-                      
-                      if (mdhdTimescaleOffset + 4 <= mdiaEnd) {
-                        currentTrackTimescale = view.getUint32(mdhdTimescaleOffset, false);
-                      }
-                      
-                      if (mdhdDurationOffset + (mdhdVersion === 1 ? 8 : 4) <= mdiaEnd) {
-                        if (mdhdVersion === 1) {
-                          const durationHigh = view.getUint32(mdhdDurationOffset, false);
-                          const durationLow = view.getUint32(mdhdDurationOffset + 4, false);
-                          currentTrackDuration = (durationHigh * 0x100000000) + durationLow;
-                        } else {
-                          currentTrackDuration = view.getUint32(mdhdDurationOffset, false);
-                        }
-                      }
-                    }
-                    
-                    // Parse sample table for sample count
-                    if (mdiaAtomType === 'minf') {
-                      const minfSize = mdiaAtomSize;
-                      const minfEnd = Math.min(mdiaOffset + minfSize, mdiaEnd);
-                      let minfOffset = mdiaOffset + 8;
-                      
-                      while (minfOffset < minfEnd - 8) {
-                        const minfAtomSize = view.getUint32(minfOffset);
-                        if (minfAtomSize === 0 || minfAtomSize > minfEnd - minfOffset) break;
-                        
-                        const minfAtomType = String.fromCharCode(
-                          view.getUint8(minfOffset + 4),
-                          view.getUint8(minfOffset + 5),
-                          view.getUint8(minfOffset + 6),
-                          view.getUint8(minfOffset + 7)
-                        );
-                        
-                        if (minfAtomType === 'stbl') {
-                          const stblSize = minfAtomSize;
-                          const stblEnd = Math.min(minfOffset + stblSize, minfEnd);
-                          let stblOffset = minfOffset + 8;
-                          
-                          while (stblOffset < stblEnd - 8) {
-                            const stblAtomSize = view.getUint32(stblOffset);
-                            if (stblAtomSize === 0 || stblAtomSize > stblEnd - stblOffset) break;
-                            
-                            const stblAtomType = String.fromCharCode(
-                              view.getUint8(stblOffset + 4),
-                              view.getUint8(stblOffset + 5),
-                              view.getUint8(stblOffset + 6),
-                              view.getUint8(stblOffset + 7)
-                            );
-                            
-                            // Parse stsz (sample size) atom for sample count
-                            if (stblAtomType === 'stsz') {
-                              const stszVersion = view.getUint8(stblOffset + 8);
-                              if (stszVersion === 0 && stblOffset + 20 <= stblEnd) {
-                                currentSampleCount = view.getUint32(stblOffset + 16, false);
-                                console.log('[FPS Detection] Found sample count in stsz:', currentSampleCount);
-                              }
-                            }
-                            
-                            // Parse stts (time-to-sample) atom to calculate frame rate more accurately
-                            if (stblAtomType === 'stts') {
-                              const sttsVersion = view.getUint8(stblOffset + 8);
-                              if (sttsVersion === 0 && stblOffset + 20 <= stblEnd) {
-                                const entryCount = view.getUint32(stblOffset + 12, false);
-                                console.log('[FPS Detection] Found stts entry count:', entryCount);
-                                
-                                // If we have a single entry with consistent frame timing, we can calculate FPS
-                                if (entryCount === 1 && stblOffset + 20 <= stblEnd) {
-                                  const sampleCount = view.getUint32(stblOffset + 16, false);
-                                  const sampleDelta = view.getUint32(stblOffset + 20, false);
-                                  if (sampleCount > 0 && sampleDelta > 0 && currentTrackTimescale) {
-                                    // Frame rate = timescale / sampleDelta
-                                    const fps = currentTrackTimescale / sampleDelta;
-                                    console.log('[FPS Detection] Calculated FPS from stts:', {
-                                      sampleCount,
-                                      sampleDelta,
-                                      trackTimescale: currentTrackTimescale,
-                                      fps
-                                    });
-                                    if (fps > 0 && fps <= 120 && Math.abs(fps - Math.round(fps)) < 0.1) {
-                                      return Math.round(fps);
-                                    }
-                                  }
-                                }
-                              }
-                            }
-                            
-                            stblOffset += stblAtomSize;
-                          }
-                        }
-                        
-                        minfOffset += minfAtomSize;
-                      }
-                    }
-                    
-                    mdiaOffset += mdiaAtomSize;
-                  }
-                }
-                
-                trakOffset += trakAtomSize;
-              }
-              
-              // If we found a video track with sample count, use it
-              if (isVideoTrack && currentSampleCount && currentTrackTimescale && currentTrackDuration) {
-                const durationInSeconds = currentTrackDuration / currentTrackTimescale;
-                if (durationInSeconds > 0 && currentSampleCount > 0) {
-                  const fps = currentSampleCount / durationInSeconds;
-                  console.log('[FPS Detection] Found video track:', {
-                    isVideoTrack,
-                    sampleCount: currentSampleCount,
-                    trackTimescale: currentTrackTimescale,
-                    trackDuration: currentTrackDuration,
-                    durationInSeconds,
-                    calculatedFps: fps
-                  });
-                  if (fps > 0 && fps <= 120) {
-                    return Math.round(fps);
-                  }
-                }
-              } else {
-                console.log('[FPS Detection] Video track found but missing data:', {
-                  isVideoTrack,
-                  sampleCount: currentSampleCount,
-                  trackTimescale: currentTrackTimescale,
-                  trackDuration: currentTrackDuration
-                });
-              }
-              
-              // Store values for fallback (use first track with sample count)
-              if (currentSampleCount && !sampleCount) {
-                sampleCount = currentSampleCount;
-                if (currentTrackTimescale) trackTimescale = currentTrackTimescale;
-                if (currentTrackDuration) trackDuration = currentTrackDuration;
-              }
-            }
-            
-            moovOffset += atomSize;
-          }
+      let result;
+      if (file.size > PROBE_HEADER_BYTES) {
+        result = await post(file.slice(0, PROBE_HEADER_BYTES));
+        if (result && !result.report && result.tailOffset !== null) {
+          result = await post(new Blob([file.slice(0, PROBE_HEADER_BYTES), file.slice(result.tailOffset)]),
+            `&head=${PROBE_HEADER_BYTES}&tail=${result.tailOffset}`);
         }
-        
-        offset += size;
+      } else {
+        result = await post(file);
       }
-      
-      // Fallback: if we have movie timescale and duration, try to estimate
-      // This is less accurate but better than the previous wrong calculation
-      if (movieTimescale && movieDuration && sampleCount) {
-        const durationInSeconds = movieDuration / movieTimescale;
-        if (durationInSeconds > 0 && sampleCount > 0) {
-          const fps = sampleCount / durationInSeconds;
-          console.log('[FPS Detection] Using fallback calculation:', {
-            movieTimescale,
-            movieDuration,
-            sampleCount,
-            durationInSeconds,
-            calculatedFps: fps
-          });
-          if (fps > 0 && fps <= 120) {
-            return Math.round(fps);
-          }
-        }
+      const report = result?.report || null;
+      if (report) {
+        console.log('[FPS Detection] Server probe:', file.name, report);
+      } else {
+        console.warn('[FPS Detection] Server probe could not read', file.name, '- frame rate unknown');
       }
-      
-      console.log('[FPS Detection] Failed to parse frame rate from MP4 header');
+      return report;
     } catch (error) {
-      console.error('[FPS Detection] Error parsing MP4 frame rate:', error);
+      console.warn('[FPS Detection] Error probing file on server:', error);
+      return null;
     }
-    
-    return null;
+  }
+  
+  /**
+   * Probe report of the current local video (null for library/NDI sources)
+   */
+  getProbeReport() {
+    return this.probeReport;
   }
   
   /**
@@ -438,6 +320,13 @@ export class MediaManager {
   async detectVideoFrameRate(videoElement, file = null, videoPath = null) {
     console.log('[FPS Detection] Starting detection, file:', file?.name, 'videoPath:', videoPath);
     
+    // Media library entries were already probed server-side
+    const libraryEntry = this.findMediaLibraryEntry(videoPath);
+    if (libraryEntry && libraryEntry.fps > 0 && libraryEntry.fps <= 120) {
+      console.log('[FPS Detection] Got FPS from media library:', libraryEntry.fps);
+      return libraryEntry.fps;
+    }
+    
     if (videoPath) {
       const serverFps = await this.detectFrameRateFromServer(videoPath);
       if (serverFps) {
@@ -447,10 +336,14 @@ export class MediaManager {
     }
     
     if (file) {
-      const headerFps = await this.parseMP4FrameRate(file);
-      if (headerFps) {
-        console.log('[FPS Detection] Got FPS from MP4 header:', headerFps);
-        return headerFps;
+      const report = await this.probeLocalFile(file);
+      if (this.currentVideoElement !== videoElement) return null; // Another source was loaded meanwhile
+      this.probeReport = report;
+      const probedFps = report?.fps;
+      if (probedFps > 0 && probedFps <= 120) {
+        // Keep fractional NTSC rates (29.97, 59.94) for accurate frame counting
+        console.log('[FPS Detection] Got FPS from server probe:', probedFps);
+        return probedFps;
       }
     }
     
@@ -668,15 +561,7 @@ export class MediaManager {
   async handleVideoLoaded(video, videoUrl, videoPath, fileName, file = null) {
     // Set default frame rate, will be updated when detected
     this.videoFrameRate = 30; // Default
-    
-    // Detect actual video frame rate
-    const detectedFps = await this.detectVideoFrameRate(video, file, videoPath);
-    if (detectedFps && detectedFps > 0 && detectedFps <= 120) {
-      this.videoFrameRate = detectedFps;
-      console.log(`Detected video frame rate: ${detectedFps} fps`);
-    } else {
-      console.log(`Using default frame rate: ${this.videoFrameRate} fps`);
-    }
+    this.probeReport = null;
     
     // Create video texture
     const videoTexture = this.createVideoTexture(video);
@@ -816,11 +701,6 @@ export class MediaManager {
       this.playbackControls.setFrameRate(this.videoFrameRate);
     }
     
-    // Update frame info again with correct frame rate (in case it was updated after initial call)
-    if (this.updateFrameInfo) {
-      this.updateFrameInfo(video);
-    }
-    
     // Update status
     if (this.textureStatus) {
       this.textureStatus.textContent = fileName || videoPath;
@@ -828,13 +708,44 @@ export class MediaManager {
     }
     
     // Update video asset dropdown
-    if (this.videoAssetSelect && videoPath && videoPath.startsWith('/assets/videos/')) {
+    if (this.videoAssetSelect && videoPath && (videoPath.startsWith('/assets/videos/') || videoPath.startsWith('/api/media/'))) {
       this.videoAssetSelect.value = videoPath;
     }
     
     if (this.updatePlaybackButtons) {
       this.updatePlaybackButtons();
     }
+    
+    // Detect actual video frame rate once the video is showing (a server probe can take a while)
+    await this.applyDetectedFrameRate(video, videoPath, file);
+  }
+  
+  /**
+   * Detect the frame rate and probe report of the video that just loaded and apply them,
+   * unless another source was loaded in the meantime
+   */
+  async applyDetectedFrameRate(video, videoPath, file) {
+    const detectedFps = await this.detectVideoFrameRate(video, file, videoPath);
+    if (this.currentVideoElement !== video) return;
+    if (this.fileInfoManager) {
+      this.fileInfoManager.updateProbeInfo(this.probeReport);
+      this.fileInfoManager.validateMedia({
+        entry: this.findMediaLibraryEntry(videoPath),
+        report: this.probeReport
+      });
+    }
+    if (detectedFps && detectedFps > 0 && detectedFps <= 120) {
+      this.videoFrameRate = detectedFps;
+      console.log(`Detected video frame rate: ${detectedFps} fps`);
+    } else {
+      console.log(`Using default frame rate: ${this.videoFrameRate} fps`);
+    }
+    if (this.playbackControls) {
+      this.playbackControls.setFrameRate(this.videoFrameRate);
+    }
+    if (this.updateFrameInfo) {
+      this.updateFrameInfo(video);
+    }
   }
   
   /**
@@ -851,7 +762,7 @@ export class MediaManager {
     
     // Determine video URL
     let videoUrl;
-    if (videoPath.startsWith('/assets/videos/')) {
+    if (videoPath.startsWith('/assets/videos/') || videoPath.startsWith('/api/media/')) {
       videoUrl = videoPath;
     } else if (videoPath === this.DEFAULT_VIDEO_PATH) {
       videoUrl = '/assets/videos/shG010_Eva_v12_55FP.mp4';
@@ -921,7 +832,8 @@ export class MediaManager {
       
       video.addEventListener('error', (error) => {
         if (this.textureStatus) {
-          this.textureStatus.textContent = 'Error loading video';
+          // Typically ProRes/HAP masters - the server can transcode them once uploaded
+          this.textureStatus.textContent = 'Error loading video (codec not supported by the browser? Upload it and create a web proxy)';
           this.textureStatus.classList.remove('loaded');
         }
         console.error('Error loading video:', error);
@@ -1132,8 +1044,12 @@ export class MediaManager {
    * Load NDI stream
    * Uses NDI Webcam Input (via browser getUserMedia) for lowest latency
    * Falls back to WebSocket method if direct camera access fails
+   * @param {string} streamName - Source id from /ndi/discover
+   * @param {Object} [options]
+   * @param {boolean} [options.useCamera=true] - Try browser camera access first (NDI sources);
+   *   server-side sources (V4L2, configured inputs) go straight to the WebSocket
    */
-  async loadNDIStream(streamName) {
+  async loadNDIStream(streamName, { useCamera = true } = {}) {
     if (this.frameInfo) this.frameInfo.classList.remove('active');
     if (this.stillInfo) this.stillInfo.classList.remove('active');
     this.currentImagePath = null;
@@ -1174,11 +1090,13 @@ export class MediaManager {
     
     // Method 1: Try direct browser camera access (NDI Webcam Input)
     // This provides the lowest latency as it bypasses server encoding
-    try {
-      await this.loadNDIStreamViaCamera(streamName);
-      return; // Success, exit early
-    } catch (error) {
-      console.log('Direct camera access failed, trying WebSocket fallback:', error.message);
+    if (useCamera) {
+      try {
+        await this.loadNDIStreamViaCamera(streamName);
+        return; // Success, exit early
+      } catch (error) {
+        console.log('Direct camera access failed, trying WebSocket fallback:', error.message);
+      }
     }
     
     // Method 2: Fallback to WebSocket method (server-side streaming)
@@ -1430,6 +1348,29 @@ export class MediaManager {
     });
   }
   
+  /**
+   * (Re)create the canvas texture used for server-streamed NDI frames
+   */
+  createNDICanvasTexture() {
+    if (this.canvasTexture) {
+      this.canvasTexture.dispose();
+    }
+    this.canvasTexture = new THREE.CanvasTexture(this.frameCanvas);
+    this.canvasTexture.wrapS = THREE.RepeatWrapping;
+    this.canvasTexture.wrapT = THREE.RepeatWrapping;
+    this.canvasTexture.minFilter = THREE.LinearFilter;
+    this.canvasTexture.magFilter = THREE.LinearFilter;
+    this.canvasTexture.colorSpace = THREE.SRGBColorSpace;
+  }
+  
+  /**
+   * Receive statistics of the server-streamed NDI connection
+   * @returns {Object|null} { received, skipped, serverDropped, lastSequence, latencyMs }
+   */
+  getNDIFrameStats() {
+    return this.ndiWebSocket ? this.ndiFrameStats : null;
+  }
+  
   /**
    * Load NDI stream via WebSocket (fallback method)
    * Uses server-side FFmpeg to stream frames
@@ -1440,7 +1381,7 @@ export class MediaManager {
       this.textureStatus.classList.remove('loaded');
     }
     
-    // Create canvas
+    // Create canvas (resized to the incoming frame size)
     if (!this.frameCanvas) {
       this.frameCanvas = document.createElement('canvas');
       this.frameCanvas.width = 1920;
@@ -1448,17 +1389,79 @@ export class MediaManager {
       this.frameContext = this.frameCanvas.getContext('2d');
     }
     
-    // Create canvas texture
-    this.canvasTexture = new THREE.CanvasTexture(this.frameCanvas);
-    this.canvasTexture.wrapS = THREE.RepeatWrapping;
-    this.canvasTexture.wrapT = THREE.RepeatWrapping;
-    this.canvasTexture.minFilter = THREE.LinearFilter;
-    this.canvasTexture.magFilter = THREE.LinearFilter;
-    this.canvasTexture.colorSpace = THREE.SRGBColorSpace;
+    this.createNDICanvasTexture();
+    
+    // Connect WebSocket (same origin, so it also works through the dev proxy, nginx and ngrok)
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const wsUrl = `${protocol}//${window.location.host}/ndi/ws`;
+    const socket = new WebSocket(wsUrl);
+    socket.binaryType = 'arraybuffer';
+    this.ndiWebSocket = socket;
+    
+    // Only one frame is decoded at a time; newer frames replace a waiting one
+    let decoding = false;
+    let pendingFrame = null;
+    this.ndiFrameStats = { received: 0, skipped: 0, serverDropped: 0, lastSequence: 0, latencyMs: null };
+    // Frames are stamped with the server's clock, which this browser's clock may not match
+    const clock = new ServerClock();
+    const pingTimers = [];
+    const ping = () => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'ping', clientTime: performance.now() }));
+      }
+    };
     
-    // Connect WebSocket
-    const wsUrl = 'ws://localhost:8080/ndi/ws';
-    this.ndiWebSocket = new WebSocket(wsUrl);
+    const drawFrame = async (frame) => {
+      decoding = true;
+      try {
+        const bitmap = await createImageBitmap(new Blob([frame.payload], { type: 'image/jpeg' }));
+        if (this.ndiWebSocket !== socket) {
+          // Source changed while decoding
+          bitmap.close();
+          return;
+        }
+        
+        if (bitmap.width !== this.frameCanvas.width || bitmap.height !== this.frameCanvas.height) {
+          this.frameCanvas.width = bitmap.width;
+          this.frameCanvas.height = bitmap.height;
+          // Texture size is fixed once uploaded, so a new texture is needed
+          this.createNDICanvasTexture();
+        }
+        this.frameContext.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        this.canvasTexture.needsUpdate = true;
+        this.ndiFrameStats.latencyMs = clock.getStatus().synced ? clock.now() - frame.timestamp : null;
+        
+        if (this.material.uniforms.uTexture.value !== this.canvasTexture) {
+          this.material.uniforms.uTexture.value = this.canvasTexture;
+          this.material.uniforms.uHasTexture.value = 1.0;
+          this.material.uniforms.uIsImageTexture.value = 0.0;
+          
+          if (this.updateLEDShaders) {
+            this.updateLEDShaders(this.ledsGroup, this.material);
+          }
+          this.material.needsUpdate = true;
+        }
+        
+        if (this.textureStatus && !this.textureStatus.classList.contains('loaded')) {
+          this.textureStatus.textContent = `Loaded NDI Stream (Server): ${streamName}`;
+          this.textureStatus.classList.add('loaded');
+        }
+        if (this.updatePlaybackButtons) {
+          this.updatePlaybackButtons();
+        }
+      } catch (err) {
+        console.error('Error decoding frame image:', err);
+      } finally {
+        decoding = false;
+      }
+      
+      if (pendingFrame && this.ndiWebSocket === socket) {
+        const next = pendingFrame;
+        pendingFrame = null;
+        drawFrame(next);
+      }
+    };
     
     this.ndiWebSocket.onopen = () => {
       console.log('WebSocket connected, requesting stream:', streamName);
@@ -1469,41 +1472,38 @@ export class MediaManager {
       if (this.textureStatus) {
         this.textureStatus.textContent = `Connected to ${streamName}, receiving frames...`;
       }
+      for (let i = 0; i < NDI_INITIAL_PINGS; i++) {
+        pingTimers.push(setTimeout(ping, i * 200));
+      }
+      pingTimers.push(setInterval(ping, NDI_PING_INTERVAL_MS));
     };
     
     this.ndiWebSocket.onmessage = (event) => {
+      // Frames arrive as binary messages, control messages as JSON text
+      if (event.data instanceof ArrayBuffer) {
+        const frame = parseFrameMessage(event.data);
+        if (!frame) {
+          console.warn('Ignoring unsupported NDI frame message');
+          return;
+        }
+        this.ndiFrameStats.received++;
+        this.ndiFrameStats.serverDropped = frame.dropped;
+        this.ndiFrameStats.lastSequence = frame.sequence;
+        
+        if (decoding) {
+          if (pendingFrame) this.ndiFrameStats.skipped++;
+          pendingFrame = frame;
+        } else {
+          drawFrame(frame);
+        }
+        return;
+      }
+      
       try {
         const data = JSON.parse(event.data);
         
-        if (data.type === 'frame') {
-          const img = new Image();
-          img.onload = () => {
-            this.frameContext.drawImage(img, 0, 0, this.frameCanvas.width, this.frameCanvas.height);
-            this.canvasTexture.needsUpdate = true;
-            
-            if (this.material.uniforms.uTexture.value !== this.canvasTexture) {
-              this.material.uniforms.uTexture.value = this.canvasTexture;
-              this.material.uniforms.uHasTexture.value = 1.0;
-              this.material.uniforms.uIsImageTexture.value = 0.0;
-              
-              if (this.updateLEDShaders) {
-                this.updateLEDShaders(this.ledsGroup, this.material);
-              }
-              this.material.needsUpdate = true;
-            }
-            
-            if (this.textureStatus && !this.textureStatus.classList.contains('loaded')) {
-              this.textureStatus.textContent = `Loaded NDI Stream (Server): ${streamName}`;
-              this.textureStatus.classList.add('loaded');
-            }
-            if (this.updatePlaybackButtons) {
-              this.updatePlaybackButtons();
-            }
-          };
-          img.onerror = (err) => {
-            console.error('Error loading frame image:', err);
-          };
-          img.src = 'data:image/jpeg;base64,' + data.data;
+        if (data.type === 'pong') {
+          clock.addSample(data.clientTime, data.receivedAt, data.serverTime);
         } else if (data.type === 'error') {
           console.error('WebSocket error:', data.message);
           if (this.textureStatus) {
@@ -1526,6 +1526,7 @@ export class MediaManager {
     
     this.ndiWebSocket.onclose = () => {
       console.log('WebSocket closed');
+      pingTimers.forEach(timer => clearTimeout(timer));
       this.ndiWebSocket = null;
     };
   }
@@ -0,0 +1,104 @@
+/**
+ * OSC Control
+ * Acts on OSC commands from show-control gear, relayed by the server's OSC bridge
+ * (osc:command). The one preview the bridge asks to (osc:report) reports its state
+ * back (osc:state) so the controller's faders and buttons follow; the others, and every
+ * preview when OSC is off, stay quiet. Playback is driven here; mapping, camera, light
+ * and crowd go through the app's own controls so their usual handlers run.
+ */
+
+// Longest a state change waits before it is reported
+const STATE_INTERVAL_MS = 100;
+
+export class OscControl {
+  /**
+   * @param {Object} options
+   * @param {Object} options.serverEvents - Backend event channel
+   * @param {Object} options.playbackControls
+   * @param {Object} options.actions - { setMapping(type), setCamera(index), setLightIntensity(value), setCrowdCount(count) }
+   * @param {Function} options.getState - () => { mapping, camera, lightIntensity, crowdCount }
+   */
+  constructor({ serverEvents, playbackControls, actions, getState }) {
+    this.serverEvents = serverEvents;
+    this.playbackControls = playbackControls;
+    this.actions = actions;
+    this.getState = getState;
+
+    this.reporting = false; // Picked by the server's OSC bridge as its state source
+    this.lastState = null; // JSON of the last reported state
+    this.lastReportAt = 0;
+  }
+
+  init() {
+    this.serverEvents.on('osc:command', ({ address, value }) => this.handleCommand(address, value));
+    this.serverEvents.on('osc:report', ({ active }) => {
+      this.reporting = !!active;
+      this.lastState = null; // Report everything to a (new) bridge
+    });
+    // The bridge picks a state source again for the new connection
+    this.serverEvents.on('open', () => {
+      this.reporting = false;
+    });
+  }
+
+  handleCommand(address, value) {
+    const playback = this.playbackControls;
+    const state = playback.getState();
+    const playing = !!state && !state.paused;
+    switch (address) {
+      case '/stage/play':
+        if (value !== playing) playback.togglePlayPause();
+        break;
+      case '/stage/pause':
+        if (playing) playback.togglePlayPause();
+        break;
+      case '/stage/toggle':
+        playback.togglePlayPause();
+        break;
+      case '/stage/stop':
+        if (playing) playback.togglePlayPause();
+        playback.seekTo(0);
+        break;
+      case '/stage/seek':
+        if (playback.frameRate > 0) playback.seekTo(value / playback.frameRate);
+        break;
+      case '/stage/mapping':
+        this.actions.setMapping(value);
+        break;
+      case '/stage/camera':
+        this.actions.setCamera(value);
+        break;
+      case '/stage/light/intensity':
+        this.actions.setLightIntensity(value);
+        break;
+      case '/stage/crowd/count':
+        this.actions.setCrowdCount(value);
+        break;
+      default:
+        console.warn('OSC: unknown command', address);
+    }
+  }
+
+  /**
+   * Per-frame: report state changes, at most every STATE_INTERVAL_MS
+   */
+  update() {
+    const now = performance.now();
+    if (!this.reporting || now - this.lastReportAt < STATE_INTERVAL_MS || !this.serverEvents.isConnected()) return;
+    this.lastReportAt = now;
+
+    const playback = this.playbackControls.getState();
+    const frameRate = this.playbackControls.frameRate;
+    const state = {
+      ...this.getState(),
+      playing: playback ? !playback.paused : false,
+      time: playback ? Math.round(playback.currentTime * 1000) / 1000 : 0,
+      frame: playback && frameRate > 0 ? Math.round(playback.currentTime * frameRate) : 0
+    };
+    const json = JSON.stringify(state);
+    if (json === this.lastState) return;
+    if (this.serverEvents.send('osc:state', { state })) {
+      this.lastState = json;
+    }
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Remote Control
+ * Applies commands sent to the server's HTTP control API (POST /api/control/...),
+ * relayed to every preview as control:command, and acknowledges each one with the
+ * resulting state (control:ack) so the HTTP caller gets an answer. Playback is driven
+ * here; media, mapping, camera and looks go through the app's own controls.
+ */
+
+// A load is acknowledged once the media is showing, or fails after this long
+const LOAD_TIMEOUT_MS = 8000;
+const LOAD_POLL_MS = 100;
+
+export class RemoteControl {
+  /**
+   * @param {Object} options
+   * @param {Object} options.serverEvents - Backend event channel
+   * @param {Object} options.playbackControls
+   * @param {Object} options.actions - {
+   *     load(entry), isLoaded(entry), setMapping(type), setCamera(index), applyLook(look)
+   *   } Actions throw when the command cannot be applied; applyLook returns a list of warnings
+   * @param {Function} options.getState - () => { media, mapping, camera, look }
+   */
+  constructor({ serverEvents, playbackControls, actions, getState }) {
+    this.serverEvents = serverEvents;
+    this.playbackControls = playbackControls;
+    this.actions = actions;
+    this.getState = getState;
+  }
+
+  init() {
+    this.serverEvents.on('control:command', command => this.handleCommand(command));
+  }
+
+  async handleCommand({ id, action, params = {} }) {
+    let error = null;
+    let warnings = [];
+    try {
+      warnings = (await this.run(action, params)) || [];
+    } catch (err) {
+      console.warn(`Remote control: ${action} failed:`, err.message);
+      error = err.message;
+    }
+    this.serverEvents.send('control:ack', { id, state: this.captureState(), warnings, error });
+  }
+
+  /**
+   * @returns {Promise<string[]|undefined>} Warnings (looks only)
+   */
+  async run(action, params) {
+    const playback = this.playbackControls;
+    const state = playback.getState();
+    switch (action) {
+      case 'play':
+        if (!state) throw new Error('No video loaded');
+        if (state.paused) playback.togglePlayPause();
+        break;
+      case 'pause':
+        if (state && !state.paused) playback.togglePlayPause();
+        break;
+      case 'seek':
+        if (!state) throw new Error('No video loaded');
+        if (params.frame !== undefined) {
+          if (!(playback.frameRate > 0)) throw new Error('Frame rate unknown, seek by time');
+          playback.seekTo(params.frame / playback.frameRate);
+        } else {
+          playback.seekTo(params.time);
+        }
+        break;
+      case 'load':
+        this.actions.load(params.entry);
+        await this.waitFor(() => this.actions.isLoaded(params.entry), LOAD_TIMEOUT_MS, `${params.entry.name} did not load in time`);
+        break;
+      case 'mapping':
+        this.actions.setMapping(params.type);
+        break;
+      case 'camera':
+        this.actions.setCamera(params.index);
+        break;
+      case 'look':
+        return this.actions.applyLook(params.look);
+      case 'state':
+        break;
+      default:
+        throw new Error(`Unknown action "${action}"`);
+    }
+    return undefined;
+  }
+
+  waitFor(condition, timeoutMs, message) {
+    return new Promise((resolve, reject) => {
+      const startedAt = performance.now();
+      const check = () => {
+        if (condition()) {
+          resolve();
+        } else if (performance.now() - startedAt > timeoutMs) {
+          reject(new Error(message));
+        } else {
+          setTimeout(check, LOAD_POLL_MS);
+        }
+      };
+      check();
+    });
+  }
+
+  captureState() {
+    const playback = this.playbackControls.getState();
+    const frameRate = this.playbackControls.frameRate;
+    const video = this.playbackControls.videoElement;
+    return {
+      ...this.getState(),
+      playing: playback ? !playback.paused : false,
+      time: playback ? Math.round(playback.currentTime * 1000) / 1000 : null,
+      frame: playback && frameRate > 0 ? Math.round(playback.currentTime * frameRate) : null,
+      duration: video && isFinite(video.duration) ? video.duration : null,
+      frameRate: frameRate > 0 ? frameRate : null
+    };
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Review Session
+ * Joins the server review session (/api/session). The director broadcasts the
+ * sections of its view that changed; followers apply them, corrected for network
+ * latency using the server clock estimated from ping/pong round trips (ServerClock).
+ * Playback sync (same frame on every device) only covers followers: they lock onto the
+ * director's timeline, the director plays on its own as the reference.
+ */
+
+import { ServerEvents } from '../core/ServerEvents.js';
+import { ServerClock } from '../core/ServerClock.js';
+
+const SEND_INTERVAL_MS = 100; // Director checks for changed sections 10x per second
+const PING_INTERVAL_MS = 10000;
+const INITIAL_PINGS = 5;
+
+/**
+ * Guess the kind of device for the participant list
+ * @returns {'desktop'|'mobile'|'headset'}
+ */
+export function detectDevice() {
+  const userAgent = navigator.userAgent || '';
+  if (/OculusBrowser|Quest|Pico/i.test(userAgent)) return 'headset';
+  if (/Mobi|Android|iPhone|iPad/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+}
+
+export class ReviewSession {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sections - key -> { capture, apply, hasChanged? }
+   *   capture(): current value (JSON-serialisable, null to skip);
+   *   apply(value, { ageSeconds }): show a value received from the director;
+   *   hasChanged(previous, next, elapsedMs): whether to send again (default: compares JSON)
+   * @param {Function} [options.onChange] - Called with getStatus() when connection, role or participants change
+   * @param {string} [options.name] - Participant name shown to others
+   */
+  constructor({ sections, onChange = null, name = '' }) {
+    this.sections = sections;
+    this.onChange = onChange;
+    this.name = name;
+    this.device = detectDevice();
+
+    this.events = new ServerEvents('/api/session');
+    this.clientId = null;
+    this.directorId = null;
+    this.participants = [];
+    this.following = true; // Apply the director's view (can be paused locally)
+
+    this.clock = new ServerClock();
+    this.pingTimers = [];
+
+    this.sendTimer = null;
+    this.lastSent = {}; // key -> { value, sentAt }
+    this.latestState = {}; // key -> { value, capturedAt }, kept while not following
+  }
+
+  connect() {
+    this.events.on('open', () => this.handleOpen());
+    this.events.on('close', () => this.handleClose());
+    this.events.on('session:welcome', (data) => this.handleWelcome(data));
+    this.events.on('session:participants', (data) => this.handleParticipants(data));
+    this.events.on('session:state', (data) => this.handleState(data));
+    this.events.on('session:pong', (data) => this.handlePong(data));
+    this.events.on('session:error', (data) => console.warn('Review session:', data.message));
+    this.events.connect();
+  }
+
+  handleOpen() {
+    this.events.send('session:hello', { name: this.name, device: this.device });
+
+    // A burst of pings for a quick first estimate, then keep it fresh
+    this.clock.reset();
+    for (let i = 0; i < INITIAL_PINGS; i++) {
+      this.pingTimers.push(setTimeout(() => this.ping(), i * 200));
+    }
+    this.pingTimers.push(setInterval(() => this.ping(), PING_INTERVAL_MS));
+  }
+
+  handleClose() {
+    this.pingTimers.forEach(timer => clearTimeout(timer));
+    this.pingTimers = [];
+    this.clientId = null;
+    this.directorId = null;
+    this.participants = [];
+    this.updateSending();
+    this.notify();
+  }
+
+  handleWelcome(data) {
+    this.clientId = data.clientId;
+    this.clock.seed(data.serverTime);
+    this.latestState = data.state || {};
+    this.handleParticipants(data);
+    if (this.isFollowing()) {
+      this.applyLatestState();
+    }
+  }
+
+  handleParticipants(data) {
+    const wasDirector = this.isDirector();
+    this.directorId = data.directorId;
+    this.participants = data.participants || [];
+
+    // Taking over starts from a full snapshot of this client's view
+    if (this.isDirector() && !wasDirector) {
+      this.lastSent = {};
+    }
+    this.updateSending();
+    this.notify();
+  }
+
+  handleState(data) {
+    Object.entries(data.sections || {}).forEach(([key, value]) => {
+      this.latestState[key] = { value, capturedAt: data.capturedAt };
+    });
+    if (!this.isFollowing()) return;
+    Object.entries(data.sections || {}).forEach(([key, value]) => {
+      this.applySection(key, value, data.capturedAt);
+    });
+  }
+
+  applyLatestState() {
+    Object.entries(this.latestState).forEach(([key, { value, capturedAt }]) => {
+      this.applySection(key, value, capturedAt);
+    });
+  }
+
+  applySection(key, value, capturedAt) {
+    const section = this.sections[key];
+    if (!section || value === null || value === undefined) return;
+    const ageSeconds = Math.max(0, (this.getServerTime() - capturedAt) / 1000);
+    try {
+      section.apply(value, { ageSeconds });
+    } catch (error) {
+      console.error(`Review session: could not apply ${key}:`, error);
+    }
+  }
+
+  ping() {
+    this.events.send('session:ping', { clientTime: performance.now() });
+  }
+
+  handlePong(data) {
+    this.clock.addSample(data.clientTime, data.receivedAt, data.serverTime);
+  }
+
+  /**
+   * Shared clock for scheduling: server time in ms since the epoch
+   */
+  getServerTime() {
+    return this.clock.now();
+  }
+
+  updateSending() {
+    if (this.isDirector() && !this.sendTimer) {
+      this.sendTimer = setInterval(() => this.sendChanges(), SEND_INTERVAL_MS);
+      this.sendChanges();
+    } else if (!this.isDirector() && this.sendTimer) {
+      clearInterval(this.sendTimer);
+      this.sendTimer = null;
+    }
+  }
+
+  sendChanges() {
+    const now = performance.now();
+    const changed = {};
+    Object.entries(this.sections).forEach(([key, section]) => {
+      let value;
+      try {
+        value = section.capture();
+      } catch (error) {
+        console.error(`Review session: could not capture ${key}:`, error);
+        return;
+      }
+      if (value === null || value === undefined) return;
+
+      const previous = this.lastSent[key];
+      const isChanged = !previous || (section.hasChanged
+        ? section.hasChanged(previous.value, value, now - previous.sentAt)
+        : JSON.stringify(previous.value) !== JSON.stringify(value));
+      if (isChanged) {
+        changed[key] = value;
+        this.lastSent[key] = { value, sentAt: now };
+      }
+    });
+
+    if (Object.keys(changed).length > 0) {
+      this.events.send('session:state', { sections: changed, capturedAt: this.getServerTime() });
+    }
+  }
+
+  takeControl() {
+    this.events.send('session:take');
+  }
+
+  releaseControl() {
+    this.events.send('session:release');
+  }
+
+  /**
+   * Pause or resume following the director (local only)
+   */
+  setFollowing(following) {
+    this.following = following;
+    if (this.isFollowing()) {
+      this.applyLatestState();
+    }
+    this.notify();
+  }
+
+  setName(name) {
+    this.name = name;
+    this.events.send('session:hello', { name, device: this.device });
+  }
+
+  isDirector() {
+    return !!this.clientId && this.directorId === this.clientId;
+  }
+
+  /**
+   * Whether another client is directing and this one applies its view
+   */
+  isFollowing() {
+    return this.following && !!this.directorId && !this.isDirector();
+  }
+
+  getStatus() {
+    const director = this.participants.find(participant => participant.id === this.directorId) || null;
+    const self = this.participants.find(participant => participant.id === this.clientId);
+    return {
+      connected: !!this.clientId,
+      clientId: this.clientId,
+      canDirect: !self || self.role !== 'viewer', // Read-only links can only follow
+      isDirector: this.isDirector(),
+      isFollowing: this.isFollowing(),
+      director,
+      participants: this.participants,
+      clock: this.clock.getStatus()
+    };
+  }
+
+  notify() {
+    if (this.onChange) {
+      this.onChange(this.getStatus());
+    }
+  }
+}
@@ -125,6 +125,27 @@ export class SceneControls {
     this.scene.background = new THREE.Color(r, g, b);
   }
   
+  /**
+   * Set the background color from code (DMX lighting), keeping sliders and picker in step
+   * @param {number} [r] - 0-1, undefined keeps the current value
+   * @param {number} [g]
+   * @param {number} [b]
+   */
+  setBackgroundColor(r, g, b) {
+    const sliders = [this.backgroundColorR, this.backgroundColorG, this.backgroundColorB];
+    if (sliders.some(slider => !slider)) return;
+    const values = [r, g, b].map((value, index) => (value !== undefined ? value : parseFloat(sliders[index].value)));
+    ['R', 'G', 'B'].forEach((channel, index) => {
+      sliders[index].value = values[index];
+      const valueEl = document.getElementById(`backgroundColor${channel}Value`);
+      if (valueEl) valueEl.textContent = values[index].toFixed(3);
+    });
+    if (this.backgroundColorPicker) {
+      this.backgroundColorPicker.value = '#' + values.map(x => Math.round(x * 255).toString(16).padStart(2, '0')).join('');
+    }
+    this.updateBackgroundColor();
+  }
+
   /**
    * Copy background color values to clipboard
    */
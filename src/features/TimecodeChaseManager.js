@@ -0,0 +1,88 @@
+/**
+ * Timecode Chase Manager
+ * Lets the preview follow the show clock of the real media server. The server relays
+ * Art-Net / OSC timecode as timecode:frame; while chasing is on, PlaybackControls seeks
+ * and rate-nudges the video to match and FileInfoManager shows the sync status.
+ * Settings (on/off, start timecode, freewheel) are kept in localStorage.
+ */
+
+import { getElement, on, toggleClass } from '../utils/domUtils.js';
+import { parseTimecode } from '../utils/timecode.js';
+
+const STORAGE_KEY = 'timecodeChase';
+const DEFAULT_SETTINGS = { enabled: false, start: '00:00:00:00', freewheelSeconds: 2 };
+
+export class TimecodeChaseManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.serverEvents - Backend event channel (timecode:frame)
+   * @param {Object} options.playbackControls - Chases the timecode
+   * @param {Object} options.fileInfoManager - Shows the sync status
+   */
+  constructor({ serverEvents, playbackControls, fileInfoManager }) {
+    this.serverEvents = serverEvents;
+    this.playbackControls = playbackControls;
+    this.fileInfoManager = fileInfoManager;
+
+    this.settings = { ...DEFAULT_SETTINGS };
+
+    // DOM elements (set in init)
+    this.enabledCheckbox = null;
+    this.startInput = null;
+    this.freewheelInput = null;
+  }
+
+  init() {
+    this.enabledCheckbox = getElement('timecodeChaseEnabled');
+    this.startInput = getElement('timecodeChaseStart');
+    this.freewheelInput = getElement('timecodeChaseFreewheel');
+
+    try {
+      this.settings = { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch {
+      // Keep the defaults
+    }
+    if (this.enabledCheckbox) this.enabledCheckbox.checked = this.settings.enabled;
+    if (this.startInput) this.startInput.value = this.settings.start;
+    if (this.freewheelInput) this.freewheelInput.value = this.settings.freewheelSeconds;
+
+    [this.enabledCheckbox, this.startInput, this.freewheelInput].forEach((element) => {
+      if (element) on(element, 'change', () => this.readSettings());
+    });
+
+    this.serverEvents.on('timecode:frame', signal => this.playbackControls.receiveTimecode(signal));
+
+    this.apply();
+  }
+
+  readSettings() {
+    const freewheelSeconds = this.freewheelInput ? parseFloat(this.freewheelInput.value) : NaN;
+    this.settings = {
+      enabled: this.enabledCheckbox ? this.enabledCheckbox.checked : false,
+      start: this.startInput ? this.startInput.value.trim() : DEFAULT_SETTINGS.start,
+      freewheelSeconds: freewheelSeconds >= 0 ? freewheelSeconds : DEFAULT_SETTINGS.freewheelSeconds
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    this.apply();
+  }
+
+  /**
+   * Start or stop chasing; an unreadable start timecode stops it until corrected
+   */
+  apply() {
+    const start = parseTimecode(this.settings.start);
+    toggleClass(this.startInput, 'invalid', !start);
+    if (this.settings.enabled && start) {
+      this.playbackControls.setChase({ start, freewheelSeconds: this.settings.freewheelSeconds });
+    } else {
+      this.playbackControls.setChase(null);
+    }
+  }
+
+  /**
+   * Per-frame: chase the timecode and update the status indicator
+   */
+  update() {
+    this.fileInfoManager.setTimecodeStatus(this.playbackControls.updateChase());
+  }
+}
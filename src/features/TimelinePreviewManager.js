@@ -0,0 +1,72 @@
+/**
+ * Timeline Preview Manager
+ * Loads the audio waveform and thumbnail sprite sheet of the current library video
+ * (/api/media/:id/waveform, /api/media/:id/filmstrip) and hands them to PlaybackControls,
+ * which draws them under the timeline and shows hover previews. The server generates
+ * and caches both on first request, so the first load of a long master can take a while.
+ */
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load filmstrip image'));
+    image.src = url;
+  });
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+  return data;
+}
+
+export class TimelinePreviewManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.mediaManager
+   * @param {Object} options.playbackControls - Draws the lanes and the hover preview
+   */
+  constructor({ mediaManager, playbackControls }) {
+    this.mediaManager = mediaManager;
+    this.playbackControls = playbackControls;
+
+    this.mediaId = null; // Library id of the loaded video
+    this.loadToken = 0;
+  }
+
+  async load() {
+    const token = ++this.loadToken;
+    this.playbackControls.setFilmstrip(null);
+    this.playbackControls.setWaveform(null);
+    if (!this.mediaId) return;
+
+    const base = `/api/media/${encodeURIComponent(this.mediaId)}`;
+    // Independent: a silent file still gets its filmstrip and vice versa
+    await Promise.all([
+      fetchJson(`${base}/waveform`).then((waveform) => {
+        if (token === this.loadToken) this.playbackControls.setWaveform(waveform);
+      }).catch(error => console.warn('Timeline previews: no waveform:', error.message)),
+      fetchJson(`${base}/filmstrip`).then(async (filmstrip) => {
+        const image = await loadImage(filmstrip.url);
+        if (token === this.loadToken) this.playbackControls.setFilmstrip({ ...filmstrip, image });
+      }).catch(error => console.warn('Timeline previews: no filmstrip:', error.message))
+    ]);
+  }
+
+  /**
+   * Per-frame: follow media changes and move the lanes' playhead
+   */
+  update() {
+    const videoPath = this.mediaManager.currentVideoPath;
+    const entry = videoPath && !videoPath.startsWith('NDI:') ? this.mediaManager.findMediaLibraryEntry(videoPath) : null;
+    const mediaId = entry && entry.type === 'video' ? entry.id : null;
+    if (mediaId !== this.mediaId) {
+      this.mediaId = mediaId;
+      this.load();
+    }
+
+    this.playbackControls.updateTimelinePlayhead();
+  }
+}
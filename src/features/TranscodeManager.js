@@ -0,0 +1,288 @@
+/**
+ * Transcode Manager
+ * Requests web-playable proxies (H.264/VP9) of media library masters from the
+ * server transcode queue, cuts master renders into per-surface LED feeds for the
+ * current mapping, and shows job progress pushed over the event channel.
+ */
+
+import { getElement } from '../utils/domUtils.js';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+export class TranscodeManager {
+  /**
+   * @param {Object} options
+   * @param {MediaManager} options.mediaManager - Source of the media library listing and selection
+   * @param {ServerEvents} options.serverEvents - Backend event channel
+   * @param {Function} options.getCanvasSize - Returns the current LED canvas { width, height }
+   * @param {Function} options.getMappingType - Returns the current mapping type (selects the surfaces to cut)
+   * @param {Function} options.onLoadProxy - Called with the library entry of a finished proxy or cut
+   */
+  constructor({ mediaManager, serverEvents, getCanvasSize, getMappingType, onLoadProxy }) {
+    this.mediaManager = mediaManager;
+    this.serverEvents = serverEvents;
+    this.getCanvasSize = getCanvasSize;
+    this.getMappingType = getMappingType;
+    this.onLoadProxy = onLoadProxy;
+
+    this.jobs = new Map(); // id -> job
+    this.surfaceMappings = new Map(); // mapping type -> { label, surfaces }
+
+    // DOM Elements
+    this.formatSelect = getElement('transcodeFormatSelect');
+    this.startButton = getElement('transcodeStartBtn');
+    this.cutButton = getElement('transcodeCutBtn');
+    this.jobList = getElement('transcodeJobList');
+    this.canvasSizeLabel = getElement('transcodeCanvasSize');
+  }
+
+  /**
+   * Bind UI, subscribe to job updates and load the current job list
+   */
+  init() {
+    if (this.startButton) {
+      this.startButton.addEventListener('click', () => this.createProxyForSelection());
+    }
+    if (this.cutButton) {
+      this.cutButton.addEventListener('click', () => this.createCutForSelection());
+    }
+
+    if (this.serverEvents) {
+      this.serverEvents.on('transcode:job', ({ job }) => {
+        if (job) this.updateJob(job);
+      });
+      // Catch up on anything that changed while disconnected
+      this.serverEvents.on('open', () => this.loadJobs());
+    }
+
+    this.updateCanvasSizeLabel();
+    this.loadJobs();
+    this.loadSurfaceMappings();
+  }
+
+  /**
+   * Fetch the job list from the server
+   */
+  async loadJobs() {
+    try {
+      const response = await fetch('/api/transcode');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      this.jobs = new Map((data.jobs || []).map(job => [job.id, job]));
+      this.render();
+    } catch (error) {
+      console.warn('Transcode queue unavailable:', error.message);
+    }
+  }
+
+  /**
+   * Fetch the surface definitions cut jobs can use
+   */
+  async loadSurfaceMappings() {
+    try {
+      const response = await fetch('/api/surface-mappings');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      this.surfaceMappings = new Map((data.mappings || []).map(mapping => [mapping.type, mapping]));
+    } catch (error) {
+      console.warn('Surface mappings unavailable:', error.message);
+    }
+    this.updateCutButton();
+  }
+
+  /**
+   * Show the canvas size new proxies will be rendered at
+   */
+  updateCanvasSizeLabel() {
+    this.updateCutButton();
+    if (!this.canvasSizeLabel || !this.getCanvasSize) return;
+    const { width, height } = this.getCanvasSize();
+    this.canvasSizeLabel.textContent = `${width}x${height}`;
+  }
+
+  /**
+   * Enable cutting only for mappings with surface definitions
+   */
+  updateCutButton() {
+    if (!this.cutButton || !this.getMappingType) return;
+    const mapping = this.surfaceMappings.get(this.getMappingType());
+    this.cutButton.disabled = !mapping;
+    this.cutButton.title = mapping
+      ? `Cut the selected master into ${mapping.surfaces.length} LED feeds: ${mapping.surfaces.map(surface => `${surface.name} ${surface.width}x${surface.height}`).join(', ')}`
+      : 'No LED surface definition for the current mapping';
+  }
+
+  /**
+   * Library video currently selected in the asset dropdown
+   */
+  getSelectedVideo() {
+    const entry = this.mediaManager.findMediaLibraryEntry(this.mediaManager.videoAssetSelect?.value);
+    if (!entry || entry.type !== 'video') {
+      alert('Select a video from the Media Library first.');
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Queue a proxy of the library entry currently selected in the asset dropdown
+   */
+  async createProxyForSelection() {
+    const entry = this.getSelectedVideo();
+    if (!entry) return;
+
+    const format = this.formatSelect ? this.formatSelect.value : 'h264';
+    try {
+      await this.requestProxy(entry.id, format);
+    } catch (error) {
+      console.error('Failed to create transcode job:', error);
+      alert(`Could not start transcode: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue per-surface LED feeds of the selected master for the current mapping
+   */
+  async createCutForSelection() {
+    const entry = this.getSelectedVideo();
+    if (!entry) return;
+
+    const format = this.formatSelect ? this.formatSelect.value : 'h264';
+    try {
+      await this.postJob('/api/transcode/cut', { mediaId: entry.id, mappingType: this.getMappingType(), format });
+    } catch (error) {
+      console.error('Failed to create cut job:', error);
+      alert(`Could not start cut: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue a proxy transcode at the current LED canvas size
+   * @param {string} mediaId - Library entry id
+   * @param {string} format - 'h264' or 'vp9'
+   * @returns {Promise<Object>} The queued job
+   */
+  async requestProxy(mediaId, format = 'h264') {
+    const { width, height } = this.getCanvasSize();
+    return this.postJob('/api/transcode', { mediaId, format, width, height });
+  }
+
+  async postJob(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Transcode request failed (${response.status})`);
+    }
+    this.updateJob(data);
+    return data;
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  async cancelJob(id) {
+    try {
+      const response = await fetch(`/api/transcode/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      if (response.ok) {
+        this.updateJob(await response.json());
+      }
+    } catch (error) {
+      console.error('Failed to cancel transcode job:', error);
+    }
+  }
+
+  updateJob(job) {
+    this.jobs.set(job.id, job);
+    this.render();
+  }
+
+  /**
+   * Rebuild the job list (newest first)
+   */
+  render() {
+    if (!this.jobList) return;
+    this.jobList.innerHTML = '';
+
+    const jobs = Array.from(this.jobs.values()).reverse();
+    this.jobList.classList.toggle('hidden', jobs.length === 0);
+
+    jobs.forEach(job => {
+      const row = document.createElement('div');
+      row.className = `transcode-job transcode-job-${job.status}`;
+
+      const isCut = job.kind === 'cut';
+      const name = document.createElement('span');
+      name.className = 'transcode-job-name';
+      name.textContent = isCut
+        ? `${job.sourceName} → ${job.surfaces.length} LED feeds`
+        : `${job.sourceName} → ${job.format.toUpperCase()}`;
+      name.title = job.error || (isCut
+        ? `${job.mappingLabel}: ${job.surfaces.map(surface => `${surface.name} ${surface.width}x${surface.height}`).join(', ')}`
+        : `${job.width}x${job.height}`);
+      row.appendChild(name);
+
+      const status = document.createElement('span');
+      status.className = 'transcode-job-status';
+      status.textContent = job.status === 'running' ? `${Math.round(job.progress * 100)}%` : job.status;
+      row.appendChild(status);
+
+      if (job.status === 'done' && job.output) {
+        const loadButton = document.createElement('button');
+        loadButton.className = 'btn btn-sm';
+        loadButton.textContent = 'Load';
+        loadButton.addEventListener('click', () => this.onLoadProxy(job.output));
+        row.appendChild(loadButton);
+      } else if (ACTIVE_STATUSES.includes(job.status)) {
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'btn btn-sm';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => this.cancelJob(job.id));
+        row.appendChild(cancelButton);
+      }
+
+      if (job.status === 'running') {
+        const bar = document.createElement('div');
+        bar.className = 'transcode-job-progress';
+        bar.style.width = `${Math.round(job.progress * 100)}%`;
+        row.appendChild(bar);
+      }
+
+      this.jobList.appendChild(row);
+
+      if (isCut && job.status === 'done') {
+        (job.outputs || []).forEach(entry => this.jobList.appendChild(this.createOutputRow(entry)));
+      }
+    });
+  }
+
+  /**
+   * Row for one finished LED feed of a cut job
+   */
+  createOutputRow(entry) {
+    const row = document.createElement('div');
+    row.className = 'transcode-job transcode-job-output';
+
+    const name = document.createElement('a');
+    name.className = 'transcode-job-name';
+    name.textContent = entry.name;
+    name.href = entry.url;
+    name.download = entry.name;
+    name.title = 'Download';
+    row.appendChild(name);
+
+    const loadButton = document.createElement('button');
+    loadButton.className = 'btn btn-sm';
+    loadButton.textContent = 'Load';
+    loadButton.addEventListener('click', () => this.onLoadProxy(entry));
+    row.appendChild(loadButton);
+    return row;
+  }
+}
@@ -11,6 +11,13 @@ export class CameraControls {
     this.controls = controls;
     this.crowdSpawner = crowdSpawner;
     this.storedCameraState = null;
+    // Preset the camera sits at, null once it is moved any other way
+    this.positionIndex = null;
+    
+    // Pose followed from a review session director ({ position, target } or null)
+    this.followTarget = null;
+    this.lastFollowUpdate = 0;
+    this.FOLLOW_RATE = 8; // Higher = camera catches up faster
     
     // DOM Elements
     this.cameraPos1Btn = null;
@@ -95,6 +102,7 @@ export class CameraControls {
     
     // Update controls to apply changes immediately
     this.controls.update();
+    this.positionIndex = positionIndex;
     
     // Update debug display
     this.updateCameraDebug();
@@ -186,6 +194,70 @@ Target: (${target.x}, ${target.y}, ${target.z})`;
     }
   }
   
+  /**
+   * Current camera pose (position and OrbitControls target)
+   * @returns {{position: Object, target: Object}}
+   */
+  getPose() {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    return {
+      position: {
+        x: round(this.camera.position.x),
+        y: round(this.camera.position.y),
+        z: round(this.camera.position.z)
+      },
+      target: {
+        x: round(this.controls.target.x),
+        y: round(this.controls.target.y),
+        z: round(this.controls.target.z)
+      }
+    };
+  }
+  
+  /**
+   * Jump to a pose (e.g. from a saved look)
+   * @param {{position: Object, target: Object}} pose
+   */
+  setPose(pose) {
+    this.followTarget = null;
+    this.positionIndex = null;
+    this.camera.position.set(pose.position.x, pose.position.y, pose.position.z);
+    this.controls.target.set(pose.target.x, pose.target.y, pose.target.z);
+    this.camera.lookAt(this.controls.target);
+    this.controls.update();
+    this.updateCameraDebug();
+  }
+
+  /**
+   * Glide towards a pose received from another client (see updateFollow)
+   * @param {{position: Object, target: Object}|null} pose - Pose to follow, null to stop
+   */
+  followPose(pose) {
+    this.followTarget = pose;
+    if (pose) this.positionIndex = null;
+    this.lastFollowUpdate = performance.now();
+  }
+  
+  /**
+   * Move the camera part of the way towards the followed pose; call once per frame
+   */
+  updateFollow() {
+    if (!this.followTarget) return;
+    
+    const now = performance.now();
+    const deltaSeconds = Math.min((now - this.lastFollowUpdate) / 1000, 0.1);
+    this.lastFollowUpdate = now;
+    const alpha = 1 - Math.exp(-this.FOLLOW_RATE * deltaSeconds);
+    
+    const { position, target } = this.followTarget;
+    this.camera.position.x += (position.x - this.camera.position.x) * alpha;
+    this.camera.position.y += (position.y - this.camera.position.y) * alpha;
+    this.camera.position.z += (position.z - this.camera.position.z) * alpha;
+    this.controls.target.x += (target.x - this.controls.target.x) * alpha;
+    this.controls.target.y += (target.y - this.controls.target.y) * alpha;
+    this.controls.target.z += (target.z - this.controls.target.z) * alpha;
+  }
+  
   /**
    * Set crowd spawner reference
    * @param {Object} crowdSpawner - CrowdSpawner instance
@@ -217,6 +289,7 @@ Target: (${target.x}, ${target.y}, ${target.z})`;
     
     // Set camera position at random location with crowd camera height
     this.camera.position.set(randomPos.x, crowdCameraHeight, randomPos.z);
+    this.positionIndex = null;
     
     // Set target to look at the stage center (similar to crowd camera target)
     // Using the crowd camera target as reference: { x: 0.67, y: 2.81, z: 0.15 }
@@ -244,6 +317,7 @@ Target: (${target.x}, ${target.y}, ${target.z})`;
     // Set camera position (ensure minimum height of 1.2m above ground)
     const minHeight = 1.2;
     const cameraY = Math.max(this.storedCameraState.position.y, minHeight);
+    this.positionIndex = null;
     this.camera.position.set(
       this.storedCameraState.position.x,
       cameraY,
@@ -321,6 +395,11 @@ Target: (${target.x}, ${target.y}, ${target.z})`;
       });
     }
     
+    // Orbiting away from a preset
+    this.controls.addEventListener('start', () => {
+      this.positionIndex = null;
+    });
+    
     // Set up event listeners
     if (this.cameraPos1Btn) {
       this.cameraPos1Btn.addEventListener('click', () => this.setCameraPosition(0));
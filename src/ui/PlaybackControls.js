@@ -3,6 +3,8 @@
  * Manages video playback controls (play, pause, seek, volume, etc.)
  */
 
+import { timecodeToSeconds } from '../utils/timecode.js';
+
 export class PlaybackControls {
   constructor(videoElement, overlayVideo, frameRate, updateFrameInfo) {
     this.videoElement = videoElement;
@@ -20,9 +22,44 @@ export class PlaybackControls {
     this.muteBtn = null;
     this.volumeSlider = null;
     this.playbackMenu = null;
+    this.timelineContainer = null;
+    this.timelineTrack = null;
+    this.timelineLanes = null;
+    this.timelinePlayhead = null;
+    this.hoverPreview = null;
+    this.hoverThumb = null;
+    this.hoverTime = null;
+    this.filmstripCanvas = null;
+    this.waveformCanvas = null;
+    this.luminanceGraphContainer = null;
+    this.luminanceCanvas = null;
+    this.flashRangesEl = null;
+    
+    // Lanes under the timeline (each null when not shown)
+    this.filmstrip = null; // { image, count, interval, columns, rows, thumbWidth, thumbHeight, duration }
+    this.waveform = null; // { peaks (0-1), peaksPerSecond, duration }
+    this.luminanceGraph = null; // { apl, watts, budgetWatts, duration }
+    
+    // Timecode chase (see setChase)
+    this.chase = null; // { start: timecode at video frame 0, freewheelSeconds } while chasing
+    this.chaseSignal = null; // Last timecode:frame received, plus receivedAt/changedAt
+    this.chaseRunning = false; // Whether the show clock was running at the last update
+    
+    // Shared timeline (see followTimeline)
+    this.timeline = null; // { currentTime, at (server time, ms), paused, playbackRate } while following
+    this.getServerTime = null;
+    this.timelineStart = null; // { at } Start time (server time) of a pre-rolled video, held on its first frame
+    this.timelinePreroll = 0; // Current seek-ahead lead (seconds), adapted to how fast this device seeks
     
     // Constants
     this.TIME_JUMP_AMOUNT = 10; // Jump amount in seconds
+    this.SYNC_SEEK_THRESHOLD = 0.25; // Seconds of drift corrected by seeking instead of rate nudging
+    this.SYNC_MAX_RATE_NUDGE = 0.05; // Max playback rate change while catching up (5%)
+    this.SYNC_RATE_GAIN = 0.5; // Rate nudge per second of drift (0.1s behind plays 5% faster)
+    this.SYNC_PREROLL_SECONDS = 0.3; // Initial seek-ahead lead for scheduled starts
+    this.SYNC_MAX_PREROLL_SECONDS = 2;
+    this.CHASE_LOSS_SECONDS = 0.5; // Timecode gap after which the signal counts as lost
+    this.CHASE_STOP_SECONDS = 0.2; // Timecode unchanged this long means the show clock is stopped
     
     // Icons
     this.icons = {
@@ -116,6 +153,12 @@ export class PlaybackControls {
     }
   }
   
+  // Seek to an absolute time in seconds
+  seekTo(seconds) {
+    if (!this.videoElement) return;
+    this.jumpSeconds(seconds - this.videoElement.currentTime);
+  }
+  
   // Jump by frames (converts to seconds)
   jumpFrames(frames) {
     if (!this.videoElement || !this.frameRate || this.frameRate <= 0) return;
@@ -175,6 +218,534 @@ export class PlaybackControls {
     }
   }
   
+  /**
+   * Current playback state (shared by the review session director)
+   * @returns {{currentTime: number, paused: boolean, playbackRate: number}|null}
+   */
+  getState() {
+    if (!this.videoElement) return null;
+    return {
+      currentTime: this.videoElement.currentTime,
+      paused: this.videoElement.paused,
+      playbackRate: this.videoElement.defaultPlaybackRate || 1
+    };
+  }
+  
+  /**
+   * Follow a remote playback state. Large offsets are corrected with a seek, small
+   * ones by briefly speeding up or slowing down so playback does not stutter.
+   * @param {Object} state - State from getState() on another client
+   * @param {number} ageSeconds - Time since the state was captured (network latency)
+   */
+  syncToState(state, ageSeconds = 0) {
+    const video = this.videoElement;
+    if (!video || !state) return;
+    
+    const baseRate = state.playbackRate || 1;
+    let targetTime = state.currentTime + (state.paused ? 0 : ageSeconds * baseRate);
+    if (isFinite(video.duration) && video.duration > 0) {
+      targetTime = video.loop ? targetTime % video.duration : Math.min(targetTime, video.duration);
+    }
+    
+    const drift = targetTime - video.currentTime;
+    let rate = baseRate;
+    if (state.paused ? Math.abs(drift) > this.getFrameTolerance() : Math.abs(drift) > this.SYNC_SEEK_THRESHOLD) {
+      this.setSyncTime(targetTime);
+    } else if (!state.paused) {
+      const nudge = Math.max(-this.SYNC_MAX_RATE_NUDGE, Math.min(this.SYNC_MAX_RATE_NUDGE, drift * this.SYNC_RATE_GAIN));
+      rate = baseRate * (1 + nudge);
+    }
+    this.setSyncRate(rate, baseRate);
+    
+    if (state.paused !== video.paused) {
+      this.togglePlayPause();
+    }
+    if (this.updateFrameInfo) {
+      this.updateFrameInfo(video);
+    }
+  }
+  
+  /**
+   * Drift within this counts as in sync (half a frame)
+   */
+  getFrameTolerance() {
+    return this.frameRate > 0 ? 0.5 / this.frameRate : 0.02;
+  }
+  
+  setSyncTime(time) {
+    this.videoElement.currentTime = time;
+    if (this.overlayVideo) {
+      this.overlayVideo.currentTime = time;
+    }
+  }
+  
+  setSyncRate(rate, baseRate) {
+    this.videoElement.defaultPlaybackRate = baseRate;
+    this.videoElement.playbackRate = rate;
+    if (this.overlayVideo) {
+      this.overlayVideo.playbackRate = rate;
+    }
+  }
+  
+  /**
+   * Follow a playback timeline anchored in a shared clock, so several devices show the
+   * same frame at the same moment: the video is at `currentTime` at server time `at` and
+   * advances at `playbackRate` unless paused. Call updateTimeline() every frame.
+   * Used by review session followers; the director, and clients outside a session, play freely.
+   * @param {Object|null} timeline - { currentTime, at, paused, playbackRate }; null stops following
+   * @param {Function} [getServerTime] - () => current server time (ms), see ServerClock
+   */
+  followTimeline(timeline, getServerTime = null) {
+    if (!timeline) {
+      if (this.timeline && this.videoElement) {
+        const rate = this.videoElement.defaultPlaybackRate || 1;
+        this.setSyncRate(rate, rate);
+      }
+      this.timeline = null;
+      this.timelineStart = null;
+      return;
+    }
+    this.timeline = timeline;
+    this.getServerTime = getServerTime;
+    if (!this.timelinePreroll) this.timelinePreroll = this.SYNC_PREROLL_SECONDS;
+  }
+  
+  /**
+   * Keep the video on the shared timeline; call once per frame. Large offsets (and
+   * starting) are handled by seeking ahead, holding the frame and starting when the
+   * shared clock reaches it; small drift by nudging the playback rate.
+   * @returns {Object|null} { state, drift (seconds, + = video behind) }, null when not following.
+   *   state: waiting (no video yet), paused, scheduled (pre-rolled, waiting for the start time),
+   *   syncing, locked (within a frame), ended
+   */
+  updateTimeline() {
+    const timeline = this.timeline;
+    // Timecode chase owns playback while it is on
+    if (!timeline || this.chase) return null;
+    const video = this.videoElement;
+    if (!video || !isFinite(video.duration) || video.duration <= 0) return { state: 'waiting', drift: null };
+    
+    const now = this.getServerTime();
+    const baseRate = timeline.playbackRate || 1;
+    const positionAt = (serverTime) => {
+      const time = timeline.currentTime + (timeline.paused ? 0 : ((serverTime - timeline.at) / 1000) * baseRate);
+      return video.loop ? ((time % video.duration) + video.duration) % video.duration : Math.max(0, Math.min(time, video.duration));
+    };
+    const target = positionAt(now);
+    const tolerance = this.getFrameTolerance();
+    
+    if (timeline.paused) {
+      this.timelineStart = null;
+      if (!video.paused) this.togglePlayPause();
+      if (!video.seeking && Math.abs(target - video.currentTime) > tolerance) this.setSyncTime(target);
+      return { state: 'paused', drift: target - video.currentTime };
+    }
+    if (!video.loop && target >= video.duration) {
+      this.timelineStart = null;
+      if (!video.paused) this.togglePlayPause();
+      return { state: 'ended', drift: null };
+    }
+    
+    if (this.timelineStart) {
+      if (video.seeking || now < this.timelineStart.at) return { state: 'scheduled', drift: null };
+      // A seek that landed after the start time means this device needs more lead
+      const lateSeconds = (now - this.timelineStart.at) / 1000;
+      this.timelinePreroll = lateSeconds > 2 * tolerance
+        ? Math.min(this.SYNC_MAX_PREROLL_SECONDS, this.timelinePreroll * 2)
+        : Math.max(this.SYNC_PREROLL_SECONDS, this.timelinePreroll * 0.95);
+      this.timelineStart = null;
+      this.setSyncRate(baseRate, baseRate);
+      if (video.paused) this.togglePlayPause();
+      return { state: 'syncing', drift: target - video.currentTime };
+    }
+    
+    let drift = target - video.currentTime;
+    if (video.loop) {
+      // Just before vs. just after the loop point is a small drift, not a whole loop
+      const half = video.duration / 2;
+      drift = ((((drift + half) % video.duration) + video.duration) % video.duration) - half;
+    }
+    if (video.paused || Math.abs(drift) > this.SYNC_SEEK_THRESHOLD) {
+      if (video.seeking) return { state: 'syncing', drift };
+      // Seek ahead and start when the shared clock gets there
+      const startAt = now + this.timelinePreroll * 1000;
+      if (!video.paused) this.togglePlayPause();
+      this.setSyncTime(positionAt(startAt));
+      this.timelineStart = { at: startAt };
+      return { state: 'scheduled', drift };
+    }
+    
+    // Once nudging, keep going until well inside the tolerance so the rate does not flip every frame
+    const deadband = video.playbackRate !== baseRate ? tolerance / 4 : tolerance;
+    const nudge = Math.abs(drift) <= deadband
+      ? 0
+      : Math.max(-this.SYNC_MAX_RATE_NUDGE, Math.min(this.SYNC_MAX_RATE_NUDGE, drift * this.SYNC_RATE_GAIN));
+    this.setSyncRate(baseRate * (1 + nudge), baseRate);
+    return { state: Math.abs(drift) <= 2 * tolerance ? 'locked' : 'syncing', drift };
+  }
+  
+  /**
+   * Chase an external show clock instead of free-running. While chasing, playback
+   * follows the timecode passed to receiveTimecode(); call updateChase() every frame.
+   * @param {Object|null} options - { start: {hours, minutes, seconds, frames} of video frame 0,
+   *   freewheelSeconds: how long to keep playing after the signal is lost }; null stops chasing
+   */
+  setChase(options) {
+    this.chase = options;
+    this.chaseRunning = false;
+    if (!options && this.videoElement) {
+      const rate = this.videoElement.defaultPlaybackRate || 1;
+      this.videoElement.playbackRate = rate;
+      if (this.overlayVideo) {
+        this.overlayVideo.playbackRate = rate;
+      }
+    }
+  }
+  
+  /**
+   * @param {Object} signal - timecode:frame from the server ({ timecode, time, frameRate, dropFrame, source })
+   */
+  receiveTimecode(signal) {
+    const now = performance.now();
+    const previous = this.chaseSignal;
+    const changed = !previous || previous.time !== signal.time;
+    this.chaseSignal = { ...signal, receivedAt: now, changedAt: changed ? now : previous.changedAt };
+  }
+  
+  /**
+   * Seek and rate-nudge the video towards the show clock; call once per frame
+   * @returns {Object|null} { state, timecode, source, drift (seconds) }, null when not chasing.
+   *   state: waiting (no signal or video), locked, syncing, stopped (clock not running),
+   *   outside (timecode before the start or past the end), freewheel, lost
+   */
+  updateChase() {
+    if (!this.chase) return null;
+    const video = this.videoElement;
+    const signal = this.chaseSignal;
+    if (!signal || !video || !isFinite(video.duration) || video.duration <= 0) {
+      return { state: 'waiting', timecode: signal ? signal.timecode : null, source: signal ? signal.source : null, drift: null };
+    }
+    const status = { timecode: signal.timecode, source: signal.source, drift: null };
+    
+    const now = performance.now();
+    const age = (now - signal.receivedAt) / 1000;
+    if (age > this.CHASE_LOSS_SECONDS) {
+      // Keep running on the video's own clock for a while, then stop
+      if (this.chaseRunning && age <= this.CHASE_LOSS_SECONDS + this.chase.freewheelSeconds) {
+        video.playbackRate = video.defaultPlaybackRate || 1;
+        return { ...status, state: 'freewheel' };
+      }
+      this.chaseRunning = false;
+      if (!video.paused) {
+        this.togglePlayPause();
+      }
+      return { ...status, state: 'lost' };
+    }
+    
+    const nominalRate = signal.dropFrame ? 30 : signal.frameRate;
+    const offset = timecodeToSeconds(this.chase.start, nominalRate, signal.dropFrame);
+    this.chaseRunning = (now - signal.changedAt) / 1000 < this.CHASE_STOP_SECONDS;
+    const target = signal.time - offset + (this.chaseRunning ? age : 0);
+    if (target < 0 || target > video.duration) {
+      if (!video.seeking) {
+        this.syncToState({ currentTime: Math.max(0, Math.min(target, video.duration)), paused: true, playbackRate: 1 });
+      }
+      return { ...status, state: 'outside' };
+    }
+    
+    status.drift = target - video.currentTime;
+    // Let a pending seek land before correcting again
+    if (!video.seeking) {
+      this.syncToState({ currentTime: target, paused: !this.chaseRunning, playbackRate: 1 });
+    }
+    if (!this.chaseRunning) return { ...status, state: 'stopped' };
+    const frameDuration = this.frameRate > 0 ? 1 / this.frameRate : 1 / 30;
+    return { ...status, state: Math.abs(status.drift) <= frameDuration ? 'locked' : 'syncing' };
+  }
+  
+  /**
+   * Show a luminance analysis under the timeline: APL as a filled area, estimated
+   * wattage as a line (scaled to its peak or the budget) and the power budget dashed.
+   * @param {Object|null} graph - { apl: number[] (0-1), watts: number[]|null, budgetWatts, duration }; null hides it
+   */
+  setLuminanceGraph(graph) {
+    this.luminanceGraph = graph && graph.apl && graph.apl.length > 0 ? graph : null;
+    if (this.luminanceGraphContainer) {
+      this.luminanceGraphContainer.classList.toggle('hidden', !this.luminanceGraph);
+    }
+    this.updateTimelineLanes();
+  }
+  
+  /**
+   * Show thumbnails of the media under the timeline and as hover previews
+   * @param {Object|null} filmstrip - Sprite sheet layout from /api/media/:id/filmstrip with
+   *   the loaded sheet as `image`; null hides it
+   */
+  setFilmstrip(filmstrip) {
+    this.filmstrip = filmstrip && filmstrip.image ? filmstrip : null;
+    if (this.filmstripCanvas) {
+      this.filmstripCanvas.classList.toggle('hidden', !this.filmstrip);
+    }
+    if (this.hoverThumb) {
+      this.hoverThumb.classList.toggle('hidden', !this.filmstrip);
+      this.hoverThumb.style.backgroundImage = this.filmstrip ? `url("${this.filmstrip.image.src}")` : '';
+    }
+    this.updateTimelineLanes();
+  }
+  
+  /**
+   * Show the audio waveform under the timeline
+   * @param {Object|null} waveform - { peaks: number[] (0-1), peaksPerSecond, duration }; null hides it
+   */
+  setWaveform(waveform) {
+    this.waveform = waveform && waveform.peaks && waveform.peaks.length > 0 ? waveform : null;
+    if (this.waveformCanvas) {
+      this.waveformCanvas.classList.toggle('hidden', !this.waveform);
+    }
+    this.updateTimelineLanes();
+  }
+  
+  // Make room below the timeline for the visible lanes and redraw them
+  updateTimelineLanes() {
+    const visible = !!(this.filmstrip || this.waveform || this.luminanceGraph);
+    if (this.timelinePlayhead) {
+      this.timelinePlayhead.classList.toggle('hidden', !visible);
+    }
+    if (this.timelineContainer && this.timelineLanes) {
+      this.timelineContainer.style.paddingBottom = visible ? `${this.timelineLanes.offsetHeight + 4}px` : '';
+    }
+    this.drawTimelineLanes();
+  }
+  
+  drawTimelineLanes() {
+    this.drawFilmstrip();
+    this.drawWaveform();
+    this.drawLuminanceGraph();
+  }
+  
+  /**
+   * Size a canvas to its displayed size at device resolution and clear it
+   * @returns {{ctx: CanvasRenderingContext2D, width: number, height: number, ratio: number}}
+   */
+  prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+    const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height, ratio };
+  }
+  
+  // Thumbnails side by side, each showing the frame at the middle of its slot
+  drawFilmstrip() {
+    const canvas = this.filmstripCanvas;
+    const filmstrip = this.filmstrip;
+    if (!canvas || !filmstrip) return;
+    
+    const { ctx, width, height } = this.prepareCanvas(canvas);
+    const slotWidth = height * (filmstrip.thumbWidth / filmstrip.thumbHeight);
+    const slots = Math.max(1, Math.ceil(width / slotWidth));
+    for (let slot = 0; slot < slots; slot++) {
+      const time = ((slot + 0.5) / slots) * filmstrip.duration;
+      const [sx, sy] = this.getFilmstripOffset(time);
+      ctx.drawImage(filmstrip.image, sx, sy, filmstrip.thumbWidth, filmstrip.thumbHeight,
+        (slot / slots) * width, 0, width / slots, height);
+    }
+  }
+  
+  // Position of the thumbnail nearest to a time in the sprite sheet
+  getFilmstripOffset(time) {
+    const filmstrip = this.filmstrip;
+    const index = Math.max(0, Math.min(filmstrip.count - 1, Math.floor(time / filmstrip.interval)));
+    return [
+      (index % filmstrip.columns) * filmstrip.thumbWidth,
+      Math.floor(index / filmstrip.columns) * filmstrip.thumbHeight
+    ];
+  }
+  
+  // Audio peaks mirrored around the centre line, one bar per device pixel column
+  drawWaveform() {
+    const canvas = this.waveformCanvas;
+    const waveform = this.waveform;
+    if (!canvas || !waveform) return;
+    
+    const { ctx, width, height } = this.prepareCanvas(canvas);
+    const peaks = waveform.peaks;
+    const expected = waveform.duration * waveform.peaksPerSecond;
+    ctx.fillStyle = 'rgba(0, 175, 240, 0.8)';
+    for (let x = 0; x < width; x++) {
+      const start = Math.floor((x / width) * expected);
+      const end = Math.max(start + 1, Math.floor(((x + 1) / width) * expected));
+      let peak = 0;
+      for (let i = start; i < end && i < peaks.length; i++) {
+        if (peaks[i] > peak) peak = peaks[i];
+      }
+      const barHeight = Math.max(1, peak * height);
+      ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+    }
+  }
+  
+  // Redraw the luminance graph at the canvas' current size
+  drawLuminanceGraph() {
+    const canvas = this.luminanceCanvas;
+    const graph = this.luminanceGraph;
+    if (!canvas || !graph) return;
+    
+    const { ctx, width, height, ratio } = this.prepareCanvas(canvas);
+    
+    const x = (index, count) => (count > 1 ? (index / (count - 1)) * width : width / 2);
+    const y = (value) => height - Math.max(0, Math.min(1, value)) * (height - ratio);
+    
+    // Average picture level
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    graph.apl.forEach((value, index) => ctx.lineTo(x(index, graph.apl.length), y(value)));
+    ctx.lineTo(width, height);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.fill();
+    
+    if (graph.watts && graph.watts.length > 0) {
+      const scale = Math.max(...graph.watts, graph.budgetWatts || 0) || 1;
+      if (graph.budgetWatts) {
+        ctx.setLineDash([4 * ratio, 3 * ratio]);
+        ctx.strokeStyle = 'rgba(255, 82, 82, 0.9)';
+        ctx.lineWidth = ratio;
+        ctx.beginPath();
+        ctx.moveTo(0, y(graph.budgetWatts / scale));
+        ctx.lineTo(width, y(graph.budgetWatts / scale));
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      ctx.strokeStyle = '#ffc107';
+      ctx.lineWidth = 1.5 * ratio;
+      ctx.beginPath();
+      graph.watts.forEach((value, index) => {
+        const point = [x(index, graph.watts.length), y(value / scale)];
+        if (index === 0) ctx.moveTo(...point);
+        else ctx.lineTo(...point);
+      });
+      ctx.stroke();
+    }
+  }
+  
+  // Per-frame: move the lanes' playhead to the current time
+  updateTimelinePlayhead() {
+    if (!this.timelinePlayhead || !this.videoElement) return;
+    if (!this.filmstrip && !this.waveform && !this.luminanceGraph) return;
+    // Canvases have no size while the timeline is collapsed; lay out again once they do
+    const ratio = window.devicePixelRatio || 1;
+    const stale = [this.filmstripCanvas, this.waveformCanvas, this.luminanceCanvas]
+      .some(canvas => canvas && canvas.clientWidth > 0 && canvas.width !== Math.round(canvas.clientWidth * ratio));
+    if (stale) {
+      this.updateTimelineLanes();
+    }
+    const duration = this.getTimelineDuration();
+    const fraction = duration ? Math.max(0, Math.min(1, this.videoElement.currentTime / duration)) : 0;
+    this.timelinePlayhead.style.left = `${fraction * 100}%`;
+  }
+  
+  // Length of the loaded video, or of whatever the lanes were made from
+  getTimelineDuration() {
+    const duration = this.videoElement ? this.videoElement.duration : NaN;
+    if (isFinite(duration) && duration > 0) return duration;
+    const lane = this.filmstrip || this.waveform || this.luminanceGraph;
+    return lane ? lane.duration : null;
+  }
+  
+  // Time under a pointer position on the timeline, snapped to a frame
+  getTimelineTimeAt(clientX) {
+    const rect = this.timelineTrack.getBoundingClientRect();
+    const fraction = rect.width > 0 ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0;
+    const duration = this.getTimelineDuration() || 0;
+    const time = fraction * duration;
+    return { fraction, time: this.frameRate > 0 ? Math.min(duration, Math.round(time * this.frameRate) / this.frameRate) : time };
+  }
+  
+  // Thumbnail and time of the hovered position above the timeline
+  showHoverPreview(clientX) {
+    if (!this.hoverPreview || !this.getTimelineDuration()) return;
+    const { fraction, time } = this.getTimelineTimeAt(clientX);
+    const minutes = Math.floor(time / 60);
+    const frame = this.frameRate > 0 ? ` | F${String(Math.round(time * this.frameRate)).padStart(4, '0')}` : '';
+    this.hoverTime.textContent = `${String(minutes).padStart(2, '0')}:${(time % 60).toFixed(2).padStart(5, '0')}${frame}`;
+    
+    if (this.filmstrip) {
+      const filmstrip = this.filmstrip;
+      const [sx, sy] = this.getFilmstripOffset(time);
+      const scale = this.hoverThumb.clientHeight / filmstrip.thumbHeight || 1;
+      this.hoverThumb.style.width = `${filmstrip.thumbWidth * scale}px`;
+      this.hoverThumb.style.backgroundSize = `${filmstrip.columns * filmstrip.thumbWidth * scale}px ${filmstrip.rows * filmstrip.thumbHeight * scale}px`;
+      this.hoverThumb.style.backgroundPosition = `${-sx * scale}px ${-sy * scale}px`;
+    }
+    
+    if (this.luminanceGraph && this.luminanceCanvas) {
+      const graph = this.luminanceGraph;
+      const index = Math.round(fraction * (graph.apl.length - 1));
+      const watts = graph.watts ? ` | ${(graph.watts[index] / 1000).toFixed(1)} kW` : '';
+      this.luminanceCanvas.title = `APL ${Math.round(graph.apl[index] * 100)}%${watts}`;
+    }
+    
+    this.hoverPreview.style.left = `${fraction * 100}%`;
+    this.hoverPreview.classList.remove('hidden');
+  }
+  
+  // Lanes under the timeline: hover previews and seeking to the hovered frame
+  initTimelineLanes() {
+    this.timelineContainer = document.getElementById('timelineContainer');
+    this.timelineLanes = document.getElementById('timelineLanes');
+    this.timelinePlayhead = document.getElementById('timelinePlayhead');
+    this.hoverPreview = document.getElementById('timelineHoverPreview');
+    this.hoverThumb = document.getElementById('timelineHoverThumb');
+    this.hoverTime = document.getElementById('timelineHoverTime');
+    this.filmstripCanvas = document.getElementById('timelineFilmstrip');
+    this.waveformCanvas = document.getElementById('timelineWaveform');
+    this.luminanceGraphContainer = document.getElementById('luminanceGraphContainer');
+    this.luminanceCanvas = document.getElementById('luminanceGraph');
+    this.timelineTrack = this.timelineLanes ? this.timelineLanes.parentElement : null;
+    if (!this.timelineTrack) return;
+    
+    this.timelineTrack.addEventListener('mousemove', (e) => this.showHoverPreview(e.clientX));
+    this.timelineTrack.addEventListener('mouseleave', () => {
+      if (this.hoverPreview) this.hoverPreview.classList.add('hidden');
+    });
+    // The slider seeks by itself; the lanes seek to the frame shown in the preview
+    this.timelineLanes.addEventListener('click', (e) => {
+      if (!this.videoElement || !this.getTimelineDuration()) return;
+      this.seekTo(this.getTimelineTimeAt(e.clientX).time);
+    });
+    window.addEventListener('resize', () => this.updateTimelineLanes());
+  }
+  
+  /**
+   * Mark flash safety problems on the timeline
+   * @param {Object[]} ranges - { kind, status ('warn'|'fail'), start, end, flashesPerSecond } in seconds
+   * @param {number|null} duration - Length of the analyzed media
+   */
+  setFlashRanges(ranges, duration) {
+    if (!this.flashRangesEl) {
+      this.flashRangesEl = document.getElementById('timelineFlashRanges');
+      if (!this.flashRangesEl) return;
+    }
+    this.flashRangesEl.innerHTML = '';
+    if (!duration || duration <= 0) return;
+    
+    const kindLabels = { general: 'General flash', red: 'Red flash' };
+    ranges.forEach(range => {
+      const band = document.createElement('div');
+      band.className = `timeline-flash-range ${range.status}`;
+      band.style.left = `${Math.min(100, (range.start / duration) * 100)}%`;
+      band.style.width = `${Math.max(0.3, Math.min(100, ((range.end - range.start) / duration) * 100))}%`;
+      band.title = `${kindLabels[range.kind] || range.kind} (${range.status}): ${range.start.toFixed(2)}s - ${range.end.toFixed(2)}s, up to ${range.flashesPerSecond} flashes/s`;
+      band.addEventListener('click', () => this.seekTo(range.start));
+      this.flashRangesEl.appendChild(band);
+    });
+  }
+  
   // Enable/disable all controls
   setEnabled(enabled) {
     if (!this.playPauseBtn || !this.jumpToStartBtn || !this.rewindBtn || !this.jumpToEndBtn || !this.muteBtn) {
@@ -220,6 +791,8 @@ export class PlaybackControls {
     this.volumeSlider = document.getElementById('volumeSlider');
     this.playbackMenu = document.getElementById('playbackMenu');
     
+    this.initTimelineLanes();
+    
     // Check if elements exist
     if (!this.playPauseBtn || !this.jumpToStartBtn || !this.rewindBtn || !this.jumpToEndBtn || !this.muteBtn) {
       console.error('Playback control elements not found', {
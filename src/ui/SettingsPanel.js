@@ -5,6 +5,22 @@
 
 import { getElement, on, toggleClass, setText, setVisible } from '../utils/domUtils.js';
 
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function formatUptime(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+}
+
 export class SettingsPanel {
   constructor() {
     // Style/Shader panel elements
@@ -47,6 +63,11 @@ export class SettingsPanel {
     this.fpsRafId = null;
     this.fpsLastTs = 0;
     this.fpsFrames = 0;
+
+    // Server status (Dev tab)
+    this.serverStatusContent = getElement('serverStatusContent');
+    this.serverStatusRefreshBtn = getElement('serverStatusRefreshBtn');
+    this.serverStatusTimer = null;
     
     // Dev mode state
     this.devModeEnabled = false;
@@ -72,6 +93,7 @@ export class SettingsPanel {
     this.initSettingsTabs();
     this.initPanelToggles();
     this.initDevTools();
+    this.initServerStatus();
     this.initVersionInfo();
     this.initDragHandlers();
   }
@@ -307,6 +329,13 @@ export class SettingsPanel {
       toggleClass(btn, 'active', activeTabName === name);
       toggleClass(panel, 'active', activeTabName === name);
     });
+
+    // Only poll the server while its status is on screen
+    if (activeTabName === 'dev') {
+      this.startServerStatusPolling();
+    } else {
+      this.stopServerStatusPolling();
+    }
   }
   
   initPanelToggles() {
@@ -478,6 +507,110 @@ export class SettingsPanel {
     this.fpsRafId = null;
   }
   
+  initServerStatus() {
+    if (!this.serverStatusContent) return;
+    if (this.serverStatusRefreshBtn) {
+      on(this.serverStatusRefreshBtn, 'click', () => this.refreshServerStatus());
+    }
+  }
+
+  startServerStatusPolling() {
+    if (!this.serverStatusContent || this.serverStatusTimer) return;
+    this.refreshServerStatus();
+    this.serverStatusTimer = setInterval(() => this.refreshServerStatus(), 5000);
+  }
+
+  stopServerStatusPolling() {
+    if (!this.serverStatusTimer) return;
+    clearInterval(this.serverStatusTimer);
+    this.serverStatusTimer = null;
+  }
+
+  async refreshServerStatus() {
+    if (!this.serverStatusContent) return;
+    try {
+      const response = await fetch('/api/status', { signal: AbortSignal.timeout(5000) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      this.renderServerStatus(await response.json());
+    } catch (error) {
+      this.renderServerStatus(null, error);
+    }
+  }
+
+  /**
+   * Render /api/status as label/value rows
+   * @param {Object|null} status - Status report, or null when the request failed
+   * @param {Error} [error]
+   */
+  renderServerStatus(status, error) {
+    const content = this.serverStatusContent;
+    content.innerHTML = '';
+
+    const addHeader = (text) => {
+      const header = document.createElement('div');
+      header.className = 'control-section-header';
+      header.textContent = text;
+      content.appendChild(header);
+    };
+    const addRow = (label, value) => {
+      const row = document.createElement('div');
+      row.className = 'debug-info-row';
+      const labelEl = document.createElement('span');
+      labelEl.className = 'debug-label-text';
+      labelEl.textContent = `${label}:`;
+      const valueEl = document.createElement('span');
+      valueEl.className = 'debug-value';
+      valueEl.textContent = value;
+      row.append(labelEl, valueEl);
+      content.appendChild(row);
+    };
+
+    if (!status) {
+      addRow('Server', 'Backend server not available');
+      if (error) addRow('Error', error.message);
+      return;
+    }
+
+    addHeader('Server');
+    addRow('Uptime', formatUptime(status.uptime));
+    addRow('Memory', `${formatBytes(status.memory.rss)} RSS, ${formatBytes(status.memory.heapUsed)} heap`);
+    addRow('Node', `${status.node} (${status.platform})`);
+    addRow('Clients', String(status.eventClients));
+
+    addHeader('FFmpeg');
+    const { ffmpeg } = status;
+    if (!ffmpeg.available) {
+      addRow('Binary', 'Not usable');
+      addRow('Error', ffmpeg.error || 'unknown');
+    } else {
+      addRow('Version', ffmpeg.version || 'unknown');
+      addRow('Inputs', `${ffmpeg.inputFormats.length} formats`);
+    }
+    addRow('Path', ffmpeg.path);
+    Object.entries(ffmpeg.features).forEach(([name, supported]) => {
+      addRow(name, supported ? 'yes' : 'no');
+    });
+
+    addHeader('Captures');
+    if (status.captures.length === 0) {
+      addRow('Active', 'none');
+    }
+    status.captures.forEach(capture => {
+      const detail = capture.running ? `${capture.subscribers} viewer(s)` : 'stopped';
+      addRow(capture.sourceName, `${capture.method || '-'} (${capture.formats.join(', ') || 'idle'}), ${detail}`);
+    });
+    status.ingest.forEach(input => {
+      addRow(`Ingest ${input.name}`, `${input.state}, ${input.consumers} consumer(s)`);
+    });
+    addRow('NDI found', String(status.ndi.sources));
+
+    addHeader('Media Library');
+    addRow('Files', `${status.mediaLibrary.files} (${formatBytes(status.mediaLibrary.totalBytes)})`);
+    addRow('Transcode', `${status.transcode.running} running, ${status.transcode.queued} queued`);
+  }
+  
   initVersionInfo() {
     if (!this.versionInfoEl) return;
     
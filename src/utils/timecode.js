@@ -0,0 +1,44 @@
+/**
+ * SMPTE timecode utilities
+ * Shared by the server (Art-Net / OSC timecode input) and the client (chase offsets).
+ * Drop-frame timecode (29.97) skips frame numbers 0 and 1 at the start of every
+ * minute except every tenth, so labels stay close to wall-clock time.
+ */
+
+/**
+ * Parse "HH:MM:SS:FF" (";" before the frames marks drop-frame)
+ * @param {string} text
+ * @returns {{hours: number, minutes: number, seconds: number, frames: number, dropFrame: boolean}|null}
+ */
+export function parseTimecode(text) {
+  const match = /^\s*(\d{1,2}):(\d{2}):(\d{2})([:;.,])(\d{2})\s*$/.exec(text || '');
+  if (!match) return null;
+  const [hours, minutes, seconds, frames] = [match[1], match[2], match[3], match[5]].map(Number);
+  if (minutes > 59 || seconds > 59) return null;
+  return { hours, minutes, seconds, frames, dropFrame: match[4] === ';' || match[4] === ',' };
+}
+
+/**
+ * Seconds since 00:00:00:00
+ * @param {{hours: number, minutes: number, seconds: number, frames: number}} timecode
+ * @param {number} rate - Nominal frame rate (24, 25, 30; 29.97 is given as 30 with dropFrame)
+ * @param {boolean} [dropFrame]
+ * @returns {number}
+ */
+export function timecodeToSeconds({ hours, minutes, seconds, frames }, rate, dropFrame = false) {
+  if (!dropFrame) return hours * 3600 + minutes * 60 + seconds + frames / rate;
+  const totalMinutes = hours * 60 + minutes;
+  const frameNumber = (hours * 3600 + minutes * 60 + seconds) * 30 + frames
+    - 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+  return frameNumber * 1001 / 30000;
+}
+
+/**
+ * @param {{hours: number, minutes: number, seconds: number, frames: number}} timecode
+ * @param {boolean} [dropFrame]
+ * @returns {string} "HH:MM:SS:FF", or "HH:MM:SS;FF" for drop-frame
+ */
+export function formatTimecode({ hours, minutes, seconds, frames }, dropFrame = false) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${dropFrame ? ';' : ':'}${pad(frames)}`;
+}
@@ -0,0 +1,104 @@
+/**
+ * URL state utilities
+ * Encode/decode the shareable preview state in the URL hash, e.g.
+ * #media=/assets/videos/eva.mp4&map=renderOption2WithFront&cam=0,1.7,-25&tgt=0,5,0&t=12.5
+ */
+
+/**
+ * Parse "x,y,z" into a vector
+ * @param {string|null} value
+ * @returns {{x: number, y: number, z: number}|null}
+ */
+function parseVector(value) {
+  if (!value) return null;
+  const parts = value.split(',').map(Number);
+  if (parts.length !== 3 || !parts.every(Number.isFinite)) return null;
+  return { x: parts[0], y: parts[1], z: parts[2] };
+}
+
+function formatVector(vector) {
+  return [vector.x, vector.y, vector.z].map(value => Number(value.toFixed(3))).join(',');
+}
+
+function parseNumber(value) {
+  if (value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function parseFlag(value) {
+  if (value === '1') return true;
+  if (value === '0') return false;
+  return undefined;
+}
+
+/**
+ * Build a URL hash from the preview state; missing fields are left out
+ * @param {Object} state
+ * @param {string} [state.media] - Asset path from the media dropdown
+ * @param {string} [state.mapping] - Mapping type
+ * @param {boolean} [state.corrected] - Corrected mesh
+ * @param {boolean} [state.garagefix] - Garagefix mesh
+ * @param {number} [state.scale] - Texture scale
+ * @param {number} [state.offsetU] - Texture offset U
+ * @param {number} [state.offsetV] - Texture offset V
+ * @param {{position: Object, target: Object}} [state.camera] - Camera position and orbit target
+ * @param {number} [state.time] - Playback time in seconds
+ * @param {boolean} [state.paused] - Playback paused
+ * @param {number} [state.crowd] - Crowd instance count
+ * @returns {string} Hash including the leading "#"
+ */
+export function encodeUrlState(state) {
+  const params = new URLSearchParams();
+  const setNumber = (key, value, digits) => {
+    if (Number.isFinite(value)) params.set(key, String(Number(value.toFixed(digits))));
+  };
+
+  if (state.media) params.set('media', state.media);
+  if (state.mapping) params.set('map', state.mapping);
+  if (state.corrected !== undefined) params.set('corr', state.corrected ? '1' : '0');
+  if (state.garagefix !== undefined) params.set('gfix', state.garagefix ? '1' : '0');
+  setNumber('scale', state.scale, 3);
+  setNumber('u', state.offsetU, 3);
+  setNumber('v', state.offsetV, 3);
+  if (state.camera) {
+    params.set('cam', formatVector(state.camera.position));
+    params.set('tgt', formatVector(state.camera.target));
+  }
+  setNumber('t', state.time, 3); // Millisecond precision lands on the right frame
+  if (state.paused) params.set('paused', '1');
+  setNumber('crowd', state.crowd, 0);
+
+  // Keep slashes and commas readable in shared links
+  return '#' + params.toString().replace(/%2F/gi, '/').replace(/%2C/gi, ',');
+}
+
+/**
+ * Read the preview state from a URL hash; invalid or missing fields are undefined
+ * @param {string} hash - location.hash (with or without the leading "#")
+ * @returns {Object|null} State as accepted by encodeUrlState, null when the hash holds none
+ */
+export function decodeUrlState(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const position = parseVector(params.get('cam'));
+  const target = parseVector(params.get('tgt'));
+
+  const state = {
+    media: params.get('media') || undefined,
+    mapping: params.get('map') || undefined,
+    corrected: parseFlag(params.get('corr')),
+    garagefix: parseFlag(params.get('gfix')),
+    scale: parseNumber(params.get('scale')),
+    offsetU: parseNumber(params.get('u')),
+    offsetV: parseNumber(params.get('v')),
+    camera: position && target ? { position, target } : undefined,
+    time: parseNumber(params.get('t')),
+    paused: params.get('paused') === '1' || undefined,
+    crowd: parseNumber(params.get('crowd'))
+  };
+
+  Object.keys(state).forEach(key => {
+    if (state[key] === undefined) delete state[key];
+  });
+  return Object.keys(state).length > 0 ? state : null;
+}
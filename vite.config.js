@@ -3,6 +3,7 @@ import path from 'path';
 import os from 'os';
 import fs from 'fs';
 import { execSync } from 'child_process';
+import { AccessControl } from './server/AccessControl.js';
 
 // Function to read package.json dynamically (ensures we always get the latest version)
 function getPackageJson() {
@@ -49,14 +50,37 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:8080',
         changeOrigin: true,
-        secure: false
+        secure: false,
+        xfwd: true, // Client address for the backend's login rate limit
+        ws: true // /api/events and /api/session WebSocket channels
+      },
+      '/ndi': {
+        target: 'http://localhost:8080',
+        changeOrigin: true,
+        secure: false,
+        xfwd: true,
+        ws: true // /ndi/ws frame stream
       }
     }
   },
   // Use cache directory outside Dropbox to avoid file locking issues
   cacheDir: path.join(os.tmpdir(), 'vite-cache-stagepreview-coa'),
-  // Custom plugin to serve the video file
   plugins: [
+    {
+      // Same ACCESS_* protection as server.js for the app served by the dev server (ngrok tunnels);
+      // /api and /ndi are proxied and checked again by the backend
+      name: 'access-control',
+      configureServer(server) {
+        const accessControl = AccessControl.fromEnv();
+        if (accessControl.enabled) {
+          if (accessControl.randomSecret) {
+            console.warn('ACCESS_TOKEN_SECRET is not set: set the same value for the dev server and the backend');
+          }
+          server.middlewares.use(accessControl.middleware());
+        }
+      }
+    },
+    // Custom plugin to serve the video file
     {
       name: 'serve-default-video',
       configureServer(server) {